@@ -0,0 +1,156 @@
+// Student profiles: age → date of birth, student numbers, new defaults
+//
+// up:
+//   - `age` becomes `dateOfBirth` = 1 January of (current year − age), so the
+//     computed age matches the stored one today; the exact birthday is unknown
+//     and can be corrected in the form afterwards
+//   - students without a student number get one, in order of creation, from the
+//     same per-year counters the app uses ("S2026-00001")
+//   - enrollmentStatus, guardians and customFields get their defaults
+// down:
+//   - `dateOfBirth` becomes `age` again and the new fields are removed
+//     (phone, address, guardians and custom field values are lost)
+//
+// Each step only touches documents that still need it, so databases already
+// migrated by hand are left as they are.
+
+const BATCH_SIZE = 500;
+
+/** Fields added by this migration (removed again by down) */
+const NEW_FIELDS = ['studentNumber', 'phone', 'address', 'enrollmentStatus', 'guardians', 'customFields'];
+
+/** Defaults of the new fields for existing students */
+const DEFAULTS = { enrollmentStatus: 'active', guardians: [], customFields: {} };
+
+/**
+ * Age in full years on `now` (same rule as src/lib/students.js).
+ */
+function ageFrom(dateOfBirth, now) {
+    let age = now.getUTCFullYear() - dateOfBirth.getUTCFullYear();
+    const beforeBirthday = now.getUTCMonth() < dateOfBirth.getUTCMonth()
+        || (now.getUTCMonth() === dateOfBirth.getUTCMonth() && now.getUTCDate() < dateOfBirth.getUTCDate());
+    if (beforeBirthday) age--;
+    return age;
+}
+
+/**
+ * Run bulkWrite in batches while iterating a cursor.
+ * @returns {Promise<number>} Documents modified
+ */
+async function updateEach(collection, cursor, toUpdate) {
+    let batch = [];
+    let modified = 0;
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        const result = await collection.bulkWrite(batch, { ordered: false });
+        modified += result.modifiedCount;
+        batch = [];
+    };
+
+    for await (const doc of cursor) {
+        batch.push({ updateOne: { filter: { _id: doc._id }, update: await toUpdate(doc) } });
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return modified;
+}
+
+/**
+ * @param {import('mongodb').Db} db
+ * @param {{ dryRun: boolean }} context
+ * @returns {Promise<Record<string, number>>} Documents changed (dry run: matched) per step
+ */
+export async function up(db, { dryRun }) {
+    const students = db.collection('students');
+    const counters = db.collection('counters');
+    const year = new Date().getUTCFullYear();
+
+    const withAge = { dateOfBirth: { $exists: false }, age: { $type: 'number' } };
+    const unnumbered = { studentNumber: { $exists: false } };
+    const missing = (field) => ({ [field]: { $exists: false } });
+
+    if (dryRun) {
+        let defaults = 0;
+        for (const field of Object.keys(DEFAULTS)) defaults += await students.countDocuments(missing(field));
+        return {
+            birthDates: await students.countDocuments(withAge),
+            studentNumbers: await students.countDocuments(unnumbered),
+            defaults,
+        };
+    }
+
+    // 1. age → dateOfBirth (1 January of the birth year)
+    const birthDates = await students.updateMany(withAge, [
+        {
+            $set: {
+                dateOfBirth: {
+                    $dateFromParts: { year: { $subtract: [year, { $floor: '$age' }] }, month: 1, day: 1 },
+                },
+            },
+        },
+        { $unset: 'age' },
+    ]);
+
+    // 2. Student numbers, oldest first, per year of creation
+    const studentNumbers = await updateEach(
+        students,
+        students.find(unnumbered).sort({ createdAt: 1, _id: 1 }),
+        async (doc) => {
+            const created = doc.createdAt || doc._id.getTimestamp();
+            const counter = await counters.findOneAndUpdate(
+                { _id: `student-${created.getUTCFullYear()}` },
+                { $inc: { seq: 1 } },
+                { upsert: true, returnDocument: 'after' }
+            );
+            return { $set: { studentNumber: `S${created.getUTCFullYear()}-${String(counter.seq).padStart(5, '0')}` } };
+        }
+    );
+
+    // 3. Defaults for the new fields
+    let defaults = 0;
+    for (const [field, value] of Object.entries(DEFAULTS)) {
+        const result = await students.updateMany(missing(field), { $set: { [field]: value } });
+        defaults += result.modifiedCount;
+    }
+
+    return { birthDates: birthDates.modifiedCount, studentNumbers, defaults };
+}
+
+/**
+ * @param {import('mongodb').Db} db
+ * @param {{ dryRun: boolean }} context
+ * @returns {Promise<Record<string, number>>} Documents changed (dry run: matched) per step
+ */
+export async function down(db, { dryRun }) {
+    const students = db.collection('students');
+    const now = new Date();
+
+    const withBirthDate = { dateOfBirth: { $type: 'date' } };
+    const withNewFields = { $or: NEW_FIELDS.map((field) => ({ [field]: { $exists: true } })) };
+
+    if (dryRun) {
+        return {
+            ages: await students.countDocuments(withBirthDate),
+            fieldsRemoved: await students.countDocuments(withNewFields),
+        };
+    }
+
+    // 1. dateOfBirth → age (as of today)
+    const ages = await updateEach(
+        students,
+        students.find(withBirthDate, { projection: { dateOfBirth: 1 } }),
+        (doc) => ({ $set: { age: ageFrom(doc.dateOfBirth, now) }, $unset: { dateOfBirth: '' } })
+    );
+
+    // 2. Remove the new fields and the student number counters
+    const unset = Object.fromEntries(NEW_FIELDS.map((field) => [field, '']));
+    const removed = await students.updateMany(withNewFields, { $unset: unset });
+    await db.collection('counters').deleteMany({ _id: /^student-/ });
+
+    // The previous schema has no student number — drop its unique index too
+    await students.dropIndex('studentNumber_1').catch(() => {});
+
+    return { ages, fieldsRemoved: removed.modifiedCount };
+}
@@ -1,6 +1,7 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  /* config options here */
+  // Loaded at runtime only with MONGODB_MEMORY (src/lib/db.js) — don't bundle it
+  serverExternalPackages: ['mongodb-memory-server'],
 };
 
 export default nextConfig;
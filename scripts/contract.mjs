@@ -0,0 +1,348 @@
+// Contract check: call a running server and compare every response with the
+// OpenAPI document it serves (GET /api/openapi.json, see src/lib/openapi.js)
+//
+//   npm run dev                     (in another terminal)
+//   npm run contract                checks http://localhost:3000
+//   CONTRACT_BASE_URL=https://staging.example.com npm run contract
+//
+// Logs in with CONTRACT_EMAIL / CONTRACT_PASSWORD (default ADMIN_EMAIL /
+// ADMIN_PASSWORD — an admin account, so every route is reachable), then runs
+// the scenarios below against /api/students and /api/instructors. A check
+// fails when the status code isn't documented for the operation, when it
+// differs from the expected one, or when a JSON body doesn't match the
+// documented schema. Exits with 1 on any failure.
+//
+// The run creates one student and one instructor (unique contract-*@example.com
+// emails) and leaves them in the trash; a later purge removes them.
+
+import { randomUUID } from 'node:crypto';
+
+const BASE_URL = (process.env.CONTRACT_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const EMAIL = process.env.CONTRACT_EMAIL || process.env.ADMIN_EMAIL;
+const PASSWORD = process.env.CONTRACT_PASSWORD || process.env.ADMIN_PASSWORD;
+
+const UNKNOWN_ID = '000000000000000000000000';
+
+// ---------------------------------------------------------------------------
+// Minimal JSON Schema validator — the subset src/lib/openapi.js uses
+// ---------------------------------------------------------------------------
+
+function resolveRef(spec, pointer) {
+    return pointer.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number';
+    return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {string[]} Problems, each prefixed with its location (empty = valid)
+ */
+function validate(spec, schema, value, at = '$') {
+    if (!schema || schema === true) return [];
+    if (schema.$ref) return validate(spec, resolveRef(spec, schema.$ref), value, at);
+
+    const errors = [];
+    if (schema.allOf) schema.allOf.forEach((part) => errors.push(...validate(spec, part, value, at)));
+    for (const keyword of ['oneOf', 'anyOf']) {
+        if (schema[keyword] && !schema[keyword].some((part) => validate(spec, part, value, at).length === 0)) {
+            errors.push(`${at}: does not match any ${keyword} alternative`);
+        }
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(value, type))) {
+            return [...errors, `${at}: expected ${types.join(' | ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: above ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+        if (schema.items) value.forEach((item, index) => errors.push(...validate(spec, schema.items, item, `${at}[${index}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (!(name in value)) errors.push(`${at}: missing required property "${name}"`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (schema.properties?.[name]) {
+                errors.push(...validate(spec, schema.properties[name], item, `${at}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property "${name}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(spec, schema.additionalProperties, item, `${at}.${name}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+
+let cookie = '';
+
+/**
+ * Send a request. `json` → JSON body; `body` → raw body (FormData, text).
+ */
+async function call(method, path, { json, body, headers = {}, anonymous = false } = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+    if (!anonymous && cookie) init.headers.Cookie = cookie;
+    if (json !== undefined) {
+        init.headers['Content-Type'] ??= 'application/json';
+        init.body = JSON.stringify(json);
+    } else if (body !== undefined) {
+        init.body = body;
+    }
+
+    const res = await fetch(`${BASE_URL}${path}`, init);
+    const type = res.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await res.json() : await res.arrayBuffer();
+    return { status: res.status, headers: res.headers, type, data };
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+const results = { passed: 0, failed: 0 };
+const exercised = new Set();
+
+/**
+ * Find the operation of a concrete request: /api/students/123 → /api/students/{id}.
+ */
+function findOperation(spec, method, path) {
+    const pathname = path.split('?')[0];
+    for (const [template, item] of Object.entries(spec.paths)) {
+        const pattern = new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`);
+        if (pattern.test(pathname) && item[method.toLowerCase()]) {
+            return { template, operation: item[method.toLowerCase()] };
+        }
+    }
+    return null;
+}
+
+function report(name, problems) {
+    if (problems.length === 0) {
+        results.passed++;
+        console.log(`  ok    ${name}`);
+    } else {
+        results.failed++;
+        console.log(`  FAIL  ${name}`);
+        problems.forEach((problem) => console.log(`          ${problem}`));
+    }
+}
+
+/**
+ * Run one request and check it against the spec.
+ * @param {object} spec
+ * @param {string} name - Shown in the output
+ * @param {{ method: string, path: string, expect: number, json?: unknown, body?: unknown,
+ *           headers?: object, anonymous?: boolean, contentType?: string }} request
+ * @returns {Promise<object>} The response
+ */
+async function check(spec, name, { method, path, expect, json, contentType, ...options }) {
+    const problems = [];
+    const found = findOperation(spec, method, path);
+    if (!found) {
+        report(name, [`${method} ${path} is not in the spec`]);
+        return {};
+    }
+    const { operation } = found;
+    exercised.add(`${method} ${found.template}`);
+
+    // The documented request schema must accept what we send for a success case
+    const requestType = contentType || 'application/json';
+    if (json !== undefined && expect < 400) {
+        const schema = operation.requestBody?.content?.[requestType]?.schema;
+        if (!schema) problems.push(`request body ${requestType} is not documented`);
+        else problems.push(...validate(spec, schema, json, 'request').map((problem) => `request schema: ${problem}`));
+    }
+
+    const headers = contentType ? { ...options.headers, 'Content-Type': contentType } : options.headers;
+    const response = await call(method, path, { ...options, json, headers });
+
+    if (response.status !== expect) {
+        problems.push(`expected ${expect}, got ${response.status}${response.data?.error ? ` (${response.data.error})` : ''}`);
+    }
+
+    const documented = operation.responses?.[response.status] ?? operation.responses?.default;
+    if (!documented) {
+        problems.push(`status ${response.status} is not documented for ${method} ${found.template}`);
+    } else {
+        const definition = documented.$ref ? resolveRef(spec, documented.$ref) : documented;
+        const mediaType = response.type.split(';')[0].trim();
+        const content = definition.content;
+        if (content && response.status !== 304) {
+            const media = content[mediaType] ?? content['*/*'];
+            if (!media) {
+                problems.push(`content type ${mediaType || '(none)'} is not documented for ${response.status}`);
+            } else if (mediaType === 'application/json' && media.schema) {
+                problems.push(...validate(spec, media.schema, response.data, 'response'));
+            }
+        }
+    }
+
+    report(`${name} → ${response.status}`, problems);
+    return response;
+}
+
+/**
+ * Example request body of an operation (the spec's own example).
+ */
+function exampleBody(spec, method, path, type = 'application/json') {
+    return findOperation(spec, method, path)?.operation.requestBody?.content?.[type]?.example;
+}
+
+async function checkEntity(spec, plural) {
+    const base = `/api/${plural}`;
+    console.log(`\n${base}`);
+
+    // Create — the documented example, with a unique email
+    const example = exampleBody(spec, 'POST', base);
+    const input = { ...example, email: `contract-${randomUUID().slice(0, 8)}@example.com` };
+    const created = await check(spec, 'create', { method: 'POST', path: base, json: input, expect: 201 });
+    if (created.status !== 201) {
+        report('remaining checks', [`skipped — could not create a record in ${base}`]);
+        return;
+    }
+    const id = created.data._id;
+    const path = `${base}/${id}`;
+
+    await check(spec, 'create without fields', { method: 'POST', path: base, json: {}, expect: 422 });
+    await check(spec, 'create with a duplicate email', { method: 'POST', path: base, json: input, expect: 409 });
+
+    await check(spec, 'list', { method: 'GET', path: `${base}?limit=5`, expect: 200 });
+    await check(spec, 'list with cursor', { method: 'GET', path: `${base}?limit=5&after=${id}`, expect: 200 });
+    await check(spec, 'list sorted by an unknown field', { method: 'GET', path: `${base}?sort=bogus`, expect: 400 });
+    await check(spec, 'list the trash', { method: 'GET', path: `${base}?deleted=true&limit=5`, expect: 200 });
+    await check(spec, 'search', { method: 'GET', path: `${base}/search?q=${encodeURIComponent(input.name)}`, expect: 200 });
+    await check(spec, 'export as JSON', { method: 'GET', path: `${base}/export?format=json&q=${encodeURIComponent(input.email)}`, expect: 200 });
+
+    const fetched = await check(spec, 'get', { method: 'GET', path, expect: 200 });
+    const etag = fetched.headers?.get('etag');
+    await check(spec, 'get unchanged (If-None-Match)', { method: 'GET', path, headers: { 'If-None-Match': etag }, expect: 304 });
+    await check(spec, 'get an unknown id', { method: 'GET', path: `${base}/${UNKNOWN_ID}`, expect: 404 });
+    await check(spec, 'get a malformed id', { method: 'GET', path: `${base}/not-an-id`, expect: 400 });
+
+    // A real change — saving identical values doesn't bump the version
+    const update = { ...exampleBody(spec, 'PUT', path), name: `${input.name} Jr.` };
+    await check(spec, 'update without If-Match', { method: 'PUT', path, json: update, expect: 428 });
+    const updated = await check(spec, 'update', { method: 'PUT', path, json: update, headers: { 'If-Match': etag }, expect: 200 });
+    await check(spec, 'update with a stale ETag', { method: 'PUT', path, json: update, headers: { 'If-Match': etag }, expect: 412 });
+
+    const patchEtag = updated.headers?.get('etag');
+    await check(spec, 'merge patch', {
+        method: 'PATCH', path, json: exampleBody(spec, 'PATCH', path, 'application/merge-patch+json'),
+        contentType: 'application/merge-patch+json', headers: { 'If-Match': patchEtag }, expect: 200,
+    });
+    await check(spec, 'patch with plain JSON', {
+        method: 'PATCH', path, json: { name: input.name }, headers: { 'If-Match': '*' }, expect: 415,
+    });
+
+    await check(spec, 'courses', { method: 'GET', path: `${path}/courses`, expect: 200 });
+
+    // Attachments: upload a text document, download it, delete it
+    await check(spec, 'list attachments', { method: 'GET', path: `${path}/attachments`, expect: 200 });
+    const form = new FormData();
+    form.append('file', new Blob(['contract check\n'], { type: 'text/plain' }), 'contract.txt');
+    form.append('kind', 'document');
+    const uploaded = await check(spec, 'upload a document', { method: 'POST', path: `${path}/attachments`, body: form, expect: 201 });
+    const fake = new FormData();
+    fake.append('file', new Blob(['not really a pdf'], { type: 'application/pdf' }), 'fake.pdf');
+    await check(spec, 'upload a mislabelled file', { method: 'POST', path: `${path}/attachments`, body: fake, expect: 422 });
+    if (uploaded.status === 201) {
+        const attachment = `${path}/attachments/${uploaded.data._id}`;
+        await check(spec, 'download', { method: 'GET', path: attachment, expect: 200 });
+        await check(spec, 'thumbnail of a document', { method: 'GET', path: `${attachment}/thumbnail`, expect: 404 });
+        await check(spec, 'delete attachment', { method: 'DELETE', path: attachment, expect: 200 });
+        await check(spec, 'download a deleted attachment', { method: 'GET', path: attachment, expect: 404 });
+    }
+
+    if (plural === 'students') {
+        await check(spec, 'transcript', { method: 'GET', path: `${path}/transcript`, expect: 200 });
+        await check(spec, 'attendance', { method: 'GET', path: `${path}/attendance`, expect: 200 });
+        const rows = [{ ...input, email: `contract-${randomUUID().slice(0, 8)}@example.com` }];
+        await check(spec, 'import (dry run)', { method: 'POST', path: `${base}/import?dryRun=true`, json: rows, expect: 200 });
+        await check(spec, 'bulk update', {
+            method: 'POST', path: `${base}/bulk`, json: { operations: [{ action: 'update', ids: [id], set: { enrollmentStatus: 'active' } }] }, expect: 200,
+        });
+    }
+
+    // Trash round trip — the record is left in the trash
+    await check(spec, 'delete', { method: 'DELETE', path, expect: 200 });
+    await check(spec, 'get a deleted record', { method: 'GET', path, expect: 404 });
+    await check(spec, 'restore', { method: 'POST', path: `${path}/restore`, expect: 200 });
+    await check(spec, 'restore a live record', { method: 'POST', path: `${path}/restore`, expect: 404 });
+    await check(spec, 'delete again', { method: 'DELETE', path, expect: 200 });
+    await check(spec, 'purge (inside the retention period)', { method: 'POST', path: `${base}/purge`, json: { ids: [id] }, expect: 200 });
+}
+
+async function main() {
+    if (!EMAIL || !PASSWORD) {
+        console.error('Set CONTRACT_EMAIL / CONTRACT_PASSWORD (or ADMIN_EMAIL / ADMIN_PASSWORD) to an admin account');
+        return 1;
+    }
+
+    let spec;
+    try {
+        const res = await call('GET', '/api/openapi.json', { anonymous: true });
+        if (res.status !== 200) throw new Error(`GET /api/openapi.json returned ${res.status}`);
+        spec = res.data;
+    } catch (error) {
+        console.error(`Could not load the spec from ${BASE_URL}: ${error.message}`);
+        return 1;
+    }
+    console.log(`Checking ${BASE_URL} against ${spec.info.title} ${spec.info.version} (OpenAPI ${spec.openapi})`);
+
+    console.log('\n/api/auth');
+    await check(spec, 'anonymous list', { method: 'GET', path: '/api/students', anonymous: true, expect: 401 });
+    const login = await check(spec, 'login', { method: 'POST', path: '/api/auth/login', json: { email: EMAIL, password: PASSWORD }, expect: 200 });
+    if (login.status !== 200) return 1;
+    cookie = login.headers.getSetCookie().map((header) => header.split(';')[0]).join('; ');
+
+    await checkEntity(spec, 'students');
+    await checkEntity(spec, 'instructors');
+
+    // Operations no scenario reached — not a failure, but worth a scenario
+    const missing = Object.entries(spec.paths).flatMap(([template, item]) => Object.keys(item)
+        .filter((method) => method !== 'parameters')
+        .map((method) => `${method.toUpperCase()} ${template}`)
+        .filter((operation) => !exercised.has(operation)));
+    if (missing.length > 0) console.log(`\nNot exercised: ${missing.join(', ')}`);
+
+    console.log(`\n${results.passed} passed, ${results.failed} failed`);
+    return results.failed > 0 ? 1 : 0;
+}
+
+main()
+    .then((code) => { process.exitCode = code; })
+    .catch((error) => {
+        console.error('Contract check failed:', error);
+        process.exitCode = 1;
+    });
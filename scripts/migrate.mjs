@@ -0,0 +1,236 @@
+// Versioned data migrations for schema changes (files in /migrations)
+//
+//   npm run migrate                        apply every pending migration
+//   npm run migrate -- status              list applied and pending migrations
+//   npm run migrate -- up --dry-run        report how many documents each pending migration would touch
+//   npm run migrate -- down [--steps 2]    revert the last (n) applied migrations (also takes --dry-run)
+//   npm run migrate -- unlock              clear a lock left behind by a crashed run
+//
+// A migration is a file named "<number>-<name>.mjs" exporting
+//   up(db, { dryRun })  and  down(db, { dryRun })
+// which get the native MongoDB Db and return { step: documentCount }. With
+// dryRun they must not write, only count what they would change. Migrations
+// run in file name order; each one is recorded in the "migrations"
+// collection once it has finished.
+//
+// Only one run at a time: a lock document in "migrationlocks" stops concurrent
+// deploys from applying the same migration twice. A lock older than
+// LOCK_TTL_MS is considered abandoned and taken over. Dry runs take no lock
+// and write nothing; each migration is counted against the current data, so
+// a pending migration's counts don't reflect the ones before it.
+
+import { readdir } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import mongoose from 'mongoose';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.mjs$/;
+
+const HISTORY_COLLECTION = 'migrations';
+const LOCK_COLLECTION = 'migrationlocks';
+const LOCK_ID = 'migrate';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+
+const USAGE = 'Usage: npm run migrate -- [up | down [--steps n] | status | unlock] [--dry-run]';
+
+/**
+ * Migration files in run order: [{ name, file }] — name is the file name without .mjs.
+ */
+async function findMigrations() {
+    const files = (await readdir(MIGRATIONS_DIR)).filter((file) => MIGRATION_FILE.test(file));
+    files.sort((a, b) => Number(a.match(MIGRATION_FILE)[1]) - Number(b.match(MIGRATION_FILE)[1]) || a.localeCompare(b));
+    return files.map((file) => ({ name: file.replace(/\.mjs$/, ''), file: path.join(MIGRATIONS_DIR, file) }));
+}
+
+async function loadMigration({ name, file }) {
+    const migration = await import(pathToFileURL(file).href);
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${name} must export up(db, context) and down(db, context)`);
+    }
+    return migration;
+}
+
+/**
+ * Applied migrations, oldest first.
+ */
+function appliedMigrations(db) {
+    return db.collection(HISTORY_COLLECTION).find().sort({ appliedAt: 1, _id: 1 }).toArray();
+}
+
+/**
+ * Take the run lock (or a lock older than LOCK_TTL_MS).
+ * @returns {Promise<boolean>} false when another run holds it
+ */
+async function acquireLock(db, owner) {
+    const now = new Date();
+    try {
+        // No live lock → the filter misses and the upsert inserts ours; a live lock → duplicate key
+        await db.collection(LOCK_COLLECTION).updateOne(
+            { _id: LOCK_ID, expiresAt: { $lt: now } },
+            { $set: { owner, lockedAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        if (error?.code === 11000) return false;
+        throw error;
+    }
+}
+
+/**
+ * Push our lock's expiry forward (between migrations, so long runs keep it).
+ */
+async function renewLock(db, owner) {
+    const { matchedCount } = await db.collection(LOCK_COLLECTION).updateOne(
+        { _id: LOCK_ID, owner },
+        { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+    );
+    if (matchedCount === 0) throw new Error('Lost the migration lock to another run');
+}
+
+async function releaseLock(db, owner) {
+    await db.collection(LOCK_COLLECTION).deleteOne({ _id: LOCK_ID, owner });
+}
+
+function formatCounts(counts) {
+    const entries = Object.entries(counts || {});
+    return entries.length > 0 ? entries.map(([step, count]) => `${step}: ${count}`).join(', ') : 'no counts reported';
+}
+
+/**
+ * Run migrations in one direction, recording (or removing) each in the history.
+ */
+async function run(db, direction, migrations, { dryRun, owner }) {
+    const history = db.collection(HISTORY_COLLECTION);
+
+    for (const entry of migrations) {
+        const migration = await loadMigration(entry);
+        const startedAt = Date.now();
+
+        if (!dryRun) await renewLock(db, owner);
+        const counts = await migration[direction](db, { dryRun });
+        const durationMs = Date.now() - startedAt;
+
+        if (dryRun) {
+            console.log(`[dry run] ${direction} ${entry.name} would touch — ${formatCounts(counts)}`);
+            continue;
+        }
+
+        if (direction === 'up') {
+            await history.insertOne({ _id: entry.name, appliedAt: new Date(), durationMs, counts: counts || {} });
+        } else {
+            await history.deleteOne({ _id: entry.name });
+        }
+        console.log(`${direction} ${entry.name} (${durationMs} ms) — ${formatCounts(counts)}`);
+    }
+}
+
+async function status(db) {
+    const applied = new Map((await appliedMigrations(db)).map((doc) => [doc._id, doc]));
+    const migrations = await findMigrations();
+
+    for (const { name } of migrations) {
+        const doc = applied.get(name);
+        console.log(doc ? `applied  ${name}  (${doc.appliedAt.toISOString()})` : `pending  ${name}`);
+    }
+    // Recorded but the file is gone (e.g. a branch switch) — can't be reverted from here
+    for (const name of applied.keys()) {
+        if (!migrations.some((migration) => migration.name === name)) console.log(`missing  ${name}`);
+    }
+
+    const lock = await db.collection(LOCK_COLLECTION).findOne({ _id: LOCK_ID });
+    if (lock) console.log(`Locked by ${lock.owner} since ${lock.lockedAt.toISOString()}`);
+}
+
+/**
+ * Parse argv: [command] [--dry-run] [--steps n]
+ */
+function parseArgs(argv) {
+    const options = { command: 'up', dryRun: false, steps: 1 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--steps') options.steps = Number(argv[++i]);
+        else if (!arg.startsWith('-')) options.command = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    if (!['up', 'down', 'status', 'unlock'].includes(options.command)) throw new Error(`Unknown command ${options.command}`);
+    if (!Number.isInteger(options.steps) || options.steps < 1) throw new Error('--steps must be a positive integer');
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 1;
+    }
+    if (!process.env.MONGODB_URI) {
+        console.error('Please define MONGODB_URI (in .env.local or the environment)');
+        return 1;
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const { db } = mongoose.connection;
+    const { command, dryRun, steps } = options;
+    const owner = `${hostname()}:${process.pid}`;
+
+    try {
+        if (command === 'status') {
+            await status(db);
+            return 0;
+        }
+        if (command === 'unlock') {
+            const { deletedCount } = await db.collection(LOCK_COLLECTION).deleteOne({ _id: LOCK_ID });
+            console.log(deletedCount ? 'Lock removed' : 'No lock was held');
+            return 0;
+        }
+
+        if (!dryRun && !(await acquireLock(db, owner))) {
+            const lock = await db.collection(LOCK_COLLECTION).findOne({ _id: LOCK_ID });
+            console.error(`Another migration run holds the lock (${lock?.owner}, since ${lock?.lockedAt?.toISOString()})`);
+            return 1;
+        }
+
+        try {
+            const applied = await appliedMigrations(db);
+            const migrations = await findMigrations();
+            let selected;
+
+            if (command === 'up') {
+                const done = new Set(applied.map((doc) => doc._id));
+                selected = migrations.filter((migration) => !done.has(migration.name));
+            } else {
+                const byName = new Map(migrations.map((migration) => [migration.name, migration]));
+                const names = applied.map((doc) => doc._id).reverse().slice(0, steps);
+                const unknown = names.filter((name) => !byName.has(name));
+                if (unknown.length > 0) throw new Error(`Migration file not found for ${unknown.join(', ')}`);
+                selected = names.map((name) => byName.get(name));
+            }
+
+            if (selected.length === 0) {
+                console.log(command === 'up' ? 'No pending migrations' : 'No applied migrations to revert');
+                return 0;
+            }
+            await run(db, command, selected, { dryRun, owner });
+            return 0;
+        } finally {
+            if (!dryRun) await releaseLock(db, owner);
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main()
+    .then((code) => { process.exitCode = code; })
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+        return mongoose.disconnect();
+    });
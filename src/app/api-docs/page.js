@@ -0,0 +1,231 @@
+// API docs page — browsable view of the OpenAPI document from GET /api/openapi.json
+// Public like the document itself (not in the proxy matcher); the routes it
+// describes still need a session. Operations are grouped by tag and expand to
+// show their parameters, request body, responses and examples.
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+
+const METHOD_COLORS = {
+  get: '#0070f3',
+  post: '#27ae60',
+  put: '#e67e22',
+  patch: '#8e44ad',
+  delete: '#e74c3c',
+};
+
+const codeStyle = {
+  display: 'block',
+  padding: '10px',
+  background: '#f6f8fa',
+  borderRadius: '6px',
+  fontSize: '0.85rem',
+  overflowX: 'auto',
+  whiteSpace: 'pre',
+};
+
+// Follow a local $ref ("#/components/schemas/Student") → [name, target]
+function resolve(spec, node) {
+  if (!node?.$ref) return [null, node];
+  const target = node.$ref.replace(/^#\//, '').split('/').reduce((value, key) => value?.[key], spec);
+  return [node.$ref.split('/').pop(), target];
+}
+
+// Short type label: "string", "integer | null", "Student[]", "ObjectId"
+function typeLabel(spec, schema) {
+  const [name, resolved] = resolve(spec, schema);
+  if (name) return name;
+  if (!resolved) return 'any';
+  if (resolved.oneOf || resolved.anyOf) return (resolved.oneOf || resolved.anyOf).map((part) => typeLabel(spec, part)).join(' | ');
+  if (resolved.allOf) return resolved.allOf.map((part) => typeLabel(spec, part)).join(' & ');
+  const types = [].concat(resolved.type || (resolved.enum ? 'enum' : 'any'));
+  return types.map((type) => (type === 'array' ? `${typeLabel(spec, resolved.items)}[]` : type)).join(' | ');
+}
+
+// Properties of a schema as a nested list (named schemas are expanded one level deep per click)
+function SchemaView({ spec, schema, depth = 0 }) {
+  const [, resolved] = resolve(spec, schema);
+  if (!resolved) return null;
+
+  const parts = resolved.allOf || [resolved];
+  const properties = Object.assign({}, ...parts.map((part) => resolve(spec, part)[1]?.properties || {}));
+  const required = parts.flatMap((part) => resolve(spec, part)[1]?.required || []);
+  const items = resolved.type === 'array' || resolved.type?.includes?.('array') ? resolved.items : null;
+
+  if (items) return <SchemaView spec={spec} schema={items} depth={depth} />;
+  if (Object.keys(properties).length === 0 || depth > 3) return null;
+
+  return (
+    <ul style={{ margin: '4px 0', paddingLeft: depth === 0 ? '18px' : '16px', fontSize: '0.9rem' }}>
+      {Object.entries(properties).map(([name, property]) => {
+        const [, target] = resolve(spec, property);
+        return (
+          <li key={name} style={{ margin: '2px 0' }}>
+            <code>{name}</code>
+            {required.includes(name) && <span style={{ color: '#e74c3c' }}>*</span>}
+            {' '}<span style={{ color: '#888' }}>{typeLabel(spec, property)}</span>
+            {target?.enum && <span style={{ color: '#888' }}> — {target.enum.map(String).join(', ')}</span>}
+            {target?.readOnly && <span style={{ color: '#888' }}> (read-only)</span>}
+            {target?.description && <span style={{ color: '#666' }}> — {target.description}</span>}
+            <SchemaView spec={spec} schema={property} depth={depth + 1} />
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Content types of a request or response, each with its schema and example
+function ContentView({ spec, content }) {
+  return Object.entries(content || {}).map(([type, media]) => (
+    <div key={type} style={{ margin: '6px 0 10px 0' }}>
+      <small style={{ color: '#666' }}>{type}{media.schema && <> · {typeLabel(spec, media.schema)}</>}</small>
+      {media.schema && <SchemaView spec={spec} schema={media.schema} />}
+      {media.example !== undefined && (
+        <code style={codeStyle}>
+          {typeof media.example === 'string' ? media.example : JSON.stringify(media.example, null, 2)}
+        </code>
+      )}
+    </div>
+  ));
+}
+
+function Operation({ spec, path, method, operation, shared }) {
+  const parameters = [...(shared || []), ...(operation.parameters || [])].map((parameter) => resolve(spec, parameter)[1]);
+  const [, requestBody] = resolve(spec, operation.requestBody);
+
+  return (
+    <details style={{ marginBottom: '8px', border: '1px solid #eee', borderRadius: '8px', background: 'white' }}>
+      <summary style={{ padding: '10px 12px', cursor: 'pointer', display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <span style={{
+          minWidth: '64px',
+          textAlign: 'center',
+          padding: '2px 8px',
+          borderRadius: '4px',
+          color: 'white',
+          fontWeight: '600',
+          fontSize: '0.8rem',
+          background: METHOD_COLORS[method] || '#999'
+        }}>
+          {method.toUpperCase()}
+        </span>
+        <code>{path}</code>
+        <span style={{ color: '#666' }}>{operation.summary}</span>
+      </summary>
+
+      <div style={{ padding: '0 12px 12px 12px' }}>
+        {operation.description && <p>{operation.description}</p>}
+        {operation.security?.length === 0 && <p><em>No session required.</em></p>}
+
+        {parameters.length > 0 && (
+          <>
+            <h4>Parameters</h4>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <tbody>
+                {parameters.map((parameter) => (
+                  <tr key={`${parameter.in}-${parameter.name}`} style={{ borderTop: '1px solid #f0f0f0' }}>
+                    <td style={{ padding: '4px 8px 4px 0' }}>
+                      <code>{parameter.name}</code>
+                      {parameter.required && <span style={{ color: '#e74c3c' }}>*</span>}
+                    </td>
+                    <td style={{ color: '#888' }}>{parameter.in}</td>
+                    <td style={{ color: '#888' }}>{typeLabel(spec, parameter.schema)}</td>
+                    <td style={{ color: '#666' }}>{parameter.description}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {requestBody && (
+          <>
+            <h4>Request body{requestBody.required && <span style={{ color: '#e74c3c' }}>*</span>}</h4>
+            <ContentView spec={spec} content={requestBody.content} />
+          </>
+        )}
+
+        <h4>Responses</h4>
+        {Object.entries(operation.responses || {}).map(([status, response]) => {
+          const [name, resolved] = resolve(spec, response);
+          return (
+            <div key={status} style={{ marginBottom: '6px' }}>
+              <strong style={{ color: status < 400 ? '#27ae60' : '#e74c3c' }}>{status}</strong>{' '}
+              {resolved?.description}
+              {name && <small style={{ color: '#888' }}> ({name})</small>}
+              {/* Shared error responses all have the same shape — only show bodies declared here */}
+              {!name && <ContentView spec={spec} content={resolved?.content} />}
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+export default function ApiDocsPage() {
+  // State: the OpenAPI document (null until loaded)
+  const [spec, setSpec] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/openapi.json')
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load the API description');
+        setSpec(data);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Operations grouped by their first tag, in document order
+  const groups = {};
+  Object.entries(spec?.paths || {}).forEach(([path, item]) => {
+    Object.entries(item).forEach(([method, operation]) => {
+      if (method === 'parameters') return;
+      const tag = operation.tags?.[0] || 'Other';
+      (groups[tag] ||= []).push({ path, method, operation, shared: item.parameters });
+    });
+  });
+
+  return (
+    <div style={{
+      padding: '2rem',
+      maxWidth: '1000px',
+      margin: '0 auto',
+      fontFamily: 'sans-serif'
+    }}>
+      <p><Link href="/">← Dashboard</Link></p>
+
+      <h1 style={{ fontSize: '2rem', marginBottom: '0.5rem' }}>{spec?.info.title || 'API'}</h1>
+      <p style={{ color: '#666' }}>
+        {spec && <>Version {spec.info.version} · OpenAPI {spec.openapi} · </>}
+        <a href="/api/openapi.json">openapi.json</a>
+      </p>
+      {spec?.info.description && <p>{spec.info.description}</p>}
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {!spec && !error && <p>Loading...</p>}
+
+      {Object.entries(groups).map(([tag, operations]) => (
+        <section key={tag} style={{ marginTop: '2rem' }}>
+          <h2>{tag}</h2>
+          {operations.map(({ path, method, operation, shared }) => (
+            <Operation key={`${method} ${path}`} spec={spec} path={path} method={method} operation={operation} shared={shared} />
+          ))}
+        </section>
+      ))}
+
+      {spec && (
+        <section style={{ marginTop: '2rem' }}>
+          <h2>Error shape</h2>
+          <p>Every error response has this body; validation errors add a message per field.</p>
+          <SchemaView spec={spec} schema={spec.components.schemas.Error} />
+          <code style={codeStyle}>{JSON.stringify(spec.components.responses.ValidationFailed.content['application/json'].example, null, 2)}</code>
+        </section>
+      )}
+    </div>
+  );
+}
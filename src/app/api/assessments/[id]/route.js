@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Assessment from '@/models/Assessment';
+import Grade from '@/models/Grade';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { assertCanGrade, findAssessment } from '@/lib/grades';
+import { instrument } from '@/lib/instrument';
+
+// GET one assessment, with its course
+export const GET = instrument('GET /api/assessments/[id]', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const assessment = await Assessment.findById(id).populate('course', 'code title term');
+        if (!assessment) {
+            return NextResponse.json({ error: 'Assessment not found' }, { status: 404 });
+        }
+        return NextResponse.json(assessment);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch assessment', 'GET /api/assessments/[id]');
+    }
+});
+
+// PUT: Update title, max score, weight or due date (the course can't change)
+export const PUT = instrument('PUT /api/assessments/[id]', async function PUT(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+        const data = parseBody(Assessment, body, { partial: true });
+
+        const { assessment, course } = await findAssessment(id);
+        assertCanGrade(request, course);
+
+        // Max score can't drop below a score that was already given
+        if (data.maxScore !== undefined && data.maxScore !== null) {
+            const highest = await Grade.findOne({ assessment: id }).sort({ score: -1 }).select('score');
+            if (highest && highest.score > data.maxScore) {
+                return NextResponse.json(
+                    { error: `Max score cannot be lower than the highest recorded score (${highest.score})` },
+                    { status: 409 }
+                );
+            }
+        }
+
+        assessment.set(data);
+        await assessment.save();
+
+        return NextResponse.json(assessment);
+    } catch (error) {
+        return errorResponse(error, 'Failed to update assessment', 'PUT /api/assessments/[id]');
+    }
+});
+
+// DELETE: Remove an assessment and its grades
+export const DELETE = instrument('DELETE /api/assessments/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const { assessment, course } = await findAssessment(id);
+        assertCanGrade(request, course);
+
+        await assessment.deleteOne();
+        const { deletedCount } = await Grade.deleteMany({ assessment: id });
+
+        return NextResponse.json({ message: 'Assessment deleted successfully', gradesDeleted: deletedCount });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete assessment', 'DELETE /api/assessments/[id]');
+    }
+});
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Assessment from '@/models/Assessment';
+import Course from '@/models/Course';
+import { paginate } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { ASSESSMENT_LIST_OPTIONS, assertCanGrade } from '@/lib/grades';
+import { instrument } from '@/lib/instrument';
+
+// GET: Fetch a page of assessments
+// Query params: page, limit, after, before, sort, course
+export const GET = instrument('GET /api/assessments', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const result = await paginate(Assessment, searchParams, {
+            ...ASSESSMENT_LIST_OPTIONS,
+            defaultSort: 'dueDate',
+        });
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch assessments', 'GET /api/assessments');
+    }
+});
+
+// POST: Create an assessment in a course
+// Expects JSON body: { "course": "<id>", "title": "Midterm", "maxScore": 100, "weight": 2, "dueDate": "2026-10-30" }
+export const POST = instrument('POST /api/assessments', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+
+        const data = parseBody(Assessment, body);
+
+        const course = await Course.findById(data.course).select('instructors');
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+        assertCanGrade(request, course);
+
+        const assessment = new Assessment(data);
+        await assessment.save();
+
+        return NextResponse.json(assessment, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to create assessment', 'POST /api/assessments');
+    }
+});
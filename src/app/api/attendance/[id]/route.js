@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Attendance from '@/models/Attendance';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { instrument } from '@/lib/instrument';
+
+// GET one attendance record, with the student populated
+export const GET = instrument('GET /api/attendance/[id]', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const record = await Attendance.findById(id).populate('student', 'name email');
+        if (!record) {
+            return NextResponse.json({ error: 'Attendance record not found' }, { status: 404 });
+        }
+        return NextResponse.json(record);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch attendance record', 'GET /api/attendance/[id]');
+    }
+});
+
+// PUT: Change status or note (student and date are fixed)
+// Expects JSON body: { "status": "excused", "note": "..." }
+export const PUT = instrument('PUT /api/attendance/[id]', async function PUT(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+        const data = parseBody(Attendance, body, { partial: true });
+
+        const record = await Attendance.findById(id);
+        if (!record) {
+            return NextResponse.json({ error: 'Attendance record not found' }, { status: 404 });
+        }
+
+        record.set(data);
+        await record.save();
+
+        return NextResponse.json(record);
+    } catch (error) {
+        return errorResponse(error, 'Failed to update attendance record', 'PUT /api/attendance/[id]');
+    }
+});
+
+// DELETE: Remove an attendance record
+export const DELETE = instrument('DELETE /api/attendance/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const record = await Attendance.findByIdAndDelete(id);
+        if (!record) {
+            return NextResponse.json({ error: 'Attendance record not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ message: 'Attendance record deleted successfully' });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete attendance record', 'DELETE /api/attendance/[id]');
+    }
+});
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Attendance from '@/models/Attendance';
+import { errorResponse } from '@/lib/errors';
+import { formatDay, parseDay, parseRollCall, saveRollCall } from '@/lib/attendance';
+import { instrument } from '@/lib/instrument';
+
+/**
+ * Records of one day, with the students populated (trashed students are left out).
+ */
+async function loadDay(date) {
+    const records = await Attendance.find({ date }).populate('student', 'name email');
+    return records.filter((record) => record.student);
+}
+
+// GET: The roll call of a day — /api/attendance/days/2026-10-19
+// Response: { date, records: [{ _id, student: { _id, name, email }, status, note }] }
+export const GET = instrument('GET /api/attendance/days/[date]', async function GET(request, { params }) {
+    const { date: raw } = await params;
+
+    try {
+        const date = parseDay(raw);
+
+        await connectToDatabase();
+        return NextResponse.json({ date: formatDay(date), records: await loadDay(date) });
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch attendance', 'GET /api/attendance/days/[date]');
+    }
+});
+
+// PUT: Mark a whole roster for the day in one request
+// Expects JSON body: { "records": [{ "student": "<id>", "status": "present", "note": "" }, ...] }
+// A null status clears the student's record. Nothing is written if any entry is invalid (422).
+// Students not listed keep their existing record. Responds with the day plus { saved, cleared }.
+export const PUT = instrument('PUT /api/attendance/days/[date]', async function PUT(request, { params }) {
+    const { date: raw } = await params;
+
+    try {
+        const date = parseDay(raw);
+        const body = await request.json();
+
+        await connectToDatabase();
+        const records = await parseRollCall(body);
+        const counts = await saveRollCall(date, records);
+
+        return NextResponse.json({ ...counts, date: formatDay(date), records: await loadDay(date) });
+    } catch (error) {
+        return errorResponse(error, 'Failed to save attendance', 'PUT /api/attendance/days/[date]');
+    }
+});
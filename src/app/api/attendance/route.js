@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Attendance from '@/models/Attendance';
+import Student from '@/models/Student';
+import { paginate } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { ATTENDANCE_LIST_OPTIONS, startOfDay } from '@/lib/attendance';
+import { instrument } from '@/lib/instrument';
+
+// GET: Fetch a page of attendance records
+// Query params: page, limit, after, before, sort, student, status, from, to
+export const GET = instrument('GET /api/attendance', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const result = await paginate(Attendance, searchParams, {
+            ...ATTENDANCE_LIST_OPTIONS,
+            defaultSort: '-date',
+        });
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch attendance', 'GET /api/attendance');
+    }
+});
+
+// POST: Record one student's attendance for a day
+// Expects JSON body: { "student": "<id>", "date": "2026-10-19", "status": "late", "note": "bus delay" }
+// 409 when the student already has a record for that day (use PUT /api/attendance/days/[date] to overwrite)
+export const POST = instrument('POST /api/attendance', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+
+        const data = parseBody(Attendance, body);
+        if (data.date) data.date = startOfDay(data.date);
+
+        const student = await Student.exists({ _id: data.student });
+        if (!student) {
+            return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+        }
+
+        const record = new Attendance(data);
+        await record.save();
+
+        return NextResponse.json(record, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to record attendance', 'POST /api/attendance');
+    }
+});
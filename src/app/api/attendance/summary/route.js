@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import { errorResponse } from '@/lib/errors';
+import { formatDay, parseRange, summarizeAttendance } from '@/lib/attendance';
+import { instrument } from '@/lib/instrument';
+
+// GET: Attendance percentage per student over a date range
+// Query params: from, to (YYYY-MM-DD, inclusive; default the last 30 days)
+// Response: { from, to, students: [{ student, present, absent, late, excused, total, percentage }] }
+export const GET = instrument('GET /api/attendance/summary', async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const { from, to } = parseRange(searchParams);
+
+        await connectToDatabase();
+        const students = await summarizeAttendance({ from, to });
+
+        return NextResponse.json({ from: formatDay(from), to: formatDay(to), students });
+    } catch (error) {
+        return errorResponse(error, 'Failed to summarize attendance', 'GET /api/attendance/summary');
+    }
+});
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import AuditEvent from '@/models/AuditEvent';
+import { paginate } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { instrument } from '@/lib/instrument';
+
+// GET: Audit history, newest first
+// Query params: entity (student|instructor), id (entity id), action, actor,
+//               plus page, limit, after, before (see src/lib/pagination.js)
+// Example: /api/audit?entity=student&id=671f3a9b2c1d4e5f789abc12
+export const GET = instrument('GET /api/audit', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const result = await paginate(AuditEvent, searchParams, {
+            sortFields: ['createdAt'],
+            defaultSort: '-createdAt',
+            filters: {
+                entity: { field: 'entity', op: '$eq', type: 'string' },
+                id: { field: 'entityId', op: '$eq', type: 'string' },
+                action: { field: 'action', op: '$eq', type: 'string' },
+                actor: { field: 'actor', op: '$eq', type: 'string' },
+                since: { field: 'createdAt', op: '$gte', type: 'date' },
+            },
+        });
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch audit events', 'GET /api/audit');
+    }
+});
@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import User from '@/models/User';
+import { hashPassword, verifyDummyPassword, verifyPassword } from '@/lib/password';
+import { SESSION_COOKIE, sessionCookieOptions, signSession } from '@/lib/session';
+import { errorResponse } from '@/lib/errors';
+import { readJsonObject } from '@/lib/validation';
+import { instrument } from '@/lib/instrument';
+import { checkLoginRateLimit } from '@/lib/rateLimit';
+
+/**
+ * On a fresh install there are no users, so nobody could log in to create one.
+ * If ADMIN_EMAIL / ADMIN_PASSWORD are set and the users collection is empty,
+ * the first login with exactly those credentials creates the admin account.
+ */
+async function bootstrapAdmin(email, password) {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return null;
+    if (email !== ADMIN_EMAIL.toLowerCase() || password !== ADMIN_PASSWORD) return null;
+    if (await User.estimatedDocumentCount() > 0) return null;
+
+    return User.create({ email, passwordHash: await hashPassword(password), role: 'admin' });
+}
+
+// POST: Log in with email + password, sets the session cookie
+// Expects JSON body: { "email": "...", "password": "..." }
+export const POST = instrument('POST /api/auth/login', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const { email, password } = await readJsonObject(request);
+
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            return NextResponse.json({ error: 'Email and password are required' }, { status: 400 });
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+
+        // The proxy counts attempts per IP; this counts them per account
+        const rateLimit = await checkLoginRateLimit(normalizedEmail);
+        if (rateLimit?.limited) {
+            return NextResponse.json({ error: 'Too many login attempts' }, { status: 429, headers: rateLimit.headers });
+        }
+
+        let user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
+
+        if (!user) {
+            user = await bootstrapAdmin(normalizedEmail, password);
+            // Unknown email: take as long as a wrong password would
+            if (!user) await verifyDummyPassword(password);
+        } else if (!(await verifyPassword(password, user.passwordHash))) {
+            user = null;
+        }
+
+        // Same message for unknown email and wrong password
+        if (!user) {
+            return NextResponse.json({ error: 'Invalid email or password' }, { status: 401 });
+        }
+
+        const response = NextResponse.json(user);
+        response.cookies.set(
+            SESSION_COOKIE,
+            signSession({ sub: user._id.toString(), role: user.role, profile: user.profileId() }),
+            sessionCookieOptions()
+        );
+        return response;
+    } catch (error) {
+        return errorResponse(error, 'Failed to log in', 'POST /api/auth/login');
+    }
+});
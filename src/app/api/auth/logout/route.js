@@ -0,0 +1,10 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, sessionCookieOptions } from '@/lib/session';
+import { instrument } from '@/lib/instrument';
+
+// POST: Log out — clears the session cookie
+export const POST = instrument('POST /api/auth/logout', async function POST() {
+    const response = NextResponse.json({ message: 'Logged out' });
+    response.cookies.set(SESSION_COOKIE, '', sessionCookieOptions(0));
+    return response;
+});
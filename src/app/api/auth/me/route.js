@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import User from '@/models/User';
+import { getRequestUser } from '@/lib/session';
+import { errorResponse } from '@/lib/errors';
+import { instrument } from '@/lib/instrument';
+
+// GET: The currently logged-in user
+export const GET = instrument('GET /api/auth/me', async function GET(request) {
+    const current = getRequestUser(request);
+
+    try {
+        await connectToDatabase();
+        const user = await User.findById(current?.id);
+        if (!user) {
+            return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+        }
+        return NextResponse.json(user);
+    } catch (error) {
+        return errorResponse(error, 'Failed to load user', 'GET /api/auth/me');
+    }
+});
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import { errorResponse } from '@/lib/errors';
+import { instrument } from '@/lib/instrument';
+
+// DELETE: Drop a student from a course
+export const DELETE = instrument('DELETE /api/courses/[id]/enrollments/[studentId]', async function DELETE(request, { params }) {
+    const { id, studentId } = await params;
+
+    try {
+        await connectToDatabase();
+
+        // Match only when the student is enrolled, so "not enrolled" is distinguishable
+        const course = await Course.findOneAndUpdate(
+            { _id: id, 'enrollments.student': studentId },
+            { $pull: { enrollments: { student: studentId } } },
+            { new: true }
+        );
+
+        if (!course) {
+            const exists = await Course.exists({ _id: id });
+            const error = exists ? 'Student is not enrolled in this course' : 'Course not found';
+            return NextResponse.json({ error }, { status: 404 });
+        }
+
+        return NextResponse.json(course);
+    } catch (error) {
+        return errorResponse(error, 'Failed to drop student', 'DELETE /api/courses/[id]/enrollments/[studentId]');
+    }
+});
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { readJsonObject } from '@/lib/validation';
+import { instrument } from '@/lib/instrument';
+
+// GET: List the students enrolled in a course
+export const GET = instrument('GET /api/courses/[id]/enrollments', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const course = await Course.findById(id)
+            .select('code capacity enrollments')
+            .populate('enrollments.student', 'name dateOfBirth email studentNumber');
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+        // Students in the trash populate as null — leave them out of the roster
+        const enrollments = course.enrollments.filter((enrollment) => enrollment.student);
+
+        return NextResponse.json({
+            capacity: course.capacity,
+            count: enrollments.length,
+            enrollments,
+        });
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch enrollments', 'GET /api/courses/[id]/enrollments');
+    }
+});
+
+// POST: Enroll a student
+// Expects JSON body: { "studentId": "<id>" }
+export const POST = instrument('POST /api/courses/[id]/enrollments', async function POST(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const { studentId } = await readJsonObject(request);
+
+        if (!mongoose.isValidObjectId(studentId)) {
+            return NextResponse.json({ error: 'A valid studentId is required' }, { status: 400 });
+        }
+
+        const student = await Student.exists({ _id: studentId });
+        if (!student) {
+            return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+        }
+
+        // Single atomic update: only push when the student isn't enrolled yet
+        // and the course still has a free seat, so concurrent requests can't overfill it
+        const course = await Course.findOneAndUpdate(
+            {
+                _id: id,
+                'enrollments.student': { $ne: studentId },
+                $expr: { $lt: [{ $size: '$enrollments' }, '$capacity'] },
+            },
+            { $push: { enrollments: { student: studentId } } },
+            { new: true }
+        );
+
+        if (!course) {
+            // Work out which condition failed
+            const existing = await Course.findById(id).select('capacity enrollments');
+            if (!existing) {
+                return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+            }
+            if (existing.enrollments.some((e) => e.student.equals(studentId))) {
+                return NextResponse.json({ error: 'Student is already enrolled' }, { status: 409 });
+            }
+            return NextResponse.json({ error: 'Course is full' }, { status: 409 });
+        }
+
+        return NextResponse.json(course, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to enroll student', 'POST /api/courses/[id]/enrollments');
+    }
+});
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import { errorResponse } from '@/lib/errors';
+import { assertCanGrade, buildGradebook, parseGradeEntries, saveGradeEntries } from '@/lib/grades';
+import { instrument } from '@/lib/instrument';
+
+// GET: The grade grid of a course — assessments × enrolled students,
+// with each student's weighted average and letter grade (admins and the course's instructors)
+export const GET = instrument('GET /api/courses/[id]/gradebook', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const course = await Course.findById(id)
+            .select('code title term instructors enrollments')
+            .populate('enrollments.student', 'name email');
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+        assertCanGrade(request, course, 'see');
+
+        return NextResponse.json(await buildGradebook(course));
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch gradebook', 'GET /api/courses/[id]/gradebook');
+    }
+});
+
+// PUT: Save many cells of the grid at once
+// Expects JSON body: { "grades": [{ "student": "<id>", "assessment": "<id>", "score": 87 }, ...] }
+// A null score clears the grade. Nothing is written if any entry is invalid (422).
+// Responds with the updated gradebook plus { saved, cleared }.
+export const PUT = instrument('PUT /api/courses/[id]/gradebook', async function PUT(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+
+        const course = await Course.findById(id).select('code title term instructors enrollments');
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+        assertCanGrade(request, course);
+
+        const entries = await parseGradeEntries(course, body?.grades);
+        const counts = await saveGradeEntries(entries);
+
+        await course.populate('enrollments.student', 'name email');
+        return NextResponse.json({ ...counts, ...(await buildGradebook(course)) });
+    } catch (error) {
+        return errorResponse(error, 'Failed to save grades', 'PUT /api/courses/[id]/gradebook');
+    }
+});
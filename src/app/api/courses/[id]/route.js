@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import Assessment from '@/models/Assessment';
+import Grade from '@/models/Grade';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { assertInstructorsExist } from '@/lib/courses';
+import { instrument } from '@/lib/instrument';
+
+// GET one course, with instructors and enrolled students populated
+export const GET = instrument('GET /api/courses/[id]', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const course = await Course.findById(id)
+            .populate('instructors', 'name email')
+            .populate('enrollments.student', 'name email');
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+        return NextResponse.json(course);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch course', 'GET /api/courses/[id]');
+    }
+});
+
+// PUT: Update course details (enrollments are managed through /enrollments)
+export const PUT = instrument('PUT /api/courses/[id]', async function PUT(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+        const data = parseBody(Course, body, { partial: true });
+
+        if (data.instructors !== undefined) {
+            await assertInstructorsExist(data.instructors);
+        }
+
+        const course = await Course.findById(id);
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+
+        // Capacity can't drop below the number of students already enrolled
+        if (data.capacity !== undefined && Number(data.capacity) < course.enrollments.length) {
+            return NextResponse.json(
+                { error: `Capacity cannot be lower than current enrollment (${course.enrollments.length})` },
+                { status: 409 }
+            );
+        }
+
+        course.set(data);
+        await course.save();
+
+        return NextResponse.json(course);
+    } catch (error) {
+        return errorResponse(error, 'Failed to update course', 'PUT /api/courses/[id]');
+    }
+});
+
+// DELETE: Remove course (enrollments, assessments and grades go with it)
+export const DELETE = instrument('DELETE /api/courses/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const course = await Course.findByIdAndDelete(id);
+
+        if (!course) {
+            return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+        }
+
+        const assessments = await Assessment.find({ course: id }).distinct('_id');
+        await Grade.deleteMany({ assessment: { $in: assessments } });
+        await Assessment.deleteMany({ course: id });
+
+        return NextResponse.json({ message: 'Course deleted successfully' });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete course', 'DELETE /api/courses/[id]');
+    }
+});
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import { paginate } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { COURSE_LIST_OPTIONS, assertInstructorsExist } from '@/lib/courses';
+import { instrument } from '@/lib/instrument';
+
+// GET: Fetch a page of courses
+// Query params: page, limit, after, before, sort, term, instructor
+export const GET = instrument('GET /api/courses', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const result = await paginate(Course, searchParams, {
+            ...COURSE_LIST_OPTIONS,
+            defaultSort: 'code',
+        });
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch courses', 'GET /api/courses');
+    }
+});
+
+// POST: Create new course
+// Expects JSON body: { "code": "CS101", "title": "...", "capacity": 30, "term": "2026-fall", "instructors": ["<id>"] }
+export const POST = instrument('POST /api/courses', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+
+        const data = parseBody(Course, body);
+
+        if (data.instructors !== undefined) {
+            await assertInstructorsExist(data.instructors);
+        }
+
+        const course = new Course(data);
+        await course.save();
+
+        return NextResponse.json(course, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to create course', 'POST /api/courses');
+    }
+});
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import CustomField from '@/models/CustomField';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { clearCustomFieldCache } from '@/lib/customFields';
+import { instrument } from '@/lib/instrument';
+
+// Model holding the values of each entity's custom fields
+const VALUE_MODELS = { student: Student };
+
+// GET one custom field definition
+export const GET = instrument('GET /api/custom-fields/[id]', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const field = await CustomField.findById(id);
+        if (!field) {
+            return NextResponse.json({ error: 'Custom field not found' }, { status: 404 });
+        }
+        return NextResponse.json(field);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch custom field', 'GET /api/custom-fields/[id]');
+    }
+});
+
+// PUT: Change the label, required flag, options or bounds (key and type are fixed)
+// Stored values aren't rechecked — they are validated again when a record's custom fields are edited
+export const PUT = instrument('PUT /api/custom-fields/[id]', async function PUT(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+        const data = parseBody(CustomField, body, { partial: true });
+
+        const field = await CustomField.findById(id);
+        if (!field) {
+            return NextResponse.json({ error: 'Custom field not found' }, { status: 404 });
+        }
+
+        field.set(data);
+        await field.save();
+        clearCustomFieldCache();
+
+        return NextResponse.json(field);
+    } catch (error) {
+        return errorResponse(error, 'Failed to update custom field', 'PUT /api/custom-fields/[id]');
+    }
+});
+
+// DELETE: Remove a custom field and its values from every record (trashed ones included)
+export const DELETE = instrument('DELETE /api/custom-fields/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const field = await CustomField.findById(id);
+        if (!field) {
+            return NextResponse.json({ error: 'Custom field not found' }, { status: 404 });
+        }
+
+        await field.deleteOne();
+        clearCustomFieldCache();
+
+        const path = `customFields.${field.key}`;
+        const { modifiedCount } = await VALUE_MODELS[field.entity].updateMany(
+            { [path]: { $exists: true } },
+            { $unset: { [path]: '' } },
+            { withDeleted: true }
+        );
+
+        return NextResponse.json({ message: 'Custom field deleted successfully', valuesRemoved: modifiedCount });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete custom field', 'DELETE /api/custom-fields/[id]');
+    }
+});
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import CustomField from '@/models/CustomField';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { clearCustomFieldCache } from '@/lib/customFields';
+import { instrument } from '@/lib/instrument';
+
+// GET: All custom field definitions (admin only — see src/lib/access.js)
+// Query params: entity (default "student")
+// Forms read them through GET /api/schema/[entity] instead
+export const GET = instrument('GET /api/custom-fields', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const entity = searchParams.get('entity') || 'student';
+
+        const items = await CustomField.find({ entity }).sort({ createdAt: 1 });
+        return NextResponse.json({ items });
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch custom fields', 'GET /api/custom-fields');
+    }
+});
+
+// POST: Define a custom field
+// Expects JSON body: { "key": "shoeSize", "label": "Shoe size", "type": "number", "required": false, "min": 20, "max": 50 }
+// or for a select: { "key": "house", "label": "House", "type": "select", "options": ["Red", "Blue"] }
+export const POST = instrument('POST /api/custom-fields', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+        const data = parseBody(CustomField, body);
+
+        const field = new CustomField(data);
+        const existing = await CustomField.exists({ entity: field.entity, key: field.key });
+        if (existing) {
+            const message = `A custom field with key "${field.key}" already exists`;
+            return NextResponse.json({ error: message, fields: { key: message } }, { status: 409 });
+        }
+
+        await field.save();
+        clearCustomFieldCache();
+
+        return NextResponse.json(field, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to create custom field', 'POST /api/custom-fields');
+    }
+});
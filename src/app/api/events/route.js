@@ -0,0 +1,75 @@
+import { getRequestUser } from '@/lib/session';
+import { authorize } from '@/lib/access';
+import { errorResponse } from '@/lib/errors';
+import { eventPath, startEvents, subscribe } from '@/lib/events';
+import { instrument } from '@/lib/instrument';
+
+// Never cache or prerender — every request is a long-lived stream
+export const dynamic = 'force-dynamic';
+
+// Comment line sent periodically so proxies don't close an idle connection
+const HEARTBEAT_MS = 25000;
+
+/**
+ * GET /api/events — Server-Sent Events stream of student / instructor changes
+ *
+ *   event: change
+ *   data: {"entity":"student","action":"update","id":"...","doc":{...}}
+ *
+ * Each subscriber only receives events for records it may GET (see src/lib/access.js).
+ */
+export const GET = instrument('GET /api/events', async function GET(request) {
+    const user = getRequestUser(request);
+
+    try {
+        await startEvents();
+    } catch (error) {
+        return errorResponse(error, 'Failed to start event stream', 'GET /api/events');
+    }
+
+    const session = user && { role: user.role, profile: user.profile };
+    const encoder = new TextEncoder();
+    let cleanup = () => {};
+
+    const stream = new ReadableStream({
+        start(controller) {
+            const send = (text) => controller.enqueue(encoder.encode(text));
+
+            // Ask EventSource to reconnect after 5s if the connection drops
+            send('retry: 5000\n\n');
+
+            const unsubscribe = subscribe((event) => {
+                if (authorize(session, 'GET', eventPath(event)) !== 200) return;
+                send(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+            });
+            const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+
+            cleanup = () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+            };
+
+            // Client went away → stop listening and end the stream
+            request.signal.addEventListener('abort', () => {
+                cleanup();
+                try {
+                    controller.close();
+                } catch {
+                    // already closed
+                }
+            });
+        },
+        cancel() {
+            cleanup();
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no', // disable nginx response buffering
+        },
+    });
+});
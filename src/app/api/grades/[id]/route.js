@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Grade from '@/models/Grade';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { assertCanGrade, assertScoreInRange, findAssessment } from '@/lib/grades';
+import { instrument } from '@/lib/instrument';
+
+// GET one grade, with the student and assessment populated
+// (only for admins and the instructors of the assessment's course)
+export const GET = instrument('GET /api/grades/[id]', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const grade = await Grade.findById(id)
+            .populate('student', 'name email')
+            .populate('assessment', 'title maxScore weight course');
+        if (!grade) {
+            return NextResponse.json({ error: 'Grade not found' }, { status: 404 });
+        }
+
+        const { course } = await findAssessment(grade.assessment?._id);
+        assertCanGrade(request, course, 'see');
+
+        return NextResponse.json(grade);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch grade', 'GET /api/grades/[id]');
+    }
+});
+
+// PUT: Change the score (student and assessment are fixed)
+// Expects JSON body: { "score": 92 }
+export const PUT = instrument('PUT /api/grades/[id]', async function PUT(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+        const data = parseBody(Grade, body, { partial: true });
+
+        const grade = await Grade.findById(id);
+        if (!grade) {
+            return NextResponse.json({ error: 'Grade not found' }, { status: 404 });
+        }
+
+        const { assessment, course } = await findAssessment(grade.assessment);
+        assertCanGrade(request, course);
+        if (data.score !== undefined && data.score !== null) assertScoreInRange(data.score, assessment);
+
+        grade.set(data);
+        await grade.save();
+
+        return NextResponse.json(grade);
+    } catch (error) {
+        return errorResponse(error, 'Failed to update grade', 'PUT /api/grades/[id]');
+    }
+});
+
+// DELETE: Remove a grade
+export const DELETE = instrument('DELETE /api/grades/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const grade = await Grade.findById(id);
+        if (!grade) {
+            return NextResponse.json({ error: 'Grade not found' }, { status: 404 });
+        }
+
+        const { course } = await findAssessment(grade.assessment);
+        assertCanGrade(request, course);
+
+        await grade.deleteOne();
+
+        return NextResponse.json({ message: 'Grade deleted successfully' });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete grade', 'DELETE /api/grades/[id]');
+    }
+});
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Grade from '@/models/Grade';
+import Student from '@/models/Student';
+import { paginate } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { GRADE_LIST_OPTIONS, assertCanGrade, assertScoreInRange, findAssessment, gradeScopeFilter } from '@/lib/grades';
+import { instrument } from '@/lib/instrument';
+
+// GET: Fetch a page of grades (instructors only see the courses they teach)
+// Query params: page, limit, after, before, sort, student, assessment
+export const GET = instrument('GET /api/grades', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const result = await paginate(Grade, searchParams, {
+            ...GRADE_LIST_OPTIONS,
+            baseFilter: await gradeScopeFilter(request),
+        });
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch grades', 'GET /api/grades');
+    }
+});
+
+// POST: Record a score
+// Expects JSON body: { "student": "<id>", "assessment": "<id>", "score": 87 }
+// 409 when the student already has a grade for the assessment (update it with PUT /api/grades/[id])
+export const POST = instrument('POST /api/grades', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const body = await request.json();
+
+        const data = parseBody(Grade, body);
+
+        const { assessment, course } = await findAssessment(data.assessment);
+        assertCanGrade(request, course);
+
+        const student = await Student.exists({ _id: data.student });
+        if (!student) {
+            return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+        }
+        if (!course.enrollments.some((enrollment) => enrollment.student.equals(data.student))) {
+            return NextResponse.json({ error: 'Student is not enrolled in this course' }, { status: 409 });
+        }
+
+        assertScoreInRange(data.score, assessment);
+
+        const grade = new Grade(data);
+        await grade.save();
+
+        return NextResponse.json(grade, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to record grade', 'POST /api/grades');
+    }
+});
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import { errorResponse } from '@/lib/errors';
+import { executeGraphQL } from '@/lib/graphql';
+import { instrument } from '@/lib/instrument';
+
+// POST: Run a GraphQL query or mutation
+// Expects JSON body: { "query": "...", "variables": { ... }, "operationName": "..." }
+// Response: { data, errors? } — 200 once executed (field errors carry extensions.code / status),
+// 400 when the query is malformed, too deep or too complex (see src/lib/graphql.js)
+export const POST = instrument('POST /api/graphql', async function POST(request) {
+    try {
+        const body = await request.json();
+
+        await connectToDatabase();
+        const result = await executeGraphQL(request, body && typeof body === 'object' ? body : {});
+
+        return NextResponse.json(result.body, { status: result.status });
+    } catch (error) {
+        return errorResponse(error, 'Failed to run GraphQL request', 'POST /api/graphql');
+    }
+});
@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { instrument } from '@/lib/instrument';
+
+// GET: Liveness — the server process is up and answering (dependencies aren't checked,
+// so a database outage doesn't get the process restarted; see GET /api/ready)
+export const GET = instrument('GET /api/health', async function GET() {
+    return NextResponse.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
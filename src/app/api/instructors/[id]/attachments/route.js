@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Instructor from '@/models/Instructor';
+import Attachment from '@/models/Attachment';
+import { errorResponse } from '@/lib/errors';
+import { createAttachment, findOwner } from '@/lib/attachments';
+import { instrument } from '@/lib/instrument';
+
+// GET: The instructor's attachments, newest first
+// Response: { items: [{ _id, kind, filename, contentType, size, hasThumbnail, createdAt, ... }] }
+export const GET = instrument('GET /api/instructors/[id]/attachments', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        await findOwner(Instructor, id, 'Instructor');
+
+        const items = await Attachment.find({ entity: 'instructor', owner: id }).sort({ createdAt: -1 });
+        return NextResponse.json({ items });
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch attachments', 'GET /api/instructors/[id]/attachments');
+    }
+});
+
+// POST: Upload a file — multipart/form-data with "file" and "kind" (photo | document)
+// A photo becomes the instructor's profile picture and replaces the previous one
+// (types, size limit and thumbnails: see src/lib/attachments.js)
+export const POST = instrument('POST /api/instructors/[id]/attachments', async function POST(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const owner = await findOwner(Instructor, id, 'Instructor');
+
+        const attachment = await createAttachment(request, { Model: Instructor, entity: 'instructor', owner });
+
+        return NextResponse.json(attachment, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to upload attachment', 'POST /api/instructors/[id]/attachments');
+    }
+});
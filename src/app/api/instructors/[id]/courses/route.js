@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import Instructor from '@/models/Instructor';
+import { errorResponse } from '@/lib/errors';
+import { instrument } from '@/lib/instrument';
+
+// GET: Courses the instructor teaches
+export const GET = instrument('GET /api/instructors/[id]/courses', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const instructor = await Instructor.exists({ _id: id });
+        if (!instructor) {
+            return NextResponse.json({ error: 'Instructor not found' }, { status: 404 });
+        }
+
+        const courses = await Course.find({ instructors: id })
+            .select('code title term capacity enrollments')
+            .sort({ term: -1, code: 1 });
+
+        return NextResponse.json(courses);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch courses', 'GET /api/instructors/[id]/courses');
+    }
+});
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Instructor from '@/models/Instructor';
+import { errorResponse } from '@/lib/errors';
+import { recordAudit } from '@/lib/audit';
+import { instrument } from '@/lib/instrument';
+
+// POST: Bring an instructor back from the trash
+export const POST = instrument('POST /api/instructors/[id]/restore', async function POST(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        // Explicit deletedAt condition → only matches trashed instructors
+        // new: false → we get the deleted version back, for the audit diff
+        const before = await Instructor.findOneAndUpdate(
+            { _id: id, deletedAt: { $ne: null } },
+            { deletedAt: null },
+            { new: false }
+        );
+
+        if (!before) {
+            return NextResponse.json({ error: 'Deleted instructor not found' }, { status: 404 });
+        }
+
+        const instructor = await Instructor.findById(id);
+        await recordAudit(request, {
+            entity: 'instructor',
+            entityId: before._id,
+            action: 'restore',
+            before: { deletedAt: before.deletedAt },
+            after: { deletedAt: null },
+        });
+
+        return NextResponse.json(instructor);
+    } catch (error) {
+        return errorResponse(error, 'Failed to restore instructor', 'POST /api/instructors/[id]/restore');
+    }
+});
@@ -1,9 +1,15 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase } from '@/lib/db';
 import Instructor from '@/models/Instructor';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { recordAudit } from '@/lib/audit';
+import { checkIfMatch, conditionalGet, jsonWithEtag, saveOrConflict } from '@/lib/concurrency';
+import { readPatch } from '@/lib/patch';
+import { instrument } from '@/lib/instrument';
 
-// GET one instructor
-export async function GET(request, { params }) {
+// GET one instructor (with ETag — see PUT)
+export const GET = instrument('GET /api/instructors/[id]', async function GET(request, { params }) {
     const { id } = await params;
 
     try {
@@ -12,50 +18,104 @@ export async function GET(request, { params }) {
         if (!instructor) {
             return NextResponse.json({ error: 'Instructor not found' }, { status: 404 });
         }
-        return NextResponse.json(instructor);
+        return conditionalGet(request, instructor);
     } catch (error) {
-        return NextResponse.json({ error: 'Invalid ID or server error' }, { status: 400 });
+        return errorResponse(error, 'Failed to fetch instructor', 'GET /api/instructors/[id]');
     }
-}
+});
 
-// PUT: Update instructor
-export async function PUT(request, { params }) {
+// PUT: Update instructor — requires If-Match with the ETag from GET (428 if missing, 412 if stale)
+export const PUT = instrument('PUT /api/instructors/[id]', async function PUT(request, { params }) {
     const { id } = await params;
 
     try {
         await connectToDatabase();
         const body = await request.json();
 
-        const instructor = await Instructor.findByIdAndUpdate(id, body, {
-            new: true,
-            runValidators: true,
-        });
+        const data = parseBody(Instructor, body, { partial: true });
 
+        const instructor = await Instructor.findById(id);
         if (!instructor) {
             return NextResponse.json({ error: 'Instructor not found' }, { status: 404 });
         }
 
-        return NextResponse.json(instructor);
+        const precondition = checkIfMatch(request, instructor);
+        if (precondition) return precondition;
+
+        // Snapshot for the audit diff
+        const before = instructor.toObject();
+
+        instructor.set(data);
+        const conflict = await saveOrConflict(instructor);
+        if (conflict) return conflict;
+
+        await recordAudit(request, { entity: 'instructor', entityId: instructor._id, action: 'update', before, after: instructor });
+
+        return jsonWithEtag(instructor);
     } catch (error) {
-        return NextResponse.json({ error: 'Failed to update' }, { status: 400 });
+        return errorResponse(error, 'Failed to update instructor', 'PUT /api/instructors/[id]');
     }
-}
+});
 
-// DELETE: Remove instructor
-export async function DELETE(request, { params }) {
+// PATCH: Partial update with application/merge-patch+json or application/json-patch+json
+// Same If-Match rules as PUT ("*" skips the version check)
+export const PATCH = instrument('PATCH /api/instructors/[id]', async function PATCH(request, { params }) {
     const { id } = await params;
 
     try {
         await connectToDatabase();
 
-        const instructor = await Instructor.findByIdAndDelete(id);
+        const instructor = await Instructor.findById(id);
+        if (!instructor) {
+            return NextResponse.json({ error: 'Instructor not found' }, { status: 404 });
+        }
+
+        const precondition = checkIfMatch(request, instructor);
+        if (precondition) return precondition;
+
+        const data = await readPatch(request, instructor, Instructor);
+        if (Object.keys(data).length === 0) {
+            return jsonWithEtag(instructor);
+        }
+
+        const before = instructor.toObject();
+
+        instructor.set(data);
+        const conflict = await saveOrConflict(instructor);
+        if (conflict) return conflict;
+
+        await recordAudit(request, { entity: 'instructor', entityId: instructor._id, action: 'update', before, after: instructor });
+
+        return jsonWithEtag(instructor);
+    } catch (error) {
+        return errorResponse(error, 'Failed to update instructor', 'PATCH /api/instructors/[id]');
+    }
+});
+
+// DELETE: Move instructor to the trash (restore with POST /api/instructors/[id]/restore)
+export const DELETE = instrument('DELETE /api/instructors/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const instructor = await Instructor.findByIdAndUpdate(id, { deletedAt: new Date() }, { new: true });
 
         if (!instructor) {
             return NextResponse.json({ error: 'Instructor not found' }, { status: 404 });
         }
 
-        return NextResponse.json({ message: 'Instructor deleted successfully' });
+        await recordAudit(request, {
+            entity: 'instructor',
+            entityId: instructor._id,
+            action: 'delete',
+            before: { deletedAt: null },
+            after: { deletedAt: instructor.deletedAt },
+        });
+
+        // Course assignments are kept until the instructor is purged
+        return NextResponse.json({ message: 'Instructor deleted successfully', instructor });
     } catch (error) {
-        return NextResponse.json({ error: 'Failed to delete' }, { status: 500 });
+        return errorResponse(error, 'Failed to delete instructor', 'DELETE /api/instructors/[id]');
     }
-}
+});
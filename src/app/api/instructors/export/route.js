@@ -0,0 +1,19 @@
+import { connectToDatabase } from '@/lib/db';
+import Instructor from '@/models/Instructor';
+import { errorResponse } from '@/lib/errors';
+import { exportCollection } from '@/lib/exporter';
+import { instrument } from '@/lib/instrument';
+
+/**
+ * GET /api/instructors/export?format=csv|json|xlsx&columns=name,email
+ * Same filters as GET /api/students/export.
+ */
+export const GET = instrument('GET /api/instructors/export', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        return exportCollection(Instructor, searchParams, { name: 'instructors' });
+    } catch (error) {
+        return errorResponse(error, 'Failed to export instructors', 'GET /api/instructors/export');
+    }
+});
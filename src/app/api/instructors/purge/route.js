@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Instructor from '@/models/Instructor';
+import Course from '@/models/Course';
+import { errorResponse } from '@/lib/errors';
+import { purgeDeleted, retentionDays } from '@/lib/softDelete';
+import { parseIdList } from '@/lib/validation';
+import { recordAudit } from '@/lib/audit';
+import { deleteAttachmentsOf } from '@/lib/attachments';
+import { instrument } from '@/lib/instrument';
+
+// POST: Permanently delete trashed instructors older than the retention period
+// Optional JSON body: { "ids": ["<id>", ...] } (same rules as POST /api/students/purge)
+export const POST = instrument('POST /api/instructors/purge', async function POST(request) {
+    try {
+        await connectToDatabase();
+
+        const body = await request.json().catch(() => ({}));
+        const ids = body?.ids === undefined ? undefined : parseIdList(body.ids);
+
+        const { purged, cutoff } = await purgeDeleted(Instructor, ids);
+
+        // Unassign purged instructors from any courses they taught and delete their files
+        if (purged.length > 0) {
+            await Course.updateMany(
+                { instructors: { $in: purged } },
+                { $pull: { instructors: { $in: purged } } }
+            );
+            await deleteAttachmentsOf('instructor', purged);
+        }
+
+        for (const id of purged) {
+            await recordAudit(request, { entity: 'instructor', entityId: id, action: 'purge' });
+        }
+
+        return NextResponse.json({
+            purged,
+            skipped: ids ? ids.filter((id) => !purged.includes(id)) : [],
+            retentionDays: retentionDays(),
+            deletedBefore: cutoff,
+        });
+    } catch (error) {
+        return errorResponse(error, 'Failed to purge instructors', 'POST /api/instructors/purge');
+    }
+});
@@ -1,40 +1,42 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase } from '@/lib/db';
 import Instructor from '@/models/Instructor';
+import { paginate, trashListOptions } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+import { recordAudit } from '@/lib/audit';
+import { buildSearchFilter } from '@/lib/search';
+import { instrument } from '@/lib/instrument';
 
-// GET: Fetch all Instructors
-export async function GET() {
+// GET: Fetch a page of instructors (same query params as GET /api/students, incl. q and deleted=true)
+export const GET = instrument('GET /api/instructors', async function GET(request) {
     try {
         await connectToDatabase();
-        const instructors = await Instructor.find({}).sort({ createdAt: -1 });
-        return NextResponse.json(instructors);
+        const { searchParams } = new URL(request.url);
+        const deleted = searchParams.get('deleted') === 'true';
+        const options = { baseFilter: buildSearchFilter(searchParams.get('q')) };
+        const result = await paginate(Instructor, searchParams, deleted ? trashListOptions(options) : options);
+        return NextResponse.json(result);
     } catch (error) {
-        console.error('GET /api/instructors error:', error);
-        return NextResponse.json({ error: 'Failed to fetch instructors' }, { status: 500 });
+        return errorResponse(error, 'Failed to fetch instructors', 'GET /api/instructors');
     }
-}
+});
 
 // POST: Create new instructor
-export async function POST(request) {
+export const POST = instrument('POST /api/instructors', async function POST(request) {
     try {
         await connectToDatabase();
         const body = await request.json();
 
-        const { name, age, email } = body;
+        const data = parseBody(Instructor, body);
 
-        if (!name || !age || !email) {
-            return NextResponse.json({ error: 'All fields are required' }, { status: 400 });
-        }
-
-        const instructor = new Instructor({ name, age, email });
+        const instructor = new Instructor(data);
         await instructor.save();
 
+        await recordAudit(request, { entity: 'instructor', entityId: instructor._id, action: 'create', after: instructor });
+
         return NextResponse.json(instructor, { status: 201 });
     } catch (error) {
-        console.error('POST /api/instructors error:', error);
-        if (error.code === 11000) {
-            return NextResponse.json({ error: 'Email already exists' }, { status: 400 });
-        }
-        return NextResponse.json({ error: 'Failed to create instructor' }, { status: 500 });
+        return errorResponse(error, 'Failed to create instructor', 'POST /api/instructors');
     }
-}
\ No newline at end of file
+});
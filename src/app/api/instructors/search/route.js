@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Instructor from '@/models/Instructor';
+import { errorResponse } from '@/lib/errors';
+import { searchCollection } from '@/lib/search';
+import { instrument } from '@/lib/instrument';
+
+// GET /api/instructors/search?q=... — same syntax and response as /api/students/search
+export const GET = instrument('GET /api/instructors/search', async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+
+        await connectToDatabase();
+        const result = await searchCollection(Instructor, searchParams, {
+            select: { name: 1, age: 1, email: 1, photo: 1 },
+        });
+
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to search instructors', 'GET /api/instructors/search');
+    }
+});
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { timingSafeEqual } from 'node:crypto';
+import { getRequestUser } from '@/lib/session';
+import { renderMetrics } from '@/lib/metrics';
+import { instrument } from '@/lib/instrument';
+
+/**
+ * Does the request carry `Authorization: Bearer <METRICS_TOKEN>`?
+ */
+function hasMetricsToken(request) {
+    const token = process.env.METRICS_TOKEN;
+    const sent = request.headers.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+    if (!token || !sent) return false;
+
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(sent);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// GET: Request metrics in the Prometheus text format (src/lib/metrics.js)
+// Public in the proxy so scrapers without a session can use METRICS_TOKEN;
+// otherwise only admins may read them.
+export const GET = instrument('GET /api/metrics', async function GET(request) {
+    const user = getRequestUser(request);
+
+    if (user?.role !== 'admin' && !hasMetricsToken(request)) {
+        return NextResponse.json(
+            user ? { error: 'Forbidden' } : { error: 'Authentication required' },
+            { status: user ? 403 : 401 }
+        );
+    }
+
+    return new NextResponse(renderMetrics(), {
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' },
+    });
+});
@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server';
+import { errorResponse } from '@/lib/errors';
+import { buildOpenApiSpec } from '@/lib/openapi';
+import { instrument } from '@/lib/instrument';
+
+// GET: OpenAPI 3.1 document of the student and instructor API (public, like the login route)
+// Generated from the Mongoose models — see src/lib/openapi.js
+export const GET = instrument('GET /api/openapi.json', async function GET() {
+    try {
+        return NextResponse.json(buildOpenApiSpec());
+    } catch (error) {
+        return errorResponse(error, 'Failed to build the API description', 'GET /api/openapi.json');
+    }
+});
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { connectionState, pingDatabase } from '@/lib/db';
+import { getLogger } from '@/lib/logger';
+import { instrument } from '@/lib/instrument';
+
+// GET: Readiness — 200 when the database answers a ping, 503 otherwise
+// (take the instance out of the load balancer until it recovers)
+export const GET = instrument('GET /api/ready', async function GET() {
+    try {
+        const database = await pingDatabase();
+        return NextResponse.json({ status: 'ready', checks: { database: { status: 'up', ...database } } });
+    } catch (error) {
+        getLogger().warn('Readiness check failed', { error });
+        return NextResponse.json(
+            { status: 'unavailable', checks: { database: { status: 'down', state: connectionState() } } },
+            { status: 503 }
+        );
+    }
+});
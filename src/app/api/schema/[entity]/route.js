@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import Instructor from '@/models/Instructor';
+import { errorResponse } from '@/lib/errors';
+import { describeFormFields } from '@/lib/validation';
+import { customFormFields, loadCustomFields } from '@/lib/customFields';
+import { instrument } from '@/lib/instrument';
+
+// Entities the generic UI (EntityForm / EntityList) can manage
+// customFields: entity name of the admin-defined fields appended to the form
+const MODELS = {
+    students: { Model: Student, customFields: 'student' },
+    instructors: { Model: Instructor },
+};
+
+// GET /api/schema/students → { entity, fields: [{ name, label, type, required, min?, max?, options? }] }
+// Read straight from the Mongoose schema, so new model fields show up in the forms automatically.
+// Custom fields come last, named "customFields.<key>" and flagged `custom: true`.
+export const GET = instrument('GET /api/schema/[entity]', async function GET(request, { params }) {
+    const { entity } = await params;
+
+    const config = MODELS[entity];
+    if (!config) {
+        return NextResponse.json({ error: 'Unknown entity' }, { status: 404 });
+    }
+
+    try {
+        const fields = describeFormFields(config.Model);
+        if (config.customFields) {
+            await connectToDatabase();
+            fields.push(...customFormFields(await loadCustomFields(config.customFields)));
+        }
+        return NextResponse.json({ entity, fields });
+    } catch (error) {
+        return errorResponse(error, 'Failed to describe fields', `GET /api/schema/${entity}`);
+    }
+});
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { attachmentResponse, deleteAttachment, findAttachment, findOwner } from '@/lib/attachments';
+import { instrument } from '@/lib/instrument';
+
+// GET: Download the file (streamed; images inline, documents as attachment)
+export const GET = instrument('GET /api/students/[id]/attachments/[attachmentId]', async function GET(request, { params }) {
+    const { id, attachmentId } = await params;
+
+    try {
+        await connectToDatabase();
+        await findOwner(Student, id, 'Student');
+
+        const attachment = await findAttachment('student', id, attachmentId);
+        return await attachmentResponse(attachment);
+    } catch (error) {
+        return errorResponse(error, 'Failed to download attachment', 'GET /api/students/[id]/attachments/[attachmentId]');
+    }
+});
+
+// DELETE: Remove the file (deleting the current photo clears the profile picture)
+export const DELETE = instrument('DELETE /api/students/[id]/attachments/[attachmentId]', async function DELETE(request, { params }) {
+    const { id, attachmentId } = await params;
+
+    try {
+        await connectToDatabase();
+        const owner = await findOwner(Student, id, 'Student');
+        const attachment = await findAttachment('student', id, attachmentId);
+
+        await deleteAttachment(request, { Model: Student, entity: 'student', owner, attachment });
+
+        return NextResponse.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete attachment', 'DELETE /api/students/[id]/attachments/[attachmentId]');
+    }
+});
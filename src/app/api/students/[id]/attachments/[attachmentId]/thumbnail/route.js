@@ -0,0 +1,20 @@
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { attachmentResponse, findAttachment, findOwner } from '@/lib/attachments';
+import { instrument } from '@/lib/instrument';
+
+// GET: 128×128 WebP thumbnail of an image attachment (avatars in the lists)
+export const GET = instrument('GET /api/students/[id]/attachments/[attachmentId]/thumbnail', async function GET(request, { params }) {
+    const { id, attachmentId } = await params;
+
+    try {
+        await connectToDatabase();
+        await findOwner(Student, id, 'Student');
+
+        const attachment = await findAttachment('student', id, attachmentId);
+        return await attachmentResponse(attachment, { thumbnail: true });
+    } catch (error) {
+        return errorResponse(error, 'Failed to load thumbnail', 'GET /api/students/[id]/attachments/[attachmentId]/thumbnail');
+    }
+});
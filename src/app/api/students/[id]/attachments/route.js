@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import Attachment from '@/models/Attachment';
+import { errorResponse } from '@/lib/errors';
+import { createAttachment, findOwner } from '@/lib/attachments';
+import { instrument } from '@/lib/instrument';
+
+// GET: The student's attachments, newest first
+// Response: { items: [{ _id, kind, filename, contentType, size, hasThumbnail, createdAt, ... }] }
+export const GET = instrument('GET /api/students/[id]/attachments', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        await findOwner(Student, id, 'Student');
+
+        const items = await Attachment.find({ entity: 'student', owner: id }).sort({ createdAt: -1 });
+        return NextResponse.json({ items });
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch attachments', 'GET /api/students/[id]/attachments');
+    }
+});
+
+// POST: Upload a file — multipart/form-data with "file" and "kind" (photo | document)
+// A photo becomes the student's profile picture and replaces the previous one
+// (types, size limit and thumbnails: see src/lib/attachments.js)
+export const POST = instrument('POST /api/students/[id]/attachments', async function POST(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+        const owner = await findOwner(Student, id, 'Student');
+
+        const attachment = await createAttachment(request, { Model: Student, entity: 'student', owner });
+
+        return NextResponse.json(attachment, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to upload attachment', 'POST /api/students/[id]/attachments');
+    }
+});
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import Attendance from '@/models/Attendance';
+import { errorResponse } from '@/lib/errors';
+import { formatDay, parseRange, summarizeAttendance } from '@/lib/attendance';
+import { instrument } from '@/lib/instrument';
+
+// GET: One student's attendance over a date range — summary plus the daily records
+// Query params: from, to (YYYY-MM-DD, inclusive; default the last 30 days)
+export const GET = instrument('GET /api/students/[id]/attendance', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        const { searchParams } = new URL(request.url);
+        const { from, to } = parseRange(searchParams);
+
+        await connectToDatabase();
+
+        const student = await Student.findById(id).select('name email');
+        if (!student) {
+            return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+        }
+
+        const [summary] = await summarizeAttendance({ from, to, student: student._id });
+        const records = await Attendance.find({ student: student._id, date: { $gte: from, $lte: to } })
+            .select('date status note')
+            .sort({ date: -1 });
+
+        // No records in the range → zero counts and no percentage
+        const { present = 0, absent = 0, late = 0, excused = 0, total = 0, percentage = null } = summary || {};
+
+        return NextResponse.json({
+            student,
+            from: formatDay(from),
+            to: formatDay(to),
+            present, absent, late, excused, total, percentage,
+            records,
+        });
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch attendance', 'GET /api/students/[id]/attendance');
+    }
+});
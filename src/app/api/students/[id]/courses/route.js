@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Course from '@/models/Course';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { instrument } from '@/lib/instrument';
+
+// GET: Courses the student is enrolled in
+export const GET = instrument('GET /api/students/[id]/courses', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const student = await Student.exists({ _id: id });
+        if (!student) {
+            return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+        }
+
+        const courses = await Course.find({ 'enrollments.student': id })
+            .select('code title term capacity instructors')
+            .populate('instructors', 'name email')
+            .sort({ term: -1, code: 1 });
+
+        return NextResponse.json(courses);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch courses', 'GET /api/students/[id]/courses');
+    }
+});
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { recordAudit } from '@/lib/audit';
+import { instrument } from '@/lib/instrument';
+
+// POST: Bring a student back from the trash
+export const POST = instrument('POST /api/students/[id]/restore', async function POST(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        // Explicit deletedAt condition → only matches trashed students
+        // new: false → we get the deleted version back, for the audit diff
+        const before = await Student.findOneAndUpdate(
+            { _id: id, deletedAt: { $ne: null } },
+            { deletedAt: null },
+            { new: false }
+        );
+
+        if (!before) {
+            return NextResponse.json({ error: 'Deleted student not found' }, { status: 404 });
+        }
+
+        const student = await Student.findById(id);
+        await recordAudit(request, {
+            entity: 'student',
+            entityId: before._id,
+            action: 'restore',
+            before: { deletedAt: before.deletedAt },
+            after: { deletedAt: null },
+        });
+
+        return NextResponse.json(student);
+    } catch (error) {
+        return errorResponse(error, 'Failed to restore student', 'POST /api/students/[id]/restore');
+    }
+});
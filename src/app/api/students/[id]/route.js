@@ -1,19 +1,28 @@
 // src/app/api/students/[id]/route.js
 // Dynamic API route for individual student operations
-// Handles: GET, PUT, DELETE for a single student by ID
+// Handles: GET, PUT, PATCH, DELETE (soft delete → trash) for a single student by ID
 // URL examples:
 //   GET    → /api/students/671f3a9b2c1d4e5f789abc12
 //   PUT    → /api/students/671f3a9b2c1d4e5f789abc12
+//   PATCH  → /api/students/671f3a9b2c1d4e5f789abc12
 //   DELETE → /api/students/671f3a9b2c1d4e5f789abc12
 
 import { NextResponse } from 'next/server';           // Utility for sending JSON responses with correct status codes
 import { connectToDatabase } from '@/lib/db';         // Reusable MongoDB connection with caching
 import Student from '@/models/Student';               // Mongoose model representing the "students" collection
+import { errorResponse } from '@/lib/errors';         // Maps thrown errors to { error, fields } JSON responses
+import { parseBody } from '@/lib/validation';         // Whitelists + coerces request bodies from the schema
+import { recordAudit } from '@/lib/audit';            // Writes the "who changed what" audit trail
+import { checkIfMatch, conditionalGet, jsonWithEtag, saveOrConflict } from '@/lib/concurrency'; // ETag / If-Match handling
+import { readPatch } from '@/lib/patch';              // JSON Merge Patch / JSON Patch support
+import { instrument } from '@/lib/instrument';        // Request id, logging context and metrics
 
 // =============================================
 // GET: Retrieve a single student by ID
+// Response carries an ETag (the document version) — send it back
+// as If-Match when updating. If-None-Match → 304 when unchanged.
 // =============================================
-export async function GET(request, { params }) {
+export const GET = instrument('GET /api/students/[id]', async function GET(request, { params }) {
   // Extract the dynamic `id` from the URL (e.g., "671f3..." from /api/students/[id])
   const { id } = await params;
 
@@ -32,40 +41,37 @@ export async function GET(request, { params }) {
       );
     }
 
-    // Return the found student as JSON
-    return NextResponse.json(student);
+    // Return the found student as JSON with its ETag
+    return conditionalGet(request, student);
   } catch (error) {
-    // Catches invalid ObjectId format (e.g., too short) or other DB issues
-    console.error('GET /api/students/[id] error:', error);
-    return NextResponse.json(
-      { error: 'Invalid ID or server error' },
-      { status: 400 } // Bad Request
-    );
+    // Invalid ObjectId format (e.g., too short) → 400; other DB issues → 500
+    return errorResponse(error, 'Failed to fetch student', 'GET /api/students/[id]');
   }
-}
+});
 
 // =============================================
 // PUT: Update an existing student by ID
 // Expects JSON body with updated fields
+// Requires If-Match: <ETag from GET>
+//   missing → 428 Precondition Required
+//   stale (someone else saved first) → 412 with { error, current }
 // =============================================
-export async function PUT(request, { params }) {
+export const PUT = instrument('PUT /api/students/[id]', async function PUT(request, { params }) {
   const { id } = await params; // Extract student ID from route
 
   try {
     await connectToDatabase(); // Ensure DB connection
 
-    // Parse the incoming JSON body (e.g., { name: "John Updated", age: 25 })
+    // Parse the incoming JSON body (e.g., { name: "John Updated", phone: "+1 555 0100" })
     const body = await request.json();
 
-    // Update student and return the NEW version of the document
-    // runValidators: true → enforces schema rules (e.g., email format, age > 0)
-    const student = await Student.findByIdAndUpdate(
-      id,
-      body,
-      { new: true, runValidators: true }
-    );
+    // Keep only updatable Student fields — clients can't overwrite _id, createdAt, etc.
+    const data = parseBody(Student, body, { partial: true });
+
+    // Load the current version
+    const student = await Student.findById(id);
 
-    // If no document was updated (ID doesn't exist)
+    // If no student found with that ID → 404
     if (!student) {
       return NextResponse.json(
         { error: 'Student not found' },
@@ -73,32 +79,108 @@ export async function PUT(request, { params }) {
       );
     }
 
-    // Successfully updated → return fresh student data
-    return NextResponse.json(student);
+    // Reject the write if the client edited an outdated version
+    const precondition = checkIfMatch(request, student);
+    if (precondition) return precondition;
+
+    // Snapshot the current version so the audit log can record what changed
+    const before = student.toObject();
+
+    // Apply the changes and save — validates against the schema (e.g., email format, date of birth in the past, custom fields),
+    // and throws VersionError if someone else saved since we loaded it
+    student.set(data);
+    const conflict = await saveOrConflict(student);
+    if (conflict) return conflict;
+
+    // Record the field-level diff in the audit log
+    await recordAudit(request, { entity: 'student', entityId: student._id, action: 'update', before, after: student });
+
+    // Successfully updated → return fresh student data with the new ETag
+    return jsonWithEtag(student);
   } catch (error) {
-    console.error('PUT /api/students/[id] error:', error);
+    // Validation → 422 with field messages, duplicate email → 409,
+    // malformed JSON or invalid ID → 400, anything else → 500
+    return errorResponse(error, 'Failed to update student', 'PUT /api/students/[id]');
+  }
+});
 
-    // Handle validation errors, duplicate email, or malformed JSON
-    return NextResponse.json(
-      { error: 'Failed to update' },
-      { status: 400 }
-    );
+// =============================================
+// PATCH: Change only some fields of a student
+// Content-Type decides how the body is applied:
+//   application/merge-patch+json → { "enrollmentStatus": "graduated" }  (null removes a field)
+//   application/json-patch+json  → [{ "op": "replace", "path": "/address/city", "value": "Leeds" }]
+// Requires If-Match like PUT; "If-Match: *" skips the version check,
+// and a JSON Patch "test" op can guard individual values instead (409 on failure)
+// =============================================
+export const PATCH = instrument('PATCH /api/students/[id]', async function PATCH(request, { params }) {
+  const { id } = await params; // Extract student ID from route
+
+  try {
+    await connectToDatabase(); // Ensure DB connection
+
+    // Load the current version — the patch is applied to it
+    const student = await Student.findById(id);
+
+    // If no student found with that ID → 404
+    if (!student) {
+      return NextResponse.json(
+        { error: 'Student not found' },
+        { status: 404 }
+      );
+    }
+
+    // Reject the write if the client patched an outdated version
+    const precondition = checkIfMatch(request, student);
+    if (precondition) return precondition;
+
+    // Apply the patch to a copy; only changed, writable fields come back
+    const data = await readPatch(request, student, Student);
+
+    // Nothing changed → return the record as it is (no save, no audit entry)
+    if (Object.keys(data).length === 0) {
+      return jsonWithEtag(student);
+    }
+
+    // Snapshot the current version so the audit log can record what changed
+    const before = student.toObject();
+
+    // Same save path as PUT: schema validation + version check
+    student.set(data);
+    const conflict = await saveOrConflict(student);
+    if (conflict) return conflict;
+
+    // Record the field-level diff in the audit log
+    await recordAudit(request, { entity: 'student', entityId: student._id, action: 'update', before, after: student });
+
+    // Return the patched student with the new ETag
+    return jsonWithEtag(student);
+  } catch (error) {
+    // Unsupported Content-Type → 415, malformed patch → 400, failed "test" → 409,
+    // bad path / read-only field / validation → 422, anything else → 500
+    return errorResponse(error, 'Failed to update student', 'PATCH /api/students/[id]');
   }
-}
+});
 
 // =============================================
-// DELETE: Permanently remove a student by ID
+// DELETE: Move a student to the trash by ID
+// The record is only flagged with deletedAt; it can be brought back with
+// POST /api/students/[id]/restore until it is purged
 // =============================================
-export async function DELETE(request, { params }) {
+export const DELETE = instrument('DELETE /api/students/[id]', async function DELETE(request, { params }) {
   const { id } = await params; // Get the student ID from URL
 
   try {
     await connectToDatabase(); // Connect to DB
 
-    // Delete the student and return the deleted document
-    const student = await Student.findByIdAndDelete(id);
+    // Flag the student as deleted and return the updated document
+    // (already-deleted students are excluded by the soft delete plugin → 404)
+    const student = await Student.findByIdAndUpdate(
+      id,
+      { deletedAt: new Date() },
+      { new: true }
+    );
 
-    // If nothing was deleted → ID didn't match any document
+    // If nothing was deleted → ID didn't match any live document
     if (!student) {
       return NextResponse.json(
         { error: 'Student not found' },
@@ -106,18 +188,22 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    // Success: student deleted
+    await recordAudit(request, {
+      entity: 'student',
+      entityId: student._id,
+      action: 'delete',
+      before: { deletedAt: null },
+      after: { deletedAt: student.deletedAt },
+    });
+
+    // Success: student moved to the trash
+    // Course enrollments are kept so a restore brings them back; purge removes them
     return NextResponse.json(
-      { message: 'Student deleted successfully' },
+      { message: 'Student deleted successfully', student },
       { status: 200 }
     );
   } catch (error) {
-    console.error('DELETE /api/students/[id] error:', error);
-
-    // Handle invalid ID or server issues
-    return NextResponse.json(
-      { error: 'Failed to delete' },
-      { status: 500 } // Internal Server Error
-    );
+    // Invalid ID → 400; server issues → 500
+    return errorResponse(error, 'Failed to delete student', 'DELETE /api/students/[id]');
   }
-}
\ No newline at end of file
+});
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { buildTranscript } from '@/lib/grades';
+import { instrument } from '@/lib/instrument';
+
+// GET: Grades per course with weighted averages and letter grades
+// (instructors only see the courses they teach)
+// Response: { student, courses: [{ course, assessments, average, letter }], average, letter }
+export const GET = instrument('GET /api/students/[id]/transcript', async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        await connectToDatabase();
+
+        const student = await Student.findById(id).select('name email');
+        if (!student) {
+            return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+        }
+
+        const transcript = await buildTranscript(student._id, request);
+
+        return NextResponse.json({ student, ...transcript });
+    } catch (error) {
+        return errorResponse(error, 'Failed to build transcript', 'GET /api/students/[id]/transcript');
+    }
+});
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { runBulk } from '@/lib/bulk';
+import { STUDENT_FILTERS, STUDENT_SEARCH_FIELDS } from '@/lib/students';
+import { instrument } from '@/lib/instrument';
+
+/**
+ * POST /api/students/bulk
+ *
+ * Body: { operations: [{ action: 'update' | 'delete' | 'restore', ids?: [...], filter?: {...}, set?: {...} }] }
+ * See src/lib/bulk.js for the details.
+ *
+ * Response: { transactional, committed, summary: { updated: 3, ... },
+ *             results: [{ operation, action, id, status, error?, fields? }] }
+ * 200 when the changes were kept, 409 when a transaction was rolled back.
+ */
+export const POST = instrument('POST /api/students/bulk', async function POST(request) {
+    try {
+        const body = await request.json();
+
+        await connectToDatabase();
+        const report = await runBulk(Student, body, {
+            entity: 'student',
+            request,
+            filters: STUDENT_FILTERS,
+            searchFields: STUDENT_SEARCH_FIELDS,
+        });
+
+        return NextResponse.json(report, { status: report.committed ? 200 : 409 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to run bulk operation', 'POST /api/students/bulk');
+    }
+});
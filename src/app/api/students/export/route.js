@@ -0,0 +1,26 @@
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { exportCollection } from '@/lib/exporter';
+import { STUDENT_LIST_OPTIONS, STUDENT_SEARCH_FIELDS } from '@/lib/students';
+import { instrument } from '@/lib/instrument';
+
+/**
+ * GET /api/students/export?format=csv|json|xlsx&columns=name,email
+ *
+ * Streams every student matching the list filters (minAge, maxAge, enrollmentStatus,
+ * createdAfter, createdBefore, sort, deleted) and the search query (q) as a file download.
+ */
+export const GET = instrument('GET /api/students/export', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        return exportCollection(Student, searchParams, {
+            name: 'students',
+            listOptions: STUDENT_LIST_OPTIONS,
+            searchFields: STUDENT_SEARCH_FIELDS,
+        });
+    } catch (error) {
+        return errorResponse(error, 'Failed to export students', 'GET /api/students/export');
+    }
+});
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { importRows, readImportRows } from '@/lib/importer';
+import { instrument } from '@/lib/instrument';
+
+/**
+ * POST /api/students/import?dryRun=true&mode=create|upsert
+ *
+ * Body: CSV (text/csv), a JSON array (application/json), or a multipart upload
+ * with a "file" field. Columns / keys are Student fields: name, dateOfBirth, email,
+ * phone, enrollmentStatus (JSON rows may also carry address, guardians and customFields).
+ *
+ * Response: { dryRun, mode, summary: { total, created, updated, unchanged, duplicate, invalid },
+ *             rows: [{ row, status, email, id?, errors?, changes? }] }
+ * With dryRun=true nothing is written; the report shows what would happen.
+ */
+export const POST = instrument('POST /api/students/import', async function POST(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const dryRun = searchParams.get('dryRun') === 'true';
+        const mode = searchParams.get('mode') || 'create';
+
+        const rows = await readImportRows(request);
+
+        await connectToDatabase();
+        const report = await importRows(Student, rows, { entity: 'student', mode, dryRun, request });
+
+        // 200 for a preview, 201 when at least one student was created
+        const status = !dryRun && report.summary.created > 0 ? 201 : 200;
+        return NextResponse.json(report, { status });
+    } catch (error) {
+        return errorResponse(error, 'Failed to import students', 'POST /api/students/import');
+    }
+});
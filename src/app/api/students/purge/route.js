@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import Student from '@/models/Student';
+import Course from '@/models/Course';
+import Grade from '@/models/Grade';
+import Attendance from '@/models/Attendance';
+import { errorResponse } from '@/lib/errors';
+import { purgeDeleted, retentionDays } from '@/lib/softDelete';
+import { parseIdList } from '@/lib/validation';
+import { recordAudit } from '@/lib/audit';
+import { deleteAttachmentsOf } from '@/lib/attachments';
+import { instrument } from '@/lib/instrument';
+
+// POST: Permanently delete trashed students older than the retention period
+// Optional JSON body: { "ids": ["<id>", ...] } to purge only some of them.
+// Students deleted more recently than TRASH_RETENTION_DAYS are left untouched.
+export const POST = instrument('POST /api/students/purge', async function POST(request) {
+    try {
+        await connectToDatabase();
+
+        const body = await request.json().catch(() => ({}));
+        const ids = body?.ids === undefined ? undefined : parseIdList(body.ids);
+
+        const { purged, cutoff } = await purgeDeleted(Student, ids);
+
+        // Purged students can never come back → release their course seats and drop their grades, attendance and files
+        if (purged.length > 0) {
+            await Course.updateMany(
+                { 'enrollments.student': { $in: purged } },
+                { $pull: { enrollments: { student: { $in: purged } } } }
+            );
+            await Grade.deleteMany({ student: { $in: purged } });
+            await Attendance.deleteMany({ student: { $in: purged } });
+            await deleteAttachmentsOf('student', purged);
+        }
+
+        for (const id of purged) {
+            await recordAudit(request, { entity: 'student', entityId: id, action: 'purge' });
+        }
+
+        return NextResponse.json({
+            purged,
+            skipped: ids ? ids.filter((id) => !purged.includes(id)) : [],
+            retentionDays: retentionDays(),
+            deletedBefore: cutoff,
+        });
+    } catch (error) {
+        return errorResponse(error, 'Failed to purge students', 'POST /api/students/purge');
+    }
+});
@@ -4,40 +4,58 @@
 import { NextResponse } from 'next/server';           // Next.js utility to send JSON responses with proper headers/status
 import { connectToDatabase } from '@/lib/db';       // Our custom MongoDB connection function (cached for performance)
 import Student from '@/models/Student';             // Mongoose model for the "Student" collection
+import { paginate, trashListOptions } from '@/lib/pagination'; // Shared page/cursor/sort/filter handling for list routes
+import { errorResponse } from '@/lib/errors';       // Maps thrown errors to { error, fields } JSON responses
+import { parseBody } from '@/lib/validation';       // Whitelists + coerces request bodies from the schema
+import { recordAudit } from '@/lib/audit';           // Writes the "who changed what" audit trail
+import { buildSearchFilter } from '@/lib/search';     // q=... → prefix-match filter (same syntax as /api/students/search)
+import { STUDENT_LIST_OPTIONS, STUDENT_SEARCH_FIELDS } from '@/lib/students'; // Age filters/qualifiers → date of birth
+import { instrument } from '@/lib/instrument';                                // Request id, logging context and metrics
 
 // =============================================
-// GET: Fetch all students from the database
+// GET: Fetch a page of students from the database
 // Route: GET /api/students
+// Query params: page, limit, after, before, sort, minAge, maxAge, enrollmentStatus,
+//               createdAfter, createdBefore (see src/lib/pagination.js + src/lib/students.js)
+//               q → narrow the list (prefix matching; use /api/students/search for ranked results)
+//               deleted=true → list the trash instead of live students
+// Response: { items, total, page, limit, nextCursor, prevCursor }
 // =============================================
-export async function GET() {
+export const GET = instrument('GET /api/students', async function GET(request) {
   try {
     // Establish (or reuse) connection to MongoDB Atlas
     await connectToDatabase();
 
-    // Query all students, sorted by creation date (newest first)
-    // .sort({ createdAt: -1 }) → -1 = descending
-    const students = await Student.find({}).sort({ createdAt: -1 });
+    // Parse query params and run the paginated query
+    // Default order is newest first (sort=-createdAt; trash: sort=-deletedAt)
+    const { searchParams } = new URL(request.url);
+    const deleted = searchParams.get('deleted') === 'true';
+    const options = {
+      ...STUDENT_LIST_OPTIONS,
+      baseFilter: buildSearchFilter(searchParams.get('q'), STUDENT_SEARCH_FIELDS),
+    };
+    const result = await paginate(Student, searchParams, deleted ? trashListOptions(options) : options);
 
-    // Return the array of students as JSON with 200 OK status
-    return NextResponse.json(students);
+    // Return the page envelope as JSON with 200 OK status
+    // (items are documents, so each one includes the computed `age`)
+    return NextResponse.json(result);
   } catch (error) {
-    // Log the full error to server console for debugging
-    console.error('GET /api/students error:', error);
-
-    // Return user-friendly error message with 500 Internal Server Error
-    return NextResponse.json(
-      { error: 'Failed to fetch students' },
-      { status: 500 }
-    );
+    // Bad query params (e.g. sort by an unknown field) → 400 with the reason
+    // Anything else is logged and returned as 500
+    return errorResponse(error, 'Failed to fetch students', 'GET /api/students');
   }
-}
+});
 
 // =============================================
 // POST: Create a new student
 // Route: POST /api/students
-// Expects JSON body: { "name": "...", "age": 20, "email": "..." }
+// Expects JSON body: { "name": "...", "dateOfBirth": "2005-04-12", "email": "..." }
+// Optional: phone, address: { street, city, state, postalCode, country },
+//           enrollmentStatus, guardians: [{ name, relationship, phone, email }],
+//           customFields: { <key>: value } (see /api/custom-fields)
+// The student number is generated on save
 // =============================================
-export async function POST(request) {
+export const POST = instrument('POST /api/students', async function POST(request) {
   try {
     // Ensure DB connection is ready (cached after first call)
     await connectToDatabase();
@@ -45,41 +63,25 @@ export async function POST(request) {
     // Parse the incoming JSON body from the request
     const body = await request.json();
 
-    // Destructure required fields from the request body
-    const { name, age, email } = body;
-
-    // Basic validation: ensure all required fields are present
-    if (!name || !age || !email) {
-      return NextResponse.json(
-        { error: 'All fields are required' },
-        { status: 400 } // 400 Bad Request
-      );
-    }
+    // Keep only fields defined on the Student schema, coerced to their types
+    // (unknown or read-only fields like _id → 422 with per-field messages)
+    const data = parseBody(Student, body);
 
     // Create a new Student document using the Mongoose model
-    const student = new Student({ name, age, email });
+    const student = new Student(data);
 
     // Save the student to MongoDB (triggers validation & unique checks)
+    // Missing fields, a future date of birth or an invalid custom field → ValidationError → 422 with field messages
     await student.save();
 
+    // Record the creation in the audit log
+    await recordAudit(request, { entity: 'student', entityId: student._id, action: 'create', after: student });
+
     // Return the created student with 201 Created status
     return NextResponse.json(student, { status: 201 });
   } catch (error) {
-    // Log full error for server-side debugging
-    console.error('POST /api/students error:', error);
-
-    // Handle duplicate email error (MongoDB error code 11000 = unique constraint violation)
-    if (error.code === 11000) {
-      return NextResponse.json(
-        { error: 'Email already exists' },
-        { status: 400 }
-      );
-    }
-
-    // For any other error (e.g., validation, DB down), return generic message
-    return NextResponse.json(
-      { error: 'Failed to create student' },
-      { status: 500 }
-    );
+    // Validation → 422, duplicate email (E11000) → 409, malformed JSON → 400
+    // For any other error (e.g. DB down), log and return a generic 500
+    return errorResponse(error, 'Failed to create student', 'POST /api/students');
   }
-}
\ No newline at end of file
+});
@@ -1,43 +1,37 @@
 import { NextResponse } from 'next/server';
 import { connectToDatabase } from '@/lib/db';
 import Student from '@/models/Student';
+import { errorResponse } from '@/lib/errors';
+import { searchCollection } from '@/lib/search';
+import { STUDENT_FILTERS, STUDENT_SEARCH_FIELDS, withAge } from '@/lib/students';
+import { instrument } from '@/lib/instrument';
 
 /**
  * GET /api/students/search?q=john
- * GET /api/students/search?q=john@gmail.com
+ * GET /api/students/search?q=email:john@ age:>20&page=2&limit=20
+ * GET /api/students/search?q=studentNumber:S2026&enrollmentStatus=active
+ *
+ * Ranked by relevance (text index), with prefix matching as a fallback.
+ * Response: { items: [{ ...student, score?, highlights }], total, page, limit, mode }
+ * See src/lib/search.js for the query syntax; age: and minAge / maxAge are
+ * matched on the date of birth (src/lib/students.js).
  */
-export async function GET(request) {
+export const GET = instrument('GET /api/students/search', async function GET(request) {
     try {
         const { searchParams } = new URL(request.url);
-        const q = searchParams.get('q')?.trim();
-
-        // If no query or empty, return empty array
-        if (!q || q.length < 1) {
-            return NextResponse.json([]);
-        }
 
         await connectToDatabase();
 
-        // Case-insensitive partial match on name OR email
-        const regex = new RegExp(q, 'i');
-
-        const students = await Student.find({
-            $or: [
-                { name: { $regex: regex } },
-                { email: { $regex: regex } }
-            ]
-        })
-            .select('name age email')  // only return needed fields
-            .sort({ name: 1 })
-            .limit(50); // safety limit
-
-        return NextResponse.json(students);
+        const result = await searchCollection(Student, searchParams, {
+            fields: STUDENT_SEARCH_FIELDS,
+            filters: STUDENT_FILTERS,
+            select: { name: 1, dateOfBirth: 1, email: 1, studentNumber: 1, photo: 1 }, // only return needed fields
+        });
 
+        // Lean results → add the computed age
+        return NextResponse.json({ ...result, items: result.items.map(withAge) });
     } catch (error) {
-        console.error('Search API error:', error);
-        return NextResponse.json(
-            { error: 'Failed to search students' },
-            { status: 500 }
-        );
+        // Bad qualifier / page / limit → 400, anything else → 500
+        return errorResponse(error, 'Failed to search students', 'GET /api/students/search');
     }
-}
\ No newline at end of file
+});
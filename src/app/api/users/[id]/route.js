@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { connectToDatabase } from '@/lib/db';
+import User from '@/models/User';
+import { getRequestUser } from '@/lib/session';
+import { errorResponse } from '@/lib/errors';
+import { instrument } from '@/lib/instrument';
+
+// DELETE: Remove a user account (admin only)
+export const DELETE = instrument('DELETE /api/users/[id]', async function DELETE(request, { params }) {
+    const { id } = await params;
+
+    // Admins can't lock themselves out by deleting their own account
+    if (getRequestUser(request)?.id === id) {
+        return NextResponse.json({ error: 'You cannot delete your own account' }, { status: 400 });
+    }
+
+    try {
+        await connectToDatabase();
+
+        const user = await User.findByIdAndDelete(id);
+
+        if (!user) {
+            return NextResponse.json({ error: 'User not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ message: 'User deleted successfully' });
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete user', 'DELETE /api/users/[id]');
+    }
+});
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { connectToDatabase } from '@/lib/db';
+import User, { ROLES } from '@/models/User';
+import Student from '@/models/Student';
+import Instructor from '@/models/Instructor';
+import { paginate } from '@/lib/pagination';
+import { errorResponse } from '@/lib/errors';
+import { readJsonObject } from '@/lib/validation';
+import { MIN_PASSWORD_LENGTH, hashPassword } from '@/lib/password';
+import { instrument } from '@/lib/instrument';
+
+// GET: Fetch a page of user accounts (admin only — see src/lib/access.js)
+export const GET = instrument('GET /api/users', async function GET(request) {
+    try {
+        await connectToDatabase();
+        const { searchParams } = new URL(request.url);
+        const result = await paginate(User, searchParams, {
+            sortFields: ['email', 'role', 'createdAt', 'updatedAt'],
+            filters: { role: { field: 'role', op: '$eq', type: 'string' } },
+        });
+        return NextResponse.json(result);
+    } catch (error) {
+        return errorResponse(error, 'Failed to fetch users', 'GET /api/users');
+    }
+});
+
+// POST: Create a user account (admin only)
+// Expects JSON body: { "email", "password", "role", "student"?: "<id>", "instructor"?: "<id>" }
+// Student and instructor accounts must be linked to their own record.
+export const POST = instrument('POST /api/users', async function POST(request) {
+    try {
+        await connectToDatabase();
+        const { email, password, role, student, instructor } = await readJsonObject(request);
+
+        if (!email || !password || !role) {
+            return NextResponse.json({ error: 'Email, password and role are required' }, { status: 400 });
+        }
+        if (!ROLES.includes(role)) {
+            return NextResponse.json({ error: `Role must be one of: ${ROLES.join(', ')}` }, { status: 400 });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return NextResponse.json(
+                { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` },
+                { status: 400 }
+            );
+        }
+
+        const data = { email, role, passwordHash: await hashPassword(password) };
+
+        if (role === 'student' || role === 'instructor') {
+            const profileId = role === 'student' ? student : instructor;
+            const Model = role === 'student' ? Student : Instructor;
+            if (!mongoose.isValidObjectId(profileId) || !(await Model.exists({ _id: profileId }))) {
+                return NextResponse.json({ error: `A valid ${role} id is required for this role` }, { status: 400 });
+            }
+            data[role] = profileId;
+        }
+
+        const user = await User.create(data);
+        return NextResponse.json(user, { status: 201 });
+    } catch (error) {
+        return errorResponse(error, 'Failed to create user', 'POST /api/users');
+    }
+});
@@ -0,0 +1,72 @@
+// Attendance page — take the daily roll call, or see attendance percentages over a period
+
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import RollCall from '@/components/RollCall';
+import AttendanceSummary from '@/components/AttendanceSummary';
+
+// Local calendar day as YYYY-MM-DD (what <input type="date"> uses)
+const toDay = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const tabStyle = {
+  padding: '10px 16px',
+  background: '#f0f0f0',
+  border: '1px solid #ddd',
+  borderRadius: '8px',
+  cursor: 'pointer'
+};
+
+export default function AttendancePage() {
+  // Today and the default summary start (30 days back), fixed when the page opens
+  const [{ today, monthAgo }] = useState(() => {
+    const now = new Date();
+    return { today: toDay(now), monthAgo: toDay(new Date(now.getTime() - 30 * 86400000)) };
+  });
+
+  // State: which view is shown, and the roll call's day
+  const [tab, setTab] = useState('rollCall');
+  const [date, setDate] = useState(today);
+
+  return (
+    <div style={{
+      padding: '2rem',
+      maxWidth: '900px',
+      margin: '0 auto',
+      fontFamily: 'sans-serif'
+    }}>
+      <p><Link href="/">← Dashboard</Link></p>
+
+      <h1 style={{ fontSize: '2rem', marginBottom: '1rem' }}>Attendance</h1>
+
+      {/* Tabs: roll call vs. summary */}
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '1.5rem' }}>
+        <button onClick={() => setTab('rollCall')} style={{ ...tabStyle, fontWeight: tab === 'rollCall' ? '600' : 'normal' }}>
+          Roll call
+        </button>
+        <button onClick={() => setTab('summary')} style={{ ...tabStyle, fontWeight: tab === 'summary' ? '600' : 'normal' }}>
+          Summary
+        </button>
+      </div>
+
+      {tab === 'rollCall' ? (
+        <>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            style={{ padding: '8px', borderRadius: '8px', border: '1px solid #ddd', marginBottom: '1rem' }}
+          />
+          {/* key → a fresh roll call (no leftover edits) per day */}
+          <RollCall key={date} date={date} />
+        </>
+      ) : (
+        <AttendanceSummary from={monthAgo} to={today} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+// Gradebook page — pick a course, then enter scores for its whole roster
+// The ?course=<id> query parameter keeps the selected course across reloads
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import GradeGrid from '@/components/GradeGrid';
+
+export default function GradebookPage() {
+  // State: courses for the picker (GET /api/courses, sorted by code)
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [error, setError] = useState('');
+
+  // Load the courses once, and restore the selected course from the URL
+  useEffect(() => {
+    fetch('/api/courses?limit=100')
+      .then(async (res) => {
+        if (res.status === 401) {
+          window.location.href = '/login?next=/gradebook';
+          return;
+        }
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load courses');
+        setCourses(data.items);
+        setCourseId(new URLSearchParams(window.location.search).get('course') || '');
+      })
+      .catch((err) => {
+        console.error('Failed to load courses:', err);
+        setError(err.message);
+      });
+  }, []);
+
+  const selectCourse = (id) => {
+    setCourseId(id);
+    window.history.replaceState(null, '', id ? `?course=${id}` : window.location.pathname);
+  };
+
+  return (
+    <div style={{
+      padding: '2rem',
+      maxWidth: '1100px',
+      margin: '0 auto',
+      fontFamily: 'sans-serif'
+    }}>
+      <p><Link href="/">← Dashboard</Link></p>
+
+      <h1 style={{ fontSize: '2rem', marginBottom: '1rem' }}>Gradebook</h1>
+
+      <select
+        value={courseId}
+        onChange={(e) => selectCourse(e.target.value)}
+        style={{ padding: '10px', borderRadius: '8px', border: '1px solid #ddd', marginBottom: '1.5rem', minWidth: '300px' }}
+      >
+        <option value="">Select a course…</option>
+        {courses.map((course) => (
+          <option key={course._id} value={course._id}>
+            {course.code} — {course.title} ({course.term})
+          </option>
+        ))}
+      </select>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+
+      {/* key → a fresh grid (no leftover edits) per course */}
+      {courseId && <GradeGrid key={courseId} courseId={courseId} />}
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+// Instructor Management page — same generic UI as /students, driven by the Instructor schema
+
+import EntityPage from '@/components/EntityPage';
+
+// Default export — this becomes the page at /instructors
+export default function InstructorsPage() {
+  return <EntityPage entity="instructors" />;
+}
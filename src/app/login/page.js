@@ -0,0 +1,122 @@
+// Login page — posts credentials to /api/auth/login, which sets the session cookie
+// The proxy (src/proxy.js) redirects anonymous visitors here with ?next=<original path>
+
+'use client';
+
+import { Suspense, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+
+function LoginForm() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+
+  const [formData, setFormData] = useState({ email: '', password: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData),
+      });
+
+      if (res.ok) {
+        // Only follow same-site relative paths to avoid open redirects
+        const next = searchParams.get('next');
+        router.push(next && next.startsWith('/') && !next.startsWith('//') ? next : '/students');
+      } else {
+        const err = await res.json();
+        setError(err.error || 'Failed to log in');
+      }
+    } catch (err) {
+      console.error('Login error:', err);
+      setError('Network error — check your connection');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    marginBottom: '12px',
+    border: '1px solid #ddd',
+    borderRadius: '8px',
+    fontSize: '1rem'
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      padding: '2rem',
+      borderRadius: '12px',
+      boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+      maxWidth: '400px',
+      margin: '4rem auto',
+      fontFamily: 'system-ui, sans-serif'
+    }}>
+      <h2 style={{ margin: '0 0 1.5rem 0', fontSize: '1.5rem' }}>Log in</h2>
+
+      <form onSubmit={handleSubmit}>
+        <input
+          name="email"
+          type="email"
+          placeholder="Email"
+          value={formData.email}
+          onChange={handleChange}
+          required
+          style={inputStyle}
+        />
+        <input
+          name="password"
+          type="password"
+          placeholder="Password"
+          value={formData.password}
+          onChange={handleChange}
+          required
+          style={inputStyle}
+        />
+
+        {error && <p style={{ color: '#e74c3c', margin: '0 0 12px 0' }}>{error}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          style={{
+            width: '100%',
+            padding: '14px',
+            background: loading ? '#999' : '#0070f3',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            fontSize: '1rem',
+            fontWeight: '600',
+            cursor: loading ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {loading ? 'Logging in...' : 'Log in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// useSearchParams() must sit inside a Suspense boundary in the App Router
+export default function LoginPage() {
+  return (
+    <Suspense fallback={null}>
+      <LoginForm />
+    </Suspense>
+  );
+}
@@ -1,12 +1,71 @@
+// Dashboard — the home page, linking to every management page with live record counts
+// and to the gradebook, attendance and API docs pages
+
+'use client';
+
+import { useEffect, useState } from 'react';
 import Link from 'next/link';
+import { ENTITIES } from '@/lib/entities';
 
 export default function Home() {
+  // Record count per entity (null = loading, '—' = not available to this user)
+  const [counts, setCounts] = useState({});
+
+  // All totals in one GraphQL request (limit: 1 is enough: the page carries the total)
+  // A list this user may not see comes back as null with a FORBIDDEN error
+  useEffect(() => {
+    const keys = Object.keys(ENTITIES);
+    const query = `{ ${keys.map((key) => `${key}(limit: 1) { total }`).join(' ')} }`;
+    const unavailable = Object.fromEntries(keys.map((key) => [key, '—']));
+
+    fetch('/api/graphql', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query }),
+    })
+      .then(async (res) => {
+        if (res.status === 401) {
+          window.location.href = '/login?next=/';
+          return;
+        }
+        const { data } = await res.json();
+        setCounts(Object.fromEntries(keys.map((key) => [key, data?.[key]?.total ?? '—'])));
+      })
+      .catch(() => setCounts(unavailable));
+  }, []);
+
   return (
-    <main style={{ padding: '4rem', textAlign: 'center' }}>
-      <h1>Welcome to Student CRUD App</h1>
-      <p>
-        <Link href="/students">Go to Student Management →</Link>
+    <main style={{ padding: '4rem 2rem', maxWidth: '900px', margin: '0 auto', fontFamily: 'sans-serif' }}>
+      <h1 style={{ textAlign: 'center', marginBottom: '2rem' }}>Dashboard</h1>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '1.5rem' }}>
+        {Object.entries(ENTITIES).map(([key, { plural, pagePath }]) => (
+          <Link
+            key={key}
+            href={pagePath}
+            style={{
+              display: 'block',
+              padding: '2rem',
+              background: '#ffffff',
+              borderRadius: '12px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+              color: 'inherit',
+              textDecoration: 'none'
+            }}
+          >
+            <div style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{counts[key] ?? '…'}</div>
+            <div style={{ fontSize: '1.2rem', color: '#666' }}>{plural} →</div>
+          </Link>
+        ))}
+      </div>
+
+      <p style={{ textAlign: 'center', marginTop: '2rem' }}>
+        <Link href="/gradebook">Gradebook — enter scores by course →</Link>
+        <br />
+        <Link href="/attendance">Attendance — daily roll call and summaries →</Link>
+        <br />
+        <Link href="/api-docs">API docs — endpoints, schemas and examples →</Link>
       </p>
     </main>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,228 @@
+// Custom fields page — admins define extra student fields (GET/POST /api/custom-fields)
+// The fields then appear in the student form (via GET /api/schema/students)
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+
+const TYPES = ['text', 'number', 'date', 'checkbox', 'select'];
+
+const inputStyle = { padding: '10px', borderRadius: '8px', border: '1px solid #ddd' };
+
+const buttonStyle = {
+  padding: '10px 16px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: '600',
+};
+
+const EMPTY_DRAFT = { key: '', label: '', type: 'text', required: false, options: '', min: '', max: '' };
+
+// Turn the add form into the POST body (options are comma-separated, bounds only for numbers)
+const toDefinition = (draft) => {
+  const definition = { key: draft.key, label: draft.label, type: draft.type, required: draft.required };
+  if (draft.type === 'select') {
+    definition.options = draft.options.split(',').map((option) => option.trim()).filter(Boolean);
+  }
+  if (draft.type === 'number') {
+    if (draft.min !== '') definition.min = Number(draft.min);
+    if (draft.max !== '') definition.max = Number(draft.max);
+  }
+  return definition;
+};
+
+export default function CustomFieldsPage() {
+  // State: the defined fields (null until loaded)
+  const [definitions, setDefinitions] = useState(null);
+
+  // State: the "Add field" form
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadDefinitions = async () => {
+    const res = await fetch('/api/custom-fields');
+    if (res.status === 401) {
+      window.location.href = '/login?next=/students/custom-fields';
+      return;
+    }
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load custom fields');
+    setDefinitions(data.items);
+  };
+
+  useEffect(() => {
+    loadDefinitions().catch((err) => setError(err.message));
+  }, []);
+
+  // Show the API's message, with per-field details when there are any
+  const failWith = (data, fallback) => {
+    const details = data.fields ? `: ${Object.values(data.fields).join(', ')}` : '';
+    throw new Error(`${data.error || fallback}${details}`);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const res = await fetch('/api/custom-fields', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toDefinition(draft)),
+      });
+      const data = await res.json();
+      if (!res.ok) failWith(data, 'Failed to add field');
+
+      setDraft(EMPTY_DRAFT);
+      await loadDefinitions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRequired = async (definition) => {
+    try {
+      const res = await fetch(`/api/custom-fields/${definition._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ required: !definition.required }),
+      });
+      const data = await res.json();
+      if (!res.ok) failWith(data, 'Failed to update field');
+      await loadDefinitions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (definition) => {
+    if (!confirm(`Delete "${definition.label}"? Its value is removed from every student.`)) return;
+
+    try {
+      const res = await fetch(`/api/custom-fields/${definition._id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) failWith(data, 'Failed to delete field');
+      await loadDefinitions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateDraft = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  return (
+    <div style={{
+      padding: '2rem',
+      maxWidth: '900px',
+      margin: '0 auto',
+      fontFamily: 'sans-serif'
+    }}>
+      <p><Link href="/students">← Back to students</Link></p>
+
+      <h1 style={{ fontSize: '2rem', marginBottom: '1rem' }}>Student Custom Fields</h1>
+      <p style={{ color: '#666' }}>
+        Extra fields shown in the student form. The key and type can&apos;t change once a field exists;
+        deleting a field removes its values from every student.
+      </p>
+
+      {/* Add a field */}
+      <form onSubmit={handleAdd} style={{ display: 'flex', gap: '10px', alignItems: 'center', margin: '1.5rem 0', flexWrap: 'wrap' }}>
+        <input
+          placeholder="key, e.g. shoeSize"
+          value={draft.key}
+          onChange={(e) => updateDraft({ key: e.target.value })}
+          required
+          style={inputStyle}
+        />
+        <input
+          placeholder="Label"
+          value={draft.label}
+          onChange={(e) => updateDraft({ label: e.target.value })}
+          required
+          style={inputStyle}
+        />
+        <select value={draft.type} onChange={(e) => updateDraft({ type: e.target.value })} style={inputStyle}>
+          {TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+        </select>
+        {draft.type === 'select' && (
+          <input
+            placeholder="Options, comma-separated"
+            value={draft.options}
+            onChange={(e) => updateDraft({ options: e.target.value })}
+            required
+            style={inputStyle}
+          />
+        )}
+        {draft.type === 'number' && (
+          <>
+            <input type="number" placeholder="min" value={draft.min} onChange={(e) => updateDraft({ min: e.target.value })} style={{ ...inputStyle, width: '80px' }} />
+            <input type="number" placeholder="max" value={draft.max} onChange={(e) => updateDraft({ max: e.target.value })} style={{ ...inputStyle, width: '80px' }} />
+          </>
+        )}
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="checkbox" checked={draft.required} onChange={(e) => updateDraft({ required: e.target.checked })} />
+          Required
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          style={{ ...buttonStyle, background: saving ? '#999' : '#0070f3', cursor: saving ? 'not-allowed' : 'pointer' }}
+        >
+          {saving ? 'Adding...' : 'Add field'}
+        </button>
+      </form>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {!definitions && !error && <p>Loading custom fields...</p>}
+
+      {definitions && (definitions.length === 0 ? (
+        <p style={{ color: '#666', fontStyle: 'italic' }}>No custom fields yet.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+              <th style={{ padding: '8px' }}>Label</th>
+              <th style={{ padding: '8px' }}>Key</th>
+              <th style={{ padding: '8px' }}>Type</th>
+              <th style={{ padding: '8px' }}>Required</th>
+              <th style={{ padding: '8px' }} />
+            </tr>
+          </thead>
+          <tbody>
+            {definitions.map((definition) => (
+              <tr key={definition._id} style={{ borderBottom: '1px solid #eee' }}>
+                <td style={{ padding: '8px' }}>{definition.label}</td>
+                <td style={{ padding: '8px' }}><code>{definition.key}</code></td>
+                <td style={{ padding: '8px' }}>
+                  {definition.type}
+                  {definition.options && <div style={{ fontSize: '0.8rem', color: '#888' }}>{definition.options.join(', ')}</div>}
+                  {(definition.min !== undefined || definition.max !== undefined) && (
+                    <div style={{ fontSize: '0.8rem', color: '#888' }}>{definition.min ?? '…'} – {definition.max ?? '…'}</div>
+                  )}
+                </td>
+                <td style={{ padding: '8px' }}>
+                  <input type="checkbox" checked={definition.required} onChange={() => toggleRequired(definition)} />
+                </td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>
+                  <button
+                    onClick={() => handleDelete(definition)}
+                    style={{ ...buttonStyle, background: '#e74c3c', cursor: 'pointer' }}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+// Bulk import page — upload a CSV or JSON file of students,
+// preview the per-row report (dry run), then commit the import
+
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+
+// Row status → badge colour in the report table
+const STATUS_COLORS = {
+  created: '#27ae60',
+  updated: '#0070f3',
+  unchanged: '#888',
+  duplicate: '#e67e22',
+  invalid: '#e74c3c',
+};
+
+const buttonStyle = {
+  padding: '12px 20px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  fontWeight: '600',
+};
+
+export default function ImportStudentsPage() {
+  // State: the selected file and import mode
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('create');
+
+  // State: last report from the API, and whether it was a preview
+  const [report, setReport] = useState(null);
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Upload the file to /api/students/import — dryRun=true only previews
+  const runImport = async (dryRun) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const form = new FormData();
+      form.append('file', file);
+
+      const params = new URLSearchParams({ mode, dryRun: String(dryRun) });
+      const res = await fetch(`/api/students/import?${params}`, { method: 'POST', body: form });
+      const data = await res.json();
+
+      if (!res.ok) throw new Error(data.error || 'Import failed');
+      setReport(data);
+    } catch (err) {
+      console.error('Import error:', err);
+      setError(err.message);
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // A new file or mode invalidates the previous preview
+  const resetReport = () => setReport(null);
+
+  const writableRows = report ? report.summary.created + report.summary.updated : 0;
+
+  return (
+    <div style={{
+      padding: '2rem',
+      maxWidth: '900px',
+      margin: '0 auto',
+      fontFamily: 'sans-serif'
+    }}>
+      <p><Link href="/students">← Back to students</Link></p>
+
+      <h1 style={{ fontSize: '2rem', marginBottom: '1rem' }}>Import Students</h1>
+      <p style={{ color: '#666' }}>
+        Upload a <code>.csv</code> file with a header row (<code>name,dateOfBirth,email</code>, optionally
+        <code> phone</code> and <code>enrollmentStatus</code>) or a <code>.json</code> array of objects with
+        the same fields — JSON can also include <code>address</code>, <code>guardians</code> and
+        <code> customFields</code>. Student numbers are generated.
+      </p>
+
+      {/* File + mode selection */}
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'center', margin: '1.5rem 0', flexWrap: 'wrap' }}>
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(e) => { setFile(e.target.files[0] || null); resetReport(); }}
+        />
+        <select
+          value={mode}
+          onChange={(e) => { setMode(e.target.value); resetReport(); }}
+          style={{ padding: '10px', borderRadius: '8px', border: '1px solid #ddd' }}
+        >
+          <option value="create">Only add new students</option>
+          <option value="upsert">Add new, update existing (by email)</option>
+        </select>
+        <button
+          onClick={() => runImport(true)}
+          disabled={!file || loading}
+          style={{ ...buttonStyle, background: !file || loading ? '#999' : '#0070f3', cursor: !file || loading ? 'not-allowed' : 'pointer' }}
+        >
+          {loading ? 'Working...' : 'Preview'}
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+
+      {report && (
+        <div>
+          {/* Summary */}
+          <h2 style={{ fontSize: '1.4rem' }}>
+            {report.dryRun ? 'Preview' : 'Import complete'} — {report.summary.total} rows
+          </h2>
+          <p>
+            {Object.entries(report.summary)
+              .filter(([status]) => status !== 'total')
+              .map(([status, count]) => (
+                <span key={status} style={{ marginRight: '16px', color: STATUS_COLORS[status] }}>
+                  {status}: <strong>{count}</strong>
+                </span>
+              ))}
+          </p>
+
+          {/* Commit button — only after a preview with something to write */}
+          {report.dryRun && (
+            <button
+              onClick={() => runImport(false)}
+              disabled={loading || writableRows === 0}
+              style={{
+                ...buttonStyle,
+                background: loading || writableRows === 0 ? '#999' : '#27ae60',
+                cursor: loading || writableRows === 0 ? 'not-allowed' : 'pointer',
+                marginBottom: '1rem'
+              }}
+            >
+              Import {writableRows} row{writableRows === 1 ? '' : 's'}
+            </button>
+          )}
+
+          {/* Per-row report */}
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Row</th>
+                <th style={{ padding: '8px' }}>Email</th>
+                <th style={{ padding: '8px' }}>Status</th>
+                <th style={{ padding: '8px' }}>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr key={row.row} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{row.row}</td>
+                  <td style={{ padding: '8px' }}>{row.email || '—'}</td>
+                  <td style={{ padding: '8px', color: STATUS_COLORS[row.status], fontWeight: '600' }}>
+                    {row.status}
+                  </td>
+                  <td style={{ padding: '8px', fontSize: '0.9rem', color: '#444' }}>
+                    {row.errors && Object.entries(row.errors).map(([field, message]) => (
+                      <div key={field}>{field}: {message}</div>
+                    ))}
+                    {row.changes && Object.entries(row.changes).map(([field, change]) => (
+                      <div key={field}>{field}: {String(change.before)} → {String(change.after)}</div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+// Profile photo and documents of one record (students, instructors)
+// Lists GET [apiPath]/[id]/attachments, uploads with a multipart POST to the same
+// URL and deletes with DELETE [apiPath]/[id]/attachments/[attachmentId]
+
+'use client'; // Required: uses useState, useEffect and event handlers
+
+import { useEffect, useState } from 'react';
+import Image from 'next/image';
+
+const buttonStyle = {
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '8px',
+  background: '#f0f0f0',
+  cursor: 'pointer',
+};
+
+// 1234567 → "1.2 MB"
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Props:
+// - apiPath: collection URL of the owner, e.g. '/api/students'
+// - id: the owner's _id
+// - onChange: optional callback after an upload or delete (e.g. refresh the list avatars)
+export default function Attachments({ apiPath, id, onChange }) {
+  const url = `${apiPath}/${id}/attachments`;
+
+  // State: the owner's attachments, newest first (null until loaded)
+  const [attachments, setAttachments] = useState(null);
+
+  // State: bumped after an upload / delete to reload the list
+  const [version, setVersion] = useState(0);
+
+  const [kind, setKind] = useState('document');
+  const [file, setFile] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(url)
+      .then(async (res) => {
+        const data = await res.json();
+        if (cancelled) return;
+        if (!res.ok) throw new Error(data.error || 'Failed to load attachments');
+        setAttachments(data.items);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => { cancelled = true; };
+  }, [url, version]);
+
+  const changed = () => {
+    setVersion((current) => current + 1);
+    onChange?.();
+  };
+
+  // Send the chosen file as multipart/form-data
+  const upload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const body = new FormData();
+      body.append('file', file);
+      body.append('kind', kind);
+
+      const res = await fetch(url, { method: 'POST', body });
+      if (!res.ok) {
+        const err = await res.json();
+        const details = err.fields ? Object.values(err.fields).join(' ') : '';
+        setError(details || err.error || 'Upload failed');
+        return;
+      }
+
+      setFile(null);
+      e.target.reset();
+      changed();
+    } catch {
+      setError('Network error — check your connection');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (attachment) => {
+    if (!confirm(`Delete ${attachment.filename}?`)) return;
+
+    setError('');
+    const res = await fetch(`${url}/${attachment._id}`, { method: 'DELETE' });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      setError(err.error || 'Failed to delete the attachment');
+      return;
+    }
+    changed();
+  };
+
+  return (
+    <div style={{ marginTop: '1.5rem', paddingTop: '1rem', borderTop: '1px solid #eee' }}>
+      <h3 style={{ margin: '0 0 12px 0', fontSize: '1.1rem' }}>Photo &amp; documents</h3>
+
+      {attachments === null && !error && <p style={{ color: '#666' }}>Loading...</p>}
+      {attachments?.length === 0 && <p style={{ color: '#666' }}>No files yet.</p>}
+
+      {attachments?.length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 12px 0' }}>
+          {attachments.map((attachment) => (
+            <li
+              key={attachment._id}
+              style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '6px 0', borderBottom: '1px solid #f4f4f4' }}
+            >
+              {attachment.hasThumbnail ? (
+                <Image
+                  src={`${url}/${attachment._id}/thumbnail`}
+                  alt=""
+                  width={40}
+                  height={40}
+                  unoptimized // Already a small WebP thumbnail
+                  style={{ borderRadius: '6px', objectFit: 'cover' }}
+                />
+              ) : (
+                <span style={{ width: '40px', textAlign: 'center', color: '#999' }}>📄</span>
+              )}
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <a
+                  href={`${url}/${attachment._id}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  style={{ color: '#0070f3', wordBreak: 'break-all' }}
+                >
+                  {attachment.filename}
+                </a>
+                <div style={{ fontSize: '0.8rem', color: '#888' }}>
+                  {attachment.kind === 'photo' ? 'Profile photo' : 'Document'} · {formatSize(attachment.size)}
+                </div>
+              </div>
+              <button type="button" onClick={() => remove(attachment)} style={{ ...buttonStyle, color: '#e74c3c' }}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Upload — a new photo replaces the current one */}
+      <form onSubmit={upload} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <select value={kind} onChange={(e) => setKind(e.target.value)} style={{ ...buttonStyle, background: 'white' }}>
+          <option value="document">Document</option>
+          <option value="photo">Profile photo</option>
+        </select>
+        <input
+          type="file"
+          accept={kind === 'photo' ? 'image/jpeg,image/png,image/gif,image/webp' : undefined}
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        <button
+          type="submit"
+          disabled={!file || busy}
+          style={{ ...buttonStyle, background: '#0070f3', color: 'white', border: 'none', cursor: !file || busy ? 'not-allowed' : 'pointer' }}
+        >
+          {busy ? 'Uploading...' : 'Upload'}
+        </button>
+      </form>
+
+      {error && <p style={{ color: '#e74c3c', margin: '8px 0 0 0' }}>{error}</p>}
+    </div>
+  );
+}
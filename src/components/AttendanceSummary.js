@@ -0,0 +1,85 @@
+// Attendance summary — percentage and status counts per student over a date range
+// (GET /api/attendance/summary)
+
+'use client'; // Required: uses useState, useEffect and event handlers
+
+import { useEffect, useState } from 'react';
+import { STATUS_COLORS } from './RollCall';
+
+const inputStyle = { padding: '8px', borderRadius: '8px', border: '1px solid #ddd' };
+
+// Props:
+// - from, to: the initial range as YYYY-MM-DD
+export default function AttendanceSummary({ from: initialFrom, to: initialTo }) {
+  const [from, setFrom] = useState(initialFrom);
+  const [to, setTo] = useState(initialTo);
+
+  // State: { from, to, students } from the API (null until loaded)
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!from || !to) return;
+    const controller = new AbortController();
+
+    fetch(`/api/attendance/summary?${new URLSearchParams({ from, to })}`, { signal: controller.signal })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load summary');
+        setSummary(data);
+        setError('');
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [from, to]);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '1rem' }}>
+        From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+        to <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+      </div>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {!summary && !error && <p>Loading summary...</p>}
+
+      {summary && (summary.students.length === 0 ? (
+        <p style={{ color: '#666', fontStyle: 'italic' }}>No attendance recorded in this period.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+              <th style={{ padding: '8px' }}>Student</th>
+              {Object.keys(STATUS_COLORS).map((status) => (
+                <th key={status} style={{ padding: '8px', textAlign: 'right', color: STATUS_COLORS[status] }}>{status}</th>
+              ))}
+              <th style={{ padding: '8px', textAlign: 'right' }}>Attendance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.students.map((row) => (
+              <tr key={row.student._id} style={{ borderBottom: '1px solid #eee' }}>
+                <td style={{ padding: '8px' }}>
+                  <strong>{row.student.name}</strong>
+                  <div style={{ fontSize: '0.8rem', color: '#888' }}>{row.student.email}</div>
+                </td>
+                {Object.keys(STATUS_COLORS).map((status) => (
+                  <td key={status} style={{ padding: '8px', textAlign: 'right' }}>{row[status]}</td>
+                ))}
+                <td style={{ padding: '8px', textAlign: 'right', fontWeight: '600' }}>
+                  {row.percentage === null ? '—' : `${row.percentage}%`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+      <p style={{ color: '#888', fontSize: '0.85rem' }}>
+        Attendance = (present + late) ÷ (recorded days − excused).
+      </p>
+    </div>
+  );
+}
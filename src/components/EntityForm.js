@@ -0,0 +1,421 @@
+// Reusable form for Adding and Editing any entity (students, instructors, ...)
+// The inputs are generated from the field list served by GET /api/schema/[entity],
+// so the form follows the Mongoose schema instead of hard-coding fields
+// Works with REST API (POST / PUT) and triggers list refresh via callback
+// Edits are version-checked: PUT sends If-Match with the ETag from GET, and a
+// 412 (someone else saved first) opens a conflict dialog to merge or overwrite
+// Saved records also get a photo / documents panel (uploads need an id to attach to)
+
+'use client'; // This is a Client Component — required for useState, useEffect, and form interaction
+
+import { useState, useEffect } from 'react'; // React hooks for state and side effects
+import { ENTITIES } from '@/lib/entities';   // Labels + API paths per entity
+import Attachments from './Attachments';      // Photo + document uploads (edit mode)
+
+// Shared style for every generated input
+const inputStyle = {
+  width: '100%',
+  padding: '12px',
+  marginBottom: '12px',
+  border: '1px solid #ddd',
+  borderRadius: '8px',
+  fontSize: '1rem'
+};
+
+// Empty input values for every field (checkboxes start unchecked)
+const emptyFormData = (fields) =>
+  Object.fromEntries(fields.map((field) => [field.name, field.type === 'checkbox' ? false : '']));
+
+// Read a field from a document — names can be dotted paths ("address.city", "customFields.house")
+const getPath = (item, name) => name.split('.').reduce((value, key) => value?.[key], item);
+
+// Convert a document into form input values
+const toFormData = (fields, item) =>
+  Object.fromEntries(fields.map(({ name, type }) => {
+    const value = getPath(item, name);
+    if (type === 'checkbox') return [name, Boolean(value)];
+    if (type === 'date') return [name, value ? String(value).slice(0, 10) : '']; // <input type="date"> wants YYYY-MM-DD
+    return [name, value ?? ''];
+  }));
+
+// Convert one form input value for the API
+// Numbers are sent as numbers; empty inputs become null so optional fields can be cleared
+const toPayloadValue = (type, value) => {
+  if (type === 'checkbox') return Boolean(value);
+  if (value === '' || value === null || value === undefined) return null;
+  if (type === 'number') return Number(value);
+  return value;
+};
+
+// Convert form input values into the JSON body for the API
+// Dotted names are sent as nested objects: "address.city" → { address: { city } }
+const toPayload = (fields, data) => {
+  const payload = {};
+  for (const { name, type } of fields) {
+    const keys = name.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((object, key) => (object[key] ??= {}), payload);
+    target[last] = toPayloadValue(type, data[name]);
+  }
+  return payload;
+};
+
+// Props:
+// - entity: key in ENTITIES, e.g. 'students'
+// - fields: field descriptors from GET /api/schema/[entity]
+// - itemToEdit: object (if editing) or null/undefined (if adding)
+// - onClose: callback to close modal (used only in edit mode)
+// - onSaved: optional callback after a successful save
+// - fetchItems: function from EntityList to refresh the list after save
+export default function EntityForm({ entity, fields, itemToEdit, onClose, onSaved, fetchItems }) {
+  const { label, apiPath } = ENTITIES[entity];
+
+  // Detect if we're in "edit" mode (itemToEdit exists)
+  const isEdit = !!itemToEdit;
+
+  // Local form state — holds current input values
+  const [formData, setFormData] = useState(() => emptyFormData(fields));
+
+  // Loading state to disable button and show feedback during API call
+  const [loading, setLoading] = useState(false);
+
+  // ETag (version) of the record being edited — sent back as If-Match on save
+  const [etag, setEtag] = useState(null);
+
+  // Conflict state after a 412: { current, etag, choices: { field: 'mine' | 'theirs' } }
+  const [conflict, setConflict] = useState(null);
+
+  // When itemToEdit changes (e.g., user clicks "Edit"), pre-fill the form,
+  // then load the latest version from the API to get its ETag
+  useEffect(() => {
+    if (!itemToEdit) return;
+
+    setFormData(toFormData(fields, itemToEdit));
+    setConflict(null);
+
+    let cancelled = false;
+    fetch(`${apiPath}/${itemToEdit._id}`)
+      .then(async (res) => {
+        if (!res.ok || cancelled) return;
+        const latest = await res.json();
+        setEtag(res.headers.get('ETag'));
+        setFormData(toFormData(fields, latest));
+      })
+      .catch((err) => console.error(`Failed to load ${label.toLowerCase()}:`, err));
+
+    return () => { cancelled = true; };
+  }, [itemToEdit, fields, apiPath, label]); // Re-run when a different record is selected for editing
+
+  // Generic input change handler — updates state when user types
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Send the form to the API — handles both Add (POST) and Edit (PUT)
+  // `data` / `ifMatch` are overridden when resolving a conflict
+  const save = async (data = formData, ifMatch = etag) => {
+    setLoading(true);             // Show loading state
+
+    // Determine API endpoint and HTTP method based on mode
+    const url = isEdit ? `${apiPath}/${itemToEdit._id}` : apiPath;
+    const method = isEdit ? 'PUT' : 'POST';
+
+    try {
+      // Immutable fields can be set on create but not sent on update
+      const payload = toPayload(isEdit ? fields.filter((field) => !field.immutable) : fields, data);
+
+      // Send request to our REST API
+      const res = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(isEdit && ifMatch ? { 'If-Match': ifMatch } : {}), // Version check for edits
+        },
+        body: JSON.stringify(payload),
+      });
+
+      // Someone else saved this record since we loaded it → let the user decide
+      if (res.status === 412) {
+        const { current } = await res.json();
+        setConflict({ current, etag: res.headers.get('ETag'), choices: {} });
+        return;
+      }
+
+      // Success path
+      if (res.ok) {
+        // Reset form to blank (only matters for "Add" mode)
+        setFormData(emptyFormData(fields));
+        setConflict(null);
+
+        // Close edit modal (if in edit mode)
+        onClose?.();
+
+        // Trigger list refresh so the new/updated record appears immediately
+        fetchItems?.();
+
+        onSaved?.();
+      }
+      // Error path — API returned error status
+      else {
+        const err = await res.json();
+        // Validation errors come with per-field messages → list them all
+        const details = err.fields ? Object.values(err.fields).join('\n') : '';
+        alert(details ? `${err.error}:\n${details}` : err.error || `Failed to save ${label.toLowerCase()}`);
+      }
+    }
+    // Network or JSON parsing errors
+    catch (err) {
+      console.error('Form submit error:', err);
+      alert('Network error — check your connection');
+    }
+    // Always runs — re-enable button
+    finally {
+      setLoading(false);
+    }
+  };
+
+  // Form submit handler
+  const handleSubmit = (e) => {
+    e.preventDefault();           // Prevent page reload
+    save();
+  };
+
+  // Fields where the user's value differs from the server's current value
+  const conflictFields = conflict
+    ? fields
+      .map((field) => field.name)
+      .filter((name) => String(toFormData(fields, conflict.current)[name]) !== String(formData[name]))
+    : [];
+
+  // Pick "mine" or "theirs" for one field in the conflict dialog
+  const chooseVersion = (field, choice) => {
+    setConflict(prev => ({ ...prev, choices: { ...prev.choices, [field]: choice } }));
+  };
+
+  // Save the merged values on top of the server's latest version
+  const saveMerged = () => {
+    const theirs = toFormData(fields, conflict.current);
+    const merged = { ...formData };
+    conflictFields.forEach((field) => {
+      if (conflict.choices[field] === 'theirs') merged[field] = theirs[field];
+    });
+    setFormData(merged);
+    setEtag(conflict.etag);
+    save(merged, conflict.etag);
+  };
+
+  // Throw away local edits and continue from the server's version
+  const useServerVersion = () => {
+    setFormData(toFormData(fields, conflict.current));
+    setEtag(conflict.etag);
+    setConflict(null);
+  };
+
+  // One input per schema field
+  const renderField = (field) => {
+    const disabled = isEdit && field.immutable;
+
+    if (field.type === 'checkbox') {
+      return (
+        <label key={field.name} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+          <input
+            type="checkbox"
+            name={field.name}
+            checked={formData[field.name]}
+            onChange={handleChange}
+            disabled={disabled}
+          />
+          {field.label}
+        </label>
+      );
+    }
+
+    if (field.options) {
+      return (
+        <select
+          key={field.name}
+          name={field.name}
+          value={formData[field.name]}
+          onChange={handleChange}
+          required={field.required}
+          disabled={disabled}
+          style={inputStyle}
+        >
+          <option value="">{field.label}</option>
+          {field.options.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        key={field.name}
+        name={field.name}
+        type={field.type}
+        placeholder={field.label}
+        title={field.label}
+        value={formData[field.name]}
+        onChange={handleChange}
+        required={field.required}
+        min={field.min}
+        max={field.max}
+        disabled={disabled}
+        style={inputStyle}
+      />
+    );
+  };
+
+  // Render the form UI
+  return (
+    <div style={{
+      background: 'white',
+      padding: '2rem',
+      borderRadius: '12px',
+      boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+      maxWidth: '500px',
+      margin: '2rem auto',
+      fontFamily: 'system-ui, sans-serif'
+    }}>
+      {/* Dynamic title based on mode */}
+      <h2 style={{ margin: '0 0 1.5rem 0', fontSize: '1.5rem' }}>
+        {isEdit ? `Edit ${label}` : `Add New ${label}`}
+      </h2>
+
+      {/* HTML form — submits via handleSubmit */}
+      <form onSubmit={handleSubmit}>
+        {fields.map(renderField)}
+
+        {/* Button row */}
+        <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+          <button
+            type="submit"
+            disabled={loading}
+            style={{
+              flex: 1,
+              padding: '14px',
+              background: loading ? '#999' : '#0070f3',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: loading ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {loading ? 'Saving...' : isEdit ? `Update ${label}` : `Add ${label}`}
+          </button>
+
+          {/* Cancel button only shown in edit mode */}
+          {isEdit && (
+            <button
+              type="button"
+              onClick={onClose}
+              style={{
+                padding: '14px 20px',
+                background: '#f0f0f0',
+                border: '1px solid #ddd',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Conflict dialog — shown after a 412 from PUT */}
+      {conflict && (
+        <div style={{
+          marginTop: '1.5rem',
+          padding: '1rem',
+          border: '1px solid #e67e22',
+          borderRadius: '8px',
+          background: '#fff8f0'
+        }}>
+          <strong>This {label.toLowerCase()} was changed by someone else while you were editing.</strong>
+
+          {conflictFields.length === 0 ? (
+            <p style={{ margin: '8px 0' }}>None of your values conflict with theirs.</p>
+          ) : (
+            <table style={{ width: '100%', margin: '12px 0', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ textAlign: 'left' }}>
+                  <th>Field</th>
+                  <th>Yours</th>
+                  <th>Theirs</th>
+                </tr>
+              </thead>
+              <tbody>
+                {conflictFields.map((field) => (
+                  <tr key={field}>
+                    <td style={{ padding: '4px 0' }}>{field}</td>
+                    <td>
+                      <label>
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={conflict.choices[field] !== 'theirs'}
+                          onChange={() => chooseVersion(field, 'mine')}
+                        />{' '}
+                        {String(formData[field])}
+                      </label>
+                    </td>
+                    <td>
+                      <label>
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={conflict.choices[field] === 'theirs'}
+                          onChange={() => chooseVersion(field, 'theirs')}
+                        />{' '}
+                        {String(getPath(conflict.current, field) ?? '')}
+                      </label>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            <button
+              type="button"
+              onClick={saveMerged}
+              disabled={loading}
+              style={{
+                padding: '10px 14px',
+                background: '#0070f3',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              {conflictFields.length === 0 ? 'Save anyway' : 'Save selected values'}
+            </button>
+            <button
+              type="button"
+              onClick={useServerVersion}
+              style={{
+                padding: '10px 14px',
+                background: '#f0f0f0',
+                border: '1px solid #ddd',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              Discard my changes
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Files are attached to a saved record — only available when editing */}
+      {isEdit && <Attachments apiPath={apiPath} id={itemToEdit._id} onChange={fetchItems} />}
+    </div>
+  );
+}
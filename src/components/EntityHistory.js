@@ -0,0 +1,134 @@
+// Audit history panel for a single record (student, instructor, ...)
+// Loads events from GET /api/audit (newest first) with "Load more" paging
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { ENTITIES } from '@/lib/entities';
+
+// Props:
+// - entity: key in ENTITIES, e.g. 'students'
+// - item: the record whose history is shown
+// - onClose: callback to close the panel
+export default function EntityHistory({ entity, item, onClose }) {
+  const { auditEntity } = ENTITIES[entity];
+
+  // State: audit events loaded so far
+  const [events, setEvents] = useState([]);
+
+  // State: cursor for the next page (null = no more events)
+  const [nextCursor, setNextCursor] = useState(null);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Fetch one page of history; `after` appends to what we already have
+  const fetchEvents = useCallback(async (after) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ entity: auditEntity, id: item._id, limit: '20' });
+      if (after) params.set('after', after);
+
+      const res = await fetch(`/api/audit?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load history');
+
+      setEvents(prev => (after ? [...prev, ...data.items] : data.items));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to fetch history:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [auditEntity, item._id]);
+
+  // Load the first page whenever a different record is opened
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  // Render a changed value compactly (objects as JSON, null as an em dash)
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      padding: '2rem',
+      borderRadius: '12px',
+      boxShadow: '0 10px 30px rgba(0,0,0,0.2)',
+      width: '600px',
+      maxWidth: '90vw',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+      fontFamily: 'system-ui, sans-serif'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+        <h2 style={{ margin: 0, fontSize: '1.5rem' }}>History — {item.name}</h2>
+        <button
+          onClick={onClose}
+          style={{
+            padding: '8px 14px',
+            background: '#f0f0f0',
+            border: '1px solid #ddd',
+            borderRadius: '8px',
+            cursor: 'pointer'
+          }}
+        >
+          Close
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+
+      {!loading && !error && events.length === 0 && (
+        <p style={{ color: '#666', fontStyle: 'italic' }}>No recorded changes.</p>
+      )}
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {events.map((event) => (
+          <li
+            key={event._id}
+            style={{ padding: '12px 0', borderBottom: '1px solid #eee' }}
+          >
+            <div>
+              <strong style={{ textTransform: 'capitalize' }}>{event.action}</strong>
+              <span style={{ color: '#888', marginLeft: '8px' }}>
+                {new Date(event.createdAt).toLocaleString()} by {event.actor}
+                {event.actorRole && ` (${event.actorRole})`}
+              </span>
+            </div>
+
+            {/* One line per changed field: before → after */}
+            {Object.entries(event.changes || {}).map(([field, change]) => (
+              <div key={field} style={{ fontSize: '0.9rem', color: '#444', marginTop: '4px' }}>
+                <code>{field}</code>: {formatValue(change.before)} → {formatValue(change.after)}
+              </div>
+            ))}
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p>Loading history...</p>}
+
+      {nextCursor && !loading && (
+        <button
+          onClick={() => fetchEvents(nextCursor)}
+          style={{
+            marginTop: '1rem',
+            padding: '10px 16px',
+            background: '#f0f0f0',
+            border: '1px solid #ddd',
+            borderRadius: '8px',
+            cursor: 'pointer'
+          }}
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,831 @@
+// Client-side component that displays the list of any entity (students, instructors, ...)
+// Handles loading, editing (via modal), deleting (with undo), the trash view,
+// per-record change history (via modal), search-as-you-type with a filter bar,
+// and refresh coordination
+//
+// The search text and filters live in the page URL (/students?q=ann&minAge=20)
+// so a filtered view can be bookmarked or shared
+
+'use client'; // Required: uses useState, useEffect, and event handlers
+
+import { useCallback, useEffect, useRef, useState } from 'react'; // React hooks for state, refs and lifecycle
+import Image from 'next/image';                  // Avatar thumbnails
+import EntityForm from './EntityForm';           // Reusable form for add/edit (used in modal)
+import EntityHistory from './EntityHistory';     // Audit history panel (used in modal)
+import { ENTITIES } from '@/lib/entities';       // Labels + API paths per entity
+
+// Number of records shown per page
+const PAGE_SIZE = 20;
+
+// How long the "Undo" toast stays visible after a delete (ms)
+const UNDO_TIMEOUT = 6000;
+
+// Wait this long after the last keystroke before querying the server (ms)
+const SEARCH_DEBOUNCE = 300;
+
+// Live events arrive in bursts (e.g. an import) — reload at most once per this window (ms)
+const LIVE_RELOAD_DELAY = 500;
+
+// Search box + filter bar values — the keys double as URL and API query parameters
+const EMPTY_FILTERS = { q: '', minAge: '', maxAge: '', createdAfter: '', createdBefore: '' };
+
+// Read the filters (and the active tab) from the current page URL
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const filters = { ...EMPTY_FILTERS };
+  for (const key of Object.keys(EMPTY_FILTERS)) {
+    filters[key] = params.get(key) || '';
+  }
+  return { filters, deleted: params.get('deleted') === 'true' };
+}
+
+// Only the filters that are set, as query parameters
+function filterParams(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value.trim() !== '') params.set(key, value.trim());
+  }
+  return params;
+}
+
+// Render `text` with the matched character ranges from the search API in <mark>
+function Highlight({ text, ranges }) {
+  if (!ranges?.length) return text;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+}
+
+// Profile photo thumbnail, or the initials when there's no photo (or the record is in the trash —
+// its files can't be loaded until it's restored)
+function Avatar({ apiPath, item, trashed }) {
+  const size = 44;
+  if (item.photo && !trashed) {
+    return (
+      <Image
+        src={`${apiPath}/${item._id}/attachments/${item.photo}/thumbnail`}
+        alt=""
+        width={size}
+        height={size}
+        unoptimized // Already a small WebP thumbnail
+        style={{ borderRadius: '50%', objectFit: 'cover', flexShrink: 0 }}
+      />
+    );
+  }
+
+  const initials = (item.name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('');
+  return (
+    <span style={{
+      width: size,
+      height: size,
+      borderRadius: '50%',
+      background: '#e8f0fe',
+      color: '#0070f3',
+      fontWeight: '600',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      flexShrink: 0,
+    }}>
+      {initials}
+    </span>
+  );
+}
+
+// Display a field value in the list (dates without the time, booleans as Yes / No)
+function formatValue(field, value) {
+  if (field.type === 'date') return new Date(value).toLocaleDateString();
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+// Shared style for the small grey buttons (tabs, paging, toast)
+const secondaryButtonStyle = {
+  padding: '10px 16px',
+  background: '#f0f0f0',
+  border: '1px solid #ddd',
+  borderRadius: '8px',
+  cursor: 'pointer'
+};
+
+// Search box and filter bar inputs
+const filterInputStyle = {
+  padding: '8px',
+  borderRadius: '8px',
+  border: '1px solid #ddd'
+};
+const filterLabelStyle = { display: 'flex', alignItems: 'center', gap: '6px', color: '#666' };
+
+// Props:
+// - entity: key in ENTITIES, e.g. 'students'
+// - fields: field descriptors from GET /api/schema/[entity] (passed on to the edit form)
+// - onLoaded: callback function to pass the fetchItems() function up to parent
+//             This allows EntityForm (or parent) to trigger a refresh after save
+//
+// Changes made elsewhere (other tabs, other users) arrive over GET /api/events
+// and are applied live: edits in place, everything else by reloading the page
+export default function EntityList({ entity, fields, onLoaded }) {
+  const { label, plural, apiPath, pagePath, auditEntity, bulkPath } = ENTITIES[entity];
+  const noun = label.toLowerCase();
+  const pluralNoun = plural.toLowerCase();
+
+  // Fields shown next to the name (name and email have their own lines)
+  // Nested ones (address.city, customFields.x) are only shown in the edit form
+  const detailFields = fields.filter((field) => field.name !== 'name' && field.name !== 'email' && !field.name.includes('.'));
+
+  // The age range filter (minAge / maxAge) only applies to entities with an age
+  // (stored, or computed from the date of birth — then records carry `age` too)
+  const hasBirthDate = fields.some((field) => field.name === 'dateOfBirth');
+  const hasAge = hasBirthDate || fields.some((field) => field.name === 'age');
+
+  // State: the current page of records from the database
+  const [items, setItems] = useState([]);
+
+  // State: paging info — total count plus the query params of the next/previous
+  // page ({ after } / { before } for the list, { page } for search results; null = none)
+  const [pageInfo, setPageInfo] = useState({ total: 0, next: null, prev: null });
+
+  // Ref: what we're showing — which tab (live records or trash), which filters
+  // and which page (cursor {} for the first page, see pageInfo for others)
+  // Kept in a ref (not state) so the refresh function handed to the parent
+  // always reloads the view currently shown, not the one it was created on
+  const queryRef = useRef({ deleted: false, cursor: {}, filters: EMPTY_FILTERS });
+
+  // Ref: the request in flight, so newer input can cancel it
+  const abortRef = useRef(null);
+
+  // State: what's typed in the search box / filter bar (applied after SEARCH_DEBOUNCE)
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  // State: which tab is active — mirrors queryRef.current.deleted for rendering
+  const [showTrash, setShowTrash] = useState(false);
+
+  // State: the last deleted record, offered in the "Undo" toast (null = no toast)
+  const [undoItem, setUndoItem] = useState(null);
+  const undoTimerRef = useRef(null);
+
+  // Timer for the pending reload triggered by live events
+  const liveReloadRef = useRef(null);
+
+  // State: controls initial loading spinner
+  const [loading, setLoading] = useState(true);
+
+  // State: holds the record currently being edited (null = no modal)
+  const [editingItem, setEditingItem] = useState(null);
+
+  // State: holds the record whose history is open (null = no modal)
+  const [historyItem, setHistoryItem] = useState(null);
+
+  // State: ids of the records ticked for a bulk action (only on the current page)
+  const [selected, setSelected] = useState([]);
+
+  // State: the "Update selected" form — which field to set and to what
+  const [bulkField, setBulkField] = useState('');
+  const [bulkValue, setBulkValue] = useState('');
+
+  // State: why the last search/filter request failed (e.g. "Unknown search field"), shown under the filter bar
+  const [queryError, setQueryError] = useState(null);
+
+  // Core function: fetches one page of records (or of the trash) from our REST API
+  // This function is shared with parent and EntityForm for manual refresh
+  // Called without arguments it reloads the current view
+  // Memoized per entity, so the effects below only re-run when the entity changes
+  const fetchItems = useCallback(async (query = queryRef.current) => {
+    // Cancel the previous request — its results would be out of date anyway
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    // Search text on the live tab → ranked results from e.g. /api/students/search;
+    // otherwise the regular list (the trash is narrowed with the same q + filters)
+    const searching = !query.deleted && query.filters.q.trim() !== '';
+
+    try {
+      const params = filterParams(query.filters);
+      params.set('limit', String(PAGE_SIZE));
+      for (const [key, value] of Object.entries(query.cursor)) params.set(key, value);
+      if (query.deleted) params.set('deleted', 'true');
+      const url = searching ? `${apiPath}/search?${params}` : `${apiPath}?${params}`;
+      const res = await fetch(url, { signal: controller.signal });
+
+      // Parse JSON response → { items, total, nextCursor, prevCursor } (list)
+      // or { items, total, page, limit } (search)
+      const data = await res.json();
+
+      // Session expired or missing → send the user to the login page
+      if (res.status === 401) {
+        window.location.href = `/login?next=${pagePath}`;
+        return;
+      }
+
+      // A cursor can go stale (e.g. its record was deleted) → fall back to the first page
+      if (!res.ok) {
+        if (Object.keys(query.cursor).length > 0) return fetchItems({ ...query, cursor: {} });
+        // Bad search syntax or filter value → tell the user, keep the current results
+        if (res.status === 400) {
+          setQueryError(data.error);
+          return;
+        }
+        throw new Error(data.error || `Failed to fetch ${pluralNoun}`);
+      }
+      setQueryError(null);
+
+      // Update state with fresh data
+      setItems(data.items);
+      // Keep only the ticked records that are still shown (a new page / tab / filter clears them)
+      setSelected((current) => current.filter((id) => data.items.some((item) => item._id === id)));
+      if (searching) {
+        setPageInfo({
+          total: data.total,
+          next: data.page * data.limit < data.total ? { page: data.page + 1 } : null,
+          prev: data.page > 1 ? { page: data.page - 1 } : null,
+        });
+      } else {
+        setPageInfo({
+          total: data.total,
+          next: data.nextCursor ? { after: data.nextCursor } : null,
+          prev: data.prevCursor ? { before: data.prevCursor } : null,
+        });
+      }
+      queryRef.current = query;
+      setShowTrash(query.deleted);
+
+      // Mirror the view in the address bar (replace, so typing doesn't flood the history)
+      const urlParams = filterParams(query.filters);
+      if (query.deleted) urlParams.set('deleted', 'true');
+      const search = urlParams.toString();
+      window.history.replaceState(null, '', search ? `?${search}` : window.location.pathname);
+
+      // Important: Pass this exact function reference up to parent
+      // So it can be called later from EntityForm after add/edit
+      onLoaded?.(fetchItems);
+    } catch (err) {
+      // Superseded by a newer request → nothing to report
+      if (err.name === 'AbortError') return;
+      console.error(`Failed to fetch ${pluralNoun}:`, err);
+      // Optionally show user-facing error here
+    } finally {
+      // Always hide loading spinner (unless a newer request is still running)
+      if (abortRef.current === controller) setLoading(false);
+    }
+  }, [apiPath, pagePath, pluralNoun, onLoaded]);
+
+  // On component mount: restore the view from the URL and fetch the first page once
+  useEffect(() => {
+    const { filters: urlFilters, deleted } = readUrlState();
+    queryRef.current = { deleted, cursor: {}, filters: urlFilters };
+    setFilters(urlFilters);
+    fetchItems();
+    return () => abortRef.current?.abort();
+  }, [fetchItems]); // fetchItems is stable → runs only once on mount
+
+  // Search as you type: re-query once the input has been still for SEARCH_DEBOUNCE ms
+  useEffect(() => {
+    // Nothing changed since the last query (also true right after mount)
+    if (JSON.stringify(filters) === JSON.stringify(queryRef.current.filters)) return;
+
+    const timer = setTimeout(() => {
+      fetchItems({ ...queryRef.current, filters, cursor: {} });
+    }, SEARCH_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [filters, fetchItems]);
+
+  // Update one search/filter field
+  const updateFilter = (key, value) => setFilters((current) => ({ ...current, [key]: value }));
+
+  // Are any filters active? (changes the empty-state message)
+  const filtering = Object.values(queryRef.current.filters).some((value) => value.trim() !== '');
+
+  // Clear the undo timer when the list unmounts
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  // Live updates: subscribe to change events (EventSource reconnects by itself)
+  useEffect(() => {
+    const source = new EventSource('/api/events');
+
+    source.addEventListener('change', (message) => {
+      const event = JSON.parse(message.data);
+      if (event.entity !== auditEntity) return;
+
+      // An edit with the full document → patch the row if it's on this page
+      if (event.action === 'update' && event.doc) {
+        setItems((current) => current.map((item) => (
+          item._id === event.id ? { ...item, ...event.doc } : item
+        )));
+        return;
+      }
+
+      // Created / deleted / restored / purged → the page contents change, reload it
+      clearTimeout(liveReloadRef.current);
+      liveReloadRef.current = setTimeout(() => fetchItems(), LIVE_RELOAD_DELAY);
+    });
+
+    return () => {
+      source.close();
+      clearTimeout(liveReloadRef.current);
+    };
+  }, [auditEntity, fetchItems]);
+
+  // Switch between the live list and the trash (always starts at page 1)
+  const switchTab = (deleted) => fetchItems({ ...queryRef.current, deleted, cursor: {} });
+
+  // State: file format for "Export current view"
+  const [exportFormat, setExportFormat] = useState('csv');
+
+  // Download every record in the current view (not just this page), including
+  // the search and filters — the browser follows the attachment response of e.g. GET /api/students/export
+  const handleExport = () => {
+    const params = filterParams(queryRef.current.filters);
+    params.set('format', exportFormat);
+    if (queryRef.current.deleted) params.set('deleted', 'true');
+    window.location.href = `${apiPath}/export?${params}`;
+  };
+
+  // Delete handler — moves the record to the trash, refreshes the list
+  // and offers an "Undo" toast for a few seconds
+  const handleDelete = async (item) => {
+    if (!confirm(`Are you sure you want to delete this ${noun}?`)) return;
+
+    try {
+      const res = await fetch(`${apiPath}/${item._id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error('Delete failed');
+
+      // Refresh list immediately after successful delete
+      fetchItems();
+
+      clearTimeout(undoTimerRef.current);
+      setUndoItem(item);
+      undoTimerRef.current = setTimeout(() => setUndoItem(null), UNDO_TIMEOUT);
+    } catch (err) {
+      alert(`Failed to delete ${noun}`);
+    }
+  };
+
+  // Restore handler — used by the Trash tab and the "Undo" toast
+  const handleRestore = async (id) => {
+    try {
+      const res = await fetch(`${apiPath}/${id}/restore`, { method: 'POST' });
+      if (!res.ok) throw new Error('Restore failed');
+
+      clearTimeout(undoTimerRef.current);
+      setUndoItem(null);
+      fetchItems();
+    } catch (err) {
+      alert(`Failed to restore ${noun}`);
+    }
+  };
+
+  // Fields a bulk update may set (immutable ones can't change after creation)
+  const bulkFields = fields.filter((field) => !field.immutable && !field.name.includes('.'));
+  const bulkFieldInfo = bulkFields.find((field) => field.name === bulkField);
+
+  // Tick / untick one record, or every record on the page
+  const toggleSelected = (id) => setSelected((current) => (
+    current.includes(id) ? current.filter((other) => other !== id) : [...current, id]
+  ));
+  const allSelected = items.length > 0 && selected.length === items.length;
+  const toggleAll = () => setSelected(allSelected ? [] : items.map((item) => item._id));
+
+  // Bulk handler — one request for every ticked record, e.g. POST /api/students/bulk
+  // The server reports a status per record; we show the totals
+  const handleBulk = async (action, set) => {
+    if (!confirm(`Are you sure you want to ${action} ${selected.length} ${selected.length === 1 ? noun : pluralNoun}?`)) return;
+
+    try {
+      const res = await fetch(bulkPath, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ operations: [{ action, ids: selected, ...(set && { set }) }] }),
+      });
+      const data = await res.json();
+
+      // 409 = the transaction was rolled back because one record failed
+      if (!res.ok && res.status !== 409) {
+        const details = data.fields ? `\n${Object.values(data.fields).join('\n')}` : '';
+        throw new Error(`${data.error || 'Bulk action failed'}${details}`);
+      }
+
+      const summary = Object.entries(data.summary).map(([status, count]) => `${status}: ${count}`).join(', ');
+      const failed = data.results.find((result) => result.status === 'failed');
+      alert(data.committed
+        ? `Done — ${summary}${failed ? `\nFirst error: ${failed.error}` : ''}`
+        : `Nothing was changed — ${failed?.error || 'a record could not be updated'}`);
+
+      if (data.committed) setSelected([]);
+      fetchItems();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Show loading message while fetching initial data
+  if (loading) {
+    return <p>Loading {pluralNoun}...</p>;
+  }
+
+  return (
+    <div>
+      {/* Tabs: live records vs. trash */}
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '1rem' }}>
+        <button
+          onClick={() => switchTab(false)}
+          style={{ ...secondaryButtonStyle, fontWeight: showTrash ? 'normal' : '600' }}
+        >
+          {plural}
+        </button>
+        <button
+          onClick={() => switchTab(true)}
+          style={{ ...secondaryButtonStyle, fontWeight: showTrash ? '600' : 'normal' }}
+        >
+          Trash
+        </button>
+
+        {/* Export current view — pushed to the right */}
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            style={{ padding: '8px', borderRadius: '8px', border: '1px solid #ddd' }}
+          >
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (XLSX)</option>
+            <option value="json">JSON</option>
+          </select>
+          <button onClick={handleExport} style={secondaryButtonStyle}>
+            Export current view
+          </button>
+        </div>
+      </div>
+
+      {/* Search box + filter bar — results update as you type (debounced) */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '1rem' }}>
+        <input
+          type="search"
+          placeholder='Search name or email — e.g. ann, email:gmail, age:>20'
+          value={filters.q}
+          onChange={(e) => updateFilter('q', e.target.value)}
+          style={{ ...filterInputStyle, flex: '1 1 100%' }}
+        />
+        {hasAge && (
+          <label style={filterLabelStyle}>
+            Age
+            <input
+              type="number"
+              min="1"
+              placeholder="min"
+              value={filters.minAge}
+              onChange={(e) => updateFilter('minAge', e.target.value)}
+              style={{ ...filterInputStyle, width: '80px' }}
+            />
+            –
+            <input
+              type="number"
+              min="1"
+              placeholder="max"
+              value={filters.maxAge}
+              onChange={(e) => updateFilter('maxAge', e.target.value)}
+              style={{ ...filterInputStyle, width: '80px' }}
+            />
+          </label>
+        )}
+        <label style={filterLabelStyle}>
+          Created
+          <input
+            type="date"
+            value={filters.createdAfter}
+            onChange={(e) => updateFilter('createdAfter', e.target.value)}
+            style={filterInputStyle}
+          />
+          –
+          <input
+            type="date"
+            value={filters.createdBefore}
+            onChange={(e) => updateFilter('createdBefore', e.target.value)}
+            style={filterInputStyle}
+          />
+        </label>
+        {Object.values(filters).some((value) => value !== '') && (
+          <button onClick={() => setFilters(EMPTY_FILTERS)} style={{ ...secondaryButtonStyle, padding: '8px 12px' }}>
+            Clear
+          </button>
+        )}
+      </div>
+      {queryError && (
+        <p style={{ color: '#e74c3c', margin: '-0.5rem 0 1rem 0' }}>{queryError}</p>
+      )}
+
+      {/* Header with record count */}
+      <h2 style={{ margin: '0 0 1.5rem 0', fontSize: '1.8rem' }}>
+        {showTrash ? `Deleted ${plural}` : `All ${plural}`} ({pageInfo.total})
+      </h2>
+
+      {/* Bulk action bar — only for entities with a bulk endpoint */}
+      {bulkPath && items.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '1rem' }}>
+          <label style={filterLabelStyle}>
+            <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+            Select all on this page
+          </label>
+          {selected.length > 0 && (
+            <>
+              <span style={{ color: '#666' }}>{selected.length} selected</span>
+              {showTrash ? (
+                <button onClick={() => handleBulk('restore')} style={secondaryButtonStyle}>
+                  Restore selected
+                </button>
+              ) : (
+                <>
+                  <button onClick={() => handleBulk('delete')} style={secondaryButtonStyle}>
+                    Delete selected
+                  </button>
+                  {/* Update selected: set one field to the same value on every ticked record */}
+                  <select
+                    value={bulkField}
+                    onChange={(e) => { setBulkField(e.target.value); setBulkValue(''); }}
+                    style={filterInputStyle}
+                  >
+                    <option value="">Set field…</option>
+                    {bulkFields.map((field) => (
+                      <option key={field.name} value={field.name}>{field.label}</option>
+                    ))}
+                  </select>
+                  {bulkFieldInfo && (
+                    <>
+                      {bulkFieldInfo.type === 'checkbox' ? (
+                        <select value={bulkValue} onChange={(e) => setBulkValue(e.target.value)} style={filterInputStyle}>
+                          <option value="">—</option>
+                          <option value="true">Yes</option>
+                          <option value="false">No</option>
+                        </select>
+                      ) : bulkFieldInfo.options ? (
+                        <select value={bulkValue} onChange={(e) => setBulkValue(e.target.value)} style={filterInputStyle}>
+                          <option value="">—</option>
+                          {bulkFieldInfo.options.map((option) => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type={bulkFieldInfo.type}
+                          value={bulkValue}
+                          onChange={(e) => setBulkValue(e.target.value)}
+                          style={filterInputStyle}
+                        />
+                      )}
+                      <button
+                        onClick={() => handleBulk('update', { [bulkField]: bulkValue })}
+                        disabled={bulkValue === ''}
+                        style={{ ...secondaryButtonStyle, cursor: bulkValue === '' ? 'not-allowed' : 'pointer' }}
+                      >
+                        Update selected
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Edit Modal — appears when editingItem is not null */}
+      {editingItem && (
+        <div
+          style={{
+            position: 'fixed',
+            top: 0, left: 0, right: 0, bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            backdropFilter: 'blur(4px)' // Optional: nice visual effect
+          }}
+          onClick={() => setEditingItem(null)} // Click outside → close
+        >
+          {/* Prevent click from bubbling up and closing modal */}
+          <div onClick={(e) => e.stopPropagation()}>
+            <EntityForm
+              entity={entity}
+              fields={fields}
+              itemToEdit={editingItem}
+              onClose={() => setEditingItem(null)}
+              fetchItems={fetchItems} // Critical: pass refresh function
+            />
+          </div>
+        </div>
+      )}
+
+      {/* History Modal — appears when historyItem is not null */}
+      {historyItem && (
+        <div
+          style={{
+            position: 'fixed',
+            top: 0, left: 0, right: 0, bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            backdropFilter: 'blur(4px)'
+          }}
+          onClick={() => setHistoryItem(null)} // Click outside → close
+        >
+          <div onClick={(e) => e.stopPropagation()}>
+            <EntityHistory
+              entity={entity}
+              item={historyItem}
+              onClose={() => setHistoryItem(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Empty state */}
+      {items.length === 0 ? (
+        <p style={{ color: '#666', fontStyle: 'italic' }}>
+          {filtering
+            ? `No ${pluralNoun} match your search.`
+            : showTrash ? 'Trash is empty.' : `No ${pluralNoun} yet. Add one above!`}
+        </p>
+      ) : (
+        /* Record list */
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {items.map((item) => (
+            <li
+              key={item._id} // Important: unique key for React reconciliation
+              style={{
+                padding: '18px',
+                marginBottom: '12px',
+                background: '#ffffff',
+                borderRadius: '12px',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                transition: 'transform 0.2s',
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.transform = 'translateY(-2px)'}
+              onMouseLeave={(e) => e.currentTarget.style.transform = 'translateY(0)'}
+            >
+              {/* Checkbox for bulk actions + record info */}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
+                {bulkPath && (
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(item._id)}
+                    onChange={() => toggleSelected(item._id)}
+                    aria-label={`Select ${item.name}`}
+                  />
+                )}
+                <Avatar apiPath={apiPath} item={item} trashed={showTrash} />
+                <div>
+                  {/* Search results carry highlights: { name: [[start, end]], email: [...] } */}
+                  <strong style={{ fontSize: '1.2rem' }}>
+                    <Highlight text={item.name} ranges={item.highlights?.name} />
+                  </strong>
+                  {detailFields.length > 0 && (
+                    <span style={{ color: '#666', marginLeft: '8px' }}>
+                      ({[
+                        ...(hasBirthDate && item.age !== undefined && item.age !== null ? [`Age: ${item.age}`] : []),
+                        ...detailFields
+                          .filter((field) => item[field.name] !== undefined && item[field.name] !== null)
+                          .map((field) => `${field.label}: ${formatValue(field, item[field.name])}`),
+                      ].join(' · ')})
+                    </span>
+                  )}
+                  <br />
+                  <small style={{ color: '#888' }}>
+                    <Highlight text={item.email} ranges={item.highlights?.email} />
+                  </small>
+                  {showTrash && (
+                    <small style={{ color: '#e74c3c', marginLeft: '8px' }}>
+                      Deleted {new Date(item.deletedAt).toLocaleString()}
+                    </small>
+                  )}
+                </div>
+              </div>
+
+              {/* Action buttons — trash items can only be restored (or inspected) */}
+              {showTrash ? (
+                <div style={{ display: 'flex', gap: '10px' }}>
+                  <button
+                    onClick={() => handleRestore(item._id)}
+                    style={{
+                      padding: '10px 16px',
+                      background: '#27ae60',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      fontWeight: '600'
+                    }}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => setHistoryItem(item)}
+                    style={secondaryButtonStyle}
+                  >
+                    History
+                  </button>
+                </div>
+              ) : (
+                <div style={{ display: 'flex', gap: '10px' }}>
+                  <button
+                    onClick={() => setHistoryItem(item)}
+                    style={secondaryButtonStyle}
+                  >
+                    History
+                  </button>
+                  <button
+                    onClick={() => setEditingItem(item)}
+                    style={{
+                      padding: '10px 16px',
+                      background: '#0070f3',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      fontWeight: '600'
+                    }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(item)}
+                    style={{
+                      padding: '10px 16px',
+                      background: '#e74c3c',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      fontWeight: '600'
+                    }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Pagination controls — only shown when there is more than one page */}
+      {(pageInfo.prev || pageInfo.next) && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+          <button
+            onClick={() => fetchItems({ ...queryRef.current, cursor: pageInfo.prev })}
+            disabled={!pageInfo.prev}
+            style={{ ...secondaryButtonStyle, cursor: pageInfo.prev ? 'pointer' : 'not-allowed' }}
+          >
+            ← Previous
+          </button>
+          <button
+            onClick={() => fetchItems({ ...queryRef.current, cursor: pageInfo.next })}
+            disabled={!pageInfo.next}
+            style={{ ...secondaryButtonStyle, cursor: pageInfo.next ? 'pointer' : 'not-allowed' }}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+
+      {/* Undo toast — shown for a few seconds after a delete */}
+      {undoItem && (
+        <div style={{
+          position: 'fixed',
+          bottom: '2rem',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: '#333',
+          color: 'white',
+          padding: '14px 20px',
+          borderRadius: '8px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '16px',
+          zIndex: 1000
+        }}>
+          <span>{undoItem.name} moved to trash</span>
+          <button
+            onClick={() => handleRestore(undoItem._id)}
+            style={{ ...secondaryButtonStyle, padding: '6px 12px' }}
+          >
+            Undo
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
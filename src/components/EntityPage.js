@@ -0,0 +1,119 @@
+// Management page for one entity (used by /students and /instructors)
+// Loads the entity's fields from GET /api/schema/[entity], then coordinates
+// state between the Add form and the list (to trigger refresh after save)
+
+'use client'; // Required: uses useState, useEffect and passes functions as props
+
+import { useCallback, useEffect, useState } from 'react'; // React hooks for local state and loading the schema
+import Link from 'next/link';                  // Client-side navigation (dashboard, import page)
+import EntityForm from './EntityForm';         // Generic add/edit form
+import EntityList from './EntityList';         // Generic list with search, trash and history
+import { ENTITIES } from '@/lib/entities';     // Labels + API paths per entity
+
+// Props:
+// - entity: key in ENTITIES, e.g. 'students'
+export default function EntityPage({ entity }) {
+  const { label, importPath, customFieldsPath } = ENTITIES[entity];
+
+  // Field descriptors from the schema endpoint (null until loaded)
+  const [fields, setFields] = useState(null);
+  const [error, setError] = useState('');
+
+  // State to hold the refresh function provided by EntityList
+  // Initially null → no refresh function available yet
+  // We store the actual fetch function from EntityList so EntityForm can call it
+  const [refreshFn, setRefreshFn] = useState(null);
+
+  // Stable callback, so EntityList doesn't refetch every time this page re-renders
+  const handleLoaded = useCallback((fn) => setRefreshFn(() => fn), []);
+
+  // Load the form fields once per entity
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/schema/${entity}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load form');
+        if (!cancelled) setFields(data.fields);
+      })
+      .catch((err) => {
+        console.error('Failed to load schema:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [entity]);
+
+  return (
+    // Main container with responsive, clean styling
+    <div style={{
+      padding: '2rem',
+      maxWidth: '900px',
+      margin: '0 auto',           // Centers the content horizontally
+      fontFamily: 'sans-serif'    // Clean, readable default font
+    }}>
+
+      {/* Page title — visually prominent and centered */}
+      <h1 style={{
+        textAlign: 'center',
+        marginBottom: '2rem',
+        fontSize: '2.5rem',
+        fontWeight: 'bold'
+      }}>
+        {label} Management System
+      </h1>
+
+      {/* Dashboard, import and custom field links, log out (clears the session cookie and returns to the login page) */}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '16px', marginBottom: '1rem' }}>
+        <Link href="/" style={{ marginRight: 'auto' }}>← Dashboard</Link>
+        {importPath && <Link href={importPath}>Import from CSV / JSON</Link>}
+        {customFieldsPath && <Link href={customFieldsPath}>Custom fields</Link>}
+        <button
+          onClick={async () => {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            window.location.href = '/login';
+          }}
+          style={{
+            padding: '8px 14px',
+            background: '#f0f0f0',
+            border: '1px solid #ddd',
+            borderRadius: '8px',
+            cursor: 'pointer'
+          }}
+        >
+          Log out
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {!fields && !error && <p>Loading...</p>}
+
+      {fields && (
+        <>
+          {/*
+            EntityForm receives the refresh function
+            So after a successful add/edit, it can trigger list reload
+          */}
+          <EntityForm entity={entity} fields={fields} fetchItems={refreshFn} />
+
+          {/* Visual separator between form and list */}
+          <hr style={{
+            margin: '3rem 0',
+            border: '1px solid #eee',
+            opacity: 0.6
+          }} />
+
+          {/*
+            EntityList is responsible for loading data
+            When it loads, it calls onLoaded with its fetch function
+            We capture it here using setRefreshFn
+          */}
+          <EntityList
+            entity={entity}
+            fields={fields}
+            onLoaded={handleLoaded}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+// Grade-entry grid for one course — enrolled students (rows) × assessments (columns)
+// Edited cells are collected locally and saved in one request to
+// PUT /api/courses/[id]/gradebook; averages and letters come back from the server
+
+'use client'; // Required: uses useState, useEffect and event handlers
+
+import { useCallback, useEffect, useState } from 'react';
+
+const cellInputStyle = {
+  width: '70px',
+  padding: '6px',
+  borderRadius: '6px',
+  border: '1px solid #ddd',
+  textAlign: 'right',
+};
+
+const buttonStyle = {
+  padding: '10px 16px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: '600',
+};
+
+const EMPTY_ASSESSMENT = { title: '', maxScore: '100', weight: '1', dueDate: '' };
+
+// Key of one cell in the drafts / errors maps
+const cellKey = (studentId, assessmentId) => `${studentId}:${assessmentId}`;
+
+// Props:
+// - courseId: _id of the course whose gradebook is shown
+export default function GradeGrid({ courseId }) {
+  // State: { course, assessments, rows } from GET /api/courses/[id]/gradebook
+  const [gradebook, setGradebook] = useState(null);
+
+  // State: edited but unsaved cells → raw input value ('' clears the grade)
+  const [drafts, setDrafts] = useState({});
+
+  // State: per-cell messages from the last failed save
+  const [cellErrors, setCellErrors] = useState({});
+
+  // State: the "Add assessment" form
+  const [newAssessment, setNewAssessment] = useState(EMPTY_ASSESSMENT);
+
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Load (or reload) the grid; unsaved edits are dropped
+  const fetchGradebook = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/courses/${courseId}/gradebook`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load gradebook');
+
+      setGradebook(data);
+      setDrafts({});
+      setCellErrors({});
+      setError('');
+    } catch (err) {
+      console.error('Failed to load gradebook:', err);
+      setError(err.message);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    fetchGradebook();
+  }, [fetchGradebook]);
+
+  // Value shown in a cell: the draft if edited, else the saved score
+  const cellValue = (row, assessmentId) => {
+    const key = cellKey(row.student._id, assessmentId);
+    if (key in drafts) return drafts[key];
+    return row.scores[assessmentId] ?? '';
+  };
+
+  const updateCell = (studentId, assessmentId, value) => {
+    setDrafts((current) => ({ ...current, [cellKey(studentId, assessmentId)]: value }));
+    setMessage('');
+  };
+
+  // Save every edited cell in one request — the server rejects the whole batch if any cell is invalid
+  const handleSave = async () => {
+    const keys = Object.keys(drafts);
+    const grades = keys.map((key) => {
+      const [student, assessment] = key.split(':');
+      return { student, assessment, score: drafts[key] === '' ? null : drafts[key] };
+    });
+
+    setSaving(true);
+    setError('');
+    try {
+      const res = await fetch(`/api/courses/${courseId}/gradebook`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ grades }),
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        // fields look like { 'grades[3].score': '...' } → map back to the cell
+        const errors = {};
+        for (const [field, text] of Object.entries(data.fields || {})) {
+          const index = Number(/^grades\[(\d+)\]/.exec(field)?.[1]);
+          if (keys[index]) errors[keys[index]] = text;
+        }
+        setCellErrors(errors);
+        throw new Error(data.error || 'Failed to save grades');
+      }
+
+      setGradebook(data);
+      setDrafts({});
+      setCellErrors({});
+      setMessage(`Saved ${data.saved} score${data.saved === 1 ? '' : 's'}${data.cleared ? `, cleared ${data.cleared}` : ''}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Add a column — POST /api/assessments
+  const handleAddAssessment = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const payload = { ...newAssessment, course: courseId };
+      if (payload.dueDate === '') delete payload.dueDate;
+
+      const res = await fetch('/api/assessments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        const details = data.fields ? `: ${Object.values(data.fields).join(', ')}` : '';
+        throw new Error(`${data.error || 'Failed to add assessment'}${details}`);
+      }
+
+      setNewAssessment(EMPTY_ASSESSMENT);
+      fetchGradebook();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!gradebook) {
+    return error ? <p style={{ color: '#e74c3c' }}>{error}</p> : <p>Loading gradebook...</p>;
+  }
+
+  const { course, assessments, rows } = gradebook;
+  const editedCount = Object.keys(drafts).length;
+
+  return (
+    <div>
+      <h2 style={{ fontSize: '1.6rem', margin: '0 0 1rem 0' }}>
+        {course.code} — {course.title} <small style={{ color: '#888' }}>({course.term})</small>
+      </h2>
+
+      {/* Add assessment — becomes a new column */}
+      <form onSubmit={handleAddAssessment} style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '1.5rem' }}>
+        <input
+          placeholder="New assessment title"
+          value={newAssessment.title}
+          onChange={(e) => setNewAssessment({ ...newAssessment, title: e.target.value })}
+          required
+          style={{ ...cellInputStyle, width: '200px', textAlign: 'left' }}
+        />
+        <label>
+          Max{' '}
+          <input
+            type="number"
+            min="1"
+            value={newAssessment.maxScore}
+            onChange={(e) => setNewAssessment({ ...newAssessment, maxScore: e.target.value })}
+            required
+            style={cellInputStyle}
+          />
+        </label>
+        <label>
+          Weight{' '}
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={newAssessment.weight}
+            onChange={(e) => setNewAssessment({ ...newAssessment, weight: e.target.value })}
+            style={cellInputStyle}
+          />
+        </label>
+        <label>
+          Due{' '}
+          <input
+            type="date"
+            value={newAssessment.dueDate}
+            onChange={(e) => setNewAssessment({ ...newAssessment, dueDate: e.target.value })}
+            style={{ ...cellInputStyle, width: 'auto' }}
+          />
+        </label>
+        <button type="submit" style={{ ...buttonStyle, background: '#0070f3', cursor: 'pointer' }}>
+          Add assessment
+        </button>
+      </form>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {message && <p style={{ color: '#27ae60' }}>{message}</p>}
+
+      {rows.length === 0 ? (
+        <p style={{ color: '#666', fontStyle: 'italic' }}>No students are enrolled in this course.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Student</th>
+                {assessments.map((assessment) => (
+                  <th key={assessment._id} style={{ padding: '8px', textAlign: 'right' }}>
+                    {assessment.title}
+                    <div style={{ fontWeight: 'normal', fontSize: '0.8rem', color: '#888' }}>
+                      / {assessment.maxScore} · ×{assessment.weight}
+                      {assessment.dueDate && ` · ${new Date(assessment.dueDate).toLocaleDateString()}`}
+                    </div>
+                  </th>
+                ))}
+                <th style={{ padding: '8px', textAlign: 'right' }}>Average</th>
+                <th style={{ padding: '8px' }}>Grade</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.student._id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>
+                    <strong>{row.student.name}</strong>
+                    <div style={{ fontSize: '0.8rem', color: '#888' }}>{row.student.email}</div>
+                  </td>
+                  {assessments.map((assessment) => {
+                    const key = cellKey(row.student._id, assessment._id);
+                    return (
+                      <td key={assessment._id} style={{ padding: '8px', textAlign: 'right' }}>
+                        <input
+                          type="number"
+                          min="0"
+                          max={assessment.maxScore}
+                          step="any"
+                          value={cellValue(row, assessment._id)}
+                          onChange={(e) => updateCell(row.student._id, assessment._id, e.target.value)}
+                          title={cellErrors[key]}
+                          aria-label={`${row.student.name} — ${assessment.title}`}
+                          style={{
+                            ...cellInputStyle,
+                            borderColor: cellErrors[key] ? '#e74c3c' : key in drafts ? '#0070f3' : '#ddd',
+                          }}
+                        />
+                      </td>
+                    );
+                  })}
+                  <td style={{ padding: '8px', textAlign: 'right' }}>
+                    {row.average === null ? '—' : `${row.average}%`}
+                  </td>
+                  <td style={{ padding: '8px', fontWeight: '600' }}>{row.letter ?? '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Save / discard — averages are recalculated by the server on save */}
+      {rows.length > 0 && assessments.length > 0 && (
+        <div style={{ display: 'flex', gap: '10px', marginTop: '1rem' }}>
+          <button
+            onClick={handleSave}
+            disabled={saving || editedCount === 0}
+            style={{
+              ...buttonStyle,
+              background: saving || editedCount === 0 ? '#999' : '#27ae60',
+              cursor: saving || editedCount === 0 ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {saving ? 'Saving...' : `Save ${editedCount} change${editedCount === 1 ? '' : 's'}`}
+          </button>
+          {editedCount > 0 && (
+            <button
+              onClick={fetchGradebook}
+              style={{ ...buttonStyle, background: '#f0f0f0', color: '#333', border: '1px solid #ddd', cursor: 'pointer' }}
+            >
+              Discard
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+// Daily roll call — every student from /api/students with a status per row
+// Loads the day's existing records from GET /api/attendance/days/[date] and
+// saves all changed rows in one PUT to the same URL
+
+'use client'; // Required: uses useState, useEffect and event handlers
+
+import { useEffect, useState } from 'react';
+
+// Status → button colour
+export const STATUS_COLORS = {
+  present: '#27ae60',
+  late: '#e67e22',
+  absent: '#e74c3c',
+  excused: '#8e44ad',
+};
+
+const STATUSES = Object.keys(STATUS_COLORS);
+
+const buttonStyle = {
+  padding: '10px 16px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '8px',
+  fontWeight: '600',
+};
+
+/**
+ * Every live student, following nextCursor (the list endpoint caps a page at 100).
+ */
+async function fetchAllStudents() {
+  const students = [];
+  let after = null;
+
+  do {
+    const params = new URLSearchParams({ limit: '100', sort: 'name' });
+    if (after) params.set('after', after);
+
+    const res = await fetch(`/api/students?${params}`);
+    if (res.status === 401) {
+      window.location.href = '/login?next=/attendance';
+      return [];
+    }
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load students');
+
+    students.push(...data.items);
+    after = data.nextCursor;
+  } while (after);
+
+  return students;
+}
+
+// Props:
+// - date: the day to take the roll for, as YYYY-MM-DD
+export default function RollCall({ date }) {
+  // State: the roster (null until loaded)
+  const [students, setStudents] = useState(null);
+
+  // State: saved records of the day by student id → { status, note }
+  const [saved, setSaved] = useState({});
+
+  // State: changed rows by student id → { status, note } (status null = clear)
+  const [drafts, setDrafts] = useState({});
+
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Turn the day's records into { [studentId]: { status, note } }
+  const applyRecords = (records) => {
+    setSaved(Object.fromEntries(records.map((record) => [
+      record.student._id,
+      { status: record.status, note: record.note || '' },
+    ])));
+    setDrafts({});
+  };
+
+  // Load the roster and the day's records together
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([
+      fetchAllStudents(),
+      fetch(`/api/attendance/days/${date}`).then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load attendance');
+        return data.records;
+      }),
+    ])
+      .then(([roster, records]) => {
+        if (cancelled) return;
+        setStudents(roster);
+        applyRecords(records);
+      })
+      .catch((err) => {
+        console.error('Failed to load roll call:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [date]);
+
+  // Current value of a row: the draft if changed, else what's saved
+  const rowValue = (id) => drafts[id] || saved[id] || { status: null, note: '' };
+
+  const updateRow = (id, changes) => {
+    setDrafts((current) => ({ ...current, [id]: { ...rowValue(id), ...changes } }));
+    setMessage('');
+  };
+
+  // Mark everyone without a status as present
+  const markRestPresent = () => {
+    const updates = {};
+    for (const student of students) {
+      if (!rowValue(student._id).status) updates[student._id] = { ...rowValue(student._id), status: 'present' };
+    }
+    setDrafts((current) => ({ ...current, ...updates }));
+  };
+
+  // Save every changed row in one request
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const records = Object.entries(drafts).map(([student, { status, note }]) => ({ student, status, note }));
+      const res = await fetch(`/api/attendance/days/${date}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ records }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        const details = data.fields ? `: ${Object.values(data.fields).join(', ')}` : '';
+        throw new Error(`${data.error || 'Failed to save attendance'}${details}`);
+      }
+
+      applyRecords(data.records);
+      setMessage(`Saved ${data.saved} record${data.saved === 1 ? '' : 's'}${data.cleared ? `, cleared ${data.cleared}` : ''}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!students) {
+    return error ? <p style={{ color: '#e74c3c' }}>{error}</p> : <p>Loading roll call...</p>;
+  }
+
+  const changedCount = Object.keys(drafts).length;
+  const marked = students.filter((student) => rowValue(student._id).status).length;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '1rem' }}>
+        <span style={{ color: '#666' }}>{marked} of {students.length} marked</span>
+        <button
+          onClick={markRestPresent}
+          disabled={marked === students.length}
+          style={{ ...buttonStyle, background: '#f0f0f0', color: '#333', border: '1px solid #ddd', marginLeft: 'auto', cursor: 'pointer' }}
+        >
+          Mark the rest present
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+      {message && <p style={{ color: '#27ae60' }}>{message}</p>}
+
+      {students.length === 0 ? (
+        <p style={{ color: '#666', fontStyle: 'italic' }}>No students yet.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+              <th style={{ padding: '8px' }}>Student</th>
+              <th style={{ padding: '8px' }}>Status</th>
+              <th style={{ padding: '8px' }}>Note</th>
+            </tr>
+          </thead>
+          <tbody>
+            {students.map((student) => {
+              const { status, note } = rowValue(student._id);
+              return (
+                <tr
+                  key={student._id}
+                  style={{ borderBottom: '1px solid #eee', background: drafts[student._id] ? '#f5f9ff' : 'transparent' }}
+                >
+                  <td style={{ padding: '8px' }}>
+                    <strong>{student.name}</strong>
+                    <div style={{ fontSize: '0.8rem', color: '#888' }}>{student.email}</div>
+                  </td>
+                  <td style={{ padding: '8px' }}>
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                      {STATUSES.map((option) => (
+                        <button
+                          key={option}
+                          onClick={() => updateRow(student._id, { status: status === option ? null : option })}
+                          style={{
+                            padding: '6px 10px',
+                            borderRadius: '6px',
+                            border: `1px solid ${STATUS_COLORS[option]}`,
+                            background: status === option ? STATUS_COLORS[option] : 'white',
+                            color: status === option ? 'white' : STATUS_COLORS[option],
+                            cursor: 'pointer',
+                          }}
+                        >
+                          {option}
+                        </button>
+                      ))}
+                    </div>
+                  </td>
+                  <td style={{ padding: '8px' }}>
+                    <input
+                      value={note}
+                      onChange={(e) => updateRow(student._id, { note: e.target.value })}
+                      maxLength={500}
+                      disabled={!status}
+                      placeholder={status ? 'Optional note' : ''}
+                      style={{ width: '100%', padding: '6px', borderRadius: '6px', border: '1px solid #ddd' }}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {/* Save — only changed rows are sent */}
+      <button
+        onClick={handleSave}
+        disabled={saving || changedCount === 0}
+        style={{
+          ...buttonStyle,
+          marginTop: '1rem',
+          background: saving || changedCount === 0 ? '#999' : '#27ae60',
+          cursor: saving || changedCount === 0 ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {saving ? 'Saving...' : `Save ${changedCount} change${changedCount === 1 ? '' : 's'}`}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { authorize, isPublicRoute } from '@/lib/access';
+
+const admin = { role: 'admin', profile: null };
+const instructor = { role: 'instructor', profile: 'i1' };
+const student = { role: 'student', profile: 's1' };
+
+describe('isPublicRoute', () => {
+    it('opens login, logout, the probes, metrics and the API description', () => {
+        expect(isPublicRoute('POST', '/api/auth/login')).toBe(true);
+        expect(isPublicRoute('POST', '/api/auth/logout')).toBe(true);
+        expect(isPublicRoute('GET', '/api/health')).toBe(true);
+        expect(isPublicRoute('GET', '/api/ready')).toBe(true);
+        expect(isPublicRoute('GET', '/api/metrics')).toBe(true);
+        expect(isPublicRoute('GET', '/api/openapi.json')).toBe(true);
+    });
+
+    it('checks the method too', () => {
+        expect(isPublicRoute('GET', '/api/auth/login')).toBe(false);
+        expect(isPublicRoute('POST', '/api/health')).toBe(false);
+        expect(isPublicRoute('GET', '/api/students')).toBe(false);
+    });
+});
+
+describe('authorize', () => {
+    it('requires a session outside the public routes', () => {
+        expect(authorize(null, 'GET', '/api/students')).toBe(401);
+        expect(authorize(null, 'POST', '/api/auth/login')).toBe(200);
+    });
+
+    it('lets admins do everything', () => {
+        expect(authorize(admin, 'DELETE', '/api/users/u1')).toBe(200);
+        expect(authorize(admin, 'POST', '/api/students/purge')).toBe(200);
+    });
+
+    it('denies anything not listed', () => {
+        expect(authorize(instructor, 'GET', '/api/users')).toBe(403);
+        expect(authorize(student, 'GET', '/api/audit')).toBe(403);
+        expect(authorize(instructor, 'DELETE', '/api/students/s1')).toBe(403);
+    });
+
+    it('keeps collection actions admin-only although they look like record ids', () => {
+        for (const action of ['export', 'import', 'bulk', 'purge']) {
+            expect(authorize(instructor, 'GET', `/api/students/${action}`)).toBe(403);
+            expect(authorize(instructor, 'POST', `/api/instructors/${action}`)).toBe(403);
+        }
+        expect(authorize(instructor, 'GET', '/api/students/search')).toBe(200);
+    });
+
+    it('lets instructors read students and manage their own profile', () => {
+        expect(authorize(instructor, 'GET', '/api/students')).toBe(200);
+        expect(authorize(instructor, 'GET', '/api/students/s9/transcript')).toBe(200);
+        expect(authorize(instructor, 'GET', '/api/students/s9/attachments/a1/thumbnail')).toBe(200);
+        expect(authorize(instructor, 'PATCH', '/api/students/s9')).toBe(403);
+
+        expect(authorize(instructor, 'PUT', '/api/instructors/i1')).toBe(200);
+        expect(authorize(instructor, 'PUT', '/api/instructors/i2')).toBe(403);
+        expect(authorize(instructor, 'POST', '/api/instructors/i1/attachments')).toBe(200);
+    });
+
+    it('limits students to their own record', () => {
+        expect(authorize(student, 'GET', '/api/students/s1')).toBe(200);
+        expect(authorize(student, 'PATCH', '/api/students/s1')).toBe(200);
+        expect(authorize(student, 'GET', '/api/students/s1/transcript')).toBe(200);
+        expect(authorize(student, 'GET', '/api/students/s2')).toBe(403);
+        expect(authorize(student, 'GET', '/api/students/s2/transcript')).toBe(403);
+        expect(authorize(student, 'GET', '/api/students')).toBe(403);
+    });
+
+    it('needs a linked profile for "own" rules', () => {
+        expect(authorize({ role: 'student', profile: null }, 'GET', '/api/students/null')).toBe(403);
+    });
+
+    it('lets instructors grade and take attendance', () => {
+        expect(authorize(instructor, 'PUT', '/api/courses/c1/gradebook')).toBe(200);
+        expect(authorize(instructor, 'POST', '/api/grades')).toBe(200);
+        expect(authorize(instructor, 'PUT', '/api/attendance/days/2026-03-01')).toBe(200);
+        expect(authorize(student, 'PUT', '/api/courses/c1/gradebook')).toBe(403);
+        expect(authorize(student, 'GET', '/api/courses/c1')).toBe(200);
+    });
+});
@@ -0,0 +1,105 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import mongoose from 'mongoose';
+import Student from '@/models/Student';
+import { parseDay, parseRange, parseRollCall } from '@/lib/attendance';
+import { HttpError } from '@/lib/errors';
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+/** Make Student.find() know exactly these ids */
+function knownStudents(...ids) {
+    vi.spyOn(Student, 'find').mockReturnValue({
+        select: () => ({ lean: async () => ids.map((_id) => ({ _id })) }),
+    });
+}
+
+/** The HttpError a call rejects with */
+async function rejection(promise) {
+    const error = await promise.then(() => null, (thrown) => thrown);
+    expect(error).toBeInstanceOf(HttpError);
+    return error;
+}
+
+describe('parseDay', () => {
+    it('parses YYYY-MM-DD as midnight UTC', () => {
+        expect(parseDay('2026-03-01').toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    });
+
+    it('rejects other formats and impossible dates', () => {
+        for (const raw of ['2026-3-1', '2026-02-30', '01/03/2026', '2026-03-01T10:00', '', undefined]) {
+            expect(() => parseDay(raw, 'from')).toThrow('from must be a date in YYYY-MM-DD format');
+        }
+    });
+});
+
+describe('parseRange', () => {
+    it('rejects a range that ends before it starts', () => {
+        const params = new URLSearchParams({ from: '2026-03-02', to: '2026-03-01' });
+        expect(() => parseRange(params)).toThrow('"from" must not be after "to"');
+    });
+
+    it('defaults from to 30 days before to', () => {
+        const { from, to } = parseRange(new URLSearchParams({ to: '2026-03-31' }));
+        expect(to.toISOString()).toBe('2026-03-31T00:00:00.000Z');
+        expect(from.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    });
+});
+
+describe('parseRollCall', () => {
+    const ann = new mongoose.Types.ObjectId();
+    const bob = new mongoose.Types.ObjectId();
+
+    it('accepts statuses, trims notes and keeps null to clear', async () => {
+        knownStudents(ann, bob);
+
+        const records = await parseRollCall({ records: [
+            { student: String(ann), status: 'late', note: '  bus  ' },
+            { student: String(bob), status: null },
+        ] });
+
+        expect(records).toEqual([
+            { student: String(ann), status: 'late', note: 'bus' },
+            { student: String(bob), status: null },
+        ]);
+    });
+
+    it('rejects a malformed body with 400', async () => {
+        for (const body of [null, {}, { records: [] }, { records: 'all' }]) {
+            expect((await rejection(parseRollCall(body))).status).toBe(400);
+        }
+    });
+
+    it('reports a note that is not a string as a field error', async () => {
+        knownStudents(ann, bob);
+
+        const error = await rejection(parseRollCall({ records: [
+            { student: String(ann), status: 'present', note: 42 },
+            { student: String(bob), status: 'present', note: { text: 'hi' } },
+        ] }));
+
+        expect(error.status).toBe(422);
+        expect(error.fields).toEqual({
+            'records[0].note': 'Note must be a string',
+            'records[1].note': 'Note must be a string',
+        });
+    });
+
+    it('reports unknown and repeated students and bad statuses', async () => {
+        knownStudents(ann);
+
+        const error = await rejection(parseRollCall({ records: [
+            { student: String(ann), status: 'present' },
+            { student: String(ann), status: 'asleep' },
+            { student: 'nobody', status: 'absent' },
+        ] }));
+
+        expect(error.status).toBe(422);
+        expect(Object.keys(error.fields)).toEqual([
+            'records[1].student',
+            'records[1].status',
+            'records[2].student',
+        ]);
+    });
+});
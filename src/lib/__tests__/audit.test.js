@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import mongoose from 'mongoose';
+import AuditEvent from '@/models/AuditEvent';
+import Student from '@/models/Student';
+import { diffDocuments, recordAudit } from '@/lib/audit';
+import { subscribe } from '@/lib/events';
+import { USER_HEADERS } from '@/lib/session';
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+const requestAs = (id, role) => new Request('http://localhost/api/students', {
+    headers: { [USER_HEADERS.id]: id, [USER_HEADERS.role]: role },
+});
+
+describe('diffDocuments', () => {
+    it('lists changed, added and removed fields', () => {
+        expect(diffDocuments(
+            { name: 'Ann', email: 'ann@example.com', phone: '555' },
+            { name: 'Ann Lee', email: 'ann@example.com', note: 'new' }
+        )).toEqual({
+            name: { before: 'Ann', after: 'Ann Lee' },
+            phone: { before: '555', after: null },
+            note: { before: null, after: 'new' },
+        });
+    });
+
+    it('ignores bookkeeping fields', () => {
+        expect(diffDocuments(
+            { _id: 'a', __v: 1, updatedAt: '2026-01-01', name: 'Ann' },
+            { _id: 'a', __v: 2, updatedAt: '2026-02-01', name: 'Ann' }
+        )).toEqual({});
+    });
+
+    it('compares nested values and dates by content', () => {
+        expect(diffDocuments(
+            { address: { city: 'Springfield' }, dateOfBirth: new Date('2004-05-12') },
+            { address: { city: 'Springfield' }, dateOfBirth: new Date('2004-05-12') }
+        )).toEqual({});
+        expect(diffDocuments({ address: { city: 'A' } }, { address: { city: 'B' } })).toEqual({
+            address: { before: { city: 'A' }, after: { city: 'B' } },
+        });
+    });
+
+    it('treats a missing version as empty (create / purge)', () => {
+        expect(diffDocuments(null, { name: 'Ann' })).toEqual({ name: { before: null, after: 'Ann' } });
+    });
+});
+
+describe('recordAudit', () => {
+    it('stores the actor and the diff, and publishes the change', async () => {
+        const create = vi.spyOn(AuditEvent, 'create').mockResolvedValue({});
+        const events = [];
+        const unsubscribe = subscribe((event) => events.push(event));
+
+        const student = new Student({ name: 'Ann Lee', email: 'ann@example.com', dateOfBirth: new Date('2004-05-12') });
+        await recordAudit(requestAs('user-1', 'admin'), {
+            entity: 'student',
+            entityId: student._id,
+            action: 'update',
+            before: { name: 'Ann' },
+            after: student,
+        });
+        unsubscribe();
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'student',
+            action: 'update',
+            actor: 'user-1',
+            actorRole: 'admin',
+            changes: expect.objectContaining({ name: { before: 'Ann', after: 'Ann Lee' } }),
+        }));
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ entity: 'student', action: 'update', id: String(student._id) });
+        expect(typeof events[0].doc.age).toBe('number');
+    });
+
+    it('still publishes when the audit write fails', async () => {
+        vi.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('disk full'));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const events = [];
+        const unsubscribe = subscribe((event) => events.push(event));
+
+        const id = new mongoose.Types.ObjectId();
+        await recordAudit(requestAs('user-1', 'admin'), { entity: 'student', entityId: id, action: 'delete' });
+        unsubscribe();
+
+        expect(events).toEqual([{ entity: 'student', action: 'delete', id: String(id), doc: undefined }]);
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, toCsvCell, toCsvRow } from '@/lib/csv';
+
+describe('toCsvCell', () => {
+    it('neutralises formula triggers', () => {
+        expect(toCsvCell('=1+1')).toBe("'=1+1");
+        expect(toCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+        expect(toCsvCell('+cmd|" /C calc"!A0')).toBe('"\'+cmd|"" /C calc""!A0"');
+        expect(toCsvCell('-2+3+cmd|x')).toBe("'-2+3+cmd|x");
+        expect(toCsvCell('\t=1+1')).toBe("'\t=1+1");
+        expect(toCsvCell('\r=1+1')).toBe('"\'\r=1+1"');
+    });
+
+    it('leaves phone numbers and signed numbers alone', () => {
+        expect(toCsvCell('+1 555 0100')).toBe('+1 555 0100');
+        expect(toCsvCell('+44 (20) 7946-0958')).toBe('+44 (20) 7946-0958');
+        expect(toCsvCell('-12.5')).toBe('-12.5');
+        expect(toCsvCell(-3)).toBe('-3');
+    });
+
+    it('quotes commas, quotes and newlines', () => {
+        expect(toCsvCell('Lee, Ann')).toBe('"Lee, Ann"');
+        expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+        expect(toCsvCell('a\nb')).toBe('"a\nb"');
+    });
+});
+
+describe('export → import round trip', () => {
+    it('reads back what was written', () => {
+        const record = {
+            name: 'Lee, Ann',
+            phone: '+1 555 0100',
+            balance: '-12.5',
+            note: 'said "hello"\nthen left',
+        };
+        const columns = Object.keys(record);
+        const csv = toCsvRow(columns) + toCsvRow(columns.map((column) => record[column]));
+
+        expect(parseCsv(csv)).toEqual([record]);
+    });
+});
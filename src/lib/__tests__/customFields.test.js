@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { checkCustomValues } from '@/lib/customFields';
+
+const definitions = [
+    { key: 'shoeSize', label: 'Shoe size', type: 'number', required: true },
+    { key: 'toString', label: 'Nickname', type: 'text', required: true },
+];
+
+describe('checkCustomValues', () => {
+    it('accepts a complete set of values', () => {
+        const { values, errors } = checkCustomValues(definitions, { shoeSize: 42, toString: 'Annie' });
+
+        expect(errors).toEqual({});
+        expect(values).toEqual({ shoeSize: 42, toString: 'Annie' });
+    });
+
+    it('reports missing required fields, including keys named like Object.prototype members', () => {
+        const { errors } = checkCustomValues(definitions, {});
+
+        expect(errors).toEqual({
+            'customFields.shoeSize': 'Shoe size is required',
+            'customFields.toString': 'Nickname is required',
+        });
+    });
+
+    it('rejects unknown keys', () => {
+        const { errors } = checkCustomValues(definitions, { shoeSize: 42, toString: 'Annie', hatSize: 7 });
+
+        expect(errors).toEqual({ 'customFields.hatSize': 'Unknown custom field' });
+    });
+});
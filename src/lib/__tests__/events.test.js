@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import mongoose from 'mongoose';
+import { fromChange } from '@/lib/events';
+
+describe('fromChange', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const fullDocument = { _id, name: 'Ann Lee', email: 'ann@example.com', dateOfBirth: new Date('2004-05-12'), deletedAt: null };
+
+    it('adds computed fields to the document, like API responses', () => {
+        const event = fromChange('student', {
+            operationType: 'update',
+            documentKey: { _id },
+            fullDocument,
+            updateDescription: { updatedFields: { dateOfBirth: fullDocument.dateOfBirth } },
+        });
+
+        expect(event).toMatchObject({ entity: 'student', action: 'update', id: String(_id) });
+        expect(event.doc.name).toBe('Ann Lee');
+        expect(typeof event.doc.age).toBe('number');
+    });
+
+    it('tells soft deletes, restores and purges apart', () => {
+        const change = (operationType, updatedFields) => ({
+            operationType,
+            documentKey: { _id },
+            fullDocument: operationType === 'delete' ? undefined : fullDocument,
+            updateDescription: { updatedFields },
+        });
+
+        expect(fromChange('student', change('insert')).action).toBe('create');
+        expect(fromChange('student', change('update', { deletedAt: new Date() })).action).toBe('delete');
+        expect(fromChange('student', change('update', { deletedAt: null })).action).toBe('restore');
+        expect(fromChange('student', change('delete'))).toEqual({ entity: 'student', action: 'purge', id: String(_id) });
+        expect(fromChange('student', change('drop'))).toBeNull();
+    });
+});
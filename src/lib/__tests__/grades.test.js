@@ -0,0 +1,127 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import mongoose from 'mongoose';
+import Assessment from '@/models/Assessment';
+import Course from '@/models/Course';
+import Grade from '@/models/Grade';
+import { buildTranscript, letterGrade, weightedAverage } from '@/lib/grades';
+import { USER_HEADERS } from '@/lib/session';
+
+const id = () => new mongoose.Types.ObjectId();
+
+/** Request as the proxy forwards it for a logged-in user */
+function requestAs(role, profile) {
+    const headers = { [USER_HEADERS.id]: 'user-1', [USER_HEADERS.role]: role };
+    if (profile) headers[USER_HEADERS.profile] = String(profile);
+    return new Request('http://localhost/api/students/x/transcript', { headers });
+}
+
+/** Stand-in for a Mongoose query resolving to `result` */
+function fakeQuery(result) {
+    const query = {
+        select: () => query,
+        sort: () => query,
+        lean: async () => result,
+        distinct: async () => result.map((doc) => doc._id),
+    };
+    return query;
+}
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('weightedAverage', () => {
+    it('weights percentages by assessment weight', () => {
+        expect(weightedAverage([
+            { score: 50, maxScore: 100, weight: 1 },
+            { score: 20, maxScore: 20, weight: 3 },
+        ])).toBe(87.5);
+    });
+
+    it('ignores ungraded assessments', () => {
+        expect(weightedAverage([
+            { score: 9, maxScore: 10, weight: 1 },
+            { score: null, maxScore: 10, weight: 5 },
+            { maxScore: 10, weight: 5 },
+        ])).toBe(90);
+    });
+
+    it('is null when nothing counts', () => {
+        expect(weightedAverage([])).toBeNull();
+        expect(weightedAverage([{ score: null, maxScore: 10, weight: 1 }])).toBeNull();
+        expect(weightedAverage([{ score: 5, maxScore: 10, weight: 0 }])).toBeNull();
+    });
+
+    it('rounds to two decimals', () => {
+        expect(weightedAverage([{ score: 1, maxScore: 3, weight: 1 }])).toBe(33.33);
+    });
+});
+
+describe('letterGrade', () => {
+    it('maps percentages to letters', () => {
+        expect(letterGrade(90)).toBe('A');
+        expect(letterGrade(89.99)).toBe('B');
+        expect(letterGrade(60)).toBe('D');
+        expect(letterGrade(0)).toBe('F');
+        expect(letterGrade(null)).toBeNull();
+    });
+});
+
+describe('buildTranscript', () => {
+    const student = id();
+    const instructor = id();
+    const taught = { _id: id(), code: 'CS101', title: 'Intro', term: '2026', instructors: [instructor] };
+    const other = { _id: id(), code: 'MA201', title: 'Algebra', term: '2026', instructors: [id()] };
+    const quiz = { _id: id(), course: taught._id, title: 'Quiz', maxScore: 10, weight: 1 };
+    const exam = { _id: id(), course: other._id, title: 'Exam', maxScore: 100, weight: 1 };
+    const grades = [
+        { student, assessment: quiz._id, score: 8 },
+        { student, assessment: exam._id, score: 40 },
+    ];
+
+    const inIds = (condition, doc) => !condition || condition.$in.some((value) => String(value) === String(doc._id));
+
+    // A tiny in-memory database answering the queries buildTranscript makes
+    function mockDatabase() {
+        vi.spyOn(Course, 'find').mockImplementation((filter) => fakeQuery([taught, other].filter((course) => (
+            (!filter.instructors || course.instructors.some((value) => String(value) === String(filter.instructors)))
+            && inIds(filter._id, course)
+        ))));
+        vi.spyOn(Assessment, 'find').mockImplementation((filter) => fakeQuery([quiz, exam].filter((assessment) => (
+            inIds(filter._id, assessment)
+            && (!filter.course || filter.course.$in.some((value) => String(value) === String(assessment.course)))
+        ))));
+        vi.spyOn(Grade, 'find').mockImplementation((filter) => fakeQuery(grades.filter((grade) => (
+            String(grade.student) === String(filter.student)
+            && (!filter.assessment || filter.assessment.$in.some((value) => String(value) === String(grade.assessment)))
+        ))));
+    }
+
+    it('shows an instructor only the courses they teach', async () => {
+        mockDatabase();
+
+        const transcript = await buildTranscript(student, requestAs('instructor', instructor));
+
+        expect(Grade.find).toHaveBeenCalledWith(expect.objectContaining({ assessment: { $in: [quiz._id] } }));
+        expect(Course.find).toHaveBeenCalledWith(expect.objectContaining({ instructors: String(instructor) }));
+        expect(transcript.courses.map((row) => row.course.code)).toEqual(['CS101']);
+        expect(transcript.average).toBe(80);
+    });
+
+    it('shows an admin every course', async () => {
+        mockDatabase();
+
+        const transcript = await buildTranscript(student, requestAs('admin'));
+
+        expect(transcript.courses.map((row) => row.course.code).sort()).toEqual(['CS101', 'MA201']);
+        expect(transcript.average).toBe(60);
+    });
+
+    it('shows a student their whole transcript', async () => {
+        mockDatabase();
+
+        const transcript = await buildTranscript(student, requestAs('student', student));
+
+        expect(transcript.courses).toHaveLength(2);
+    });
+});
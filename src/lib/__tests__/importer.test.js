@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_IMPORT_BYTES, readImportRows } from '@/lib/importer';
+import { HttpError } from '@/lib/errors';
+
+const post = (body, headers = {}) => new Request('http://localhost/api/students/import', {
+    method: 'POST',
+    body,
+    headers,
+    duplex: 'half',
+});
+
+/** The HttpError a call rejects with */
+async function rejection(promise) {
+    const error = await promise.then(() => null, (thrown) => thrown);
+    expect(error).toBeInstanceOf(HttpError);
+    return error;
+}
+
+/** A body stream of `size` bytes in 1 MB chunks, counting how much was read */
+function streamOf(size) {
+    const chunk = new Uint8Array(1024 * 1024).fill(97);
+    const stream = { pulled: 0 };
+    stream.body = new ReadableStream({
+        pull(controller) {
+            if (stream.pulled >= size) return controller.close();
+            stream.pulled += chunk.byteLength;
+            controller.enqueue(chunk);
+        },
+    });
+    return stream;
+}
+
+describe('readImportRows', () => {
+    it('reads CSV, JSON and multipart files', async () => {
+        const csv = 'name,email\r\nAnn,ann@example.com\r\n';
+        expect(await readImportRows(post(csv, { 'content-type': 'text/csv' })))
+            .toEqual([{ name: 'Ann', email: 'ann@example.com' }]);
+
+        expect(await readImportRows(post('\ufeff{"rows":[{"name":"Bob"}]}', { 'content-type': 'application/json' })))
+            .toEqual([{ name: 'Bob' }]);
+
+        const form = new FormData();
+        form.set('file', new File([csv], 'people.csv', { type: 'text/csv' }));
+        expect(await readImportRows(post(form))).toEqual([{ name: 'Ann', email: 'ann@example.com' }]);
+    });
+
+    it('rejects other content types with 415', async () => {
+        expect((await rejection(readImportRows(post('<xml/>', { 'content-type': 'application/xml' })))).status).toBe(415);
+    });
+
+    it('rejects a declared oversized body before reading it', async () => {
+        const stream = streamOf(MAX_IMPORT_BYTES * 2);
+        const request = post(stream.body, {
+            'content-type': 'multipart/form-data; boundary=x',
+            'content-length': String(MAX_IMPORT_BYTES * 2),
+        });
+
+        expect((await rejection(readImportRows(request))).status).toBe(413);
+        expect(stream.pulled).toBeLessThanOrEqual(1024 * 1024);
+    });
+
+    it('stops reading an oversized upload at the cap', async () => {
+        const stream = streamOf(MAX_IMPORT_BYTES * 3);
+        const request = post(stream.body, { 'content-type': 'multipart/form-data; boundary=x' });
+
+        expect((await rejection(readImportRows(request))).status).toBe(413);
+        expect(stream.pulled).toBeLessThan(MAX_IMPORT_BYTES * 2);
+    });
+});
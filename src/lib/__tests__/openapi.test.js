@@ -0,0 +1,103 @@
+// Keeps the OpenAPI document in step with the code without a running server
+// (scripts/contract.mjs checks the live responses against it)
+
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, expect, it } from 'vitest';
+import Student from '@/models/Student';
+import Instructor from '@/models/Instructor';
+import { buildOpenApiSpec } from '@/lib/openapi';
+
+const API_DIR = path.resolve(__dirname, '../../app/api');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Route trees the document describes route by route
+const DOCUMENTED_TREES = ['students', 'instructors'];
+
+const spec = buildOpenApiSpec();
+
+/** '/api/students/{id}' → 'src/app/api/students/[id]/route.js' */
+function routeFile(apiPath) {
+    const segments = apiPath.replace(/^\/api\//, '').split('/').map((segment) => segment.replace(/^\{(.+)\}$/, '[$1]'));
+    return path.join(API_DIR, ...segments, 'route.js');
+}
+
+/** 'students/[id]/route.js' → '/api/students/{id}' */
+function apiPath(file) {
+    const segments = path.dirname(file).split(path.sep).map((segment) => segment.replace(/^\[(.+)\]$/, '{$1}'));
+    return `/api/${segments.join('/')}`;
+}
+
+/** HTTP methods a route file exports, lowercased */
+function exportedMethods(file) {
+    const source = readFileSync(file, 'utf8');
+    return [...source.matchAll(/^export const (GET|POST|PUT|PATCH|DELETE)\b/gm)].map((match) => match[1].toLowerCase()).sort();
+}
+
+/** Methods documented for a path, lowercased */
+function documentedMethods(apiPathName) {
+    return Object.keys(spec.paths[apiPathName] || {}).filter((key) => METHODS.includes(key)).sort();
+}
+
+/** Every $ref in the document */
+function collectRefs(node, refs = []) {
+    if (Array.isArray(node)) node.forEach((item) => collectRefs(item, refs));
+    else if (node && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === '$ref') refs.push(value);
+            else collectRefs(value, refs);
+        }
+    }
+    return refs;
+}
+
+describe('OpenAPI document', () => {
+    it('only documents routes and methods that exist', () => {
+        for (const name of Object.keys(spec.paths)) {
+            const exported = exportedMethods(routeFile(name));
+            for (const method of documentedMethods(name)) {
+                expect(exported, `${method.toUpperCase()} ${name}`).toContain(method);
+            }
+        }
+    });
+
+    it('documents every student and instructor route', () => {
+        for (const tree of DOCUMENTED_TREES) {
+            const files = readdirSync(path.join(API_DIR, tree), { recursive: true })
+                .filter((file) => path.basename(file) === 'route.js')
+                .map((file) => path.join(tree, file));
+
+            for (const file of files) {
+                expect(documentedMethods(apiPath(file)), apiPath(file)).toEqual(exportedMethods(path.join(API_DIR, file)));
+            }
+        }
+    });
+
+    it('resolves every $ref', () => {
+        for (const ref of collectRefs(spec)) {
+            const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+            expect(target, ref).toBeDefined();
+        }
+    });
+
+    it('has unique operation ids', () => {
+        const ids = Object.values(spec.paths).flatMap((operations) => METHODS
+            .filter((method) => operations[method])
+            .map((method) => operations[method].operationId));
+
+        expect(ids.every(Boolean)).toBe(true);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('describes every stored field and virtual of the record models', () => {
+        for (const Model of [Student, Instructor]) {
+            const { properties } = spec.components.schemas[Model.modelName];
+            const fields = Object.keys(Model.schema.paths).map((name) => name.split('.')[0]);
+            const virtuals = Object.keys(Model.schema.virtuals).filter((name) => name !== 'id');
+
+            for (const name of new Set([...fields, ...virtuals])) {
+                expect(properties, `${Model.modelName}.${name}`).toHaveProperty(name);
+            }
+        }
+    });
+});
@@ -0,0 +1,192 @@
+import { describe, expect, it } from 'vitest';
+import mongoose from 'mongoose';
+import { MAX_LIMIT, mergeFilters, paginate, parseFilters, parseListParams, parseSort, trashListOptions } from '@/lib/pagination';
+import { HttpError } from '@/lib/errors';
+
+const params = (query) => new URLSearchParams(query);
+
+/**
+ * Model stand-in over an array, recording the queries paginate() makes.
+ * find() answers with `results` (the records the filter would match, in query order).
+ */
+function fakeModel(docs, results = docs) {
+    const calls = { find: [], sort: [], skip: [], limit: [], count: [] };
+    const model = {
+        calls,
+        findById: (id) => {
+            const query = {
+                select: () => query,
+                setOptions: () => query,
+                lean: async () => docs.find((doc) => String(doc._id) === String(id)) ?? null,
+            };
+            return query;
+        },
+        find: (filter) => {
+            calls.find.push(filter);
+            let limit = Infinity;
+            let skip = 0;
+            const query = {
+                sort: (sort) => { calls.sort.push(sort); return query; },
+                limit: (value) => { calls.limit.push(value); limit = value; return query; },
+                skip: (value) => { calls.skip.push(value); skip = value; return query; },
+                then: (resolve, reject) => Promise.resolve(results.slice(skip, skip + limit)).then(resolve, reject),
+            };
+            return query;
+        },
+        countDocuments: async (filter) => { calls.count.push(filter); return docs.length; },
+    };
+    return model;
+}
+
+const ids = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+const docs = ids.map((_id, index) => ({ _id, name: `Person ${index}` }));
+
+describe('parseSort', () => {
+    it('accepts field, -field, field:asc and field:desc', () => {
+        expect(parseSort('name')).toEqual({ field: 'name', direction: 1 });
+        expect(parseSort('-age')).toEqual({ field: 'age', direction: -1 });
+        expect(parseSort('email:asc')).toEqual({ field: 'email', direction: 1 });
+        expect(parseSort('email:desc')).toEqual({ field: 'email', direction: -1 });
+    });
+
+    it('falls back to the default sort', () => {
+        expect(parseSort(null)).toEqual({ field: 'createdAt', direction: -1 });
+        expect(parseSort('', ['title'], 'title')).toEqual({ field: 'title', direction: 1 });
+    });
+
+    it('rejects unknown fields and directions', () => {
+        expect(() => parseSort('password')).toThrow(/Cannot sort by "password"/);
+        expect(() => parseSort('name:up')).toThrow('sort direction must be "asc" or "desc"');
+    });
+});
+
+describe('parseFilters', () => {
+    it('combines parameters on one field into a range', () => {
+        expect(parseFilters(params({ minAge: '18', maxAge: '30' }))).toEqual({ age: { $gte: 18, $lte: 30 } });
+    });
+
+    it('parses dates and skips empty values', () => {
+        expect(parseFilters(params({ createdAfter: '2026-01-01', minAge: '' }))).toEqual({
+            createdAt: { $gte: new Date('2026-01-01') },
+        });
+    });
+
+    it('applies convert to the parsed value', () => {
+        const filters = { minAge: { field: 'dateOfBirth', op: '$lte', type: 'number', convert: (age) => `born ${age}y ago` } };
+        expect(parseFilters(params({ minAge: '20' }), filters)).toEqual({ dateOfBirth: { $lte: 'born 20y ago' } });
+    });
+
+    it('rejects values of the wrong type with 400', () => {
+        expect(() => parseFilters(params({ minAge: 'old' }))).toThrow(HttpError);
+        expect(() => parseFilters(params({ minAge: ' ' }))).toThrow('minAge must be a number');
+        expect(() => parseFilters(params({ createdBefore: 'someday' }))).toThrow('createdBefore must be a valid date');
+    });
+});
+
+describe('parseListParams', () => {
+    it('caps the limit', () => {
+        expect(parseListParams(params({ limit: '5000' })).limit).toBe(MAX_LIMIT);
+    });
+
+    it('rejects bad pages and cursors', () => {
+        expect(() => parseListParams(params({ page: '0' }))).toThrow('page must be a positive integer');
+        expect(() => parseListParams(params({ after: 'nope' }))).toThrow('after must be a valid id');
+        expect(() => parseListParams(params({ after: String(ids[0]), before: String(ids[1]) }))).toThrow(/either/);
+        expect(() => parseListParams(params({ after: String(ids[0]), page: '2' }))).toThrow(/cannot be combined/);
+    });
+});
+
+describe('mergeFilters', () => {
+    it('keeps distinct keys at the top level', () => {
+        expect(mergeFilters({ deletedAt: null }, { name: 'Ann' })).toEqual({ deletedAt: null, name: 'Ann' });
+    });
+
+    it('ANDs keys present in both instead of overwriting', () => {
+        expect(mergeFilters({ age: { $gte: 18 } }, { age: 21 })).toEqual({
+            age: { $gte: 18 },
+            $and: [{ age: 21 }],
+        });
+    });
+
+    it('concatenates $and lists', () => {
+        expect(mergeFilters({ $and: [{ a: 1 }] }, { $and: [{ b: 2 }] })).toEqual({ $and: [{ a: 1 }, { b: 2 }] });
+    });
+
+    it('handles missing filters', () => {
+        expect(mergeFilters(undefined, { a: 1 })).toEqual({ a: 1 });
+        expect(mergeFilters({ a: 1 })).toEqual({ a: 1 });
+    });
+});
+
+describe('trashListOptions', () => {
+    it('lists only deleted records, most recently deleted first', () => {
+        const options = trashListOptions({ baseFilter: { role: 'x' }, sortFields: ['name'] });
+
+        expect(options.baseFilter).toEqual({ role: 'x', deletedAt: { $ne: null } });
+        expect(options.sortFields).toEqual(['name', 'deletedAt']);
+        expect(options.defaultSort).toBe('-deletedAt');
+    });
+});
+
+describe('paginate', () => {
+    it('returns the first page with a next cursor', async () => {
+        const Model = fakeModel(docs);
+
+        const result = await paginate(Model, params({ limit: '2', sort: 'name' }));
+
+        expect(result).toMatchObject({ total: 3, page: 1, limit: 2, prevCursor: null, nextCursor: String(ids[1]) });
+        expect(result.items).toHaveLength(2);
+        expect(Model.calls.limit).toEqual([3]); // one extra to see whether there's a next page
+        expect(Model.calls.sort).toEqual([{ name: 1, _id: 1 }]);
+    });
+
+    it('skips for offset pages', async () => {
+        const Model = fakeModel(docs);
+
+        const result = await paginate(Model, params({ limit: '2', page: '2' }));
+
+        expect(Model.calls.skip).toEqual([2]);
+        expect(result).toMatchObject({ page: 2, prevCursor: String(ids[2]), nextCursor: null });
+    });
+
+    it('continues after a cursor, breaking ties on _id', async () => {
+        const Model = fakeModel(docs, docs.slice(1));
+
+        const result = await paginate(Model, params({ after: String(ids[0]), sort: 'name', limit: '5' }), {
+            baseFilter: { deletedAt: null },
+        });
+
+        expect(Model.calls.find[0]).toEqual({
+            deletedAt: null,
+            $and: [{
+                $or: [
+                    { name: { $gt: 'Person 0' } },
+                    { name: 'Person 0', _id: { $gt: ids[0] } },
+                ],
+            }],
+        });
+        // The total ignores the cursor
+        expect(Model.calls.count[0]).toEqual({ deletedAt: null });
+        expect(result.items.map((doc) => doc.name)).toEqual(['Person 1', 'Person 2']);
+        expect(result).toMatchObject({ page: null, prevCursor: String(ids[1]), nextCursor: null });
+    });
+
+    it('walks backwards before a cursor and restores the order', async () => {
+        // Queried in reverse: the records before Person 2, nearest first
+        const Model = fakeModel(docs, [docs[1], docs[0]]);
+
+        const result = await paginate(Model, params({ before: String(ids[2]), sort: 'name', limit: '2' }));
+
+        expect(Model.calls.sort).toEqual([{ name: -1, _id: -1 }]);
+        expect(Model.calls.find[0].$and[0].$or[0]).toEqual({ name: { $lt: 'Person 2' } });
+        expect(result.items.map((doc) => doc.name)).toEqual(['Person 0', 'Person 1']);
+        expect(result).toMatchObject({ prevCursor: null, nextCursor: String(ids[1]) });
+    });
+
+    it('rejects a cursor that matches nothing', async () => {
+        const Model = fakeModel(docs);
+        const stale = String(new mongoose.Types.ObjectId());
+
+        await expect(paginate(Model, params({ after: stale }))).rejects.toThrow('Cursor does not match any record');
+    });
+});
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { hashPassword, verifyDummyPassword, verifyPassword } from '@/lib/password';
+
+describe('verifyPassword', () => {
+    it('accepts the right password and rejects others', async () => {
+        const stored = await hashPassword('correct horse');
+
+        expect(await verifyPassword('correct horse', stored)).toBe(true);
+        expect(await verifyPassword('wrong horse', stored)).toBe(false);
+        expect(await verifyPassword('correct horse', 'md5$x$y')).toBe(false);
+    });
+});
+
+describe('verifyDummyPassword', () => {
+    it('never matches', async () => {
+        expect(await verifyDummyPassword('')).toBe(false);
+        expect(await verifyDummyPassword('correct horse')).toBe(false);
+    });
+});
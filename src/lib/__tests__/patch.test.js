@@ -0,0 +1,65 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { applyJsonPatch, applyMergePatch } from '@/lib/patch';
+import { HttpError } from '@/lib/errors';
+
+afterEach(() => {
+    // Make sure a failing test doesn't leak into the rest of the run
+    delete Object.prototype.polluted;
+});
+
+describe('applyJsonPatch', () => {
+    it('applies add, replace and remove', () => {
+        const result = applyJsonPatch(
+            { name: 'Ann', address: { city: 'Springfield' }, guardians: [] },
+            [
+                { op: 'replace', path: '/name', value: 'Ann Lee' },
+                { op: 'add', path: '/address/country', value: 'US' },
+                { op: 'add', path: '/guardians/-', value: { name: 'Bob' } },
+                { op: 'remove', path: '/address/city' },
+            ]
+        );
+        expect(result).toEqual({ name: 'Ann Lee', address: { country: 'US' }, guardians: [{ name: 'Bob' }] });
+    });
+
+    it.each([
+        '/__proto__/polluted',
+        '/constructor/prototype/polluted',
+        '/address/__proto__/polluted',
+        '/__proto__',
+    ])('rejects %s without touching Object.prototype', (path) => {
+        const apply = () => applyJsonPatch({ name: 'a', address: {} }, [{ op: 'add', path, value: 'yes' }]);
+        expect(apply).toThrow(HttpError);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it('rejects forbidden tokens in "from"', () => {
+        const apply = () => applyJsonPatch({ name: 'a' }, [{ op: 'copy', from: '/constructor', path: '/name' }]);
+        expect(apply).toThrow(HttpError);
+    });
+
+    it('does not walk into inherited properties', () => {
+        const apply = () => applyJsonPatch({ name: 'a' }, [{ op: 'add', path: '/toString/polluted', value: 'yes' }]);
+        expect(apply).toThrow('Path not found');
+        expect(Object.prototype.toString.polluted).toBeUndefined();
+    });
+});
+
+describe('applyMergePatch', () => {
+    it('merges objects and removes null keys', () => {
+        expect(applyMergePatch({ name: 'Ann', phone: '1', address: { city: 'A' } }, { phone: null, address: { country: 'US' } }))
+            .toEqual({ name: 'Ann', address: { city: 'A', country: 'US' } });
+    });
+
+    it.each(['__proto__', 'constructor', 'prototype'])('rejects the %s key', (key) => {
+        // JSON.parse makes "__proto__" an own key, like request.json() does
+        const patch = JSON.parse(`{"${key}": {"polluted": "yes"}}`);
+        expect(() => applyMergePatch({ name: 'a' }, patch)).toThrow(HttpError);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it('rejects nested __proto__ keys', () => {
+        const patch = JSON.parse('{"address": {"__proto__": {"polluted": "yes"}}}');
+        expect(() => applyMergePatch({ address: {} }, patch)).toThrow(HttpError);
+        expect({}.polluted).toBeUndefined();
+    });
+});
@@ -0,0 +1,114 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { checkLoginRateLimit, checkRateLimit, classifyRequest, clientIp, isRateLimitExempt, parsePolicy } from '@/lib/rateLimit';
+
+/** Just enough of a NextRequest for the limiter */
+function fakeRequest(method, path, { headers = {}, ip } = {}) {
+    return { method, nextUrl: new URL(path, 'http://localhost'), headers: new Headers(headers), ip };
+}
+
+afterEach(() => {
+    vi.unstubAllEnvs();
+});
+
+describe('parsePolicy', () => {
+    it('parses "<requests>/<seconds>"', () => {
+        expect(parsePolicy('60/60', 'X')).toEqual({ limit: 60, windowSeconds: 60 });
+        expect(parsePolicy(' 10 / 300 ', 'X')).toEqual({ limit: 10, windowSeconds: 300 });
+    });
+
+    it('turns "off" into no policy', () => {
+        expect(parsePolicy('OFF', 'X')).toBeNull();
+    });
+
+    it('rejects malformed values', () => {
+        for (const value of ['60', '0/60', '60/0', '1.5/60', 'fast']) {
+            expect(() => parsePolicy(value, 'RATE_LIMIT_READ')).toThrow(/RATE_LIMIT_READ/);
+        }
+    });
+});
+
+describe('classifyRequest', () => {
+    it('tells login, writes, searches and reads apart', () => {
+        expect(classifyRequest('POST', '/api/auth/login')).toBe('login');
+        expect(classifyRequest('PATCH', '/api/students/1')).toBe('write');
+        expect(classifyRequest('GET', '/api/students/search')).toBe('search');
+        expect(classifyRequest('GET', '/api/students')).toBe('read');
+    });
+});
+
+describe('isRateLimitExempt', () => {
+    it('leaves probes, metrics and the API description alone', () => {
+        for (const path of ['/api/health', '/api/ready', '/api/metrics', '/api/openapi.json']) {
+            expect(isRateLimitExempt(path)).toBe(true);
+        }
+        expect(isRateLimitExempt('/api/students')).toBe(false);
+        expect(isRateLimitExempt('/api/health/extra')).toBe(false);
+    });
+});
+
+describe('clientIp', () => {
+    const headers = { 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.0.0.1', 'x-real-ip': '9.9.9.9' };
+
+    it('ignores forwarding headers without TRUST_PROXY', () => {
+        expect(clientIp(fakeRequest('GET', '/api/x', { headers }))).toBeNull();
+        expect(clientIp(fakeRequest('GET', '/api/x', { headers, ip: '5.5.5.5' }))).toBe('5.5.5.5');
+    });
+
+    it('takes the entry the trusted proxies vouch for', () => {
+        vi.stubEnv('TRUST_PROXY', 'true');
+        expect(clientIp(fakeRequest('GET', '/api/x', { headers }))).toBe('10.0.0.1');
+
+        vi.stubEnv('TRUST_PROXY', '2');
+        expect(clientIp(fakeRequest('GET', '/api/x', { headers }))).toBe('1.2.3.4');
+    });
+
+    it('falls back to X-Real-IP when there are fewer entries than proxies', () => {
+        vi.stubEnv('TRUST_PROXY', '5');
+        expect(clientIp(fakeRequest('GET', '/api/x', { headers }))).toBe('9.9.9.9');
+    });
+});
+
+describe('checkRateLimit', () => {
+    it('counts anonymous clients without a known address separately', async () => {
+        vi.stubEnv('RATE_LIMIT_LOGIN', '2/60');
+        for (let i = 0; i < 5; i++) {
+            const result = await checkRateLimit(fakeRequest('POST', '/api/auth/login'), null);
+            expect(result.limited).toBe(false);
+        }
+    });
+
+    it('limits one address', async () => {
+        vi.stubEnv('RATE_LIMIT_LOGIN', '2/60');
+        const request = () => fakeRequest('POST', '/api/auth/login', { ip: '203.0.113.7' });
+
+        expect((await checkRateLimit(request(), null)).limited).toBe(false);
+        expect((await checkRateLimit(request(), null)).limited).toBe(false);
+        const third = await checkRateLimit(request(), null);
+        expect(third.limited).toBe(true);
+        expect(third.headers['Retry-After']).toBeDefined();
+    });
+
+    it('counts logged-in users per user', async () => {
+        vi.stubEnv('RATE_LIMIT_READ', '1/60');
+        const request = () => fakeRequest('GET', '/api/students', { ip: '203.0.113.8' });
+
+        expect((await checkRateLimit(request(), { sub: 'a' })).limited).toBe(false);
+        expect((await checkRateLimit(request(), { sub: 'b' })).limited).toBe(false);
+        expect((await checkRateLimit(request(), { sub: 'a' })).limited).toBe(true);
+    });
+});
+
+describe('checkLoginRateLimit', () => {
+    it('limits attempts per account', async () => {
+        vi.stubEnv('RATE_LIMIT_LOGIN', '1/60');
+
+        expect((await checkLoginRateLimit('ann@example.com')).limited).toBe(false);
+        expect((await checkLoginRateLimit('bob@example.com')).limited).toBe(false);
+        expect((await checkLoginRateLimit('ann@example.com')).limited).toBe(true);
+    });
+
+    it('does nothing when the login policy is off', async () => {
+        vi.stubEnv('RATE_LIMIT_LOGIN', 'off');
+        expect(await checkLoginRateLimit('ann@example.com')).toBeNull();
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { buildSearchFilter, escapeRegex, parseSearchQuery } from '@/lib/search';
+
+describe('escapeRegex', () => {
+    it('makes every metacharacter literal', () => {
+        const input = 'a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o';
+        expect(new RegExp(`^${escapeRegex(input)}$`).test(input)).toBe(true);
+        expect(() => new RegExp(escapeRegex('(('))).not.toThrow();
+    });
+});
+
+describe('parseSearchQuery', () => {
+    it('separates free words, phrases and qualifiers', () => {
+        const { terms, filter, qualified } = parseSearchQuery('ann "lee smith" email:gmail');
+
+        expect(terms).toEqual([
+            { text: 'ann', phrase: false },
+            { text: 'lee smith', phrase: true },
+        ]);
+        expect(filter).toEqual({ email: { $regex: /^gmail/i } });
+        expect(qualified).toEqual({ email: ['gmail'] });
+    });
+
+    it('keeps quoted qualifier values together', () => {
+        const { terms, filter } = parseSearchQuery('name:"ann lee"');
+
+        expect(terms).toEqual([]);
+        expect(filter).toEqual({ name: { $regex: /^ann lee/i } });
+    });
+
+    it('parses numeric comparisons and ranges, ANDing repeats', () => {
+        expect(parseSearchQuery('age:20').filter).toEqual({ age: { $eq: 20 } });
+        expect(parseSearchQuery('age:18..25').filter).toEqual({ age: { $gte: 18, $lte: 25 } });
+        expect(parseSearchQuery('age:>20 age:<=30').filter).toEqual({
+            age: { $gt: 20 },
+            $and: [{ age: { $lte: 30 } }],
+        });
+    });
+
+    it('escapes qualifier values', () => {
+        const { filter } = parseSearchQuery('email:a.b(');
+        expect(filter.email.$regex.source).toBe('^a\\.b\\(');
+    });
+
+    it('maps a qualifier through its filter function', () => {
+        const fields = { age: { type: 'number', filter: (condition) => ({ computedAge: condition }) } };
+        expect(parseSearchQuery('age:>=21', fields).filter).toEqual({ computedAge: { $gte: 21 } });
+    });
+
+    it('rejects unknown qualifiers and non-numbers', () => {
+        expect(() => parseSearchQuery('password:x')).toThrow(/Unknown search field "password"/);
+        expect(() => parseSearchQuery('age:old')).toThrow('age: expects a number');
+        expect(() => parseSearchQuery('age:1..')).toThrow('age: expects a number');
+    });
+});
+
+describe('buildSearchFilter', () => {
+    it('is empty without a query', () => {
+        expect(buildSearchFilter('')).toEqual({});
+        expect(buildSearchFilter('   ')).toEqual({});
+        expect(buildSearchFilter(null)).toEqual({});
+    });
+
+    it('requires every free word as a name or email prefix', () => {
+        const filter = buildSearchFilter('jo sm age:>20');
+
+        expect(filter.age).toEqual({ $gt: 20 });
+        expect(filter.$and).toHaveLength(2);
+        const [jo] = filter.$and;
+        expect(jo.$or[0].name.$regex.test('Mary Jones')).toBe(true);
+        expect(jo.$or[0].name.$regex.test('Major')).toBe(false);
+        expect(jo.$or[1].email.$regex.test('john@example.com')).toBe(true);
+    });
+
+    it('matches regex metacharacters literally', () => {
+        const [condition] = buildSearchFilter('a+').$and;
+        expect(condition.$or[1].email.$regex.test('a+b@example.com')).toBe(true);
+        expect(condition.$or[1].email.$regex.test('aaa@example.com')).toBe(false);
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { readJsonObject } from '@/lib/validation';
+import { describeError } from '@/lib/errors';
+
+/** POST request with a raw body */
+const post = (body) => new Request('http://localhost/api/x', { method: 'POST', body });
+
+/** The status errorResponse() would answer a call's rejection with */
+async function statusOf(promise) {
+    const error = await promise.then(() => null, (thrown) => thrown);
+    return describeError(error)?.status ?? 500;
+}
+
+describe('readJsonObject', () => {
+    it('returns a JSON object', async () => {
+        expect(await readJsonObject(post('{"email":"ann@example.com"}'))).toEqual({ email: 'ann@example.com' });
+    });
+
+    it('answers 400 for JSON that is not an object', async () => {
+        for (const body of ['null', '[]', '"text"', '42', 'true']) {
+            expect(await statusOf(readJsonObject(post(body)))).toBe(400);
+        }
+    });
+
+    it('answers 400 for malformed or missing JSON', async () => {
+        expect(await statusOf(readJsonObject(post('{"email":')))).toBe(400);
+        expect(await statusOf(readJsonObject(post('')))).toBe(400);
+    });
+});
@@ -0,0 +1,100 @@
+// Role-based access rules for /api routes
+// Evaluated by src/proxy.js before any route handler runs.
+//
+// Roles:
+//   admin      → everything
+//   instructor → read students (and their attachments) and courses, read/update their own
+//                instructor profile and attachments, manage assessments and grades (of courses
+//                they teach — checked in src/lib/grades.js), take attendance
+//   student    → read/update their own student record and attachments, read courses,
+//                their own transcript and attendance
+//
+// Anything not listed here is admin-only (deny by default).
+
+/** Routes reachable without a session */
+const PUBLIC_ROUTES = [
+    { pattern: /^\/api\/auth\/(login|logout)$/, methods: ['POST'] },
+    { pattern: /^\/api\/openapi\.json$/, methods: ['GET'] },
+    // Probes for load balancers and orchestrators
+    { pattern: /^\/api\/(health|ready)$/, methods: ['GET'] },
+    // Checks its own credentials: an admin session or METRICS_TOKEN (src/app/api/metrics/route.js)
+    { pattern: /^\/api\/metrics$/, methods: ['GET'] },
+];
+
+/**
+ * Non-admin rules. `own` means the id captured by the pattern must match
+ * the profile (Student or Instructor id) linked to the logged-in user.
+ */
+const RULES = [
+    { pattern: /^\/api\/auth\/me$/, methods: ['GET'], roles: ['instructor', 'student'] },
+    { pattern: /^\/api\/schema\/[^/]+$/, methods: ['GET'], roles: ['instructor', 'student'] },
+    { pattern: /^\/api\/events$/, methods: ['GET'], roles: ['instructor', 'student'] },
+    // GraphQL checks every field against the REST route it mirrors (src/lib/graphql.js)
+    { pattern: /^\/api\/graphql$/, methods: ['POST'], roles: ['instructor', 'student'] },
+
+    // Students
+    { pattern: /^\/api\/students(\/search)?$/, methods: ['GET'], roles: ['instructor'] },
+    { pattern: /^\/api\/students\/([^/]+)(\/courses|\/transcript|\/attendance)?$/, methods: ['GET'], roles: ['instructor'] },
+    { pattern: /^\/api\/students\/([^/]+)$/, methods: ['GET', 'PUT', 'PATCH'], roles: ['student'], own: true },
+    { pattern: /^\/api\/students\/([^/]+)\/(courses|transcript|attendance)$/, methods: ['GET'], roles: ['student'], own: true },
+    { pattern: /^\/api\/students\/([^/]+)\/attachments(\/[^/]+(\/thumbnail)?)?$/, methods: ['GET'], roles: ['instructor'] },
+    { pattern: /^\/api\/students\/([^/]+)\/attachments(\/[^/]+(\/thumbnail)?)?$/, methods: ['GET', 'POST', 'DELETE'], roles: ['student'], own: true },
+
+    // Instructors
+    { pattern: /^\/api\/instructors\/([^/]+)$/, methods: ['GET', 'PUT', 'PATCH'], roles: ['instructor'], own: true },
+    { pattern: /^\/api\/instructors\/([^/]+)\/courses$/, methods: ['GET'], roles: ['instructor'], own: true },
+    { pattern: /^\/api\/instructors\/([^/]+)\/attachments(\/[^/]+(\/thumbnail)?)?$/, methods: ['GET', 'POST', 'DELETE'], roles: ['instructor'], own: true },
+
+    // Courses
+    { pattern: /^\/api\/courses(\/[^/]+)?$/, methods: ['GET'], roles: ['instructor', 'student'] },
+    { pattern: /^\/api\/courses\/[^/]+\/enrollments$/, methods: ['GET'], roles: ['instructor'] },
+    { pattern: /^\/api\/courses\/[^/]+\/gradebook$/, methods: ['GET', 'PUT'], roles: ['instructor'] },
+
+    // Assessments and grades
+    { pattern: /^\/api\/(assessments|grades)$/, methods: ['GET', 'POST'], roles: ['instructor'] },
+    { pattern: /^\/api\/(assessments|grades)\/[^/]+$/, methods: ['GET', 'PUT', 'DELETE'], roles: ['instructor'] },
+
+    // Attendance
+    { pattern: /^\/api\/attendance(\/summary)?$/, methods: ['GET'], roles: ['instructor'] },
+    { pattern: /^\/api\/attendance$/, methods: ['POST'], roles: ['instructor'] },
+    { pattern: /^\/api\/attendance\/days\/[^/]+$/, methods: ['GET', 'PUT'], roles: ['instructor'] },
+    { pattern: /^\/api\/attendance\/[^/]+$/, methods: ['GET', 'PUT', 'DELETE'], roles: ['instructor'] },
+];
+
+/**
+ * Collection actions that sit where a record id would (/api/students/export is not
+ * a student). Admin-only — checked before RULES, whose id patterns would match them.
+ */
+const ADMIN_ONLY_ROUTES = /^\/api\/(students|instructors)\/(export|import|bulk|purge)(\/|$)/;
+
+/**
+ * Is this route open to anonymous callers?
+ */
+export function isPublicRoute(method, pathname) {
+    return PUBLIC_ROUTES.some((rule) => rule.methods.includes(method) && rule.pattern.test(pathname));
+}
+
+/**
+ * Decide whether a request may proceed.
+ * @param {{ role: string, profile?: string|null } | null} session
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {200 | 401 | 403} 200 = allowed
+ */
+export function authorize(session, method, pathname) {
+    if (isPublicRoute(method, pathname)) return 200;
+    if (!session) return 401;
+    if (session.role === 'admin') return 200;
+    if (ADMIN_ONLY_ROUTES.test(pathname)) return 403;
+
+    const allowed = RULES.some((rule) => {
+        if (!rule.roles.includes(session.role) || !rule.methods.includes(method)) return false;
+
+        const match = rule.pattern.exec(pathname);
+        if (!match) return false;
+
+        return !rule.own || (session.profile && match[1] === session.profile);
+    });
+
+    return allowed ? 200 : 403;
+}
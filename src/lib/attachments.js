@@ -0,0 +1,305 @@
+// Attachments of students and instructors: a profile photo and documents
+// (POST/GET /api/{students,instructors}/[id]/attachments and below)
+//
+// Uploads are multipart/form-data with a "file" field and an optional
+// "kind" field ("photo" or "document", default "document"). The declared type
+// must be on the allowlist and match the file's first bytes, so a renamed
+// executable can't pass as a PDF. Images get a square WebP thumbnail.
+//
+// A new photo replaces the previous one; the owner's `photo` field points at
+// the current photo attachment (used for avatars in the lists).
+
+import { Readable } from 'node:stream';
+import sharp from 'sharp';
+import Attachment from '@/models/Attachment';
+import { HttpError } from '@/lib/errors';
+import { getRequestUser } from '@/lib/session';
+import { recordAudit } from '@/lib/audit';
+import { readBodyCapped } from '@/lib/validation';
+import { defaultStorageName, getStorage, StorageNotFoundError } from '@/lib/storage';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+export const THUMBNAIL_SIZE = 128;
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Allowed types and how to recognise them from the first bytes.
+ * text/plain is last: anything without NUL bytes passes its check.
+ */
+const SIGNATURES = [
+    { type: 'image/jpeg', test: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { type: 'image/png', test: (bytes) => bytes.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n' },
+    { type: 'image/gif', test: (bytes) => /^GIF8[79]a$/.test(bytes.toString('latin1', 0, 6)) },
+    { type: 'image/webp', test: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+    { type: 'application/pdf', test: (bytes) => bytes.toString('latin1', 0, 5) === '%PDF-' },
+    { type: DOCX, test: (bytes) => bytes.toString('latin1', 0, 4) === 'PK\x03\x04' },
+    { type: 'text/plain', test: (bytes) => !bytes.subarray(0, 8192).includes(0) },
+];
+
+export const ATTACHMENT_TYPES = SIGNATURES.map(({ type }) => type);
+export const IMAGE_TYPES = ATTACHMENT_TYPES.filter((type) => type.startsWith('image/'));
+
+/**
+ * Upload size limit in bytes (ATTACHMENT_MAX_BYTES, default 10 MB).
+ */
+export function maxAttachmentBytes() {
+    const bytes = Number(process.env.ATTACHMENT_MAX_BYTES);
+    return Number.isFinite(bytes) && bytes > 0 ? bytes : DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Work out the content type of an upload and check it against its bytes.
+ * Browsers send an empty type (or octet-stream) for unknown extensions —
+ * then the type is detected from the contents.
+ * @throws {HttpError} 415 for types outside the allowlist, 422 when the bytes don't match
+ */
+export function checkContentType(declared, bytes) {
+    const type = (declared || '').split(';')[0].trim().toLowerCase();
+
+    if (!type || type === 'application/octet-stream') {
+        const detected = SIGNATURES.find((signature) => signature.test(bytes));
+        if (!detected) throw new HttpError(415, `Unsupported file type. Allowed: ${ATTACHMENT_TYPES.join(', ')}`);
+        return detected.type;
+    }
+
+    const signature = SIGNATURES.find((entry) => entry.type === type);
+    if (!signature) {
+        throw new HttpError(415, `Unsupported file type ${type}. Allowed: ${ATTACHMENT_TYPES.join(', ')}`);
+    }
+    if (!signature.test(bytes)) {
+        throw new HttpError(422, 'Validation failed', { file: `File content does not match its type (${type})` });
+    }
+    return type;
+}
+
+/** Room for the multipart boundaries, part headers and the "kind" field around the file */
+const MULTIPART_OVERHEAD = 64 * 1024;
+
+function tooLargeMessage(limit) {
+    return `File is too large (max ${Math.floor(limit / 1024 / 1024)} MB)`;
+}
+
+/**
+ * Read and validate a multipart upload.
+ * @returns {Promise<{ bytes: Buffer, filename: string, contentType: string, kind: string }>}
+ * @throws {HttpError} 400 without a file, 413 when too large, 415 / 422 for bad types
+ */
+export async function readUpload(request) {
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.includes('multipart/form-data')) {
+        throw new HttpError(415, 'Upload the file as multipart/form-data');
+    }
+
+    // Parse the multipart body only once it's known to be within the limit
+    const limit = maxAttachmentBytes();
+    const body = await readBodyCapped(request, limit + MULTIPART_OVERHEAD, tooLargeMessage(limit));
+    let form;
+    try {
+        form = await new Response(body, { headers: { 'content-type': contentType } }).formData();
+    } catch {
+        throw new HttpError(400, 'Malformed multipart/form-data body');
+    }
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+        throw new HttpError(400, 'Upload a file in the "file" field');
+    }
+
+    const kind = form.get('kind') || 'document';
+    if (kind !== 'photo' && kind !== 'document') {
+        throw new HttpError(422, 'Validation failed', { kind: 'Kind must be "photo" or "document"' });
+    }
+
+    if (file.size > limit) throw new HttpError(413, tooLargeMessage(limit));
+    if (file.size === 0) {
+        throw new HttpError(422, 'Validation failed', { file: 'File is empty' });
+    }
+
+    const bytes = Buffer.from(await file.arrayBuffer());
+    const type = checkContentType(file.type, bytes);
+    if (kind === 'photo' && !IMAGE_TYPES.includes(type)) {
+        throw new HttpError(422, 'Validation failed', { file: `A photo must be one of: ${IMAGE_TYPES.join(', ')}` });
+    }
+
+    // Keep only the base name — browsers may send a path
+    const filename = (file.name || 'file').split(/[\\/]/).pop().slice(0, 255) || 'file';
+
+    return { bytes, filename, contentType: type, kind };
+}
+
+/**
+ * Square WebP thumbnail of an image (EXIF orientation applied).
+ * @throws {HttpError} 422 when the image can't be decoded
+ */
+export async function createThumbnail(bytes) {
+    try {
+        return await sharp(bytes)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+            .webp({ quality: 80 })
+            .toBuffer();
+    } catch {
+        throw new HttpError(422, 'Validation failed', { file: 'Image could not be read' });
+    }
+}
+
+/**
+ * Load a live owner (student / instructor) or throw 404.
+ */
+export async function findOwner(Model, id, label) {
+    const owner = await Model.findById(id);
+    if (!owner) throw new HttpError(404, `${label} not found`);
+    return owner;
+}
+
+/**
+ * One attachment of an owner, or 404.
+ */
+export async function findAttachment(entity, ownerId, attachmentId) {
+    const attachment = await Attachment.findOne({ _id: attachmentId, entity, owner: ownerId });
+    if (!attachment) throw new HttpError(404, 'Attachment not found');
+    return attachment;
+}
+
+/**
+ * Point the owner's `photo` at a new attachment (or null) and record the change.
+ */
+async function setPhoto(request, Model, entity, owner, photo) {
+    const before = owner.toObject();
+    await Model.updateOne({ _id: owner._id }, { $set: { photo } });
+    const after = await Model.findById(owner._id);
+    await recordAudit(request, { entity, entityId: owner._id, action: 'update', before, after });
+}
+
+/**
+ * Delete an attachment's stored files (missing files are ignored).
+ */
+async function removeFiles(attachment) {
+    const storage = getStorage(attachment.storage);
+    await storage.remove(attachment.key);
+    if (attachment.thumbnailKey) await storage.remove(attachment.thumbnailKey);
+}
+
+/**
+ * Delete a replaced attachment (the previous photo) if it still exists.
+ */
+async function deleteAttachmentById(entity, ownerId, attachmentId) {
+    const attachment = await Attachment.findOne({ _id: attachmentId, entity, owner: ownerId });
+    if (!attachment) return;
+    await attachment.deleteOne();
+    await removeFiles(attachment);
+}
+
+/**
+ * Store an upload for an owner. A photo replaces the owner's previous photo.
+ *
+ * @param {Request} request
+ * @param {{ Model: import('mongoose').Model, entity: string, owner: import('mongoose').Document }} target
+ * @returns {Promise<import('mongoose').Document>} The new Attachment
+ */
+export async function createAttachment(request, { Model, entity, owner }) {
+    const upload = await readUpload(request);
+    const thumbnail = IMAGE_TYPES.includes(upload.contentType) ? await createThumbnail(upload.bytes) : null;
+
+    const storageName = defaultStorageName();
+    const storage = getStorage(storageName);
+    const stored = { storage: storageName, key: null, thumbnailKey: null };
+
+    let attachment;
+    try {
+        stored.key = await storage.save(upload.bytes, upload);
+        if (thumbnail) {
+            stored.thumbnailKey = await storage.save(thumbnail, { filename: `thumb-${upload.filename}`, contentType: 'image/webp' });
+        }
+
+        attachment = await Attachment.create({
+            entity,
+            owner: owner._id,
+            kind: upload.kind,
+            filename: upload.filename,
+            contentType: upload.contentType,
+            size: upload.bytes.length,
+            ...stored,
+            uploadedBy: getRequestUser(request)?.id || 'anonymous',
+        });
+    } catch (error) {
+        // Don't leave orphaned files behind
+        if (stored.key) await removeFiles(stored).catch(() => {});
+        throw error;
+    }
+
+    if (upload.kind === 'photo') {
+        const previous = owner.photo;
+        await setPhoto(request, Model, entity, owner, attachment._id);
+        if (previous) await deleteAttachmentById(entity, owner._id, previous);
+    }
+
+    return attachment;
+}
+
+/**
+ * Delete an attachment (and clear the owner's photo when it was the photo).
+ */
+export async function deleteAttachment(request, { Model, entity, owner, attachment }) {
+    await attachment.deleteOne();
+    await removeFiles(attachment);
+
+    if (owner.photo && String(owner.photo) === String(attachment._id)) {
+        await setPhoto(request, Model, entity, owner, null);
+    }
+}
+
+/**
+ * Delete every attachment of purged owners (see the purge routes).
+ */
+export async function deleteAttachmentsOf(entity, ownerIds) {
+    const attachments = await Attachment.find({ entity, owner: { $in: ownerIds } });
+    for (const attachment of attachments) {
+        await removeFiles(attachment);
+    }
+    await Attachment.deleteMany({ entity, owner: { $in: ownerIds } });
+}
+
+/**
+ * Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266).
+ */
+function contentDisposition(type, filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Stream an attachment (or its thumbnail) to the client.
+ * Images are shown inline; everything else is downloaded.
+ *
+ * @param {import('mongoose').Document} attachment
+ * @param {{ thumbnail?: boolean }} [options]
+ * @returns {Promise<Response>}
+ */
+export async function attachmentResponse(attachment, { thumbnail = false } = {}) {
+    if (thumbnail && !attachment.thumbnailKey) {
+        throw new HttpError(404, 'This attachment has no thumbnail');
+    }
+
+    let stream;
+    try {
+        stream = await getStorage(attachment.storage).openReadStream(thumbnail ? attachment.thumbnailKey : attachment.key);
+    } catch (error) {
+        if (error instanceof StorageNotFoundError) throw new HttpError(404, 'Attachment file is missing');
+        throw error;
+    }
+
+    const headers = {
+        'Content-Type': thumbnail ? 'image/webp' : attachment.contentType,
+        'Content-Disposition': contentDisposition(
+            thumbnail || IMAGE_TYPES.includes(attachment.contentType) ? 'inline' : 'attachment',
+            attachment.filename
+        ),
+        // Stored files never change (a new upload is a new attachment)
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+    };
+    if (!thumbnail) headers['Content-Length'] = String(attachment.size);
+
+    return new Response(Readable.toWeb(stream), { headers });
+}
@@ -0,0 +1,199 @@
+// Attendance — shared by the /api/attendance routes and GET /api/students/[id]/attendance
+//
+// Days are stored as midnight UTC and addressed as YYYY-MM-DD, so a roll call
+// means the same calendar day whatever the server's or browser's time zone.
+//
+// Attendance percentage = (present + late) / (records − excused) × 100;
+// excused days count neither for nor against the student.
+
+import mongoose from 'mongoose';
+import Attendance, { ATTENDANCE_STATUSES } from '@/models/Attendance';
+import Student from '@/models/Student';
+import { HttpError } from '@/lib/errors';
+
+/** Default summary range when `from` is omitted (days before `to`) */
+export const DEFAULT_SUMMARY_DAYS = 30;
+
+/** Most records one roll call may contain */
+export const MAX_ROLL_CALL = 1000;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Options for paginate() on GET /api/attendance */
+export const ATTENDANCE_LIST_OPTIONS = {
+    sortFields: ['date', 'status', 'createdAt', 'updatedAt'],
+    filters: {
+        student: { field: 'student', op: '$eq', type: 'string' },
+        status: { field: 'status', op: '$eq', type: 'string' },
+        from: { field: 'date', op: '$gte', type: 'date' },
+        to: { field: 'date', op: '$lte', type: 'date' },
+    },
+};
+
+/**
+ * The calendar day (midnight UTC) a Date falls on.
+ */
+export function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Format a stored day as YYYY-MM-DD.
+ */
+export function formatDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD day (path segment or query parameter).
+ * @throws {HttpError} 400 for anything else, including impossible dates like 2026-02-30
+ */
+export function parseDay(raw, name = 'date') {
+    const date = new Date(`${raw}T00:00:00.000Z`);
+    if (!DAY_PATTERN.test(raw || '') || Number.isNaN(date.getTime()) || formatDay(date) !== raw) {
+        throw new HttpError(400, `${name} must be a date in YYYY-MM-DD format`);
+    }
+    return date;
+}
+
+/**
+ * Parse the `from` / `to` range of the summary endpoints (both inclusive).
+ * `to` defaults to today, `from` to DEFAULT_SUMMARY_DAYS before `to`.
+ */
+export function parseRange(searchParams) {
+    const to = searchParams.get('to') ? parseDay(searchParams.get('to'), 'to') : startOfDay(new Date());
+    const from = searchParams.get('from')
+        ? parseDay(searchParams.get('from'), 'from')
+        : new Date(to.getTime() - DEFAULT_SUMMARY_DAYS * DAY_MS);
+
+    if (from > to) {
+        throw new HttpError(400, '"from" must not be after "to"');
+    }
+    return { from, to };
+}
+
+/**
+ * Validate a roll call body: { records: [{ student, status, note? }] }.
+ * A null status clears that student's record for the day.
+ * Everything is checked (including that the students exist) before anything is written.
+ * @returns {Promise<{ student: string, status: string|null, note?: string }[]>}
+ * @throws {HttpError} 400 for a malformed body, 422 with per-entry messages
+ */
+export async function parseRollCall(body) {
+    const records = body?.records;
+    if (!Array.isArray(records) || records.length === 0) {
+        throw new HttpError(400, 'Body must be { "records": [ ... ] } with at least one entry');
+    }
+    if (records.length > MAX_ROLL_CALL) {
+        throw new HttpError(413, `At most ${MAX_ROLL_CALL} records per roll call`);
+    }
+
+    const ids = records.map((record) => record?.student).filter((id) => mongoose.isValidObjectId(id));
+    const existing = await Student.find({ _id: { $in: ids } }).select('_id').lean();
+    const known = new Set(existing.map((student) => String(student._id)));
+
+    const errors = {};
+    const seen = new Set();
+    const parsed = records.map((record, index) => {
+        const label = `records[${index}]`;
+        const { student, status, note } = record || {};
+        const errorCount = Object.keys(errors).length;
+
+        if (!mongoose.isValidObjectId(student) || !known.has(String(student))) {
+            errors[`${label}.student`] = 'Student not found';
+        } else if (seen.has(String(student))) {
+            errors[`${label}.student`] = 'Student appears more than once';
+        }
+        seen.add(String(student));
+
+        if (status !== null && !ATTENDANCE_STATUSES.includes(status)) {
+            errors[`${label}.status`] = `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')} (or null to clear)`;
+        }
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            errors[`${label}.note`] = 'Note must be a string';
+        } else if (note && note.length > 500) {
+            errors[`${label}.note`] = 'Note must be at most 500 characters';
+        }
+
+        // Nothing is written once anything failed, and a bad note can't be trimmed
+        if (Object.keys(errors).length > errorCount) return null;
+
+        const entry = { student: String(student), status };
+        if (note !== undefined) entry.note = note ? note.trim() : '';
+        return entry;
+    });
+
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(422, 'Validation failed', errors);
+    }
+
+    return parsed;
+}
+
+/**
+ * Write a validated roll call for one day: upsert records, delete cleared ones.
+ * @returns {Promise<{ saved: number, cleared: number }>}
+ */
+export async function saveRollCall(date, records) {
+    const operations = records.map(({ student, status, note }) => {
+        if (status === null) {
+            return { deleteOne: { filter: { date, student } } };
+        }
+
+        const update = { status };
+        if (note !== undefined) update.note = note;
+        return { updateOne: { filter: { date, student }, update: { $set: update }, upsert: true } };
+    });
+
+    const result = await Attendance.bulkWrite(operations, { ordered: false });
+    return {
+        saved: result.upsertedCount + result.modifiedCount,
+        cleared: result.deletedCount,
+    };
+}
+
+/**
+ * Attendance percentage from status counts, or null when no day counts.
+ */
+function attendancePercentage({ present, late, excused, total }) {
+    const counted = total - excused;
+    return counted > 0 ? Math.round(((present + late) / counted) * 10000) / 100 : null;
+}
+
+/**
+ * Per-student status counts and attendance percentage over a date range.
+ *
+ * @param {{ from: Date, to: Date, student?: string }} range - Inclusive days; `student` narrows to one
+ * @returns {Promise<{ student: object, present: number, absent: number, late: number,
+ *                     excused: number, total: number, percentage: number|null }[]>}
+ *          Sorted by student name. Students in the trash are left out.
+ */
+export async function summarizeAttendance({ from, to, student }) {
+    const match = { date: { $gte: from, $lte: to } };
+    if (student) match.student = new mongoose.Types.ObjectId(String(student));
+
+    const counts = await Attendance.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$student',
+                total: { $sum: 1 },
+                ...Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [
+                    status,
+                    { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } },
+                ])),
+            },
+        },
+    ]);
+
+    const students = await Student.find({ _id: { $in: counts.map((row) => row._id) } })
+        .select('name email')
+        .lean();
+    const byId = new Map(students.map((doc) => [String(doc._id), doc]));
+
+    return counts
+        .filter((row) => byId.has(String(row._id)))
+        .map(({ _id, ...row }) => ({ student: byId.get(String(_id)), ...row, percentage: attendancePercentage(row) }))
+        .sort((a, b) => a.student.name.localeCompare(b.student.name));
+}
@@ -0,0 +1,69 @@
+// Audit trail helpers
+// Every mutating student / instructor handler calls recordAudit() after a
+// successful write, so we can answer "who changed this email, and when?"
+// The same call publishes the change to live subscribers (see src/lib/events.js)
+
+import AuditEvent from '@/models/AuditEvent';
+import { getRequestUser } from '@/lib/session';
+import { publishEvent } from '@/lib/events';
+import { getLogger } from '@/lib/logger';
+
+// Bookkeeping fields that change on every write and aren't worth recording
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Plain JSON copy of a document (ObjectIds and Dates become strings),
+ * so values can be compared and stored as-is.
+ */
+function toPlain(doc) {
+    if (!doc) return {};
+    const object = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * Field-level diff between two versions of a document.
+ * @returns {Record<string, { before: unknown, after: unknown }>}
+ */
+export function diffDocuments(before, after) {
+    const a = toPlain(before);
+    const b = toPlain(after);
+    const changes = {};
+
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+        if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+
+        changes[key] = { before: a[key] ?? null, after: b[key] ?? null };
+    }
+
+    return changes;
+}
+
+/**
+ * Write one audit event. Failures are logged, not thrown: the change itself
+ * has already been committed and the client should still get its response.
+ *
+ * @param {Request} request - Used to identify the actor (set by src/proxy.js)
+ * @param {{ entity: string, entityId: unknown, action: string, before?: object|null, after?: object|null }} event
+ */
+export async function recordAudit(request, { entity, entityId, action, before = null, after = null }) {
+    const user = getRequestUser(request);
+
+    try {
+        await AuditEvent.create({
+            entity,
+            entityId,
+            action,
+            changes: diffDocuments(before, after),
+            actor: user?.id || 'anonymous',
+            actorRole: user?.role || null,
+        });
+    } catch (error) {
+        getLogger().error('Failed to record audit event', { entity, action, entityId: String(entityId), error });
+    }
+
+    // Full documents (create / update) let open lists update in place; others trigger a reload
+    const doc = after?._id ? toPlain(after) : undefined;
+    publishEvent({ entity, action, id: String(entityId), doc });
+}
@@ -0,0 +1,246 @@
+// Bulk operations over many records in one request (POST /api/students/bulk)
+//
+// Body:
+//   {
+//     "operations": [
+//       { "action": "update",  "ids": ["<id>", ...], "set": { "enrollmentStatus": "graduated" } },
+//       { "action": "delete",  "filter": { "q": "email:old", "maxAge": 17 } },
+//       { "action": "restore", "ids": ["<id>", ...] }
+//     ]
+//   }
+//
+// Each operation targets either explicit `ids` or a `filter` using the list
+// query parameters (q and the list filters: minAge, maxAge, createdAfter, createdBefore, ...).
+// update / delete match live records, restore matches the trash.
+//
+// On a replica set everything runs in one transaction: if any item fails,
+// nothing is written and the processed items are reported as rolled_back.
+// On a standalone server each item is written on its own (best effort).
+//
+// Item statuses: updated | unchanged | deleted | restored | not_found | skipped | failed | rolled_back
+
+import { HttpError, describeError } from '@/lib/errors';
+import { isReplicated } from '@/lib/db';
+import { DEFAULT_FILTERS, mergeFilters, parseFilters } from '@/lib/pagination';
+import { SEARCH_FIELDS, buildSearchFilter } from '@/lib/search';
+import { parseBody, parseIdList } from '@/lib/validation';
+import { recordAudit } from '@/lib/audit';
+
+export const BULK_ACTIONS = ['update', 'delete', 'restore'];
+export const MAX_BULK_OPERATIONS = 20;
+export const MAX_BULK_ITEMS = 1000;
+
+/** Thrown inside the transaction callback to abort it after an item failed */
+class Rollback extends Error {}
+
+/**
+ * Turn an operation's `filter` object into a Mongo filter (same rules as the list routes).
+ * Allowed keys: q plus the list filters.
+ */
+function parseTargetFilter(filter, label, { filters, searchFields }) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new HttpError(400, `${label}.filter must be an object`);
+    }
+
+    const allowed = ['q', ...Object.keys(filters)];
+    const unknown = Object.keys(filter).filter((key) => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `${label}.filter: unknown key(s) ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+    }
+
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filter)) {
+        if (value !== null && value !== undefined && String(value).trim() !== '') params.set(key, String(value));
+    }
+    // An empty filter would match every record — make that explicit with ids instead
+    if ([...params.keys()].length === 0) {
+        throw new HttpError(400, `${label}.filter needs at least one condition`);
+    }
+
+    return mergeFilters(parseFilters(params, filters), buildSearchFilter(params.get('q'), searchFields));
+}
+
+/**
+ * Validate the request body up front, before anything is written.
+ * @param {{ filters?: object, searchFields?: object }} [options] - Filter parameters / search qualifiers
+ *        of the list routes (defaults: DEFAULT_FILTERS, SEARCH_FIELDS)
+ * @returns {{ action: string, ids?: string[], filter?: object, data?: object }[]}
+ * @throws {HttpError} 400 for a malformed body, 422 for invalid `set` fields
+ */
+export function parseOperations(Model, body, { filters = DEFAULT_FILTERS, searchFields = SEARCH_FIELDS } = {}) {
+    const operations = body?.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new HttpError(400, 'Body must be { "operations": [ ... ] } with at least one operation');
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        throw new HttpError(400, `At most ${MAX_BULK_OPERATIONS} operations per request`);
+    }
+
+    return operations.map((operation, index) => {
+        const label = `operations[${index}]`;
+        const { action, ids, filter, set } = operation || {};
+
+        if (!BULK_ACTIONS.includes(action)) {
+            throw new HttpError(400, `${label}.action must be one of: ${BULK_ACTIONS.join(', ')}`);
+        }
+        if ((ids === undefined) === (filter === undefined)) {
+            throw new HttpError(400, `${label} needs either "ids" or "filter"`);
+        }
+
+        const parsed = { action };
+        if (ids !== undefined) {
+            parsed.ids = [...new Set(parseIdList(ids, `${label}.ids`))];
+            if (parsed.ids.length > MAX_BULK_ITEMS) {
+                throw new HttpError(413, `${label}: at most ${MAX_BULK_ITEMS} ids per operation`);
+            }
+        } else {
+            parsed.filter = parseTargetFilter(filter, label, { filters, searchFields });
+        }
+
+        if (action === 'update') {
+            parsed.data = parseBody(Model, set, { partial: true });
+        } else if (set !== undefined) {
+            throw new HttpError(400, `${label}: "set" is only allowed for update`);
+        }
+
+        return parsed;
+    });
+}
+
+/**
+ * Load the documents an operation applies to. With ids, every id gets an
+ * entry — `doc` is null when it doesn't exist at all.
+ */
+async function resolveTargets(Model, operation, session) {
+    if (operation.ids) {
+        const docs = await Model.find({ _id: { $in: operation.ids } })
+            .setOptions({ withDeleted: true })
+            .session(session);
+        const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+        return operation.ids.map((id) => ({ id, doc: byId.get(id) || null }));
+    }
+
+    const inTrash = operation.action === 'restore';
+    const query = mergeFilters(operation.filter, { deletedAt: inTrash ? { $ne: null } : null });
+    const count = await Model.countDocuments(query).session(session);
+    if (count > MAX_BULK_ITEMS) {
+        throw new HttpError(413, `Filter matches ${count} records (max ${MAX_BULK_ITEMS} per operation)`);
+    }
+
+    const docs = await Model.find(query).session(session);
+    return docs.map((doc) => ({ id: String(doc._id), doc }));
+}
+
+/**
+ * Apply one operation to one document.
+ * @returns {Promise<{ status: string, error?: string, audit?: object }>}
+ */
+async function applyToDocument(Model, operation, doc, session) {
+    const now = new Date();
+
+    if (operation.action === 'delete') {
+        if (doc.deletedAt) return { status: 'skipped', error: 'Already deleted' };
+        await Model.updateOne({ _id: doc._id, deletedAt: null }, { deletedAt: now }, { session });
+        return {
+            status: 'deleted',
+            audit: { action: 'delete', before: { deletedAt: null }, after: { deletedAt: now } },
+        };
+    }
+
+    if (operation.action === 'restore') {
+        if (!doc.deletedAt) return { status: 'skipped', error: 'Not deleted' };
+        await Model.updateOne({ _id: doc._id, deletedAt: { $ne: null } }, { deletedAt: null }, { session });
+        return {
+            status: 'restored',
+            audit: { action: 'restore', before: { deletedAt: doc.deletedAt }, after: { deletedAt: null } },
+        };
+    }
+
+    // update
+    if (doc.deletedAt) return { status: 'skipped', error: 'Record is in the trash' };
+    const before = doc.toObject();
+    doc.set(operation.data);
+    if (!doc.isModified()) return { status: 'unchanged' };
+    await doc.save({ session }); // schema validation + __v bump (stale ETags → 412)
+    return { status: 'updated', audit: { action: 'update', before, after: doc } };
+}
+
+/**
+ * Run every operation, pushing one result per item onto `results`.
+ * With `stopOnError` (inside a transaction) the first failure aborts the run.
+ */
+async function execute(Model, operations, results, { session, stopOnError }) {
+    for (const [index, operation] of operations.entries()) {
+        for (const { id, doc } of await resolveTargets(Model, operation, session)) {
+            const entry = { operation: index, action: operation.action, id };
+
+            if (!doc) {
+                results.push({ ...entry, status: 'not_found' });
+                continue;
+            }
+
+            try {
+                const outcome = await applyToDocument(Model, operation, doc, session);
+                results.push({ ...entry, ...outcome });
+            } catch (error) {
+                const known = describeError(error);
+                if (!known) throw error;
+                results.push({ ...entry, status: 'failed', error: known.body.error, fields: known.body.fields });
+                if (stopOnError) throw new Rollback();
+            }
+        }
+    }
+}
+
+/**
+ * Validate and run a bulk request.
+ *
+ * @param {import('mongoose').Model} Model - A soft-deletable model (Student)
+ * @param {unknown} body - Parsed JSON request body
+ * @param {{ entity: string, request: Request, filters?: object, searchFields?: object }} options
+ *        Audit entity name + request (for the actor), and the filters of the model's list route
+ * @returns {Promise<{ transactional: boolean, committed: boolean, summary: object, results: object[] }>}
+ */
+export async function runBulk(Model, body, { entity, request, filters, searchFields }) {
+    const operations = parseOperations(Model, body, { filters, searchFields });
+    const transactional = await isReplicated();
+
+    let results = [];
+    let committed = true;
+
+    if (transactional) {
+        const session = await Model.startSession();
+        try {
+            // withTransaction retries on transient errors — results are rebuilt on each attempt
+            await session.withTransaction(async () => {
+                results = [];
+                await execute(Model, operations, results, { session, stopOnError: true });
+            });
+        } catch (error) {
+            if (!(error instanceof Rollback)) throw error;
+            committed = false;
+        } finally {
+            await session.endSession();
+        }
+    } else {
+        await execute(Model, operations, results, { session: null, stopOnError: false });
+    }
+
+    if (committed) {
+        // Audit (and live events) only for writes that actually happened
+        for (const result of results) {
+            if (!result.audit) continue;
+            await recordAudit(request, { entity, entityId: result.id, ...result.audit });
+        }
+    }
+
+    const summary = {};
+    const items = results.map(({ audit, ...result }) => {
+        // Nothing from an aborted transaction was kept
+        if (!committed && audit) result.status = 'rolled_back';
+        summary[result.status] = (summary[result.status] || 0) + 1;
+        return result;
+    });
+
+    return { transactional, committed, summary, results: items };
+}
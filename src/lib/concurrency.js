@@ -0,0 +1,100 @@
+// Optimistic concurrency for single-record updates
+// The document's version key (__v) is exposed as an ETag. Clients send it back
+// in If-Match when updating; if someone else saved in the meantime the version
+// no longer matches and the update is rejected with 412 Precondition Failed,
+// including the current server values so the client can merge.
+//
+// Models opt in with the `optimisticConcurrency: true` schema option, which
+// makes every document.save() bump __v and check it atomically.
+
+import { NextResponse } from 'next/server';
+
+/**
+ * ETag for a document — its quoted version number, e.g. "3".
+ */
+export function etagFor(doc) {
+    return `"${doc.__v ?? 0}"`;
+}
+
+/**
+ * Does an If-Match / If-None-Match header value match the document's ETag?
+ * Supports "*", comma-separated lists and weak validators (W/"3").
+ */
+function headerMatches(header, doc) {
+    const etag = etagFor(doc);
+    return header
+        .split(',')
+        .map((tag) => tag.trim().replace(/^W\//, ''))
+        .some((tag) => tag === '*' || tag === etag);
+}
+
+/**
+ * JSON response for a single document with its ETag header.
+ */
+export function jsonWithEtag(doc, init = {}) {
+    const response = NextResponse.json(doc, init);
+    response.headers.set('ETag', etagFor(doc));
+    return response;
+}
+
+/**
+ * GET helper: 304 Not Modified when the client's If-None-Match is current,
+ * otherwise the document with its ETag.
+ */
+export function conditionalGet(request, doc) {
+    const ifNoneMatch = request.headers.get('if-none-match');
+    if (ifNoneMatch && headerMatches(ifNoneMatch, doc)) {
+        return new NextResponse(null, { status: 304, headers: { ETag: etagFor(doc) } });
+    }
+    return jsonWithEtag(doc);
+}
+
+/**
+ * 412 response carrying the current server version of the document.
+ * The ETag is the current document's, so the client can retry with it.
+ */
+export function preconditionFailed(current) {
+    const response = NextResponse.json(
+        { error: 'This record was changed by someone else', current },
+        { status: 412 }
+    );
+    response.headers.set('ETag', etagFor(current));
+    return response;
+}
+
+/**
+ * Check the If-Match header of an update request against the stored document.
+ * @returns {NextResponse | null} An error response (428 missing / 412 stale), or null to proceed
+ */
+export function checkIfMatch(request, doc) {
+    const ifMatch = request.headers.get('if-match');
+
+    if (!ifMatch) {
+        return NextResponse.json(
+            { error: 'If-Match header is required (use the ETag from GET)' },
+            { status: 428 }
+        );
+    }
+
+    return headerMatches(ifMatch, doc) ? null : preconditionFailed(doc);
+}
+
+/**
+ * Save a document that passed checkIfMatch(). If another request saved it in
+ * between (Mongoose VersionError), answer 412 with the now-current version —
+ * or 404 when it was deleted in between.
+ * @returns {Promise<NextResponse | null>} The 412 / 404 response, or null when saved
+ */
+export async function saveOrConflict(doc) {
+    try {
+        await doc.save();
+        return null;
+    } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+        const current = await doc.constructor.findById(doc._id);
+        if (!current) {
+            return NextResponse.json({ error: `${doc.constructor.modelName} not found` }, { status: 404 });
+        }
+        return preconditionFailed(current);
+    }
+}
@@ -0,0 +1,36 @@
+// Helpers shared by the /api/courses routes
+
+import mongoose from 'mongoose';
+import Instructor from '@/models/Instructor';
+import { HttpError } from '@/lib/errors';
+
+/** Options for paginate() on GET /api/courses */
+export const COURSE_LIST_OPTIONS = {
+    sortFields: ['code', 'title', 'term', 'capacity', 'createdAt', 'updatedAt'],
+    filters: {
+        term: { field: 'term', op: '$eq', type: 'string' },
+        instructor: { field: 'instructors', op: '$eq', type: 'string' },
+    },
+};
+
+/**
+ * Make sure every id in `ids` refers to an existing instructor.
+ * Throws a 400 HttpError naming the first unknown id.
+ */
+export async function assertInstructorsExist(ids) {
+    if (!Array.isArray(ids)) {
+        throw new HttpError(400, 'instructors must be an array of ids');
+    }
+
+    const invalid = ids.find((id) => !mongoose.isValidObjectId(id));
+    if (invalid) {
+        throw new HttpError(400, `Invalid instructor id: ${invalid}`);
+    }
+
+    const found = await Instructor.find({ _id: { $in: ids } }).select('_id').lean();
+    const foundIds = new Set(found.map((doc) => doc._id.toString()));
+    const missing = ids.find((id) => !foundIds.has(String(id)));
+    if (missing) {
+        throw new HttpError(400, `Instructor not found: ${missing}`);
+    }
+}
@@ -0,0 +1,110 @@
+// Minimal RFC 4180 CSV parsing
+// Handles quoted fields, escaped quotes (""), commas and newlines inside
+// quotes, CRLF line endings and a leading UTF-8 BOM (Excel exports).
+
+/**
+ * Split CSV text into rows of raw string cells.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name.
+ * Empty cells are omitted so they behave like missing JSON properties.
+ * @param {string} text
+ * @returns {Record<string, string>[]}
+ */
+export function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map((name) => name.trim());
+
+    return rows.map((cells) => {
+        const record = {};
+        columns.forEach((column, index) => {
+            const value = cells[index]?.trim();
+            if (column && value) record[column] = value;
+        });
+        return record;
+    });
+}
+
+// Cells a spreadsheet would run as a formula: =, @, a tab or carriage return,
+// or + / - unless only a number follows ("+1 555 0100", "-12.5" stay as they are)
+const FORMULA_TRIGGER = /^[=@\t\r]|^[+-](?![\d\s().+-]*$)/;
+
+/**
+ * Format one value as a CSV cell.
+ * Quotes when needed, and neutralises spreadsheet formulas with a leading '
+ * (see FORMULA_TRIGGER) — they would otherwise be executed when opened in Excel.
+ */
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object' && typeof value.toHexString !== 'function') text = JSON.stringify(value);
+    else text = String(value);
+
+    if (FORMULA_TRIGGER.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an array of values as one CSV line (CRLF-terminated).
+ */
+export function toCsvRow(values) {
+    return values.map(toCsvCell).join(',') + '\r\n';
+}
@@ -0,0 +1,137 @@
+// Admin-defined custom fields (see src/models/CustomField.js)
+// Definitions are cached per process for a short time because they are read
+// on every student validation; writes through /api/custom-fields clear the cache.
+
+import CustomField from '@/models/CustomField';
+
+/** How long definitions are cached (other app instances pick up changes after this) */
+const CACHE_TTL_MS = 30 * 1000;
+
+// entity → { expires, promise } — the promise is cached so a burst of
+// validations (e.g. an import) shares one query
+const cache = new Map();
+
+/**
+ * Custom field definitions of an entity, in creation order.
+ * @param {string} entity - e.g. 'student'
+ * @returns {Promise<object[]>} Lean CustomField documents
+ */
+export function loadCustomFields(entity) {
+    const cached = cache.get(entity);
+    if (cached && cached.expires > Date.now()) return cached.promise;
+
+    const promise = CustomField.find({ entity }).sort({ createdAt: 1 }).lean();
+    cache.set(entity, { expires: Date.now() + CACHE_TTL_MS, promise });
+    promise.catch(() => cache.delete(entity));
+    return promise;
+}
+
+/**
+ * Forget cached definitions (after a definition was created, changed or deleted).
+ */
+export function clearCustomFieldCache() {
+    cache.clear();
+}
+
+/**
+ * Coerce one value to a definition's type. Returns { value } or { error }.
+ */
+function coerceCustomValue(definition, raw) {
+    const { type, label } = definition;
+
+    switch (type) {
+        case 'number': {
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${label} must be a number` };
+            if (typeof definition.min === 'number' && value < definition.min) {
+                return { error: `${label} must be at least ${definition.min}` };
+            }
+            if (typeof definition.max === 'number' && value > definition.max) {
+                return { error: `${label} must be at most ${definition.max}` };
+            }
+            return { value };
+        }
+        case 'date': {
+            const value = new Date(raw);
+            if (typeof raw === 'boolean' || Number.isNaN(value.getTime())) return { error: `${label} must be a valid date` };
+            return { value };
+        }
+        case 'checkbox': {
+            if (typeof raw === 'boolean') return { value: raw };
+            if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+            return { error: `${label} must be true or false` };
+        }
+        case 'select': {
+            if (!definition.options.includes(raw)) {
+                return { error: `${label} must be one of: ${definition.options.join(', ')}` };
+            }
+            return { value: raw };
+        }
+        default: {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${label} must be text` };
+            return { value: String(raw).trim() };
+        }
+    }
+}
+
+/**
+ * Validate a customFields object against the definitions.
+ * Empty values (null, '') are dropped, so clearing an input removes the value.
+ *
+ * @param {object[]} definitions - From loadCustomFields()
+ * @param {unknown} input - The customFields value of a document
+ * @returns {{ values: Record<string, unknown>, errors: Record<string, string> }}
+ *          errors are keyed by document path, e.g. 'customFields.shoeSize'
+ */
+export function checkCustomValues(definitions, input) {
+    const values = {};
+    const errors = {};
+
+    if (input === null || input === undefined) input = {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: { customFields: 'customFields must be an object' } };
+    }
+
+    const byKey = new Map(definitions.map((definition) => [definition.key, definition]));
+
+    for (const [key, raw] of Object.entries(input)) {
+        const definition = byKey.get(key);
+        if (!definition) {
+            errors[`customFields.${key}`] = 'Unknown custom field';
+            continue;
+        }
+        if (raw === null || raw === undefined || raw === '') continue;
+
+        const { value, error } = coerceCustomValue(definition, raw);
+        if (error) errors[`customFields.${key}`] = error;
+        else values[key] = value;
+    }
+
+    for (const definition of definitions) {
+        if (definition.required && !Object.hasOwn(values, definition.key) && !errors[`customFields.${definition.key}`]) {
+            errors[`customFields.${definition.key}`] = `${definition.label} is required`;
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Form descriptors (same shape as describeFormFields) for the generic EntityForm.
+ * Names are dotted paths into the document, e.g. 'customFields.shoeSize'.
+ */
+export function customFormFields(definitions) {
+    return definitions.map((definition) => {
+        const field = {
+            name: `customFields.${definition.key}`,
+            label: definition.label,
+            type: definition.type === 'select' ? 'text' : definition.type,
+            required: Boolean(definition.required),
+            custom: true,
+        };
+        if (definition.type === 'select') field.options = definition.options;
+        if (typeof definition.min === 'number') field.min = definition.min;
+        if (typeof definition.max === 'number') field.max = definition.max;
+        return field;
+    });
+}
@@ -0,0 +1,22 @@
+// Entities managed through the generic UI (EntityPage / EntityForm / EntityList)
+// Client-safe: only names and URLs here — the fields come from GET /api/schema/[entity]
+
+export const ENTITIES = {
+    students: {
+        label: 'Student',
+        plural: 'Students',
+        apiPath: '/api/students',
+        pagePath: '/students',
+        auditEntity: 'student',
+        importPath: '/students/import',
+        bulkPath: '/api/students/bulk',
+        customFieldsPath: '/students/custom-fields',
+    },
+    instructors: {
+        label: 'Instructor',
+        plural: 'Instructors',
+        apiPath: '/api/instructors',
+        pagePath: '/instructors',
+        auditEntity: 'instructor',
+    },
+};
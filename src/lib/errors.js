@@ -0,0 +1,103 @@
+// Shared error handling for API routes
+// - HttpError lets helpers in src/lib reject a request with a specific HTTP status
+// - errorResponse() turns any thrown error into a consistent JSON body:
+//     { error: 'Human readable message', fields?: { email: 'Email already exists' } }
+
+import { NextResponse } from 'next/server';
+import { getLogger } from '@/lib/logger';
+
+/**
+ * An error that maps directly to an HTTP response.
+ * Route handlers check `instanceof HttpError` and reply with `status`.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code (e.g. 400, 404)
+     * @param {string} message - User-facing error message
+     * @param {Record<string, string>} [fields] - Per-field messages, keyed by field name
+     */
+    constructor(status, message, fields) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.fields = fields;
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Map an error to { status, body } without building a response.
+ * Returns null for errors we don't recognise (→ caller's 500).
+ */
+export function describeError(error) {
+    if (error instanceof HttpError) {
+        const body = { error: error.message };
+        if (error.fields) body.fields = error.fields;
+        return { status: error.status, body };
+    }
+
+    // request.json() on a malformed body
+    if (error instanceof SyntaxError) {
+        return { status: 400, body: { error: 'Request body must be valid JSON' } };
+    }
+
+    // Mongoose schema validation (required, min, match, enum, ...)
+    if (error?.name === 'ValidationError' && error.errors) {
+        const fields = {};
+        for (const [path, detail] of Object.entries(error.errors)) {
+            fields[path] = detail.kind === 'ObjectId' || detail.name === 'CastError'
+                ? `Invalid value for ${path}`
+                : detail.message;
+        }
+        return { status: 422, body: { error: 'Validation failed', fields } };
+    }
+
+    // Value that can't be cast to the schema type — most often a malformed :id
+    if (error?.name === 'CastError') {
+        if (error.path === '_id') {
+            return { status: 400, body: { error: 'Invalid ID' } };
+        }
+        return {
+            status: 400,
+            body: { error: `Invalid value for ${error.path}`, fields: { [error.path]: `Invalid value for ${error.path}` } },
+        };
+    }
+
+    // Optimistic concurrency: the document changed between read and save
+    if (error?.name === 'VersionError') {
+        return { status: 412, body: { error: 'This record was changed by someone else' } };
+    }
+
+    // Unique index violation
+    if (error?.code === 11000) {
+        const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+        if (!field) {
+            return { status: 409, body: { error: 'Duplicate value' } };
+        }
+        const message = `${capitalize(field)} already exists`;
+        return { status: 409, body: { error: message, fields: { [field]: message } } };
+    }
+
+    return null;
+}
+
+/**
+ * Build the JSON error response for anything a route handler caught.
+ * Unknown errors are logged (with the request id, see src/lib/logger.js) and answered with `fallbackMessage` + 500.
+ *
+ * @param {unknown} error
+ * @param {string} fallbackMessage - e.g. 'Failed to update student'
+ * @param {string} [context] - Route label used in the server log, e.g. 'PUT /api/students/[id]'
+ */
+export function errorResponse(error, fallbackMessage, context) {
+    const known = describeError(error);
+    if (known) {
+        return NextResponse.json(known.body, { status: known.status });
+    }
+
+    getLogger().error(`${context || 'API'} error`, { error });
+    return NextResponse.json({ error: fallbackMessage }, { status: 500 });
+}
@@ -0,0 +1,128 @@
+// Live change events for students and instructors (consumed by GET /api/events)
+//
+// Two sources, picked once per server process:
+//   - MongoDB change streams, when the server is a replica set or sharded
+//     cluster — sees every write, including other app instances and the shell
+//   - an in-process event bus otherwise (e.g. a standalone mongod in dev):
+//     recordAudit() publishes each change, so only writes made through this
+//     process's API are seen
+//
+// Event shape: { entity: 'student' | 'instructor', action, id, doc? }
+// where action is one of create | update | delete | restore | purge (as in the audit log)
+
+import { EventEmitter } from 'node:events';
+import { isReplicated } from '@/lib/db';
+import { logger } from '@/lib/logger';
+import Student from '@/models/Student';
+import Instructor from '@/models/Instructor';
+
+/** Entities with live events → model and the API path of a single record */
+const SOURCES = {
+    student: { Model: Student, apiPath: '/api/students' },
+    instructor: { Model: Instructor, apiPath: '/api/instructors' },
+};
+
+// Cached on `global` (like the db connection) so hot reloads don't open extra change streams
+let state = global.entityEvents;
+if (!state) {
+    state = global.entityEvents = { bus: new EventEmitter(), mode: null, streams: [], starting: null };
+    state.bus.setMaxListeners(0); // one listener per open SSE connection
+}
+
+/**
+ * API path of the record an event is about, e.g. /api/students/<id> —
+ * used to check whether a subscriber may read it.
+ */
+export function eventPath(event) {
+    return `${SOURCES[event.entity].apiPath}/${event.id}`;
+}
+
+/**
+ * Publish a change made through the API. Ignored while change streams are
+ * active — they already deliver the same write.
+ */
+export function publishEvent(event) {
+    if (!SOURCES[event.entity] || state.mode === 'changeStream') return;
+    state.bus.emit('change', event);
+}
+
+/**
+ * Translate a change stream document into an event.
+ * Soft deletes / restores are updates of `deletedAt`; a real delete is a purge.
+ * The stored document goes through the model's toJSON like an API response,
+ * so computed fields (a student's `age`) are included.
+ */
+export function fromChange(entity, change) {
+    const id = String(change.documentKey?._id);
+    const doc = change.fullDocument ? SOURCES[entity].Model.hydrate(change.fullDocument).toJSON() : undefined;
+
+    switch (change.operationType) {
+        case 'insert':
+            return { entity, action: 'create', id, doc };
+        case 'update':
+        case 'replace': {
+            const updated = change.updateDescription?.updatedFields || {};
+            if ('deletedAt' in updated) {
+                return { entity, action: updated.deletedAt ? 'delete' : 'restore', id, doc };
+            }
+            return { entity, action: 'update', id, doc };
+        }
+        case 'delete':
+            return { entity, action: 'purge', id };
+        default:
+            return null;
+    }
+}
+
+function closeStreams() {
+    state.streams.forEach((stream) => stream.close().catch(() => {}));
+    state.streams = [];
+}
+
+async function startSource() {
+    if (!(await isReplicated())) {
+        state.mode = 'bus';
+        return;
+    }
+
+    state.mode = 'changeStream';
+    for (const [entity, { Model }] of Object.entries(SOURCES)) {
+        const stream = Model.watch([], { fullDocument: 'updateLookup' });
+        stream.on('change', (change) => {
+            const event = fromChange(entity, change);
+            if (event) state.bus.emit('change', JSON.parse(JSON.stringify(event)));
+        });
+        stream.on('error', (error) => {
+            // e.g. the stream was invalidated — keep serving events from the bus
+            logger.error('Change stream failed, falling back to in-process events', { entity, error });
+            closeStreams();
+            state.mode = 'bus';
+        });
+        state.streams.push(stream);
+    }
+}
+
+/**
+ * Make sure an event source is running (idempotent).
+ * @returns {Promise<'changeStream' | 'bus'>}
+ */
+export async function startEvents() {
+    if (!state.starting) {
+        state.starting = startSource().catch((error) => {
+            state.starting = null; // retry on the next subscriber
+            throw error;
+        });
+    }
+    await state.starting;
+    return state.mode;
+}
+
+/**
+ * Listen for change events. Call startEvents() first.
+ * @param {(event: object) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribe(listener) {
+    state.bus.on('change', listener);
+    return () => state.bus.off('change', listener);
+}
@@ -0,0 +1,186 @@
+// Streaming export of a collection to CSV, JSON or XLSX
+// Documents are read through a Mongoose cursor and written to the response
+// as they arrive, so large rosters are never buffered in memory.
+//
+// Query parameters:
+//   format=csv|json|xlsx      (default csv)
+//   columns=name,email,...    (default: every exportable column)
+//   q=...                     same syntax as /api/students/search (words use prefix matching)
+//   minAge, maxAge, createdAfter, createdBefore, sort, deleted=true
+//                             same as the list routes (page / limit are ignored)
+//
+// Nested values (address, guardians, ...) are written as JSON text in CSV / XLSX cells.
+
+import { PassThrough, Readable } from 'node:stream';
+import ExcelJS from 'exceljs';
+import { HttpError } from '@/lib/errors';
+import { mergeFilters, parseListParams, trashListOptions } from '@/lib/pagination';
+import { SEARCH_FIELDS, buildSearchFilter } from '@/lib/search';
+import { describeFields } from '@/lib/validation';
+import { toCsvRow } from '@/lib/csv';
+import { getLogger } from '@/lib/logger';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8' },
+    json: { contentType: 'application/json; charset=utf-8' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+/** Columns that are always added (or never exported) regardless of the schema */
+const FIXED_COLUMNS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Columns that can be exported for a model: its id, schema fields (including
+ * server-managed ones like studentNumber) and timestamps.
+ */
+export function exportableColumns(Model, { deleted = false } = {}) {
+    const fields = Object.keys(describeFields(Model))
+        .filter((name) => !FIXED_COLUMNS.includes(name) && (deleted || name !== 'deletedAt'));
+    return ['_id', ...fields, 'createdAt', 'updatedAt'];
+}
+
+/**
+ * Parse `columns=a,b,c` against the exportable columns (order is preserved).
+ */
+function parseColumns(raw, allowed) {
+    if (!raw) return allowed;
+
+    const columns = raw.split(',').map((column) => column.trim()).filter(Boolean);
+    const unknown = columns.filter((column) => !allowed.includes(column));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Unknown columns: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+    }
+    return columns.length > 0 ? columns : allowed;
+}
+
+/**
+ * Read a column from a lean document as an export-friendly value.
+ * With `flat`, objects and arrays become JSON text (one spreadsheet cell).
+ */
+function columnValue(doc, column, flat = false) {
+    const value = doc[column];
+    if (value && typeof value.toHexString === 'function') return value.toString();
+    if (flat && value && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+    return value ?? null;
+}
+
+/**
+ * Turn an async iterable of strings into a web ReadableStream.
+ * Cancelling the response (client disconnects) closes the Mongo cursor.
+ */
+function streamText(chunks) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    const encoder = new TextEncoder();
+    // pull() runs after the handler has returned — keep its request's logger
+    const log = getLogger();
+
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await iterator.next();
+                if (done) controller.close();
+                else controller.enqueue(encoder.encode(value));
+            } catch (error) {
+                log.error('Export stream failed', { error });
+                controller.error(error);
+            }
+        },
+        async cancel() {
+            await iterator.return?.();
+        },
+    });
+}
+
+async function* csvChunks(cursor, columns) {
+    yield toCsvRow(columns);
+    for await (const doc of cursor) {
+        yield toCsvRow(columns.map((column) => columnValue(doc, column, true)));
+    }
+}
+
+async function* jsonChunks(cursor, columns) {
+    yield '[';
+    let first = true;
+    for await (const doc of cursor) {
+        const record = Object.fromEntries(columns.map((column) => [column, columnValue(doc, column)]));
+        yield (first ? '\n' : ',\n') + JSON.stringify(record);
+        first = false;
+    }
+    yield '\n]\n';
+}
+
+/**
+ * XLSX via ExcelJS's streaming writer: rows are committed to the zip as they arrive.
+ */
+function xlsxStream(cursor, columns, sheetName) {
+    const output = new PassThrough();
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: output,
+        useStyles: false,
+        useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet(sheetName);
+    const log = getLogger();
+    sheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+    (async () => {
+        try {
+            for await (const doc of cursor) {
+                sheet.addRow(Object.fromEntries(columns.map((column) => [column, columnValue(doc, column, true)]))).commit();
+            }
+            sheet.commit();
+            await workbook.commit();
+        } catch (error) {
+            log.error('XLSX export failed', { error });
+            output.destroy(error);
+        }
+    })();
+
+    // Client went away → stop reading from Mongo
+    output.on('close', () => cursor.close().catch(() => {}));
+
+    return Readable.toWeb(output);
+}
+
+/**
+ * Build a streaming download response for a filtered collection.
+ *
+ * @param {import('mongoose').Model} Model
+ * @param {URLSearchParams} searchParams
+ * @param {{ name: string, listOptions?: object, searchFields?: object }} options
+ *        name: used for the file name and sheet name, e.g. "students";
+ *        listOptions / searchFields: the model's sort fields, filters and search qualifiers
+ * @returns {Response}
+ */
+export function exportCollection(Model, searchParams, { name, listOptions: baseOptions = {}, searchFields = SEARCH_FIELDS }) {
+    const format = (searchParams.get('format') || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw new HttpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const deleted = searchParams.get('deleted') === 'true';
+    const listOptions = deleted ? trashListOptions(baseOptions) : baseOptions;
+    const { filter, sort } = parseListParams(searchParams, listOptions);
+    const columns = parseColumns(searchParams.get('columns'), exportableColumns(Model, { deleted }));
+
+    const query = mergeFilters({ ...listOptions.baseFilter, ...filter }, buildSearchFilter(searchParams.get('q'), searchFields));
+    const cursor = Model.find(query)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .select(columns.join(' '))
+        .lean()
+        .cursor();
+
+    let body;
+    if (format === 'csv') body = streamText(csvChunks(cursor, columns));
+    else if (format === 'json') body = streamText(jsonChunks(cursor, columns));
+    else body = xlsxStream(cursor, columns, name);
+
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(body, {
+        headers: {
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${name}-${date}.${format}"`,
+            'Cache-Control': 'no-store',
+        },
+    });
+}
@@ -0,0 +1,312 @@
+// Grades and assessments — shared by the /api/assessments, /api/grades,
+// /api/courses/[id]/gradebook and /api/students/[id]/transcript routes
+//
+// Averages are weighted by assessment weight over the assessments that have
+// a score; ungraded (e.g. not yet due) assessments don't count against anyone.
+
+import mongoose from 'mongoose';
+import Assessment from '@/models/Assessment';
+import Course from '@/models/Course';
+import Grade from '@/models/Grade';
+import { HttpError } from '@/lib/errors';
+import { getRequestUser } from '@/lib/session';
+
+/** Options for paginate() on GET /api/assessments */
+export const ASSESSMENT_LIST_OPTIONS = {
+    sortFields: ['title', 'dueDate', 'maxScore', 'weight', 'createdAt', 'updatedAt'],
+    filters: {
+        course: { field: 'course', op: '$eq', type: 'string' },
+    },
+};
+
+/** Options for paginate() on GET /api/grades */
+export const GRADE_LIST_OPTIONS = {
+    sortFields: ['score', 'createdAt', 'updatedAt'],
+    filters: {
+        student: { field: 'student', op: '$eq', type: 'string' },
+        assessment: { field: 'assessment', op: '$eq', type: 'string' },
+    },
+};
+
+/** Letter grade cut-offs (percent), highest first */
+export const GRADE_SCALE = [
+    { min: 90, letter: 'A' },
+    { min: 80, letter: 'B' },
+    { min: 70, letter: 'C' },
+    { min: 60, letter: 'D' },
+    { min: 0, letter: 'F' },
+];
+
+/**
+ * Letter for a percentage, or null when there is nothing to grade yet.
+ */
+export function letterGrade(percent) {
+    if (percent === null) return null;
+    return GRADE_SCALE.find(({ min }) => percent >= min).letter;
+}
+
+/**
+ * Weighted average in percent (2 decimals) of [{ score, maxScore, weight }].
+ * Entries without a score are ignored; null when nothing is graded or all weights are 0.
+ */
+export function weightedAverage(entries) {
+    let total = 0;
+    let weights = 0;
+
+    for (const { score, maxScore, weight } of entries) {
+        if (score === null || score === undefined) continue;
+        total += (score / maxScore) * 100 * weight;
+        weights += weight;
+    }
+
+    return weights > 0 ? Math.round((total / weights) * 100) / 100 : null;
+}
+
+/**
+ * Reject a score above the assessment's maximum (the schema only knows the minimum).
+ * @throws {HttpError} 422
+ */
+export function assertScoreInRange(score, assessment, field = 'score') {
+    if (score > assessment.maxScore) {
+        throw new HttpError(422, 'Validation failed', {
+            [field]: `Score cannot exceed the max score (${assessment.maxScore})`,
+        });
+    }
+}
+
+/**
+ * Only admins and the course's own instructors may see or change its assessments and grades
+ * (src/lib/access.js lets every instructor through to these routes).
+ * @param {Request} request
+ * @param {{ instructors: unknown[] }} course
+ * @param {'change' | 'see'} [action] - Used in the error message
+ * @throws {HttpError} 403
+ */
+export function assertCanGrade(request, course, action = 'change') {
+    const user = getRequestUser(request);
+    if (user?.role === 'admin') return;
+
+    const teaches = user?.role === 'instructor'
+        && course.instructors.some((id) => String(id) === user.profile);
+    if (!teaches) {
+        throw new HttpError(403, `Only instructors of this course can ${action} its grades`);
+    }
+}
+
+/**
+ * Course filter matching the courses the user teaches (none for other roles).
+ */
+function taughtCoursesFilter(user) {
+    return user?.role === 'instructor' && mongoose.isValidObjectId(user.profile)
+        ? { instructors: user.profile }
+        : { _id: { $in: [] } };
+}
+
+/**
+ * Grade filter limiting GET /api/grades and transcripts to the courses the user teaches
+ * (undefined for admins, who see everything).
+ * @param {Request} request
+ * @returns {Promise<object | undefined>}
+ */
+export async function gradeScopeFilter(request) {
+    const user = getRequestUser(request);
+    if (user?.role === 'admin') return undefined;
+
+    const courses = await Course.find(taughtCoursesFilter(user)).distinct('_id');
+    const assessments = await Assessment.find({ course: { $in: courses } }).distinct('_id');
+    return { assessment: { $in: assessments } };
+}
+
+/**
+ * Load an assessment together with its course.
+ * @throws {HttpError} 404 when either doesn't exist
+ */
+export async function findAssessment(id) {
+    const assessment = await Assessment.findById(id);
+    if (!assessment) throw new HttpError(404, 'Assessment not found');
+
+    const course = await Course.findById(assessment.course).select('code title term instructors enrollments');
+    if (!course) throw new HttpError(404, 'Course not found');
+
+    return { assessment, course };
+}
+
+/**
+ * Score, percentage and letter of one assessment for the JSON responses.
+ */
+function describeAssessment(assessment, score) {
+    const percent = score === null ? null : Math.round((score / assessment.maxScore) * 10000) / 100;
+    return {
+        _id: assessment._id,
+        title: assessment.title,
+        maxScore: assessment.maxScore,
+        weight: assessment.weight,
+        dueDate: assessment.dueDate,
+        score,
+        percent,
+    };
+}
+
+/**
+ * Transcript of one student: every course they're enrolled in or have grades for.
+ * Instructors only get the courses they teach (src/lib/access.js lets every
+ * instructor read any student's transcript, and students only their own).
+ *
+ * @param {unknown} studentId
+ * @param {Request} request - For the requesting user
+ * @returns {Promise<{ courses: object[], average: number|null, letter: string|null }>}
+ *          The overall average is the mean of the course averages.
+ */
+export async function buildTranscript(studentId, request) {
+    const user = getRequestUser(request);
+    const instructor = user?.role === 'instructor';
+    const gradeScope = instructor ? await gradeScopeFilter(request) : undefined;
+    const courseScope = instructor ? taughtCoursesFilter(user) : {};
+
+    const grades = await Grade.find({ student: studentId, ...gradeScope }).lean();
+    const scores = new Map(grades.map((grade) => [String(grade.assessment), grade.score]));
+
+    const gradedAssessments = await Assessment.find({ _id: { $in: grades.map((grade) => grade.assessment) } })
+        .select('course')
+        .lean();
+    const courses = await Course.find({
+        $or: [
+            { 'enrollments.student': studentId },
+            { _id: { $in: gradedAssessments.map((assessment) => assessment.course) } },
+        ],
+        ...courseScope,
+    })
+        .select('code title term')
+        .sort({ term: -1, code: 1 })
+        .lean();
+
+    const assessments = await Assessment.find({ course: { $in: courses.map((course) => course._id) } })
+        .sort({ dueDate: 1, createdAt: 1 })
+        .lean();
+
+    const rows = courses.map((course) => {
+        const items = assessments
+            .filter((assessment) => assessment.course.equals(course._id))
+            .map((assessment) => describeAssessment(assessment, scores.get(String(assessment._id)) ?? null));
+        const average = weightedAverage(items);
+        return { course, assessments: items, average, letter: letterGrade(average) };
+    });
+
+    const averages = rows.map((row) => row.average).filter((average) => average !== null);
+    const average = averages.length > 0
+        ? Math.round((averages.reduce((sum, value) => sum + value, 0) / averages.length) * 100) / 100
+        : null;
+
+    return { courses: rows, average, letter: letterGrade(average) };
+}
+
+/**
+ * Gradebook of a course: its assessments (columns) and the enrolled students (rows).
+ * @param {import('mongoose').Document} course - with `enrollments` populated
+ */
+export async function buildGradebook(course) {
+    const assessments = await Assessment.find({ course: course._id })
+        .sort({ dueDate: 1, createdAt: 1 })
+        .lean();
+
+    // Students in the trash populate as null — leave them out of the roster
+    const students = course.enrollments
+        .map((enrollment) => enrollment.student)
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const grades = await Grade.find({
+        assessment: { $in: assessments.map((assessment) => assessment._id) },
+        student: { $in: students.map((student) => student._id) },
+    }).lean();
+    const scores = new Map(grades.map((grade) => [`${grade.student}:${grade.assessment}`, grade.score]));
+
+    const rows = students.map((student) => {
+        const items = assessments.map((assessment) => ({
+            ...assessment,
+            score: scores.get(`${student._id}:${assessment._id}`) ?? null,
+        }));
+        const average = weightedAverage(items);
+        return {
+            student: { _id: student._id, name: student.name, email: student.email },
+            scores: Object.fromEntries(items.map((item) => [String(item._id), item.score])),
+            average,
+            letter: letterGrade(average),
+        };
+    });
+
+    return {
+        course: { _id: course._id, code: course.code, title: course.title, term: course.term },
+        assessments: assessments.map((assessment) => describeAssessment(assessment, null)),
+        rows,
+    };
+}
+
+/**
+ * Validate grade-grid entries [{ student, assessment, score }] for one course.
+ * A null score clears the grade. Everything is checked before anything is written.
+ * @returns {{ student: string, assessment: string, score: number|null }[]}
+ * @throws {HttpError} 400 for a malformed body, 422 with per-entry messages
+ */
+export async function parseGradeEntries(course, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new HttpError(400, 'Body must be { "grades": [ ... ] } with at least one entry');
+    }
+
+    const assessments = await Assessment.find({ course: course._id }).select('maxScore').lean();
+    const maxScores = new Map(assessments.map((assessment) => [String(assessment._id), assessment.maxScore]));
+    const enrolled = new Set(course.enrollments.map((enrollment) => String(enrollment.student)));
+
+    const errors = {};
+    const parsed = entries.map((entry, index) => {
+        const label = `grades[${index}]`;
+        const { student, assessment, score } = entry || {};
+
+        if (!mongoose.isValidObjectId(student) || !enrolled.has(String(student))) {
+            errors[`${label}.student`] = 'Student is not enrolled in this course';
+        }
+        if (!mongoose.isValidObjectId(assessment) || !maxScores.has(String(assessment))) {
+            errors[`${label}.assessment`] = 'Assessment does not belong to this course';
+        }
+
+        if (score === null || score === '') return { student, assessment, score: null };
+
+        const value = typeof score === 'string' ? Number(score) : score;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            errors[`${label}.score`] = 'Score must be a number of at least 0';
+        } else if (value > maxScores.get(String(assessment))) {
+            errors[`${label}.score`] = `Score cannot exceed the max score (${maxScores.get(String(assessment))})`;
+        }
+        return { student: String(student), assessment: String(assessment), score: value };
+    });
+
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(422, 'Validation failed', errors);
+    }
+
+    return parsed;
+}
+
+/**
+ * Write validated grade-grid entries: upsert scores, delete cleared grades.
+ * @returns {Promise<{ saved: number, cleared: number }>}
+ */
+export async function saveGradeEntries(entries) {
+    const operations = entries.map(({ student, assessment, score }) => (
+        score === null
+            ? { deleteOne: { filter: { student, assessment } } }
+            : {
+                updateOne: {
+                    filter: { student, assessment },
+                    update: { $set: { score } },
+                    upsert: true,
+                },
+            }
+    ));
+
+    const result = await Grade.bulkWrite(operations, { ordered: false });
+    return {
+        saved: result.upsertedCount + result.modifiedCount,
+        cleared: result.deletedCount,
+    };
+}
@@ -0,0 +1,577 @@
+// GraphQL API over students, instructors and their courses (POST /api/graphql)
+//
+// Resolvers reuse the REST building blocks so both APIs behave the same:
+//   - access:     each field is checked with authorize() against the REST route
+//                 it mirrors (src/lib/access.js), e.g. Student.courses → GET /api/students/[id]/courses
+//   - lists:      paginate() / searchCollection() with the same arguments and errors
+//   - mutations:  parseBody() + Mongoose validation, audit log and live events
+//   - errors:     describeError() → extensions { code, status, fields }
+// Relations are batched per request (src/lib/loaders.js), and depth and
+// complexity are limited before execution (src/lib/graphqlLimits.js).
+
+import {
+    buildSchema,
+    execute,
+    getOperationAST,
+    getVariableValues,
+    GraphQLError,
+    Kind,
+    parse,
+    specifiedRules,
+    validate,
+} from 'graphql';
+import mongoose from 'mongoose';
+import Student, { ENROLLMENT_STATUSES } from '@/models/Student';
+import Instructor from '@/models/Instructor';
+import { authorize } from '@/lib/access';
+import { describeError, HttpError } from '@/lib/errors';
+import { paginate, trashListOptions } from '@/lib/pagination';
+import { buildSearchFilter, searchCollection, SEARCH_FIELDS } from '@/lib/search';
+import { parseBody } from '@/lib/validation';
+import { recordAudit } from '@/lib/audit';
+import { getRequestUser } from '@/lib/session';
+import { ageFrom, STUDENT_FILTERS, STUDENT_LIST_OPTIONS, STUDENT_SEARCH_FIELDS } from '@/lib/students';
+import { createLoaders } from '@/lib/loaders';
+import { checkComplexity, depthLimit } from '@/lib/graphqlLimits';
+import { getLogger } from '@/lib/logger';
+
+const typeDefs = /* GraphQL */ `
+    "ISO 8601 timestamp, e.g. 2004-05-12T00:00:00.000Z (inputs also accept YYYY-MM-DD)"
+    scalar DateTime
+
+    "Any JSON value"
+    scalar JSON
+
+    enum EnrollmentStatus { ${ENROLLMENT_STATUSES.join(' ')} }
+
+    type Address {
+        street: String
+        city: String
+        state: String
+        postalCode: String
+        country: String
+    }
+
+    type Guardian {
+        name: String!
+        relationship: String
+        phone: String
+        email: String
+    }
+
+    type Student {
+        id: ID!
+        studentNumber: String
+        name: String!
+        dateOfBirth: DateTime
+        "Computed from dateOfBirth"
+        age: Int
+        email: String!
+        phone: String
+        address: Address
+        enrollmentStatus: EnrollmentStatus
+        guardians: [Guardian!]!
+        "Admin-defined fields (/api/custom-fields)"
+        customFields: JSON
+        "Attachment id of the profile photo"
+        photo: ID
+        "Pass back as expectedVersion when updating"
+        version: Int!
+        createdAt: DateTime
+        updatedAt: DateTime
+        deletedAt: DateTime
+        courses: [Course!]
+    }
+
+    type Instructor {
+        id: ID!
+        name: String!
+        age: Int
+        email: String!
+        photo: ID
+        version: Int!
+        createdAt: DateTime
+        updatedAt: DateTime
+        deletedAt: DateTime
+        courses: [Course!]
+    }
+
+    type Course {
+        id: ID!
+        code: String!
+        title: String!
+        term: String!
+        capacity: Int!
+        enrolled: Int!
+        instructors: [Instructor!]
+        students: [Student!]
+    }
+
+    type StudentPage {
+        items: [Student!]!
+        total: Int!
+        "null with cursor pagination"
+        page: Int
+        limit: Int!
+        nextCursor: ID
+        prevCursor: ID
+    }
+
+    type InstructorPage {
+        items: [Instructor!]!
+        total: Int!
+        page: Int
+        limit: Int!
+        nextCursor: ID
+        prevCursor: ID
+    }
+
+    type StudentSearchResult {
+        items: [Student!]!
+        total: Int!
+        page: Int!
+        limit: Int!
+        "text, prefix or fields (see GET /api/students/search)"
+        mode: String
+    }
+
+    type InstructorSearchResult {
+        items: [Instructor!]!
+        total: Int!
+        page: Int!
+        limit: Int!
+        mode: String
+    }
+
+    "List filters — same as the query parameters of GET /api/students"
+    input StudentFilter {
+        q: String
+        minAge: Float
+        maxAge: Float
+        enrollmentStatus: EnrollmentStatus
+        createdAfter: DateTime
+        createdBefore: DateTime
+    }
+
+    input InstructorFilter {
+        q: String
+        minAge: Float
+        maxAge: Float
+        createdAfter: DateTime
+        createdBefore: DateTime
+    }
+
+    input AddressInput {
+        street: String
+        city: String
+        state: String
+        postalCode: String
+        country: String
+    }
+
+    input GuardianInput {
+        name: String
+        relationship: String
+        phone: String
+        email: String
+    }
+
+    "Validated like the REST body: missing or invalid fields → VALIDATION_FAILED with a message per field"
+    input StudentInput {
+        name: String
+        dateOfBirth: DateTime
+        email: String
+        phone: String
+        address: AddressInput
+        enrollmentStatus: EnrollmentStatus
+        guardians: [GuardianInput!]
+        customFields: JSON
+    }
+
+    input InstructorInput {
+        name: String
+        age: Int
+        email: String
+    }
+
+    # Nullable on purpose: a field the user may not read fails alone (FORBIDDEN) and the rest still resolves
+    type Query {
+        "null when there is no such (live) student"
+        student(id: ID!): Student
+        students(page: Int, limit: Int = 20, after: ID, before: ID, sort: String, filter: StudentFilter, deleted: Boolean = false): StudentPage
+        searchStudents(q: String!, page: Int, limit: Int = 20, filter: StudentFilter): StudentSearchResult
+
+        instructor(id: ID!): Instructor
+        instructors(page: Int, limit: Int = 20, after: ID, before: ID, sort: String, filter: InstructorFilter, deleted: Boolean = false): InstructorPage
+        searchInstructors(q: String!, page: Int, limit: Int = 20, filter: InstructorFilter): InstructorSearchResult
+    }
+
+    type Mutation {
+        createStudent(input: StudentInput!): Student!
+        "Partial update; fails with PRECONDITION_FAILED when expectedVersion is stale"
+        updateStudent(id: ID!, expectedVersion: Int!, input: StudentInput!): Student!
+        "Moves the student to the trash"
+        deleteStudent(id: ID!): Student!
+        restoreStudent(id: ID!): Student!
+
+        createInstructor(input: InstructorInput!): Instructor!
+        updateInstructor(id: ID!, expectedVersion: Int!, input: InstructorInput!): Instructor!
+        deleteInstructor(id: ID!): Instructor!
+        restoreInstructor(id: ID!): Instructor!
+    }
+`;
+
+/** HTTP status → GraphQL error code (extensions.code) */
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED',
+    422: 'VALIDATION_FAILED',
+};
+
+/**
+ * Check a field against the REST route it mirrors.
+ * @throws {HttpError} 401 / 403 like the proxy would answer
+ */
+function allow(context, method, path) {
+    const status = authorize(context.user, method, path);
+    if (status === 401) throw new HttpError(401, 'Authentication required');
+    if (status === 403) throw new HttpError(403, 'Forbidden');
+}
+
+/**
+ * Reject malformed ids before they reach a route path or a batched query
+ * (one bad id would fail the whole batch).
+ * @throws {HttpError} 400 like the REST routes
+ */
+function objectId(value) {
+    if (!mongoose.isValidObjectId(value)) throw new HttpError(400, 'Invalid ID');
+    return value;
+}
+
+/** Query parameters for paginate() / searchCollection() from GraphQL arguments (arguments win over filter fields) */
+function toSearchParams({ filter, ...args }) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...filter, ...args })) {
+        if (value !== undefined && value !== null) params.set(key, String(value));
+    }
+    return params;
+}
+
+// Fields shared by lean results (search) and documents
+const id = (doc) => String(doc._id);
+const version = (doc) => doc.__v ?? 0;
+
+/**
+ * Queries and mutations of one entity — the same steps as its REST routes.
+ */
+function entityResolvers({ Model, entity, label, plural, listOptions = {}, searchFields = SEARCH_FIELDS, filters }) {
+    const base = `/api/${plural}`;
+
+    const findLive = async (docId) => {
+        const doc = await Model.findById(docId);
+        if (!doc) throw new HttpError(404, `${label} not found`);
+        return doc;
+    };
+
+    return {
+        query: {
+            async one(_, args, context) {
+                allow(context, 'GET', `${base}/${objectId(args.id)}`);
+                return context.loaders[entity].load(args.id);
+            },
+
+            async list(_, { deleted, filter, ...args }, context) {
+                allow(context, 'GET', base);
+                const { q, ...listFilter } = filter || {};
+                const options = { ...listOptions, baseFilter: buildSearchFilter(q, searchFields) };
+                return paginate(Model, toSearchParams({ ...args, filter: listFilter }), deleted ? trashListOptions(options) : options);
+            },
+
+            async search(_, args, context) {
+                allow(context, 'GET', `${base}/search`);
+                return searchCollection(Model, toSearchParams(args), { fields: searchFields, filters });
+            },
+        },
+
+        mutation: {
+            async create(_, { input }, context) {
+                allow(context, 'POST', base);
+                const doc = new Model(parseBody(Model, input));
+                await doc.save();
+                await recordAudit(context.request, { entity, entityId: doc._id, action: 'create', after: doc });
+                return doc;
+            },
+
+            async update(_, { id: docId, expectedVersion, input }, context) {
+                allow(context, 'PUT', `${base}/${objectId(docId)}`);
+                const data = parseBody(Model, input, { partial: true });
+                const doc = await findLive(docId);
+
+                // Same check as If-Match on PUT /api/[entity]/[id]
+                if (version(doc) !== expectedVersion) {
+                    throw new HttpError(412, 'This record was changed by someone else');
+                }
+
+                const before = doc.toObject();
+                doc.set(data);
+                await doc.save(); // VersionError (saved in between) → PRECONDITION_FAILED
+                await recordAudit(context.request, { entity, entityId: doc._id, action: 'update', before, after: doc });
+                return doc;
+            },
+
+            async remove(_, { id: docId }, context) {
+                allow(context, 'DELETE', `${base}/${objectId(docId)}`);
+                const doc = await Model.findByIdAndUpdate(docId, { deletedAt: new Date() }, { new: true });
+                if (!doc) throw new HttpError(404, `${label} not found`);
+
+                await recordAudit(context.request, {
+                    entity,
+                    entityId: doc._id,
+                    action: 'delete',
+                    before: { deletedAt: null },
+                    after: { deletedAt: doc.deletedAt },
+                });
+                return doc;
+            },
+
+            async restore(_, { id: docId }, context) {
+                allow(context, 'POST', `${base}/${objectId(docId)}/restore`);
+                const before = await Model.findOneAndUpdate(
+                    { _id: docId, deletedAt: { $ne: null } },
+                    { deletedAt: null },
+                    { new: false }
+                );
+                if (!before) throw new HttpError(404, `Deleted ${label.toLowerCase()} not found`);
+
+                await recordAudit(context.request, {
+                    entity,
+                    entityId: before._id,
+                    action: 'restore',
+                    before: { deletedAt: before.deletedAt },
+                    after: { deletedAt: null },
+                });
+                return Model.findById(docId);
+            },
+        },
+    };
+}
+
+const students = entityResolvers({
+    Model: Student,
+    entity: 'student',
+    label: 'Student',
+    plural: 'students',
+    listOptions: STUDENT_LIST_OPTIONS,
+    searchFields: STUDENT_SEARCH_FIELDS,
+    filters: STUDENT_FILTERS,
+});
+
+const instructors = entityResolvers({
+    Model: Instructor,
+    entity: 'instructor',
+    label: 'Instructor',
+    plural: 'instructors',
+});
+
+/** Date values in and out as ISO strings */
+const dateTime = {
+    serialize: (value) => new Date(value).toISOString(),
+    parseValue: (value) => {
+        if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+            throw new GraphQLError('DateTime must be an ISO 8601 date string');
+        }
+        return value;
+    },
+    parseLiteral: (node) => {
+        if (node.kind !== Kind.STRING || Number.isNaN(new Date(node.value).getTime())) {
+            throw new GraphQLError('DateTime must be an ISO 8601 date string', { nodes: [node] });
+        }
+        return node.value;
+    },
+};
+
+/** Literal JSON values written inline in a query */
+function jsonLiteral(node, variables) {
+    switch (node.kind) {
+        case Kind.STRING:
+        case Kind.BOOLEAN:
+            return node.value;
+        case Kind.INT:
+        case Kind.FLOAT:
+            return Number(node.value);
+        case Kind.NULL:
+            return null;
+        case Kind.LIST:
+            return node.values.map((value) => jsonLiteral(value, variables));
+        case Kind.OBJECT:
+            return Object.fromEntries(node.fields.map((field) => [field.name.value, jsonLiteral(field.value, variables)]));
+        case Kind.VARIABLE:
+            return variables?.[node.name.value];
+        default:
+            return undefined;
+    }
+}
+
+const resolvers = {
+    DateTime: dateTime,
+    JSON: {
+        serialize: (value) => value,
+        parseValue: (value) => value,
+        parseLiteral: jsonLiteral,
+    },
+
+    Query: {
+        student: students.query.one,
+        students: students.query.list,
+        searchStudents: students.query.search,
+        instructor: instructors.query.one,
+        instructors: instructors.query.list,
+        searchInstructors: instructors.query.search,
+    },
+
+    Mutation: {
+        createStudent: students.mutation.create,
+        updateStudent: students.mutation.update,
+        deleteStudent: students.mutation.remove,
+        restoreStudent: students.mutation.restore,
+        createInstructor: instructors.mutation.create,
+        updateInstructor: instructors.mutation.update,
+        deleteInstructor: instructors.mutation.remove,
+        restoreInstructor: instructors.mutation.restore,
+    },
+
+    Student: {
+        id,
+        version,
+        age: (student) => ageFrom(student.dateOfBirth),
+        guardians: (student) => student.guardians || [],
+        courses(student, _, context) {
+            allow(context, 'GET', `/api/students/${student._id}/courses`);
+            return context.loaders.coursesOfStudent.load(student._id);
+        },
+    },
+
+    Instructor: {
+        id,
+        version,
+        courses(instructor, _, context) {
+            allow(context, 'GET', `/api/instructors/${instructor._id}/courses`);
+            return context.loaders.coursesOfInstructor.load(instructor._id);
+        },
+    },
+
+    Course: {
+        id,
+        enrolled: (course) => course.enrollments.length,
+        async instructors(course, _, context) {
+            allow(context, 'GET', `/api/courses/${course._id}`);
+            const found = await context.loaders.instructor.loadMany(course.instructors);
+            return found.filter(Boolean); // Deleted instructors are left out
+        },
+        async students(course, _, context) {
+            allow(context, 'GET', `/api/courses/${course._id}/enrollments`);
+            const found = await context.loaders.student.loadMany(course.enrollments.map((enrollment) => enrollment.student));
+            return found.filter(Boolean);
+        },
+    },
+};
+
+/**
+ * Attach resolvers (and scalar implementations) to a schema built from SDL.
+ */
+function attachResolvers(schema, resolverMap) {
+    for (const [typeName, fields] of Object.entries(resolverMap)) {
+        const type = schema.getType(typeName);
+        if (!type) throw new Error(`Resolvers given for unknown type ${typeName}`);
+
+        if (!type.getFields) {
+            Object.assign(type, fields); // Scalar: serialize / parseValue / parseLiteral
+            continue;
+        }
+        const typeFields = type.getFields();
+        for (const [name, resolve] of Object.entries(fields)) {
+            if (!typeFields[name]) throw new Error(`Resolver given for unknown field ${typeName}.${name}`);
+            typeFields[name].resolve = resolve;
+        }
+    }
+    return schema;
+}
+
+export const schema = attachResolvers(buildSchema(typeDefs), resolvers);
+
+/**
+ * Error in the GraphQL response shape, with the REST status and field messages
+ * in `extensions`. Unexpected errors are logged and hidden from the client.
+ */
+function formatError(error) {
+    const original = error.originalError;
+    const known = original ? describeError(original) : null;
+
+    if (known) {
+        const extensions = { code: ERROR_CODES[known.status] || 'BAD_REQUEST', status: known.status };
+        if (known.body.fields) extensions.fields = known.body.fields;
+        return { message: known.body.error, locations: error.locations, path: error.path, extensions };
+    }
+    if (original && !(original instanceof GraphQLError)) {
+        getLogger().error('GraphQL resolver error', { path: error.path?.join('.'), error: original });
+        return { message: 'Internal server error', locations: error.locations, path: error.path, extensions: { code: 'INTERNAL_SERVER_ERROR', status: 500 } };
+    }
+
+    // Syntax / validation / limit errors from graphql itself
+    return { ...error.toJSON(), extensions: { code: 'BAD_REQUEST', status: 400, ...error.extensions } };
+}
+
+/** A request that can't be executed → 400 with GraphQL-style errors */
+const rejected = (errors) => ({ status: 400, body: { errors: errors.map(formatError) } });
+
+/**
+ * Run a GraphQL request.
+ * @param {Request} request - For the user (access checks) and the audit log
+ * @param {{ query?: string, variables?: object, operationName?: string }} body
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function executeGraphQL(request, { query, variables, operationName } = {}) {
+    if (typeof query !== 'string' || query.trim() === '') {
+        return rejected([new GraphQLError('Send { "query": "..." } as JSON')]);
+    }
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return rejected([error]);
+    }
+
+    const errors = validate(schema, document, [...specifiedRules, depthLimit()]);
+    if (errors.length > 0) return rejected(errors);
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+        return rejected([new GraphQLError(operationName ? `Unknown operation "${operationName}"` : 'Pass operationName to pick one of the operations')]);
+    }
+
+    const coerced = getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+    if (coerced.errors) return rejected(coerced.errors);
+
+    try {
+        checkComplexity(schema, document, operation, coerced.coerced);
+    } catch (error) {
+        return rejected([error]);
+    }
+
+    const result = await execute({
+        schema,
+        document,
+        operationName,
+        variableValues: variables,
+        contextValue: { request, user: getRequestUser(request), loaders: createLoaders() },
+    });
+
+    const body = { data: result.data ?? null };
+    if (result.errors) body.errors = result.errors.map(formatError);
+    return { status: 200, body };
+}
@@ -0,0 +1,118 @@
+// Query limits for POST /api/graphql
+// One GraphQL request can ask for a lot: students → courses → students → ...
+// Two checks run before anything is executed:
+//   - depth:      nesting of selections (fragments included, introspection ignored)
+//   - complexity: estimated number of resolved fields — list fields multiply
+//                 their selection by `limit` (or LIST_SIZE for relation lists)
+// Both reject the whole request with a 400.
+
+import { GraphQLError, Kind, getArgumentValues, getNamedType, getNullableType, isListType } from 'graphql';
+
+export const MAX_DEPTH = 8;
+export const MAX_COMPLEXITY = 5000;
+
+/** Assumed size of a relation list (a student's courses, a course's students) */
+const LIST_SIZE = 10;
+
+function fragmentsOf(document) {
+    return Object.fromEntries(document.definitions
+        .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map((definition) => [definition.name.value, definition]));
+}
+
+/**
+ * Fields of a selection set with fragments inlined: [{ node, typeCondition }].
+ * Fragment cycles are rejected by graphql's own validation; `seen` guards anyway.
+ */
+function collectFields(selectionSet, fragments, seen = new Set()) {
+    const fields = [];
+    for (const selection of selectionSet?.selections || []) {
+        if (selection.kind === Kind.FIELD) {
+            fields.push(selection);
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            fields.push(...collectFields(selection.selectionSet, fragments, seen));
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD && !seen.has(selection.name.value)) {
+            const fragment = fragments[selection.name.value];
+            if (fragment) fields.push(...collectFields(fragment.selectionSet, fragments, new Set([...seen, selection.name.value])));
+        }
+    }
+    return fields;
+}
+
+function depthOf(selectionSet, fragments) {
+    let depth = 0;
+    for (const field of collectFields(selectionSet, fragments)) {
+        if (field.name.value.startsWith('__')) continue;
+        depth = Math.max(depth, 1 + depthOf(field.selectionSet, fragments));
+    }
+    return depth;
+}
+
+/**
+ * Validation rule: reject operations nested deeper than `maxDepth`.
+ */
+export function depthLimit(maxDepth = MAX_DEPTH) {
+    return (context) => {
+        const fragments = fragmentsOf(context.getDocument());
+        return {
+            OperationDefinition(node) {
+                const depth = depthOf(node.selectionSet, fragments);
+                if (depth > maxDepth) {
+                    context.reportError(new GraphQLError(
+                        `Query is nested ${depth} levels deep (max ${maxDepth})`,
+                        { nodes: [node], extensions: { code: 'QUERY_TOO_DEEP', status: 400 } }
+                    ));
+                }
+            },
+        };
+    };
+}
+
+function complexityOf(selectionSet, parentType, context, paginated = false) {
+    let total = 0;
+
+    for (const node of collectFields(selectionSet, context.fragments)) {
+        const name = node.name.value;
+        if (name.startsWith('__')) continue;
+
+        const field = parentType.getFields?.()[name];
+        if (!field) continue; // Unknown fields are reported by the normal validation
+
+        const args = getArgumentValues(field, node, context.variables);
+        const type = getNullableType(field.type);
+
+        // A page ({ items, total }) is sized by `limit` on the field that returns it
+        let multiplier = 1;
+        if (args.limit !== undefined) multiplier = args.limit;
+        else if (isListType(type) && !paginated) multiplier = LIST_SIZE;
+
+        const children = node.selectionSet
+            ? complexityOf(node.selectionSet, getNamedType(field.type), context, args.limit !== undefined)
+            : 0;
+        total += 1 + multiplier * children;
+    }
+
+    return total;
+}
+
+/**
+ * Estimated cost of an operation (needs the variables, so it runs after validation).
+ * @returns {number}
+ */
+export function queryComplexity(schema, document, operation, variables = {}) {
+    const rootType = operation.operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+    return complexityOf(operation.selectionSet, rootType, { fragments: fragmentsOf(document), variables });
+}
+
+/**
+ * @throws {GraphQLError} When the operation is estimated above `maxComplexity`
+ */
+export function checkComplexity(schema, document, operation, variables, maxComplexity = MAX_COMPLEXITY) {
+    const complexity = queryComplexity(schema, document, operation, variables);
+    if (complexity > maxComplexity) {
+        throw new GraphQLError(
+            `Query is too complex: ${complexity} (max ${maxComplexity}). Ask for fewer fields or smaller pages.`,
+            { nodes: [operation], extensions: { code: 'QUERY_TOO_COMPLEX', status: 400 } }
+        );
+    }
+}
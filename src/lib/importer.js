@@ -0,0 +1,210 @@
+// Bulk import of people (students / instructors) from CSV or JSON
+// Every row is validated against the Mongoose schema and matched by email.
+//
+// Modes:
+//   create → rows whose email already exists are reported as duplicates
+//   upsert → rows whose email already exists update that record
+//
+// With dryRun the same per-row report is produced but nothing is written.
+// Row statuses: created | updated | unchanged | duplicate | invalid
+
+import { HttpError, describeError } from '@/lib/errors';
+import { parseBody, readBodyCapped } from '@/lib/validation';
+import { parseCsv } from '@/lib/csv';
+import { diffDocuments, recordAudit } from '@/lib/audit';
+
+export const IMPORT_MODES = ['create', 'upsert'];
+export const MAX_IMPORT_ROWS = 5000;
+
+/** Largest import request (the file plus any multipart framing) */
+export const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Parse an uploaded file's text as CSV or JSON.
+ */
+function parseImportText(text, isJson) {
+    if (!isJson) return parseCsv(text);
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new HttpError(400, 'File is not valid JSON');
+    }
+    // Accept a bare array or { rows: [...] }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.rows;
+    if (!Array.isArray(rows)) {
+        throw new HttpError(400, 'JSON import must be an array of records');
+    }
+    return rows;
+}
+
+/**
+ * Read import rows from a request. Accepts:
+ *   - text/csv body
+ *   - application/json body (array, or { rows: [...] })
+ *   - multipart/form-data with a "file" field (.csv or .json)
+ * @param {Request} request
+ * @returns {Promise<object[]>}
+ */
+export async function readImportRows(request) {
+    const contentType = request.headers.get('content-type') || '';
+    const multipart = contentType.includes('multipart/form-data');
+    const csv = contentType.includes('text/csv');
+    if (!multipart && !csv && contentType && !contentType.includes('application/json')) {
+        throw new HttpError(415, 'Send CSV (text/csv), JSON (application/json) or a multipart file upload');
+    }
+
+    // Checked before anything is parsed, so an oversized upload is never held in memory whole
+    const body = await readBodyCapped(
+        request,
+        MAX_IMPORT_BYTES,
+        `Import is too large (max ${MAX_IMPORT_BYTES / 1024 / 1024} MB)`
+    );
+    let rows;
+
+    if (multipart) {
+        let form;
+        try {
+            form = await new Response(body, { headers: { 'content-type': contentType } }).formData();
+        } catch {
+            throw new HttpError(400, 'Malformed multipart/form-data body');
+        }
+        const file = form.get('file');
+        if (!file || typeof file === 'string') {
+            throw new HttpError(400, 'Upload a file in the "file" field');
+        }
+        const isJson = file.type.includes('json') || file.name.toLowerCase().endsWith('.json');
+        rows = parseImportText(await file.text(), isJson);
+    } else {
+        // TextDecoder drops a UTF-8 BOM, like request.text() did
+        rows = parseImportText(new TextDecoder().decode(body), !csv);
+    }
+
+    if (rows.length === 0) {
+        throw new HttpError(400, 'No rows to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new HttpError(413, `Too many rows (max ${MAX_IMPORT_ROWS} per import)`);
+    }
+
+    return rows;
+}
+
+/**
+ * Field errors for anything parseBody / Mongoose validation throws.
+ */
+function rowErrors(error) {
+    const known = describeError(error);
+    if (!known) throw error;
+    return known.body.fields || { _row: known.body.error };
+}
+
+/**
+ * Pick a subset of keys from a plain object (for diffing only the imported fields).
+ */
+function pick(object, keys) {
+    return Object.fromEntries(keys.map((key) => [key, object[key]]));
+}
+
+/**
+ * Validate rows, classify them, and (unless dryRun) write them.
+ *
+ * @param {import('mongoose').Model} Model - Student or Instructor (must have a unique `email`)
+ * @param {object[]} rows - Raw records from readImportRows()
+ * @param {{ entity: string, mode?: string, dryRun?: boolean, request: Request }} options
+ * @returns {Promise<{ dryRun: boolean, mode: string, summary: object, rows: object[] }>}
+ *          rows[i] = { row, status, email, id?, errors?, changes? } — `row` is 1-based
+ */
+export async function importRows(Model, rows, { entity, mode = 'create', dryRun = false, request }) {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new HttpError(400, `mode must be one of: ${IMPORT_MODES.join(', ')}`);
+    }
+
+    // 1. Validate each row on its own (async: validation hooks may query, e.g. custom fields)
+    const report = [];
+    for (const [index, raw] of rows.entries()) {
+        const entry = { row: index + 1, email: raw?.email ?? null };
+        try {
+            const data = parseBody(Model, raw);
+            const doc = new Model(data);
+            await doc.validate();
+            // Write the validated (cast / coerced) values, not the raw row
+            report.push({ ...entry, email: doc.email, data: pick(doc.toObject(), Object.keys(data)), doc });
+        } catch (error) {
+            report.push({ ...entry, status: 'invalid', errors: rowErrors(error) });
+        }
+    }
+
+    // 2. Duplicates within the file — first occurrence wins
+    const firstRowByEmail = new Map();
+    for (const entry of report) {
+        if (entry.status) continue;
+        const first = firstRowByEmail.get(entry.email);
+        if (first) {
+            Object.assign(entry, { status: 'duplicate', errors: { email: `Same email as row ${first}` } });
+        } else {
+            firstRowByEmail.set(entry.email, entry.row);
+        }
+    }
+
+    // 3. Match against existing records (including the trash — emails stay unique there)
+    const existing = await Model.find({ email: { $in: [...firstRowByEmail.keys()] } })
+        .setOptions({ withDeleted: true })
+        .lean();
+    const existingByEmail = new Map(existing.map((doc) => [doc.email, doc]));
+
+    for (const entry of report) {
+        if (entry.status) continue;
+        const match = existingByEmail.get(entry.email);
+
+        if (!match) {
+            entry.status = 'created';
+        } else if (mode === 'create') {
+            Object.assign(entry, { status: 'duplicate', id: match._id, errors: { email: 'Email already exists' } });
+        } else if (match.deletedAt) {
+            Object.assign(entry, { status: 'duplicate', id: match._id, errors: { email: 'Email belongs to a deleted record' } });
+        } else {
+            const keys = Object.keys(entry.data);
+            const changes = diffDocuments(pick(match, keys), entry.data);
+            Object.assign(entry, {
+                status: Object.keys(changes).length > 0 ? 'updated' : 'unchanged',
+                id: match._id,
+                changes,
+                before: match,
+            });
+        }
+    }
+
+    // 4. Write (skipped on dry run)
+    if (!dryRun) {
+        for (const entry of report) {
+            try {
+                if (entry.status === 'created') {
+                    await entry.doc.save();
+                    entry.id = entry.doc._id;
+                    await recordAudit(request, { entity, entityId: entry.doc._id, action: 'create', after: entry.doc });
+                } else if (entry.status === 'updated') {
+                    // Bump __v so ETags held by open edit forms become stale (see src/lib/concurrency.js)
+                    const after = await Model.findByIdAndUpdate(
+                        entry.id,
+                        { ...entry.data, $inc: { __v: 1 } },
+                        { new: true, runValidators: true }
+                    );
+                    await recordAudit(request, { entity, entityId: entry.id, action: 'update', before: entry.before, after });
+                }
+            } catch (error) {
+                // e.g. the email was taken by a concurrent request since step 3
+                Object.assign(entry, { status: 'invalid', errors: rowErrors(error) });
+            }
+        }
+    }
+
+    const summary = { total: report.length, created: 0, updated: 0, unchanged: 0, duplicate: 0, invalid: 0 };
+    const rowsOut = report.map(({ row, status, email, id, errors, changes }) => {
+        summary[status]++;
+        return { row, status, email, id, errors, changes };
+    });
+
+    return { dryRun, mode, summary, rows: rowsOut };
+}
@@ -0,0 +1,47 @@
+// Per-request wrapper for API route handlers
+//   export const GET = instrument('GET /api/students/[id]', async function GET(request, { params }) { ... });
+// For each call it:
+//   - takes the request id set by the proxy (or makes one) and returns it in X-Request-Id
+//   - makes getLogger() tag log entries with that id and the route (src/lib/logger.js)
+//   - records latency, status and errors for the route (src/lib/metrics.js)
+//   - writes one access log entry
+
+import { logger, requestIdFrom, runWithLogger, REQUEST_ID_HEADER } from '@/lib/logger';
+import { recordRequest } from '@/lib/metrics';
+
+/**
+ * @param {string} label - "<METHOD> <route template>", e.g. 'PUT /api/students/[id]'
+ * @param {Function} handler - The route handler
+ * @returns {Function} A route handler with the same signature
+ */
+export function instrument(label, handler) {
+    const [method, route] = label.split(' ');
+
+    return async function instrumented(request, context) {
+        const requestId = requestIdFrom(request.headers);
+        const log = logger.child({ requestId, route: label });
+        const started = performance.now();
+        const seconds = () => (performance.now() - started) / 1000;
+
+        let response;
+        try {
+            response = await runWithLogger(log, () => handler(request, context));
+        } catch (error) {
+            // Handlers catch their own errors — this is a bug, and Next.js will answer 500
+            recordRequest({ method, route, status: 500, seconds: seconds(), failed: true });
+            log.error('Unhandled error in route handler', { error });
+            throw error;
+        }
+
+        const status = response?.status ?? 200;
+        recordRequest({ method, route, status, seconds: seconds() });
+        log.info('Request handled', { method, path: request.nextUrl?.pathname, status, durationMs: Math.round(seconds() * 1000) });
+
+        try {
+            response?.headers.set(REQUEST_ID_HEADER, requestId);
+        } catch {
+            // Responses with immutable headers (e.g. Response.redirect) go out without it
+        }
+        return response;
+    };
+}
@@ -0,0 +1,48 @@
+// Request-scoped batching for the GraphQL resolvers (POST /api/graphql)
+// Relations are resolved per parent object, so a list of 50 students asking
+// for their courses would run 50 queries. Each loader collects the keys asked
+// for in one tick and fetches them with a single $in query; results are cached
+// for the rest of the request only — a new set of loaders is made per request.
+
+import DataLoader from 'dataloader';
+import Student from '@/models/Student';
+import Instructor from '@/models/Instructor';
+import Course from '@/models/Course';
+
+/**
+ * Load documents by id, in key order (null for ids that don't exist or are deleted).
+ */
+function byId(Model) {
+    return new DataLoader(async (ids) => {
+        const docs = await Model.find({ _id: { $in: ids } });
+        const found = new Map(docs.map((doc) => [String(doc._id), doc]));
+        return ids.map((id) => found.get(String(id)) ?? null);
+    }, { cacheKeyFn: String });
+}
+
+/**
+ * Load the courses that reference each key in `path` (one array per key).
+ */
+function coursesBy(path) {
+    return new DataLoader(async (ids) => {
+        const courses = await Course.find({ [path]: { $in: ids } }).sort({ term: -1, code: 1 });
+        return ids.map((id) => courses.filter((course) => {
+            const refs = path === 'instructors'
+                ? course.instructors
+                : course.enrollments.map((enrollment) => enrollment.student);
+            return refs.some((ref) => String(ref) === String(id));
+        }));
+    }, { cacheKeyFn: String });
+}
+
+/**
+ * A fresh set of loaders — create one per request, never share between users.
+ */
+export function createLoaders() {
+    return {
+        student: byId(Student),
+        instructor: byId(Instructor),
+        coursesOfStudent: coursesBy('enrollments.student'),
+        coursesOfInstructor: coursesBy('instructors'),
+    };
+}
@@ -0,0 +1,93 @@
+// Structured logging
+// Every entry is one JSON line — stdout for debug/info, stderr for warn/error:
+//   {"time":"2026-10-19T09:12:03.512Z","level":"error","msg":"PUT /api/students/[id] error",
+//    "requestId":"1b4e…","route":"PUT /api/students/[id]","error":{"name":"MongoServerError",…}}
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+//
+// Inside a route handler wrapped with instrument() (src/lib/instrument.js),
+// getLogger() returns a child logger that tags each entry with the request id
+// and route — also in the src/lib helpers the handler calls.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/** Header carrying the request id (set by the proxy, echoed on responses) */
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+function minLevel() {
+    const index = LOG_LEVELS.indexOf((process.env.LOG_LEVEL || 'info').toLowerCase());
+    return index === -1 ? LOG_LEVELS.indexOf('info') : index;
+}
+
+/**
+ * Errors have no enumerable properties, so JSON.stringify would log them as {}.
+ */
+function serialize(value) {
+    if (!(value instanceof Error)) return value;
+    const error = { name: value.name, message: value.message, stack: value.stack };
+    if (value.code !== undefined) error.code = value.code;
+    if (value.cause !== undefined) error.cause = serialize(value.cause);
+    return error;
+}
+
+function createLogger(bindings) {
+    const write = (level, msg, fields = {}) => {
+        if (LOG_LEVELS.indexOf(level) < minLevel()) return;
+
+        const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+        // log.error('…', error) is shorthand for log.error('…', { error })
+        for (const [key, value] of Object.entries(fields instanceof Error ? { error: fields } : fields)) {
+            entry[key] = serialize(value);
+        }
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch {
+            // Circular structures or BigInts — keep the entry, drop the fields
+            line = JSON.stringify({ time: entry.time, level, msg, ...bindings, fields: '[unserializable]' });
+        }
+        (level === 'warn' || level === 'error' ? console.error : console.log)(line);
+    };
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        /** A logger that adds `more` to every entry */
+        child: (more) => createLogger({ ...bindings, ...more }),
+    };
+}
+
+/** Process-wide logger (no request context) */
+export const logger = createLogger({});
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `log` as the logger returned by getLogger().
+ */
+export function runWithLogger(log, fn) {
+    return requestContext.run(log, fn);
+}
+
+/**
+ * The current request's logger, or the process-wide one outside a request.
+ */
+export function getLogger() {
+    return requestContext.getStore() || logger;
+}
+
+/**
+ * The request id from `headers`, or a new one. Ids sent by clients (or a load
+ * balancer) are kept when they look sane, so one id can follow a request across services.
+ * @param {Headers} headers
+ * @returns {string}
+ */
+export function requestIdFrom(headers) {
+    const incoming = headers.get(REQUEST_ID_HEADER);
+    return incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+}
@@ -0,0 +1,91 @@
+// Request metrics in the Prometheus text format (GET /api/metrics)
+// Recorded by instrument() (src/lib/instrument.js) for every API route handler:
+//   http_requests_total{method,route,status}        counter
+//   http_request_errors_total{method,route}         counter — 5xx responses and thrown errors
+//   http_request_duration_seconds{method,route}     histogram
+// `route` is the route template ("/api/students/[id]"), never the raw path, so
+// ids don't turn into one series each. Values live in this server process and
+// start from zero on restart — scrape every instance and use rate().
+
+/** Histogram bucket upper bounds in seconds */
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Kept on `global` so hot reloads in development don't reset them (like the db connection cache)
+const registry = global.requestMetrics ||= {
+    requests: new Map(),  // labels → count
+    errors: new Map(),    // labels → count
+    durations: new Map(), // labels → { buckets: number[], sum, count }
+};
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/** {"method":"GET","route":"/api/students"} → method="GET",route="/api/students" */
+function labelText(labels) {
+    return Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',');
+}
+
+function increment(map, labels) {
+    const key = labelText(labels);
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Record one handled request.
+ * @param {{ method: string, route: string, status: number, seconds: number, failed?: boolean }} request
+ *   failed → the handler threw (counted as an error whatever the status)
+ */
+export function recordRequest({ method, route, status, seconds, failed = false }) {
+    increment(registry.requests, { method, route, status });
+    if (failed || status >= 500) increment(registry.errors, { method, route });
+
+    const key = labelText({ method, route });
+    let histogram = registry.durations.get(key);
+    if (!histogram) {
+        histogram = { buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+        registry.durations.set(key, histogram);
+    }
+    BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+/**
+ * All metrics in the Prometheus text exposition format (version 0.0.4).
+ * @returns {string}
+ */
+export function renderMetrics() {
+    const lines = [];
+
+    lines.push('# HELP http_requests_total API requests handled, by route and status.');
+    lines.push('# TYPE http_requests_total counter');
+    for (const [labels, value] of registry.requests) lines.push(`http_requests_total{${labels}} ${value}`);
+
+    lines.push('# HELP http_request_errors_total API requests that failed with a 5xx status or an exception.');
+    lines.push('# TYPE http_request_errors_total counter');
+    for (const [labels, value] of registry.errors) lines.push(`http_request_errors_total{${labels}} ${value}`);
+
+    lines.push('# HELP http_request_duration_seconds Time spent in the route handler.');
+    lines.push('# TYPE http_request_duration_seconds histogram');
+    for (const [labels, histogram] of registry.durations) {
+        BUCKETS.forEach((bound, index) => {
+            lines.push(`http_request_duration_seconds_bucket{${labels},le="${bound}"} ${histogram.buckets[index]}`);
+        });
+        lines.push(`http_request_duration_seconds_bucket{${labels},le="+Inf"} ${histogram.count}`);
+        lines.push(`http_request_duration_seconds_sum{${labels}} ${histogram.sum}`);
+        lines.push(`http_request_duration_seconds_count{${labels}} ${histogram.count}`);
+    }
+
+    lines.push('# HELP process_resident_memory_bytes Resident memory size in bytes.');
+    lines.push('# TYPE process_resident_memory_bytes gauge');
+    lines.push(`process_resident_memory_bytes ${process.memoryUsage().rss}`);
+
+    lines.push('# HELP process_uptime_seconds Seconds since the server process started.');
+    lines.push('# TYPE process_uptime_seconds gauge');
+    lines.push(`process_uptime_seconds ${process.uptime()}`);
+
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,964 @@
+// OpenAPI 3.1 description of the /api/students and /api/instructors routes
+// Served by GET /api/openapi.json and browsable at /api-docs.
+//
+// The record schemas are generated from the Mongoose models (same rules as
+// src/lib/validation.js: system and `writable: false` fields are read-only,
+// `immutable` fields can't be sent on update), so a new model field shows up
+// here without changes. The routes are described in entityPaths() /
+// studentOnlyPaths() below — update them together with the route handlers;
+// `npm run contract` checks a running server against this document.
+
+import Student, { ENROLLMENT_STATUSES } from '@/models/Student';
+import Instructor from '@/models/Instructor';
+import Attachment from '@/models/Attachment';
+import { SESSION_COOKIE } from '@/lib/session';
+import { MAX_LIMIT, DEFAULT_LIMIT, DEFAULT_SORT_FIELDS } from '@/lib/pagination';
+import { STUDENT_LIST_OPTIONS } from '@/lib/students';
+import { ATTACHMENT_TYPES } from '@/lib/attachments';
+
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+/** Validator options are either a value or [value, message] */
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+/** Allow null next to a schema */
+function nullable(schema) {
+    if (schema.$ref) return { oneOf: [schema, { type: 'null' }] };
+    if (schema.type && !Array.isArray(schema.type)) return { ...schema, type: [schema.type, 'null'] };
+    return schema;
+}
+
+/**
+ * JSON Schema of one Mongoose path.
+ * @param {'read' | 'create' | 'update'} mode
+ */
+function pathSchema(schemaType, mode) {
+    const { options } = schemaType;
+    let schema;
+
+    switch (schemaType.instance) {
+        case 'String':
+            schema = { type: 'string' };
+            if (schemaType.enumValues?.length) schema.enum = schemaType.enumValues;
+            if (options.maxlength !== undefined) schema.maxLength = optionValue(options.maxlength);
+            if (options.match) schema.pattern = optionValue(options.match).source;
+            break;
+        case 'Number':
+            schema = { type: 'number' };
+            if (options.min !== undefined) schema.minimum = optionValue(options.min);
+            if (options.max !== undefined) schema.maximum = optionValue(options.max);
+            break;
+        case 'Date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'Boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'ObjectId':
+            schema = ref('ObjectId');
+            break;
+        case 'Array':
+            schema = {
+                type: 'array',
+                items: schemaType.schema
+                    ? objectSchema(schemaType.schema, mode)
+                    : pathSchema(schemaType.embeddedSchemaType, mode),
+            };
+            break;
+        case 'Embedded':
+            schema = objectSchema(schemaType.schema, mode);
+            break;
+        default:
+            // Mixed — any JSON value
+            schema = {};
+    }
+
+    if (options.immutable && mode !== 'update') {
+        schema = { ...schema, description: 'Cannot be changed after creation' };
+    }
+    return schema;
+}
+
+/**
+ * JSON Schema of a Mongoose schema. Dotted paths ("address.city") become nested objects.
+ * - read:   everything stored, required = required fields + system fields
+ * - create: writable fields only, required = required fields
+ * - update: writable, mutable fields only, nothing required (partial updates)
+ */
+function objectSchema(schema, mode, { topLevel = false } = {}) {
+    const root = { type: 'object', properties: {}, required: [] };
+
+    schema.eachPath((path, schemaType) => {
+        const keys = path.split('.');
+        const top = keys[0];
+        const { options } = schemaType;
+
+        // Subdocuments carry no _id (see guardianSchema); skip internal bookkeeping
+        if (!topLevel && top === '_id') return;
+        if (mode !== 'read') {
+            if (SYSTEM_FIELDS.includes(top) || options.writable === false) return;
+            if (mode === 'update' && options.immutable) return;
+        }
+
+        const required = Boolean(optionValue(options.required));
+        let property = pathSchema(schemaType, mode);
+        // Optional fields without a default can hold null (forms send null to clear a field)
+        const defaulted = options.default !== undefined && options.default !== null;
+        if (!required && !defaulted && !(topLevel && SYSTEM_FIELDS.includes(top))) property = nullable(property);
+        if (mode === 'read' && topLevel && (SYSTEM_FIELDS.includes(top) || options.writable === false)) {
+            property = { ...property, readOnly: true };
+        }
+
+        // Walk / create the nested objects for dotted paths
+        let target = root;
+        for (const key of keys.slice(0, -1)) {
+            target.properties[key] ??= { type: 'object', properties: {}, required: [] };
+            target = target.properties[key];
+        }
+        const last = keys[keys.length - 1];
+        target.properties[last] = property;
+
+        const requiredHere = mode === 'update'
+            ? false
+            : required || (mode === 'read' && topLevel && SYSTEM_FIELDS.includes(top));
+        if (requiredHere) target.required.push(last);
+    });
+
+    return pruneRequired(root);
+}
+
+/** Drop empty `required` arrays (not allowed to be empty in older tooling) */
+function pruneRequired(schema) {
+    if (schema.properties) {
+        for (const value of Object.values(schema.properties)) pruneRequired(value);
+    }
+    if (schema.items) pruneRequired(schema.items);
+    if (Array.isArray(schema.required) && schema.required.length === 0) delete schema.required;
+    return schema;
+}
+
+/**
+ * Record schemas of a model: { read, create, update }.
+ * @param {{ virtuals?: object, omit?: string[], extra?: object }} [options]
+ *        Computed properties to add to `read` / stored fields never sent (toJSON transforms)
+ */
+export function modelSchemas(Model, { virtuals = {}, omit = [], extra = {} } = {}) {
+    const read = objectSchema(Model.schema, 'read', { topLevel: true });
+    for (const name of omit) {
+        delete read.properties[name];
+        read.required = read.required?.filter((field) => field !== name);
+    }
+    Object.assign(read.properties, virtuals, extra);
+
+    return {
+        read,
+        create: objectSchema(Model.schema, 'create', { topLevel: true }),
+        update: objectSchema(Model.schema, 'update', { topLevel: true }),
+    };
+}
+
+/** JSON response content with a schema (and an optional example) */
+function json(schema, example) {
+    return { 'application/json': example === undefined ? { schema } : { schema, example } };
+}
+
+function errorReply(description, example) {
+    return { description, content: json(ref('Error'), example) };
+}
+
+const EXAMPLE_ID = '665f1c2e9b1d8a0012345678';
+
+const STUDENT_EXAMPLE = {
+    name: 'Ann Lee',
+    dateOfBirth: '2004-05-12',
+    email: 'ann.lee@example.com',
+    phone: '+1 555 0100',
+    address: { city: 'Springfield', country: 'US' },
+    enrollmentStatus: 'active',
+    guardians: [{ name: 'Mary Lee', relationship: 'mother', phone: '+1 555 0101' }],
+};
+
+const INSTRUCTOR_EXAMPLE = {
+    name: 'Dr. Alan Smith',
+    age: 45,
+    email: 'alan.smith@example.com',
+};
+
+/** Stored record as returned by the API (dates come back as timestamps) */
+function recordExample(input, extra = {}) {
+    const stored = Object.fromEntries(Object.entries(input).map(([key, value]) => [
+        key,
+        typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value,
+    ]));
+    return {
+        _id: EXAMPLE_ID,
+        ...stored,
+        ...extra,
+        photo: null,
+        deletedAt: null,
+        createdAt: '2026-09-01T08:30:00.000Z',
+        updatedAt: '2026-09-01T08:30:00.000Z',
+        __v: 0,
+    };
+}
+
+/** Page envelope of the list routes (src/lib/pagination.js) */
+function pageSchema(item) {
+    const cursor = nullable(ref('ObjectId'));
+    return {
+        type: 'object',
+        required: ['items', 'total', 'page', 'limit', 'nextCursor', 'prevCursor'],
+        properties: {
+            items: { type: 'array', items: ref(item) },
+            total: { type: 'integer', minimum: 0 },
+            page: { type: ['integer', 'null'], description: 'null with cursor pagination' },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+            nextCursor: cursor,
+            prevCursor: cursor,
+        },
+    };
+}
+
+/** Result envelope of the search routes (src/lib/search.js) */
+const SEARCH_RESULTS = {
+    type: 'object',
+    required: ['items', 'total', 'page', 'limit', 'mode'],
+    properties: {
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['_id', 'highlights'],
+                properties: {
+                    _id: ref('ObjectId'),
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                    photo: nullable(ref('ObjectId')),
+                    score: { type: 'number', description: 'Relevance (text mode only)' },
+                    highlights: {
+                        type: 'object',
+                        description: 'Matched character ranges per field: { name: [[start, end]] }',
+                        additionalProperties: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+                    },
+                },
+            },
+        },
+        total: { type: 'integer', minimum: 0 },
+        page: { type: 'integer', minimum: 1 },
+        limit: { type: 'integer', minimum: 1 },
+        mode: { enum: ['text', 'prefix', 'fields', null] },
+    },
+};
+
+const PURGE_RESULT = {
+    type: 'object',
+    required: ['purged', 'skipped', 'retentionDays', 'deletedBefore'],
+    properties: {
+        purged: { type: 'array', items: ref('ObjectId') },
+        skipped: { type: 'array', items: ref('ObjectId') },
+        retentionDays: { type: 'integer' },
+        deletedBefore: { type: 'string', format: 'date-time' },
+    },
+};
+
+/** Query parameters shared by the list, search and export routes */
+const LIST_PARAMETERS = {
+    page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+    after: { name: 'after', in: 'query', description: 'Cursor: records after this id (from nextCursor)', schema: ref('ObjectId') },
+    before: { name: 'before', in: 'query', description: 'Cursor: records before this id (from prevCursor)', schema: ref('ObjectId') },
+    q: { name: 'q', in: 'query', description: 'Search text with optional qualifiers, e.g. `ann email:ann@ age:>20`', schema: { type: 'string', maxLength: 200 } },
+    deleted: { name: 'deleted', in: 'query', description: 'true → the trash instead of live records', schema: { type: 'boolean' } },
+    minAge: { name: 'minAge', in: 'query', schema: { type: 'number' } },
+    maxAge: { name: 'maxAge', in: 'query', schema: { type: 'number' } },
+    createdAfter: { name: 'createdAfter', in: 'query', schema: { type: 'string', format: 'date-time' } },
+    createdBefore: { name: 'createdBefore', in: 'query', schema: { type: 'string', format: 'date-time' } },
+    enrollmentStatus: { name: 'enrollmentStatus', in: 'query', schema: { type: 'string', enum: ENROLLMENT_STATUSES } },
+};
+
+function sortParameter(fields) {
+    return {
+        name: 'sort',
+        in: 'query',
+        description: `Field with an optional direction (\`name\`, \`-createdAt\`, \`name:desc\`). Fields: ${fields.join(', ')}`,
+        schema: { type: 'string', default: '-createdAt' },
+    };
+}
+
+/**
+ * Paths shared by students and instructors.
+ * @param {{ plural: string, label: string, tag: string, filters: string[], sortFields: string[],
+ *          example: object, generated?: object }} entity - `generated`: server-set values for the response examples
+ */
+function entityPaths({ plural, label, tag, filters, sortFields, example, generated = {} }) {
+    const base = `/api/${plural}`;
+    const lower = label.toLowerCase();
+    const id = param('id');
+    const filterParams = filters.map((name) => param(name));
+    const notFound = errorReply(`${label} not found`, { error: `${label} not found` });
+    const recordResponse = (description) => ({
+        description,
+        headers: { ETag: { $ref: '#/components/headers/ETag' } },
+        content: json(ref(label), recordExample(example, generated)),
+    });
+
+    return {
+        [base]: {
+            get: {
+                tags: [tag],
+                operationId: `list${label}s`,
+                summary: `List ${plural}`,
+                description: 'Offset (page) or cursor (after / before) pagination, newest first by default.',
+                parameters: [param('page'), param('limit'), param('after'), param('before'), sortParameter(sortFields), param('q'), param('deleted'), ...filterParams],
+                responses: {
+                    200: { description: `A page of ${plural}`, content: json(ref(`${label}Page`)) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                },
+            },
+            post: {
+                tags: [tag],
+                operationId: `create${label}`,
+                summary: `Create a ${lower}`,
+                requestBody: { required: true, content: json(ref(`${label}Create`), example) },
+                responses: {
+                    201: { description: `The created ${lower}`, content: json(ref(label), recordExample(example, generated)) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    409: responseRef('Conflict'),
+                    422: responseRef('ValidationFailed'),
+                },
+            },
+        },
+        [`${base}/search`]: {
+            get: {
+                tags: [tag],
+                operationId: `search${label}s`,
+                summary: `Search ${plural} (ranked)`,
+                description: 'Full-text search with prefix matching as a fallback. An empty q returns no items.',
+                parameters: [param('q'), param('page'), param('limit'), ...filterParams],
+                responses: {
+                    200: { description: 'Search results', content: json(ref('SearchResults')) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                },
+            },
+        },
+        [`${base}/export`]: {
+            get: {
+                tags: [tag],
+                operationId: `export${label}s`,
+                summary: `Export ${plural} as CSV, JSON or Excel`,
+                parameters: [
+                    { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'json', 'xlsx'], default: 'csv' } },
+                    { name: 'columns', in: 'query', description: 'Comma-separated field names (default: all)', schema: { type: 'string' } },
+                    sortParameter(sortFields), param('q'), param('deleted'), ...filterParams,
+                ],
+                responses: {
+                    200: {
+                        description: 'File download (streamed)',
+                        content: {
+                            'text/csv': { schema: { type: 'string' } },
+                            'application/json': { schema: { type: 'array', items: { type: 'object' } } },
+                            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } },
+                        },
+                    },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                },
+            },
+        },
+        [`${base}/purge`]: {
+            post: {
+                tags: [tag],
+                operationId: `purge${label}s`,
+                summary: `Permanently delete trashed ${plural}`,
+                description: 'Only records deleted longer ago than TRASH_RETENTION_DAYS are removed; the others are reported as skipped.',
+                requestBody: {
+                    content: json({ type: 'object', properties: { ids: { type: 'array', items: ref('ObjectId') } } }, { ids: [EXAMPLE_ID] }),
+                },
+                responses: {
+                    200: { description: 'Purge report', content: json(PURGE_RESULT) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                },
+            },
+        },
+        [`${base}/{id}`]: {
+            parameters: [id],
+            get: {
+                tags: [tag],
+                operationId: `get${label}`,
+                summary: `Get a ${lower}`,
+                parameters: [param('If-None-Match')],
+                responses: {
+                    200: recordResponse(`The ${lower}`),
+                    304: { description: 'Not modified (If-None-Match matched the ETag)' },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                },
+            },
+            put: {
+                tags: [tag],
+                operationId: `update${label}`,
+                summary: `Update a ${lower}`,
+                description: 'Partial update — only the fields sent are changed. Requires the ETag from GET in If-Match.',
+                parameters: [param('If-Match')],
+                requestBody: { required: true, content: json(ref(`${label}Update`), { name: example.name }) },
+                responses: {
+                    200: recordResponse(`The updated ${lower}`),
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                    409: responseRef('Conflict'),
+                    412: responseRef('PreconditionFailed'),
+                    422: responseRef('ValidationFailed'),
+                    428: responseRef('PreconditionRequired'),
+                },
+            },
+            patch: {
+                tags: [tag],
+                operationId: `patch${label}`,
+                summary: `Patch a ${lower}`,
+                description: 'JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902). Requires the ETag from GET in If-Match.',
+                parameters: [param('If-Match')],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/merge-patch+json': { schema: ref(`${label}Update`), example: { name: example.name } },
+                        'application/json-patch+json': {
+                            schema: { type: 'array', items: ref('JsonPatchOperation') },
+                            example: [{ op: 'replace', path: '/name', value: example.name }],
+                        },
+                    },
+                },
+                responses: {
+                    200: recordResponse(`The updated ${lower}`),
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                    409: responseRef('Conflict'),
+                    412: responseRef('PreconditionFailed'),
+                    415: responseRef('UnsupportedMediaType'),
+                    422: responseRef('ValidationFailed'),
+                    428: responseRef('PreconditionRequired'),
+                },
+            },
+            delete: {
+                tags: [tag],
+                operationId: `delete${label}`,
+                summary: `Move a ${lower} to the trash`,
+                responses: {
+                    200: {
+                        description: 'Deleted (restorable until purged)',
+                        content: json({
+                            type: 'object',
+                            required: ['message', lower],
+                            properties: { message: { type: 'string' }, [lower]: ref(label) },
+                        }),
+                    },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                },
+            },
+        },
+        [`${base}/{id}/restore`]: {
+            parameters: [id],
+            post: {
+                tags: [tag],
+                operationId: `restore${label}`,
+                summary: `Restore a ${lower} from the trash`,
+                responses: {
+                    200: { description: `The restored ${lower}`, content: json(ref(label)) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: errorReply(`Deleted ${lower} not found`, { error: `Deleted ${lower} not found` }),
+                    409: responseRef('Conflict'),
+                },
+            },
+        },
+        [`${base}/{id}/courses`]: {
+            parameters: [id],
+            get: {
+                tags: [tag],
+                operationId: `list${label}Courses`,
+                summary: label === 'Student' ? 'Courses the student is enrolled in' : 'Courses the instructor teaches',
+                responses: {
+                    200: { description: 'Courses', content: json({ type: 'array', items: ref('CourseSummary') }) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                },
+            },
+        },
+        [`${base}/{id}/attachments`]: {
+            parameters: [id],
+            get: {
+                tags: [tag],
+                operationId: `list${label}Attachments`,
+                summary: 'List the profile photo and documents',
+                responses: {
+                    200: {
+                        description: 'Attachments, newest first',
+                        content: json({ type: 'object', required: ['items'], properties: { items: { type: 'array', items: ref('Attachment') } } }),
+                    },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                },
+            },
+            post: {
+                tags: [tag],
+                operationId: `upload${label}Attachment`,
+                summary: 'Upload a photo or document',
+                description: `A photo replaces the current one. Allowed types: ${ATTACHMENT_TYPES.join(', ')}; the content must match the type.`,
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: {
+                                type: 'object',
+                                required: ['file'],
+                                properties: {
+                                    file: { type: 'string', contentMediaType: 'application/octet-stream' },
+                                    kind: { type: 'string', enum: ['photo', 'document'], default: 'document' },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: { description: 'The stored attachment', content: json(ref('Attachment')) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                    413: responseRef('PayloadTooLarge'),
+                    415: responseRef('UnsupportedMediaType'),
+                    422: responseRef('ValidationFailed'),
+                },
+            },
+        },
+        [`${base}/{id}/attachments/{attachmentId}`]: {
+            parameters: [id, param('attachmentId')],
+            get: {
+                tags: [tag],
+                operationId: `download${label}Attachment`,
+                summary: 'Download an attachment (streamed)',
+                responses: {
+                    200: { description: 'The file — images inline, documents as a download', content: { '*/*': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } } },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: responseRef('NotFound'),
+                },
+            },
+            delete: {
+                tags: [tag],
+                operationId: `delete${label}Attachment`,
+                summary: 'Delete an attachment',
+                responses: {
+                    200: { description: 'Deleted', content: json(ref('Message')) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: responseRef('NotFound'),
+                },
+            },
+        },
+        [`${base}/{id}/attachments/{attachmentId}/thumbnail`]: {
+            parameters: [id, param('attachmentId')],
+            get: {
+                tags: [tag],
+                operationId: `get${label}AttachmentThumbnail`,
+                summary: '128×128 WebP thumbnail of an image attachment',
+                responses: {
+                    200: { description: 'The thumbnail', content: { 'image/webp': { schema: { type: 'string', contentMediaType: 'image/webp' } } } },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: responseRef('NotFound'),
+                },
+            },
+        },
+    };
+}
+
+/** Routes only students have (bulk changes, import, grades, attendance) */
+function studentOnlyPaths() {
+    const id = param('id');
+    const notFound = errorReply('Student not found', { error: 'Student not found' });
+
+    return {
+        '/api/students/bulk': {
+            post: {
+                tags: ['Students'],
+                operationId: 'bulkStudents',
+                summary: 'Update, delete or restore many students at once',
+                description: 'On a replica set the request runs in one transaction and is rolled back (409) if any record fails.',
+                requestBody: {
+                    required: true,
+                    content: json(ref('BulkRequest'), {
+                        operations: [{ action: 'update', filter: { enrollmentStatus: 'active', maxAge: 17 }, set: { enrollmentStatus: 'withdrawn' } }],
+                    }),
+                },
+                responses: {
+                    200: { description: 'All changes kept', content: json(ref('BulkReport')) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    409: { description: 'The transaction was rolled back', content: json(ref('BulkReport')) },
+                    422: responseRef('ValidationFailed'),
+                },
+            },
+        },
+        '/api/students/import': {
+            post: {
+                tags: ['Students'],
+                operationId: 'importStudents',
+                summary: 'Import students from CSV, JSON or an uploaded file (at most 10 MB and 5000 rows)',
+                parameters: [
+                    { name: 'dryRun', in: 'query', description: 'true → report only, nothing is written', schema: { type: 'boolean' } },
+                    { name: 'mode', in: 'query', schema: { type: 'string', enum: ['create', 'upsert'], default: 'create' } },
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'text/csv': { schema: { type: 'string' }, example: 'name,dateOfBirth,email\nAnn Lee,2004-05-12,ann.lee@example.com\n' },
+                        'application/json': { schema: { type: 'array', items: ref('StudentCreate') }, example: [STUDENT_EXAMPLE] },
+                        'multipart/form-data': { schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', contentMediaType: 'application/octet-stream' } } } },
+                    },
+                },
+                responses: {
+                    200: { description: 'Preview (dryRun) or nothing created', content: json(ref('ImportReport')) },
+                    201: { description: 'At least one student created', content: json(ref('ImportReport')) },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    413: responseRef('PayloadTooLarge'),
+                    415: responseRef('UnsupportedMediaType'),
+                },
+            },
+        },
+        '/api/students/{id}/transcript': {
+            parameters: [id],
+            get: {
+                tags: ['Students'],
+                operationId: 'getStudentTranscript',
+                summary: 'Grades per course with weighted averages and letter grades',
+                responses: {
+                    200: {
+                        description: 'The transcript',
+                        content: json({
+                            type: 'object',
+                            required: ['student', 'courses'],
+                            properties: {
+                                student: ref('PersonSummary'),
+                                courses: { type: 'array', items: { type: 'object' } },
+                                average: { type: ['number', 'null'] },
+                                letter: { type: ['string', 'null'], enum: ['A', 'B', 'C', 'D', 'F', null] },
+                            },
+                        }),
+                    },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                },
+            },
+        },
+        '/api/students/{id}/attendance': {
+            parameters: [id],
+            get: {
+                tags: ['Students'],
+                operationId: 'getStudentAttendance',
+                summary: 'Attendance summary and daily records over a date range',
+                parameters: [
+                    { name: 'from', in: 'query', description: 'YYYY-MM-DD (default: 30 days ago)', schema: { type: 'string', format: 'date' } },
+                    { name: 'to', in: 'query', description: 'YYYY-MM-DD, inclusive (default: today)', schema: { type: 'string', format: 'date' } },
+                ],
+                responses: {
+                    200: {
+                        description: 'Counts per status, the attendance percentage and the records',
+                        content: json({
+                            type: 'object',
+                            required: ['student', 'from', 'to', 'total', 'percentage', 'records'],
+                            properties: {
+                                student: ref('PersonSummary'),
+                                from: { type: 'string', format: 'date' },
+                                to: { type: 'string', format: 'date' },
+                                present: { type: 'integer' },
+                                absent: { type: 'integer' },
+                                late: { type: 'integer' },
+                                excused: { type: 'integer' },
+                                total: { type: 'integer' },
+                                percentage: { type: ['number', 'null'] },
+                                records: { type: 'array', items: { type: 'object' } },
+                            },
+                        }),
+                    },
+                    400: responseRef('BadRequest'),
+                    401: responseRef('Unauthorized'),
+                    403: responseRef('Forbidden'),
+                    404: notFound,
+                },
+            },
+        },
+    };
+}
+
+/** Error responses shared by every operation */
+const RESPONSES = {
+    BadRequest: errorReply('Malformed request (invalid id, JSON or query parameter)', { error: 'Invalid ID' }),
+    Unauthorized: errorReply('No valid session cookie', { error: 'Authentication required' }),
+    Forbidden: errorReply('The role may not use this route (or not for this record)', { error: 'Forbidden' }),
+    NotFound: errorReply('Not found', { error: 'Attachment not found' }),
+    Conflict: errorReply('Duplicate unique value', { error: 'Email already exists', fields: { email: 'Email already exists' } }),
+    ValidationFailed: errorReply('Invalid field values, with a message per field', {
+        error: 'Validation failed',
+        fields: { email: 'Please use a valid email address', dateOfBirth: 'Date of birth must be in the past' },
+    }),
+    PreconditionFailed: {
+        description: 'Someone else saved the record since the ETag in If-Match — `current` holds their version',
+        headers: { ETag: { $ref: '#/components/headers/ETag' } },
+        content: json({
+            allOf: [ref('Error'), { type: 'object', required: ['current'], properties: { current: { type: 'object' } } }],
+        }),
+    },
+    PreconditionRequired: errorReply('If-Match header missing', { error: 'If-Match header is required (use the ETag from GET)' }),
+    UnsupportedMediaType: errorReply('Content type not accepted', { error: 'Upload the file as multipart/form-data' }),
+    PayloadTooLarge: errorReply('Upload too large', { error: 'File is too large (max 10 MB)' }),
+    TooManyRequests: {
+        description: 'Rate limit exceeded (src/lib/rateLimit.js) — retry after Retry-After seconds',
+        headers: { 'Retry-After': { $ref: '#/components/headers/Retry-After' } },
+        content: json(ref('Error'), { error: 'Too many requests' }),
+    },
+};
+
+let cached = null;
+
+/**
+ * The OpenAPI document (built once per process — it only depends on code).
+ * @returns {object}
+ */
+export function buildOpenApiSpec() {
+    if (cached) return cached;
+
+    const student = modelSchemas(Student, {
+        virtuals: { age: { type: ['integer', 'null'], readOnly: true, description: 'Computed from dateOfBirth' } },
+    });
+    student.read.properties.customFields = { type: 'object', description: 'Admin-defined fields (GET /api/custom-fields)' };
+    student.create.properties.customFields = student.read.properties.customFields;
+    student.update.properties.customFields = student.read.properties.customFields;
+    const instructor = modelSchemas(Instructor);
+    const attachment = modelSchemas(Attachment, {
+        omit: ['key', 'thumbnailKey'],
+        extra: { hasThumbnail: { type: 'boolean' } },
+    });
+
+    cached = {
+        openapi: '3.1.0',
+        info: {
+            title: 'Student CRUD API',
+            version: '1.0.0',
+            description: 'Students and instructors. Log in with POST /api/auth/login to get the session cookie; '
+                + 'access per role is described in src/lib/access.js (admins can use every route).',
+        },
+        servers: [{ url: '/' }],
+        security: [{ session: [] }],
+        tags: [
+            { name: 'Auth' },
+            { name: 'Students' },
+            { name: 'Instructors' },
+        ],
+        paths: {
+            '/api/auth/login': {
+                post: {
+                    tags: ['Auth'],
+                    operationId: 'login',
+                    summary: 'Log in and receive the session cookie',
+                    security: [],
+                    requestBody: {
+                        required: true,
+                        content: json(
+                            { type: 'object', required: ['email', 'password'], properties: { email: { type: 'string' }, password: { type: 'string' } } },
+                            { email: 'admin@example.com', password: 'secret' }
+                        ),
+                    },
+                    responses: {
+                        200: { description: 'Logged in — Set-Cookie carries the session', content: json({ type: 'object', required: ['role'], properties: { _id: ref('ObjectId'), email: { type: 'string' }, role: { type: 'string', enum: ['admin', 'instructor', 'student'] } } }) },
+                        400: responseRef('BadRequest'),
+                        401: errorReply('Wrong email or password', { error: 'Invalid email or password' }),
+                    },
+                },
+            },
+            ...entityPaths({
+                plural: 'students',
+                label: 'Student',
+                tag: 'Students',
+                filters: ['minAge', 'maxAge', 'enrollmentStatus', 'createdAfter', 'createdBefore'],
+                sortFields: STUDENT_LIST_OPTIONS.sortFields,
+                example: STUDENT_EXAMPLE,
+                generated: { studentNumber: 'S2026-00001', age: 22, customFields: {} },
+            }),
+            ...studentOnlyPaths(),
+            ...entityPaths({
+                plural: 'instructors',
+                label: 'Instructor',
+                tag: 'Instructors',
+                filters: ['minAge', 'maxAge', 'createdAfter', 'createdBefore'],
+                sortFields: DEFAULT_SORT_FIELDS,
+                example: INSTRUCTOR_EXAMPLE,
+            }),
+        },
+        components: {
+            securitySchemes: {
+                session: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE },
+            },
+            schemas: {
+                ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', examples: [EXAMPLE_ID] },
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: { type: 'string' },
+                        fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'Message per field' },
+                    },
+                },
+                Message: { type: 'object', required: ['message'], properties: { message: { type: 'string' } } },
+                Student: student.read,
+                StudentCreate: student.create,
+                StudentUpdate: student.update,
+                StudentPage: pageSchema('Student'),
+                Instructor: instructor.read,
+                InstructorCreate: instructor.create,
+                InstructorUpdate: instructor.update,
+                InstructorPage: pageSchema('Instructor'),
+                Attachment: attachment.read,
+                SearchResults: SEARCH_RESULTS,
+                PersonSummary: {
+                    type: 'object',
+                    required: ['_id', 'name'],
+                    properties: { _id: ref('ObjectId'), name: { type: 'string' }, email: { type: 'string' } },
+                },
+                CourseSummary: {
+                    type: 'object',
+                    required: ['_id', 'code', 'title'],
+                    properties: {
+                        _id: ref('ObjectId'),
+                        code: { type: 'string' },
+                        title: { type: 'string' },
+                        term: { type: 'string' },
+                        capacity: { type: 'integer' },
+                    },
+                },
+                JsonPatchOperation: {
+                    type: 'object',
+                    required: ['op', 'path'],
+                    properties: {
+                        op: { enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                        path: { type: 'string' },
+                        from: { type: 'string' },
+                        value: {},
+                    },
+                },
+                BulkRequest: {
+                    type: 'object',
+                    required: ['operations'],
+                    properties: {
+                        operations: {
+                            type: 'array',
+                            minItems: 1,
+                            items: {
+                                type: 'object',
+                                required: ['action'],
+                                properties: {
+                                    action: { enum: ['update', 'delete', 'restore'] },
+                                    ids: { type: 'array', items: ref('ObjectId') },
+                                    filter: { type: 'object', description: 'List filters and q, as on GET /api/students' },
+                                    set: ref('StudentUpdate'),
+                                },
+                            },
+                        },
+                    },
+                },
+                BulkReport: {
+                    type: 'object',
+                    required: ['transactional', 'committed', 'summary', 'results'],
+                    properties: {
+                        transactional: { type: 'boolean' },
+                        committed: { type: 'boolean' },
+                        summary: { type: 'object', additionalProperties: { type: 'integer' } },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['operation', 'action', 'status'],
+                                properties: {
+                                    operation: { type: 'integer' },
+                                    action: { type: 'string' },
+                                    id: ref('ObjectId'),
+                                    status: { type: 'string' },
+                                    error: { type: 'string' },
+                                    fields: { type: 'object' },
+                                },
+                            },
+                        },
+                    },
+                },
+                ImportReport: {
+                    type: 'object',
+                    required: ['dryRun', 'mode', 'summary', 'rows'],
+                    properties: {
+                        dryRun: { type: 'boolean' },
+                        mode: { enum: ['create', 'upsert'] },
+                        summary: {
+                            type: 'object',
+                            properties: Object.fromEntries(
+                                ['total', 'created', 'updated', 'unchanged', 'duplicate', 'invalid'].map((key) => [key, { type: 'integer' }])
+                            ),
+                        },
+                        rows: { type: 'array', items: { type: 'object', required: ['row', 'status'], properties: { row: { type: 'integer' }, status: { type: 'string' } } } },
+                    },
+                },
+            },
+            parameters: {
+                id: { name: 'id', in: 'path', required: true, schema: ref('ObjectId') },
+                attachmentId: { name: 'attachmentId', in: 'path', required: true, schema: ref('ObjectId') },
+                'If-Match': { name: 'If-Match', in: 'header', required: true, description: 'ETag from GET', schema: { type: 'string' }, example: '"3"' },
+                'If-None-Match': { name: 'If-None-Match', in: 'header', schema: { type: 'string' }, example: '"3"' },
+                ...LIST_PARAMETERS,
+            },
+            headers: {
+                ETag: { description: 'Record version — send it back in If-Match', schema: { type: 'string' }, example: '"3"' },
+                'Retry-After': { description: 'Seconds until the rate limit window resets', schema: { type: 'integer' }, example: 30 },
+            },
+            responses: RESPONSES,
+        },
+    };
+
+    // Every /api route is rate limited by the proxy
+    Object.values(cached.paths).forEach((item) => Object.entries(item).forEach(([method, operation]) => {
+        if (method !== 'parameters') operation.responses[429] = responseRef('TooManyRequests');
+    }));
+
+    return cached;
+}
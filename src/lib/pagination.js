@@ -0,0 +1,290 @@
+// Server-side pagination, sorting and filtering for list endpoints
+// Used by GET /api/students and GET /api/instructors so neither route
+// ever returns the whole collection in one response
+//
+// Supported query parameters:
+//   page=2&limit=20          → offset pagination (page is 1-based)
+//   after=<_id> / before=<_id> → cursor pagination relative to a document
+//   sort=name | sort=-age | sort=age:desc → whitelisted field + direction
+//   minAge, maxAge, createdAfter, createdBefore → filters
+//   deleted=true             → trash view (handled by the routes via trashListOptions)
+
+import mongoose from 'mongoose';
+import { HttpError } from '@/lib/errors';
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/** Fields every list endpoint may sort on */
+export const DEFAULT_SORT_FIELDS = ['name', 'age', 'email', 'createdAt', 'updatedAt'];
+
+/**
+ * Default filter definitions (Instructor; Student maps age to its date of birth — see src/lib/students.js).
+ * Each entry maps a query parameter to a field, a comparison operator and a value type,
+ * optionally with `convert` to turn the parsed value into the stored one.
+ */
+export const DEFAULT_FILTERS = {
+    minAge: { field: 'age', op: '$gte', type: 'number' },
+    maxAge: { field: 'age', op: '$lte', type: 'number' },
+    createdAfter: { field: 'createdAt', op: '$gte', type: 'date' },
+    createdBefore: { field: 'createdAt', op: '$lte', type: 'date' },
+};
+
+/**
+ * Convert a raw query string value to the type a filter expects.
+ * Throws a 400 HttpError when the value cannot be parsed.
+ */
+function coerceFilterValue(name, raw, type) {
+    if (type === 'number') {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value)) {
+            throw new HttpError(400, `${name} must be a number`);
+        }
+        return value;
+    }
+
+    if (type === 'date') {
+        const value = new Date(raw);
+        if (Number.isNaN(value.getTime())) {
+            throw new HttpError(400, `${name} must be a valid date`);
+        }
+        return value;
+    }
+
+    return raw;
+}
+
+/**
+ * Parse a positive integer query parameter, falling back to `fallback` when absent.
+ */
+function parsePositiveInt(name, raw, fallback) {
+    if (raw === null || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new HttpError(400, `${name} must be a positive integer`);
+    }
+    return value;
+}
+
+/**
+ * Parse offset pagination parameters: { page, limit } (limit capped at MAX_LIMIT).
+ */
+export function parsePageParams(searchParams) {
+    return {
+        page: parsePositiveInt('page', searchParams.get('page'), 1),
+        limit: Math.min(parsePositiveInt('limit', searchParams.get('limit'), DEFAULT_LIMIT), MAX_LIMIT),
+    };
+}
+
+/**
+ * Parse `sort` into { field, direction }.
+ * Accepts "field", "-field", "field:asc" and "field:desc".
+ */
+export function parseSort(raw, sortFields = DEFAULT_SORT_FIELDS, defaultSort = '-createdAt') {
+    const value = (raw || defaultSort).trim();
+
+    let field = value;
+    let direction = 1;
+
+    if (value.startsWith('-')) {
+        field = value.slice(1);
+        direction = -1;
+    } else if (value.includes(':')) {
+        const [name, dir] = value.split(':');
+        field = name;
+        if (dir === 'desc') direction = -1;
+        else if (dir !== 'asc') {
+            throw new HttpError(400, 'sort direction must be "asc" or "desc"');
+        }
+    }
+
+    if (!sortFields.includes(field)) {
+        throw new HttpError(400, `Cannot sort by "${field}". Allowed: ${sortFields.join(', ')}`);
+    }
+
+    return { field, direction };
+}
+
+/**
+ * Build a Mongo filter object from the whitelisted filter parameters.
+ * Several parameters can target the same field (minAge + maxAge → age range).
+ */
+export function parseFilters(searchParams, filters = DEFAULT_FILTERS) {
+    const query = {};
+
+    for (const [name, { field, op, type, convert }] of Object.entries(filters)) {
+        const raw = searchParams.get(name);
+        if (raw === null || raw === '') continue;
+
+        const value = coerceFilterValue(name, raw, type);
+        query[field] = { ...query[field], [op]: convert ? convert(value) : value };
+    }
+
+    return query;
+}
+
+/**
+ * Validate a cursor parameter (must be a Mongo ObjectId).
+ */
+function parseCursor(name, raw) {
+    if (!raw) return null;
+    if (!mongoose.isValidObjectId(raw)) {
+        throw new HttpError(400, `${name} must be a valid id`);
+    }
+    return raw;
+}
+
+/**
+ * Parse every list-related query parameter in one go.
+ * @param {URLSearchParams} searchParams
+ * @param {{ sortFields?: string[], filters?: object, defaultSort?: string }} [options]
+ */
+export function parseListParams(searchParams, options = {}) {
+    const { sortFields = DEFAULT_SORT_FIELDS, filters = DEFAULT_FILTERS, defaultSort } = options;
+
+    const after = parseCursor('after', searchParams.get('after'));
+    const before = parseCursor('before', searchParams.get('before'));
+    if (after && before) {
+        throw new HttpError(400, 'Use either "after" or "before", not both');
+    }
+
+    const { page, limit } = parsePageParams(searchParams);
+    if ((after || before) && searchParams.has('page')) {
+        throw new HttpError(400, 'Cursor parameters cannot be combined with "page"');
+    }
+
+    return {
+        filter: parseFilters(searchParams, filters),
+        sort: parseSort(searchParams.get('sort'), sortFields, defaultSort),
+        limit,
+        page,
+        after,
+        before,
+    };
+}
+
+/**
+ * Combine two Mongo filters. Keys present in both (e.g. `age` from a search
+ * qualifier and from minAge) are ANDed instead of one overwriting the other.
+ */
+export function mergeFilters(base = {}, extra = {}) {
+    const merged = { ...base };
+    const and = [...(base.$and || [])];
+
+    for (const [key, value] of Object.entries(extra)) {
+        if (key === '$and') and.push(...value);
+        else if (key in merged) and.push({ [key]: value });
+        else merged[key] = value;
+    }
+
+    if (and.length > 0) merged.$and = and;
+    return merged;
+}
+
+/**
+ * Keyset condition: documents strictly after (or before) `anchor` in sort order.
+ * Ties on the sort field are broken by _id so the order is total and stable.
+ */
+function keysetCondition(anchor, { field, direction }, forward) {
+    const ascending = (direction === 1) === forward;
+    const op = ascending ? '$gt' : '$lt';
+    const value = anchor[field];
+
+    if (field === '_id') {
+        return { _id: { [op]: anchor._id } };
+    }
+
+    return {
+        $or: [
+            { [field]: { [op]: value } },
+            { [field]: value, _id: { [op]: anchor._id } },
+        ],
+    };
+}
+
+/**
+ * Run a paginated list query and return the response envelope:
+ *   { items, total, page, limit, nextCursor, prevCursor }
+ *
+ * `page` is null when the request used cursor pagination.
+ * Cursors are document ids; pass them back as `after` / `before`.
+ *
+ * @param {import('mongoose').Model} Model
+ * @param {URLSearchParams} searchParams
+ * @param {{ sortFields?: string[], filters?: object, defaultSort?: string, baseFilter?: object }} [options]
+ */
+export async function paginate(Model, searchParams, options = {}) {
+    const { filter, sort, limit, page, after, before } = parseListParams(searchParams, options);
+    const baseFilter = mergeFilters(options.baseFilter, filter);
+
+    const cursorId = after || before;
+    const forward = !before;
+
+    let query = baseFilter;
+    if (cursorId) {
+        // The anchor may itself be soft-deleted (e.g. when paging the trash)
+        const anchor = await Model.findById(cursorId)
+            .select(sort.field)
+            .setOptions({ withDeleted: true })
+            .lean();
+        if (!anchor) {
+            throw new HttpError(400, 'Cursor does not match any record');
+        }
+        // Keep the base filter's keys at the top level so query middleware can see them
+        query = mergeFilters(baseFilter, { $and: [keysetCondition(anchor, sort, forward)] });
+    }
+
+    // Walking backwards means querying in reverse order, then flipping the result
+    const direction = forward ? sort.direction : -sort.direction;
+    const mongoSort = { [sort.field]: direction, _id: direction };
+
+    let find = Model.find(query).sort(mongoSort).limit(limit + 1);
+    if (!cursorId && page > 1) {
+        find = find.skip((page - 1) * limit);
+    }
+
+    const [docs, total] = await Promise.all([find, Model.countDocuments(baseFilter)]);
+
+    // We fetched one extra document to know whether another page exists
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    if (!forward) items.reverse();
+
+    const first = items[0]?._id?.toString() ?? null;
+    const last = items[items.length - 1]?._id?.toString() ?? null;
+
+    let hasNext;
+    let hasPrev;
+    if (before) {
+        hasNext = true;              // we came from a later page
+        hasPrev = hasMore;
+    } else if (after) {
+        hasNext = hasMore;
+        hasPrev = true;              // we came from an earlier page
+    } else {
+        hasNext = hasMore;
+        hasPrev = page > 1;
+    }
+
+    return {
+        items,
+        total,
+        page: cursorId ? null : page,
+        limit,
+        nextCursor: hasNext ? last : null,
+        prevCursor: hasPrev ? first : null,
+    };
+}
+
+/**
+ * List options for the trash view (`?deleted=true`): only soft-deleted
+ * records, most recently deleted first, and sortable by `deletedAt`.
+ */
+export function trashListOptions(options = {}) {
+    return {
+        ...options,
+        baseFilter: { ...options.baseFilter, deletedAt: { $ne: null } },
+        sortFields: [...(options.sortFields || DEFAULT_SORT_FIELDS), 'deletedAt'],
+        defaultSort: '-deletedAt',
+    };
+}
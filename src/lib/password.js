@@ -0,0 +1,51 @@
+// Password hashing helpers built on Node's scrypt (no native dependencies)
+// Stored format: "scrypt$<salt hex>$<hash hex>"
+
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a plain-text password with a fresh random salt.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a plain-text password against a stored hash (constant-time compare).
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return timingSafeEqual(expected, actual);
+}
+
+// Hash of a random password, made on first use (see verifyDummyPassword)
+let dummyHash;
+
+/**
+ * Spend as long as verifyPassword() when there is no stored hash (unknown account),
+ * so response times don't tell which accounts exist. Always false.
+ * @param {string} password
+ * @returns {Promise<false>}
+ */
+export async function verifyDummyPassword(password) {
+    dummyHash ??= hashPassword(randomBytes(16).toString('hex'));
+    await verifyPassword(password, await dummyHash);
+    return false;
+}
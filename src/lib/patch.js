@@ -0,0 +1,208 @@
+// PATCH support for single-record routes
+//   application/merge-patch+json → RFC 7396 JSON Merge Patch
+//   application/json-patch+json  → RFC 6902 JSON Patch
+//
+// The patch is applied to a plain JSON copy of the stored document. Only if
+// every operation succeeds are the changed top-level fields passed through the
+// same whitelist / coercion as PUT (parseBody) and then saved, so a failing
+// operation leaves the record untouched.
+
+import { HttpError } from '@/lib/errors';
+import { parseBody } from '@/lib/validation';
+
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/** Keys that would reach Object.prototype instead of the record (prototype pollution) */
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function assertSafeKey(key, where) {
+    if (FORBIDDEN_KEYS.includes(key)) {
+        throw new HttpError(400, `"${key}" is not allowed in ${where}`);
+    }
+}
+
+/**
+ * RFC 7396: objects merge recursively, null removes a key, anything else replaces.
+ */
+export function applyMergePatch(target, patch) {
+    if (!isObject(patch)) return clone(patch);
+
+    const result = isObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        assertSafeKey(key, 'a merge patch');
+        if (value === null) delete result[key];
+        else result[key] = applyMergePatch(Object.hasOwn(result, key) ? result[key] : undefined, value);
+    }
+    return result;
+}
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped reference tokens.
+ */
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new HttpError(400, `Invalid JSON Pointer: ${pointer}`);
+    }
+    const tokens = pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    tokens.forEach((token) => assertSafeKey(token, `JSON Pointer ${pointer}`));
+    return tokens;
+}
+
+/**
+ * Resolve the parent container and final key for a pointer.
+ */
+function resolveParent(doc, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new HttpError(422, 'Operations on the whole document are not supported');
+    }
+
+    // Only own properties: never walk into inherited ones
+    let parent = doc;
+    for (const token of tokens.slice(0, -1)) {
+        parent = Object.hasOwn(parent, token) ? parent[token] : undefined;
+        if (parent === null || typeof parent !== 'object') {
+            throw new HttpError(422, `Path not found: ${pointer}`);
+        }
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+}
+
+function arrayIndex(array, key, pointer, { allowEnd = false } = {}) {
+    if (allowEnd && key === '-') return array.length;
+    const index = Number(key);
+    const max = allowEnd ? array.length : array.length - 1;
+    if (!/^(0|[1-9]\d*)$/.test(key) || index > max) {
+        throw new HttpError(422, `Invalid array index in ${pointer}`);
+    }
+    return index;
+}
+
+function getValue(doc, pointer) {
+    const { parent, key } = resolveParent(doc, pointer);
+    if (Array.isArray(parent)) return parent[arrayIndex(parent, key, pointer)];
+    if (!Object.hasOwn(parent, key)) {
+        throw new HttpError(422, `Path not found: ${pointer}`);
+    }
+    return parent[key];
+}
+
+function addValue(doc, pointer, value) {
+    const { parent, key } = resolveParent(doc, pointer);
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, pointer, { allowEnd: true }), 0, value);
+    else parent[key] = value;
+}
+
+function removeValue(doc, pointer) {
+    const value = getValue(doc, pointer);
+    const { parent, key } = resolveParent(doc, pointer);
+    if (Array.isArray(parent)) parent.splice(Number(key), 1);
+    else delete parent[key];
+    return value;
+}
+
+/**
+ * RFC 6902: apply operations in order to a copy of `target`.
+ * Any failing operation (including a failed "test") aborts the whole patch.
+ */
+export function applyJsonPatch(target, operations) {
+    if (!Array.isArray(operations)) {
+        throw new HttpError(400, 'JSON Patch body must be an array of operations');
+    }
+
+    const doc = clone(target);
+
+    operations.forEach((operation, index) => {
+        if (!isObject(operation) || typeof operation.path !== 'string') {
+            throw new HttpError(400, `Operation ${index}: must be an object with a "path"`);
+        }
+        const { op, path, from, value } = operation;
+        if ((op === 'move' || op === 'copy') && typeof from !== 'string') {
+            throw new HttpError(400, `Operation ${index}: "from" is required for "${op}"`);
+        }
+        const needsValue = ['add', 'replace', 'test'].includes(op);
+        if (needsValue && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+            throw new HttpError(400, `Operation ${index}: "value" is required for "${op}"`);
+        }
+
+        switch (op) {
+            case 'add':
+                addValue(doc, path, clone(value));
+                break;
+            case 'remove':
+                removeValue(doc, path);
+                break;
+            case 'replace':
+                removeValue(doc, path);
+                addValue(doc, path, clone(value));
+                break;
+            case 'move':
+                if (path.startsWith(`${from}/`)) {
+                    throw new HttpError(422, `Operation ${index}: cannot move a value into itself`);
+                }
+                addValue(doc, path, removeValue(doc, from));
+                break;
+            case 'copy':
+                addValue(doc, path, clone(getValue(doc, from)));
+                break;
+            case 'test':
+                if (JSON.stringify(getValue(doc, path)) !== JSON.stringify(value)) {
+                    throw new HttpError(409, `Operation ${index}: test failed for ${path}`);
+                }
+                break;
+            default:
+                throw new HttpError(400, `Operation ${index}: unsupported op "${op}"`);
+        }
+    });
+
+    return doc;
+}
+
+/**
+ * Read a PATCH request and work out the resulting field changes for `doc`.
+ *
+ * @param {Request} request
+ * @param {import('mongoose').Document} doc - The stored document
+ * @param {import('mongoose').Model} Model
+ * @returns {Promise<Record<string, unknown>>} Changed top-level fields (removed → null),
+ *          already whitelisted and coerced; empty when the patch changes nothing
+ * @throws {HttpError} 415 unsupported content type, 400 malformed patch,
+ *                     409 failed "test", 422 invalid path or read-only field
+ */
+export async function readPatch(request, doc, Model) {
+    const contentType = (request.headers.get('content-type') || '').split(';')[0].trim();
+    if (contentType !== MERGE_PATCH_TYPE && contentType !== JSON_PATCH_TYPE) {
+        throw new HttpError(415, `PATCH requires Content-Type ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`);
+    }
+
+    const patch = await request.json();
+    const original = clone(doc.toObject({ depopulate: true }));
+
+    let patched;
+    if (contentType === MERGE_PATCH_TYPE) {
+        if (!isObject(patch)) {
+            throw new HttpError(400, 'Merge patch body must be a JSON object');
+        }
+        patched = applyMergePatch(original, patch);
+    } else {
+        patched = applyJsonPatch(original, patch);
+    }
+
+    // Collect the top-level fields whose value actually changed
+    const changes = {};
+    for (const key of new Set([...Object.keys(original), ...Object.keys(patched)])) {
+        if (JSON.stringify(original[key]) !== JSON.stringify(patched[key])) {
+            changes[key] = patched[key] === undefined ? null : patched[key];
+        }
+    }
+
+    if (Object.keys(changes).length === 0) return {};
+
+    // Same whitelist + coercion as PUT: _id, createdAt, unknown fields → 422
+    return parseBody(Model, changes, { partial: true });
+}
@@ -0,0 +1,190 @@
+// Rate limits for /api routes
+// Applied by src/proxy.js after the session check. Each request falls in one
+// policy and is counted per logged-in user, or per IP address without a session:
+//
+//   login  → POST /api/auth/login, per IP and per  (RATE_LIMIT_LOGIN,  default 10/300)
+//            account (the route counts the email)
+//   search → GET  .../search                       (RATE_LIMIT_SEARCH, default 60/60)
+//   write  → POST, PUT, PATCH, DELETE              (RATE_LIMIT_WRITE,  default 60/60)
+//   read   → everything else                       (RATE_LIMIT_READ,   default 300/60)
+//
+// The health and readiness probes, /api/metrics and /api/openapi.json are not
+// limited. A policy is "<requests>/<seconds>", or "off" to disable it. Responses carry
+// RateLimit-Limit / -Remaining / -Reset / -Policy headers; over the limit the
+// request is answered with 429 and Retry-After. An anonymous request whose
+// address is unknown is counted on its own rather than in one shared bucket
+// (which anybody could fill to lock everybody out). Counters live in the store
+// from src/lib/rateLimitStore.js (RATE_LIMIT_STORE); a store that fails or takes
+// longer than STORE_TIMEOUT_MS lets the request through.
+
+import { getRateLimitStore } from '@/lib/rateLimitStore';
+import { logger } from '@/lib/logger';
+
+const DEFAULT_POLICIES = {
+    login: '10/300',
+    search: '60/60',
+    write: '60/60',
+    read: '300/60',
+};
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Polled by orchestrators and scrapers — a 429 there would mark a healthy instance as down
+const EXEMPT_PATHS = ['/api/health', '/api/ready', '/api/metrics', '/api/openapi.json'];
+
+/** Longest wait for the store before failing open */
+const STORE_TIMEOUT_MS = 250;
+
+/**
+ * Parse "<requests>/<seconds>" → { limit, windowSeconds }, or null for "off".
+ * @throws {Error} When the value is malformed
+ */
+export function parsePolicy(value, name) {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'off') return null;
+
+    const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        throw new Error(`${name} must look like "<requests>/<seconds>" (e.g. "60/60") or "off"`);
+    }
+    return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+/**
+ * The configured policy for a request class (null when disabled).
+ */
+export function policyFor(name) {
+    const variable = `RATE_LIMIT_${name.toUpperCase()}`;
+    return parsePolicy(process.env[variable] || DEFAULT_POLICIES[name], variable);
+}
+
+/**
+ * Is the path left out of rate limiting (probes, metrics, the API description)?
+ */
+export function isRateLimitExempt(pathname) {
+    return EXEMPT_PATHS.includes(pathname);
+}
+
+/**
+ * Which policy a request falls under.
+ * @returns {'login' | 'search' | 'write' | 'read'}
+ */
+export function classifyRequest(method, pathname) {
+    if (method === 'POST' && pathname === '/api/auth/login') return 'login';
+    if (WRITE_METHODS.includes(method)) return 'write';
+    if (/\/search$/.test(pathname)) return 'search';
+    return 'read';
+}
+
+/**
+ * Number of reverse proxies in front of the app (TRUST_PROXY, default 0).
+ */
+export function trustedProxies() {
+    const value = process.env.TRUST_PROXY;
+    if (value === 'true') return 1;
+    const hops = Number(value);
+    return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+/**
+ * Client IP, or null when it can't be told.
+ * Behind TRUST_PROXY reverse proxies it's taken from X-Forwarded-For: each proxy
+ * appends the address it received the request from, so only the last TRUST_PROXY
+ * entries are trustworthy — anything left of them was sent by the client.
+ * Otherwise the headers are ignored and only an address set by the platform
+ * (`request.ip`) is used.
+ */
+export function clientIp(request) {
+    const hops = trustedProxies();
+    if (hops > 0) {
+        const forwarded = (request.headers.get('x-forwarded-for') || '')
+            .split(',')
+            .map((entry) => entry.trim())
+            .filter(Boolean);
+        if (forwarded.length >= hops) return forwarded[forwarded.length - hops];
+        const realIp = request.headers.get('x-real-ip');
+        if (realIp) return realIp;
+    }
+    return request.ip || null;
+}
+
+/**
+ * Reject when `promise` takes longer than `ms`.
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Rate limit store did not answer within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Verdict and headers for the `count`-th request of a window ending in `resetMs`.
+ */
+function rateLimitResult(policy, { count, resetMs }) {
+    const reset = Math.max(1, Math.ceil(resetMs / 1000));
+    const limited = count > policy.limit;
+    const headers = {
+        'RateLimit-Limit': String(policy.limit),
+        'RateLimit-Remaining': String(Math.max(0, policy.limit - count)),
+        'RateLimit-Reset': String(reset),
+        'RateLimit-Policy': `${policy.limit};w=${policy.windowSeconds}`,
+    };
+    if (limited) headers['Retry-After'] = String(reset);
+
+    return { limited, headers };
+}
+
+/**
+ * Count one hit of `key` in the store.
+ * @returns {Promise<{ limited: boolean, headers: Record<string, string> } | null>}
+ *   null when the store is unavailable (the request is let through)
+ */
+async function countHit(policy, key) {
+    try {
+        const result = await withTimeout(
+            getRateLimitStore().then((store) => store.hit(key, policy.windowSeconds * 1000)),
+            STORE_TIMEOUT_MS
+        );
+        return rateLimitResult(policy, result);
+    } catch (error) {
+        // A broken or unreachable store shouldn't take the whole API down
+        logger.error('Rate limit check failed', { error });
+        return null;
+    }
+}
+
+/**
+ * Count a request against its policy.
+ * @param {Request} request
+ * @param {object|null} session - Verified session (null for anonymous requests)
+ * @returns {Promise<{ limited: boolean, headers: Record<string, string> } | null>}
+ *   null when the policy is off or the store is unavailable (requests are let through)
+ */
+export async function checkRateLimit(request, session) {
+    const name = classifyRequest(request.method, request.nextUrl.pathname);
+    const policy = policyFor(name);
+    if (!policy) return null;
+
+    // Login attempts are per IP even for a logged-in browser, to slow down password guessing
+    const ip = clientIp(request);
+    const who = session && name !== 'login' ? `user:${session.sub}` : ip && `ip:${ip}`;
+
+    // Unknown address → a counter of its own (login attempts are still counted per account)
+    if (!who) return rateLimitResult(policy, { count: 1, resetMs: policy.windowSeconds * 1000 });
+
+    return countHit(policy, `ratelimit:${name}:${who}`);
+}
+
+/**
+ * Count a login attempt against the account it names (RATE_LIMIT_LOGIN), so
+ * guessing one account's password is slowed down from any number of addresses.
+ * @param {string} email - Normalized email from the login form
+ * @returns {Promise<{ limited: boolean, headers: Record<string, string> } | null>}
+ */
+export async function checkLoginRateLimit(email) {
+    const policy = policyFor('login');
+    if (!policy) return null;
+    return countHit(policy, `ratelimit:login:email:${email}`);
+}
@@ -0,0 +1,119 @@
+// Counter stores for the API rate limiter (src/lib/rateLimit.js), behind a
+// small adapter interface so the backend can be swapped:
+//
+//   hit(key, windowMs) → { count, resetMs }   count in the current window (after this hit)
+//                                             and milliseconds until the window ends
+//
+// Adapters (RATE_LIMIT_STORE):
+//   memory (default) → a Map in this process; each server instance counts on its own
+//   redis            → shared counters in Redis at REDIS_URL (INCR + PEXPIRE), so every
+//                      instance enforces the same limits. Any server or object speaking
+//                      those commands works (Valkey, KeyDB, a local stand-in).
+
+import { logger } from '@/lib/logger';
+
+export const RATE_LIMIT_STORES = ['memory', 'redis'];
+
+// Drop expired memory windows every this many hits so the Map can't grow forever
+const SWEEP_EVERY = 1000;
+
+/**
+ * In-process fixed windows: key → { count, resetAt }.
+ */
+export function memoryStore() {
+    const windows = new Map();
+    let hits = 0;
+
+    return {
+        name: 'memory',
+
+        async hit(key, windowMs) {
+            const now = Date.now();
+
+            if (++hits % SWEEP_EVERY === 0) {
+                for (const [name, window] of windows) {
+                    if (window.resetAt <= now) windows.delete(name);
+                }
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return { count: window.count, resetMs: window.resetAt - now };
+        },
+    };
+}
+
+/**
+ * Redis fixed windows. `client` needs incr(key), pTTL(key) and pExpire(key, ms)
+ * (the node-redis method names) — a real client or a stand-in with the same methods.
+ */
+export function redisStore(client) {
+    return {
+        name: 'redis',
+
+        async hit(key, windowMs) {
+            const count = await client.incr(key);
+            let resetMs = await client.pTTL(key);
+
+            // First hit of the window (or an expiry lost to a crash) → start the window
+            if (resetMs < 0) {
+                await client.pExpire(key, windowMs);
+                resetMs = windowMs;
+            }
+            return { count, resetMs };
+        },
+    };
+}
+
+/**
+ * Connect to REDIS_URL (the redis package is only loaded when this store is used).
+ */
+async function connectRedis() {
+    if (!process.env.REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL');
+    }
+    const { createClient } = await import('redis');
+    // Without the offline queue, commands fail at once while Redis is unreachable
+    // instead of waiting for a reconnect (the limiter then lets requests through)
+    const client = createClient({ url: process.env.REDIS_URL, disableOfflineQueue: true });
+    client.on('error', (error) => logger.error('Rate limit store (redis) error', { error }));
+    // Connect in the background: node-redis keeps reconnecting on its own, and
+    // until it's up every command fails fast
+    client.connect().catch(() => {});
+    return client;
+}
+
+// store name → Promise of the store (created once per process)
+const stores = new Map();
+
+/**
+ * The configured store's name (RATE_LIMIT_STORE).
+ */
+export function defaultStoreName() {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!RATE_LIMIT_STORES.includes(name)) {
+        throw new Error(`RATE_LIMIT_STORE must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * A rate limit store by name (defaults to the configured one).
+ * @returns {Promise<{ name: string, hit: Function }>}
+ */
+export function getRateLimitStore(name = defaultStoreName()) {
+    if (!stores.has(name)) {
+        const store = name === 'redis'
+            ? connectRedis().then(redisStore)
+            : Promise.resolve(memoryStore());
+
+        // A failed connection is retried on the next request instead of being cached
+        store.catch(() => stores.delete(name));
+        stores.set(name, store);
+    }
+    return stores.get(name);
+}
@@ -0,0 +1,292 @@
+// Search for people (students / instructors)
+//
+// Query syntax (q=...):
+//   john smith          free words → MongoDB text index on name + email, ranked by relevance
+//   "john smith"        quoted phrase
+//   email:gmail         field qualifier → case-insensitive prefix match
+//   age:>20 age:<=30    numeric qualifiers: =, >, >=, <, <=, and ranges like age:18..25
+//
+// Free words fall back to an escaped prefix regex when the text search finds
+// nothing (e.g. "jo" while typing "john") or the text index doesn't exist yet.
+// User input never reaches `new RegExp` unescaped.
+
+import { HttpError } from '@/lib/errors';
+import { DEFAULT_FILTERS, mergeFilters, parseFilters, parsePageParams } from '@/lib/pagination';
+
+export const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Default qualifiers: field → value type, or { type, filter } where `filter`
+ * turns the parsed condition into a Mongo filter on other fields
+ * (e.g. Student's age: → dateOfBirth, see src/lib/students.js)
+ */
+export const SEARCH_FIELDS = { name: 'string', email: 'string', age: 'number' };
+
+/** Fields free words are matched (and highlighted) on */
+const TEXT_FIELDS = ['name', 'email'];
+
+/**
+ * Escape every regex metacharacter so user input is matched literally.
+ * Prevents crashes on input like "(" and catastrophic-backtracking patterns.
+ */
+export function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a query into tokens, keeping "quoted phrases" (and field:"quoted values") together.
+ */
+function tokenize(q) {
+    const tokens = [];
+    const pattern = /(\w+:)?"([^"]*)"|\S+/g;
+    let match;
+    while ((match = pattern.exec(q)) !== null) {
+        if (match[2] !== undefined) {
+            tokens.push({ text: `${match[1] || ''}${match[2]}`, phrase: !match[1] });
+        } else {
+            tokens.push({ text: match[0], phrase: false });
+        }
+    }
+    return tokens;
+}
+
+function parseNumber(name, raw) {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) {
+        throw new HttpError(400, `${name}: expects a number`);
+    }
+    return value;
+}
+
+/**
+ * Mongo condition for one numeric qualifier value: "20", ">20", "<=30", "18..25".
+ */
+function numberCondition(name, raw) {
+    const range = raw.match(/^(.*)\.\.(.*)$/);
+    if (range) {
+        return { $gte: parseNumber(name, range[1]), $lte: parseNumber(name, range[2]) };
+    }
+
+    const [, op = '', value] = raw.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const number = parseNumber(name, value);
+    const operators = { '': '$eq', '=': '$eq', '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+    return { [operators[op]]: number };
+}
+
+/**
+ * Parse a search query into free words / phrases and a Mongo filter for the qualifiers.
+ *
+ * @param {string} q
+ * @param {Record<string, string | { type: string, filter: Function }>} [fields] - Allowed qualifiers
+ * @returns {{ terms: { text: string, phrase: boolean }[], filter: object, qualified: Record<string, string[]> }}
+ * @throws {HttpError} 400 for unknown qualifiers or invalid values
+ */
+export function parseSearchQuery(q, fields = SEARCH_FIELDS) {
+    const terms = [];
+    const qualified = {};
+    let filter = {};
+
+    for (const token of tokenize(q)) {
+        const qualifier = !token.phrase && token.text.match(/^(\w+):(.+)$/);
+        if (!qualifier) {
+            terms.push(token);
+            continue;
+        }
+
+        const [, name, value] = qualifier;
+        const spec = fields[name];
+        const type = typeof spec === 'string' ? spec : spec?.type;
+        if (!type) {
+            throw new HttpError(400, `Unknown search field "${name}". Allowed: ${Object.keys(fields).join(', ')}`);
+        }
+
+        const condition = type === 'number'
+            ? numberCondition(name, value)
+            : { $regex: new RegExp(`^${escapeRegex(value)}`, 'i') };
+
+        // Several qualifiers on one field are ANDed (age:>20 age:<30)
+        filter = mergeFilters(filter, spec.filter ? spec.filter(condition) : { [name]: condition });
+        if (type === 'string') qualified[name] = [...(qualified[name] || []), value];
+    }
+
+    return { terms, filter, qualified };
+}
+
+/**
+ * Add prefix-regex conditions for free words to a qualifier filter: every
+ * word must start a word in the name, or start the email address.
+ */
+function withPrefixTerms(filter, terms) {
+    if (terms.length === 0) return filter;
+
+    const conditions = terms.map(({ text }) => {
+        const escaped = escapeRegex(text);
+        return {
+            $or: [
+                { name: { $regex: new RegExp(`(^|\\s)${escaped}`, 'i') } },
+                { email: { $regex: new RegExp(`^${escaped}`, 'i') } },
+            ],
+        };
+    });
+    return { ...filter, $and: [...(filter.$and || []), ...conditions] };
+}
+
+/**
+ * Mongo filter for a search query using prefix matching only (no text index).
+ * Used where relevance ranking isn't needed, e.g. exports.
+ * @param {string | null | undefined} q
+ * @returns {object} Mongo filter ({} when q is empty)
+ */
+export function buildSearchFilter(q, fields = SEARCH_FIELDS) {
+    const text = q?.trim();
+    if (!text) return {};
+
+    const { terms, filter } = parseSearchQuery(text, fields);
+    return withPrefixTerms(filter, terms);
+}
+
+/**
+ * Argument for $text.$search: plain words, phrases in quotes.
+ * Quotes and leading "-" are stripped so input can't use text-search operators.
+ */
+function textSearchString(terms) {
+    return terms
+        .map(({ text, phrase }) => {
+            const clean = text.replace(/"/g, '').replace(/^-+/, '');
+            return phrase ? `"${clean}"` : clean;
+        })
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Character ranges [start, end) in `value` where any needle occurs (case-insensitive).
+ */
+function matchRanges(value, needles) {
+    const haystack = String(value ?? '').toLowerCase();
+    const ranges = [];
+
+    for (const needle of needles) {
+        const lower = needle.toLowerCase();
+        if (!lower) continue;
+        let index = haystack.indexOf(lower);
+        while (index !== -1) {
+            ranges.push([index, index + lower.length]);
+            index = haystack.indexOf(lower, index + lower.length);
+        }
+    }
+
+    // Sort and merge overlapping ranges
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push(range);
+        return merged;
+    }, []);
+}
+
+/**
+ * Highlights for one result: { field: [[start, end], ...] } for fields that matched.
+ */
+function highlightsFor(doc, terms, qualified) {
+    const highlights = {};
+    const words = terms.flatMap(({ text, phrase }) => (phrase ? [text] : text.split(/\s+/)));
+
+    for (const field of new Set([...TEXT_FIELDS, ...Object.keys(qualified)])) {
+        const needles = [...(TEXT_FIELDS.includes(field) ? words : []), ...(qualified[field] || [])];
+        const ranges = matchRanges(doc[field], needles);
+        if (ranges.length > 0) highlights[field] = ranges;
+    }
+    return highlights;
+}
+
+/**
+ * Run a text-index search; null when the collection has no text index yet
+ * (or nothing is left to search for once operators are stripped).
+ */
+async function textSearch(Model, filter, terms, { page, limit, select }) {
+    const search = textSearchString(terms);
+    if (!search) return null;
+
+    const query = { ...filter, $text: { $search: search } };
+    try {
+        const [items, total] = await Promise.all([
+            Model.find(query)
+                .select({ ...select, score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, _id: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Model.countDocuments(query),
+        ]);
+        return { items, total };
+    } catch (error) {
+        // IndexNotFound — e.g. autoIndex is off and the index hasn't been built
+        if (error?.code === 27) return null;
+        throw error;
+    }
+}
+
+/**
+ * Search a collection and return a page of ranked results:
+ *   { items, total, page, limit, mode }
+ * Each item carries `highlights` ({ field: [[start, end], ...] }) and, in
+ * text mode, its relevance `score`. `mode` is "text", "prefix" or "fields"
+ * (qualifiers only), or null for an empty query.
+ *
+ * @param {import('mongoose').Model} Model - Needs a text index on name + email
+ * @param {URLSearchParams} searchParams - q, page, limit and the list filters
+ *        (minAge, maxAge, createdAfter, createdBefore — see src/lib/pagination.js)
+ * @param {{ fields?: Record<string, string>, filters?: object, select?: object }} [options]
+ */
+export async function searchCollection(Model, searchParams, options = {}) {
+    const { fields = SEARCH_FIELDS, filters = DEFAULT_FILTERS, select = {} } = options;
+    const { page, limit } = parsePageParams(searchParams);
+    const listFilter = parseFilters(searchParams, filters);
+    const q = searchParams.get('q')?.trim() || '';
+
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw new HttpError(400, `q must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    if (!q) {
+        return { items: [], total: 0, page, limit, mode: null };
+    }
+
+    const parsed = parseSearchQuery(q, fields);
+    const { terms, qualified } = parsed;
+
+    // Qualifiers and list filters may target the same field (age:>20 + maxAge=30)
+    const filter = mergeFilters(parsed.filter, listFilter);
+
+    let mode = 'fields';
+    let result = null;
+
+    if (terms.length > 0) {
+        mode = 'text';
+        result = await textSearch(Model, filter, terms, { page, limit, select });
+
+        // Nothing found by whole words (or no index) → prefix matching
+        if (!result || (result.total === 0 && page === 1)) {
+            mode = 'prefix';
+            result = null;
+        }
+    }
+
+    if (!result) {
+        const query = withPrefixTerms(filter, terms);
+        const [items, total] = await Promise.all([
+            Model.find(query)
+                .select(select)
+                .sort({ name: 1, _id: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Model.countDocuments(query),
+        ]);
+        result = { items, total };
+    }
+
+    const items = result.items.map((doc) => ({ ...doc, highlights: highlightsFor(doc, terms, qualified) }));
+    return { items, total: result.total, page, limit, mode };
+}
@@ -0,0 +1,101 @@
+// Signed session cookies
+// The cookie holds a small JSON payload plus an HMAC-SHA256 signature:
+//   base64url(payload).base64url(signature)
+// Nothing is stored server-side; the signature is what makes it trustworthy.
+// Requires SESSION_SECRET in the environment.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const SESSION_COOKIE = 'session';
+
+/** Session lifetime in seconds (8 hours) */
+export const SESSION_MAX_AGE = 60 * 60 * 8;
+
+/**
+ * Request headers the proxy sets after verifying the session.
+ * Route handlers read the current user from these instead of re-parsing the cookie.
+ */
+export const USER_HEADERS = {
+    id: 'x-user-id',
+    role: 'x-user-role',
+    profile: 'x-user-profile',
+};
+
+function getSecret() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('Please define SESSION_SECRET in .env.local');
+    }
+    return secret;
+}
+
+function sign(data) {
+    return createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed session token.
+ * @param {{ sub: string, role: string, profile?: string|null }} user
+ * @returns {string}
+ */
+export function signSession({ sub, role, profile = null }) {
+    const exp = Math.floor(Date.now() / 1000) + SESSION_MAX_AGE;
+    const payload = Buffer.from(JSON.stringify({ sub, role, profile, exp })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token.
+ * @param {string | undefined} token
+ * @returns {{ sub: string, role: string, profile: string|null, exp: number } | null}
+ *          The payload, or null when the token is missing, tampered with or expired.
+ */
+export function verifySession(token) {
+    if (!token) return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (!session.exp || session.exp < Date.now() / 1000) return null;
+        return session;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Cookie options shared by login (set) and logout (clear).
+ */
+export function sessionCookieOptions(maxAge = SESSION_MAX_AGE) {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        path: '/',
+        maxAge,
+    };
+}
+
+/**
+ * Read the authenticated user that the proxy attached to the request.
+ * @param {Request} request
+ * @returns {{ id: string, role: string, profile: string|null } | null}
+ */
+export function getRequestUser(request) {
+    const id = request.headers.get(USER_HEADERS.id);
+    if (!id) return null;
+
+    return {
+        id,
+        role: request.headers.get(USER_HEADERS.role),
+        profile: request.headers.get(USER_HEADERS.profile) || null,
+    };
+}
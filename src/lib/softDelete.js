@@ -0,0 +1,104 @@
+// Soft delete for Mongoose models
+// Deleting a record sets `deletedAt` instead of removing the document, so a
+// mis-click can be undone. Deleted records are hidden from normal queries:
+//
+//   Student.find({})                                  → only live students
+//   Student.find({ deletedAt: { $ne: null } })        → only the trash (explicit filter wins)
+//   Student.findById(id).setOptions({ withDeleted: true }) → live or deleted
+//   Student.aggregate([...])                          → a leading $match hides the trash
+//   Student.aggregate([...]).option({ withDeleted: true }) → every document
+//
+// Documents stay in the trash until purged; purging is only allowed once a
+// deletion is older than the retention period (TRASH_RETENTION_DAYS, default 30).
+
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'updateOne',
+    'updateMany',
+];
+
+// Stages that must stay first in a pipeline — the $match goes right after them
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Mongoose plugin: adds `deletedAt` and hides deleted documents by default.
+ * @param {import('mongoose').Schema} schema
+ */
+export function softDeletePlugin(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+            writable: false, // Only changed through delete / restore routes
+        },
+    });
+
+    schema.pre(QUERY_HOOKS, function excludeDeleted() {
+        if (this.getOptions().withDeleted) return;
+
+        // Respect an explicit deletedAt condition (e.g. the trash listing)
+        if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function excludeDeletedFromPipeline() {
+        if (this.options.withDeleted) return;
+
+        const pipeline = this.pipeline();
+        const first = pipeline[0] ?? {};
+        const leading = LEADING_STAGES.some((stage) => stage in first) ? 1 : 0;
+
+        // Respect an explicit deletedAt condition in the first $match
+        const match = pipeline[leading]?.$match;
+        if (match && Object.prototype.hasOwnProperty.call(match, 'deletedAt')) return;
+
+        pipeline.splice(leading, 0, { $match: { deletedAt: null } });
+    });
+}
+
+/**
+ * Number of days a record must sit in the trash before it can be purged.
+ */
+export function retentionDays() {
+    const days = Number(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Deletions before this date are old enough to purge.
+ */
+export function retentionCutoff(now = new Date()) {
+    return new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Permanently remove trashed documents whose deletion is past the retention period.
+ *
+ * @param {import('mongoose').Model} Model
+ * @param {string[]} [ids] - Restrict the purge to these ids (default: the whole eligible trash)
+ * @returns {Promise<{ purged: string[], cutoff: Date }>}
+ */
+export async function purgeDeleted(Model, ids) {
+    const cutoff = retentionCutoff();
+    const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+    if (ids) filter._id = { $in: ids };
+
+    const docs = await Model.find(filter).select('_id').lean();
+    const purged = docs.map((doc) => doc._id);
+
+    if (purged.length > 0) {
+        await Model.deleteMany({ _id: { $in: purged } });
+    }
+
+    return { purged: purged.map(String), cutoff };
+}
@@ -0,0 +1,134 @@
+// File storage for attachments, behind a small adapter interface so the
+// backend can be swapped without touching the routes:
+//
+//   save(buffer, { filename, contentType }) → key
+//   openReadStream(key)                     → Node Readable (throws StorageNotFoundError)
+//   remove(key)                             → deletes, ignores missing files
+//
+// Adapters (ATTACHMENT_STORAGE):
+//   gridfs (default) → files live in MongoDB (GridFS bucket "attachments")
+//   local            → files live on disk under ATTACHMENT_DIR (default ./uploads)
+
+import { createReadStream } from 'node:fs';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import mongoose from 'mongoose';
+import { connectToDatabase } from '@/lib/db';
+
+export const STORAGE_ADAPTERS = ['gridfs', 'local'];
+
+const GRIDFS_BUCKET = 'attachments';
+
+/** Thrown by openReadStream() when a key has no file (e.g. removed by hand) */
+export class StorageNotFoundError extends Error {
+    constructor(key) {
+        super(`Stored file ${key} not found`);
+        this.name = 'StorageNotFoundError';
+    }
+}
+
+/**
+ * GridFS adapter — keys are GridFS file ids.
+ */
+function gridfsStorage() {
+    const bucket = async () => {
+        const { connection } = await connectToDatabase();
+        return new mongoose.mongo.GridFSBucket(connection.db, { bucketName: GRIDFS_BUCKET });
+    };
+
+    return {
+        name: 'gridfs',
+
+        async save(buffer, { filename, contentType }) {
+            const upload = (await bucket()).openUploadStream(filename, { metadata: { contentType } });
+            await new Promise((resolve, reject) => {
+                upload.once('finish', resolve);
+                upload.once('error', reject);
+                upload.end(buffer);
+            });
+            return String(upload.id);
+        },
+
+        async openReadStream(key) {
+            const files = await bucket();
+            const id = new mongoose.Types.ObjectId(key);
+            if (!(await files.find({ _id: id }).hasNext())) throw new StorageNotFoundError(key);
+            return files.openDownloadStream(id);
+        },
+
+        async remove(key) {
+            try {
+                await (await bucket()).delete(new mongoose.Types.ObjectId(key));
+            } catch (error) {
+                // Already gone — nothing to clean up
+                if (!/File not found/i.test(error?.message)) throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Local filesystem adapter — keys are generated file names inside the directory,
+ * so user-supplied names never become paths.
+ */
+function localStorage(directory) {
+    const fileFor = (key) => {
+        if (!/^[\w-]+$/.test(key)) throw new StorageNotFoundError(key);
+        return path.join(directory, key);
+    };
+
+    return {
+        name: 'local',
+
+        async save(buffer) {
+            const key = randomUUID();
+            await mkdir(directory, { recursive: true });
+            await writeFile(fileFor(key), buffer, { flag: 'wx' });
+            return key;
+        },
+
+        async openReadStream(key) {
+            const stream = createReadStream(fileFor(key));
+            // Surface a missing file before the response starts
+            await new Promise((resolve, reject) => {
+                stream.once('open', resolve);
+                stream.once('error', (error) => reject(error.code === 'ENOENT' ? new StorageNotFoundError(key) : error));
+            });
+            return stream;
+        },
+
+        async remove(key) {
+            await rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+// adapter name → adapter (created once per process)
+const adapters = new Map();
+
+/**
+ * The configured storage adapter's name (ATTACHMENT_STORAGE).
+ */
+export function defaultStorageName() {
+    const name = process.env.ATTACHMENT_STORAGE || 'gridfs';
+    if (!STORAGE_ADAPTERS.includes(name)) {
+        throw new Error(`ATTACHMENT_STORAGE must be one of: ${STORAGE_ADAPTERS.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * A storage adapter by name — attachments remember where they were stored,
+ * so files saved before ATTACHMENT_STORAGE changed can still be read.
+ * @param {string} [name] - Defaults to the configured adapter
+ */
+export function getStorage(name = defaultStorageName()) {
+    if (!adapters.has(name)) {
+        if (!STORAGE_ADAPTERS.includes(name)) throw new Error(`Unknown storage adapter "${name}"`);
+        adapters.set(name, name === 'local'
+            ? localStorage(path.resolve(process.env.ATTACHMENT_DIR || 'uploads'))
+            : gridfsStorage());
+    }
+    return adapters.get(name);
+}
@@ -0,0 +1,80 @@
+// Helpers shared by the /api/students routes
+//
+// Students store a date of birth and `age` is computed from it (a virtual on
+// the model), so it never goes stale. The age filters (minAge / maxAge) and
+// the age: search qualifier are translated into date-of-birth ranges here.
+// Instructors still store a plain `age` and use the defaults.
+
+import { DEFAULT_FILTERS } from '@/lib/pagination';
+import { SEARCH_FIELDS } from '@/lib/search';
+
+/**
+ * Age in full years on `now` (UTC calendar days, like the stored dates).
+ * @returns {number|null} null without a date of birth
+ */
+export function ageFrom(dateOfBirth, now = new Date()) {
+    if (!dateOfBirth) return null;
+    const birth = new Date(dateOfBirth);
+
+    let age = now.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = now.getUTCMonth() < birth.getUTCMonth()
+        || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate());
+    if (beforeBirthday) age--;
+    return age;
+}
+
+/**
+ * Latest date of birth of someone who is at least `age` years old today.
+ */
+export function birthDateCutoff(age, now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear() - age, now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Translate a numeric age condition ({ $gt: 20 }, { $gte: 18, $lte: 25 }, ...)
+ * into a date-of-birth filter. Ages are whole years.
+ */
+export function ageToBirthDateFilter(condition) {
+    let min = -Infinity;
+    let max = Infinity;
+
+    for (const [op, value] of Object.entries(condition)) {
+        if (op === '$eq' || op === '$gte') min = Math.max(min, Math.ceil(value));
+        if (op === '$gt') min = Math.max(min, Math.floor(value) + 1);
+        if (op === '$eq' || op === '$lte') max = Math.min(max, Math.floor(value));
+        if (op === '$lt') max = Math.min(max, Math.ceil(value) - 1);
+    }
+
+    const dateOfBirth = {};
+    if (min !== -Infinity) dateOfBirth.$lte = birthDateCutoff(min);
+    if (max !== Infinity) dateOfBirth.$gt = birthDateCutoff(max + 1);
+    return { dateOfBirth };
+}
+
+/**
+ * Add the computed age to a lean student (list / search results skip virtuals).
+ */
+export function withAge(student) {
+    return { ...student, age: ageFrom(student.dateOfBirth) };
+}
+
+/** List filters: the defaults, with age mapped to the date of birth, plus enrollment status */
+export const STUDENT_FILTERS = {
+    ...DEFAULT_FILTERS,
+    minAge: { field: 'dateOfBirth', op: '$lte', type: 'number', convert: (age) => birthDateCutoff(Math.ceil(age)) },
+    maxAge: { field: 'dateOfBirth', op: '$gt', type: 'number', convert: (age) => birthDateCutoff(Math.floor(age) + 1) },
+    enrollmentStatus: { field: 'enrollmentStatus', op: '$eq', type: 'string' },
+};
+
+/** Options for paginate() / exportCollection() on the student routes */
+export const STUDENT_LIST_OPTIONS = {
+    sortFields: ['name', 'dateOfBirth', 'email', 'studentNumber', 'createdAt', 'updatedAt'],
+    filters: STUDENT_FILTERS,
+};
+
+/** Search qualifiers: age: works on the date of birth, studentNumber: is a prefix match */
+export const STUDENT_SEARCH_FIELDS = {
+    ...SEARCH_FIELDS,
+    age: { type: 'number', filter: ageToBirthDateFilter },
+    studentNumber: 'string',
+};
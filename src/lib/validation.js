@@ -0,0 +1,227 @@
+// Schema-driven request body validation
+// The whitelist of writable fields and their types come straight from the
+// Mongoose schema, so adding a field to a model makes it writable through
+// the API without touching the routes. Mongoose still runs the real
+// validators (required, min, match, ...) on save / update.
+//
+// Fields are never writable when they are:
+//   - system fields (_id, __v, createdAt, updatedAt)
+//   - marked `writable: false` in the schema (server-managed fields)
+//   - marked `immutable: true` in the schema (update only — allowed on create)
+
+import mongoose from 'mongoose';
+import { HttpError } from '@/lib/errors';
+
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Describe the top-level fields of a model: name → { instance, immutable, writable }.
+ * Nested paths ("address.city") are folded into their top-level field ("address").
+ */
+export function describeFields(Model) {
+    const fields = {};
+
+    Model.schema.eachPath((path, schemaType) => {
+        const [top] = path.split('.');
+        if (fields[top]) return;
+
+        const nested = top !== path;
+        fields[top] = {
+            instance: nested ? 'Object' : schemaType.instance,
+            immutable: Boolean(schemaType.options?.immutable),
+            writable: !SYSTEM_FIELDS.includes(top) && schemaType.options?.writable !== false,
+        };
+    });
+
+    return fields;
+}
+
+/**
+ * Coerce a JSON value to the schema type. Returns { value } or { error }.
+ * Types we don't coerce (arrays, ObjectIds, subdocuments) are left to Mongoose casting.
+ */
+function coerce(name, value, instance) {
+    if (value === null) return { value };
+
+    switch (instance) {
+        case 'Number': {
+            if (typeof value === 'number' && Number.isFinite(value)) return { value };
+            if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+                return { value: Number(value) };
+            }
+            return { error: `${name} must be a number` };
+        }
+        case 'String': {
+            if (typeof value === 'string') return { value };
+            if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+            return { error: `${name} must be a string` };
+        }
+        case 'Date': {
+            const date = new Date(value);
+            if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+                return { error: `${name} must be a valid date` };
+            }
+            return { value: date };
+        }
+        case 'Boolean': {
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 'false') return { value: value === 'true' };
+            return { error: `${name} must be true or false` };
+        }
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Reject a body that isn't a JSON object (null, an array, a string, ...).
+ * @throws {HttpError} 400
+ */
+function assertJsonObject(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * Read a request body that must be a JSON object, for routes that pick their
+ * own fields (destructuring `null` would otherwise end in a 500).
+ * @param {Request} request
+ * @returns {Promise<Record<string, unknown>>}
+ * @throws {HttpError|SyntaxError} 400 (via errorResponse) for malformed JSON or a non-object
+ */
+export async function readJsonObject(request) {
+    const body = await request.json();
+    assertJsonObject(body);
+    return body;
+}
+
+/**
+ * Read a request body, giving up as soon as it grows past `maxBytes` — the
+ * rest is never buffered. Content-Length is checked first when the client sends it.
+ * @param {Request} request
+ * @param {number} maxBytes
+ * @param {string} message - Error message when the body is larger
+ * @returns {Promise<Buffer>}
+ * @throws {HttpError} 413 when the body is larger
+ */
+export async function readBodyCapped(request, maxBytes, message) {
+    if (Number(request.headers.get('content-length')) > maxBytes) throw new HttpError(413, message);
+
+    const reader = request.body?.getReader();
+    if (!reader) return Buffer.alloc(0);
+
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.byteLength;
+        if (total > maxBytes) {
+            await reader.cancel().catch(() => {});
+            throw new HttpError(413, message);
+        }
+        chunks.push(value);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Validate and coerce a create/update request body against a model.
+ *
+ * @param {import('mongoose').Model} Model
+ * @param {unknown} body - Parsed JSON request body
+ * @param {{ partial?: boolean }} [options] - partial: true for updates (PUT/PATCH)
+ * @returns {Record<string, unknown>} Only whitelisted, coerced fields
+ * @throws {HttpError} 400 when the body isn't an object or has nothing to update,
+ *                     422 with per-field messages for unknown or mistyped fields
+ */
+export function parseBody(Model, body, { partial = false } = {}) {
+    assertJsonObject(body);
+
+    const schemaFields = describeFields(Model);
+    const data = {};
+    const errors = {};
+
+    for (const [name, raw] of Object.entries(body)) {
+        const field = schemaFields[name];
+
+        if (!field) {
+            errors[name] = 'Unknown field';
+            continue;
+        }
+        if (!field.writable || (partial && field.immutable)) {
+            errors[name] = 'Field cannot be set';
+            continue;
+        }
+
+        const { value, error } = coerce(name, raw, field.instance);
+        if (error) errors[name] = error;
+        else data[name] = value;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(422, 'Validation failed', errors);
+    }
+
+    if (partial && Object.keys(data).length === 0) {
+        throw new HttpError(400, 'No fields to update');
+    }
+
+    return data;
+}
+
+/**
+ * Validate a list of ObjectId strings from a request body.
+ * @param {unknown} ids
+ * @param {string} [name] - Field name used in the error message
+ * @returns {string[]}
+ * @throws {HttpError} 422 when `ids` isn't an array of valid ids
+ */
+export function parseIdList(ids, name = 'ids') {
+    if (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id))) {
+        throw new HttpError(422, 'Validation failed', { [name]: `${name} must be an array of valid ids` });
+    }
+    return ids.map(String);
+}
+
+/** Form input type for each schema type the generic UI can edit */
+const INPUT_TYPES = { String: 'text', Number: 'number', Date: 'date', Boolean: 'checkbox' };
+
+/** Validator options are either a value or [value, message] */
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+/**
+ * Describe the writable fields of a model for a generic form:
+ *   [{ name, label, type, required, min?, max?, options? }]
+ * Only String / Number / Date / Boolean fields are included, top-level or in a
+ * nested object (name is then a dotted path, e.g. "address.city");
+ * everything else (refs, arrays, subdocuments) needs a dedicated UI.
+ */
+export function describeFormFields(Model) {
+    const writable = describeFields(Model);
+    const fields = [];
+
+    Model.schema.eachPath((path, schemaType) => {
+        const field = writable[path.split('.')[0]];
+        const type = INPUT_TYPES[schemaType.instance];
+        if (!field?.writable || !type) return;
+
+        const { options } = schemaType;
+        const words = path.replace(/\./g, ' ').replace(/([A-Z])/g, ' $1').toLowerCase();
+        const entry = {
+            name: path,
+            label: words.charAt(0).toUpperCase() + words.slice(1),
+            type: type === 'text' && /email/i.test(path) ? 'email' : type,
+            required: Boolean(optionValue(options.required)),
+        };
+        if (options.min !== undefined) entry.min = optionValue(options.min);
+        if (options.max !== undefined) entry.max = optionValue(options.max);
+        if (schemaType.enumValues?.length) entry.options = schemaType.enumValues;
+        if (field.immutable) entry.immutable = true;
+
+        fields.push(entry);
+    });
+
+    return fields;
+}
@@ -0,0 +1,50 @@
+// src/models/Assessment.js
+// Mongoose schema and model for the "Assessment" collection
+// An assessment (exam, assignment, quiz, ...) belongs to one course; scores live in Grade
+
+import mongoose from 'mongoose';
+
+const assessmentSchema = new mongoose.Schema(
+    {
+        // Course the assessment belongs to — fixed once created (its grades depend on the roster)
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course',
+            required: [true, 'Course is required'],
+            immutable: true,
+        },
+
+        title: {
+            type: String,
+            required: [true, 'Title is required'],
+            trim: true,
+        },
+
+        // Highest possible score, e.g. 100 — grades are stored as raw scores out of this
+        maxScore: {
+            type: Number,
+            required: [true, 'Max score is required'],
+            min: [1, 'Max score must be at least 1'],
+        },
+
+        // Relative weight in the course average (e.g. final exam 3, quizzes 1)
+        weight: {
+            type: Number,
+            default: 1,
+            min: [0, 'Weight cannot be negative'],
+        },
+
+        dueDate: {
+            type: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+// Assessments of a course in due-date order (gradebook columns)
+assessmentSchema.index({ course: 1, dueDate: 1 });
+
+// Prevent model overwrite in development hot reload
+const Assessment = mongoose.models.Assessment || mongoose.model('Assessment', assessmentSchema);
+
+export default Assessment;
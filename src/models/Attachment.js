@@ -0,0 +1,94 @@
+// src/models/Attachment.js
+// Mongoose schema and model for the "Attachment" collection
+// Metadata of an uploaded file (profile photo or document) of a student or
+// instructor — the bytes live in the storage adapter (see src/lib/storage.js)
+
+import mongoose from 'mongoose';
+import { STORAGE_ADAPTERS } from '@/lib/storage';
+
+export const ATTACHMENT_OWNERS = ['student', 'instructor'];
+export const ATTACHMENT_KINDS = ['photo', 'document'];
+
+const attachmentSchema = new mongoose.Schema(
+    {
+        // Whose file it is: entity + id (a Student or Instructor)
+        entity: {
+            type: String,
+            enum: ATTACHMENT_OWNERS,
+            required: true,
+            immutable: true,
+        },
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            immutable: true,
+        },
+
+        // "photo" → the person's profile picture (one at a time), "document" → anything else
+        kind: {
+            type: String,
+            enum: ATTACHMENT_KINDS,
+            required: true,
+            immutable: true,
+        },
+
+        // Original file name, shown in the UI and used for downloads
+        filename: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 255,
+        },
+
+        // Checked against the file's contents on upload (see src/lib/attachments.js)
+        contentType: {
+            type: String,
+            required: true,
+        },
+        size: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+
+        // Where the bytes are: adapter name + its key; images also get a thumbnail
+        storage: {
+            type: String,
+            enum: STORAGE_ADAPTERS,
+            required: true,
+        },
+        key: {
+            type: String,
+            required: true,
+        },
+        thumbnailKey: {
+            type: String,
+            default: null,
+        },
+
+        // User id of the uploader (or "anonymous")
+        uploadedBy: {
+            type: String,
+            default: 'anonymous',
+        },
+    },
+    { timestamps: true }
+);
+
+// A person's files, newest first
+attachmentSchema.index({ entity: 1, owner: 1, createdAt: -1 });
+
+// Storage keys are internal — never sent to clients
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.key;
+        delete ret.thumbnailKey;
+        ret.hasThumbnail = Boolean(doc.thumbnailKey);
+        return ret;
+    },
+});
+
+// Prevent model overwrite in development hot reload
+const Attachment = mongoose.models.Attachment || mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,52 @@
+// src/models/Attendance.js
+// Mongoose schema and model for the "Attendance" collection
+// One record per student per day (the roll call of that date)
+
+import mongoose from 'mongoose';
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const attendanceSchema = new mongoose.Schema(
+    {
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Student',
+            required: [true, 'Student is required'],
+            immutable: true,
+        },
+
+        // Calendar day, stored as midnight UTC (see parseDay in src/lib/attendance.js)
+        date: {
+            type: Date,
+            required: [true, 'Date is required'],
+            immutable: true,
+        },
+
+        status: {
+            type: String,
+            enum: {
+                values: ATTENDANCE_STATUSES,
+                message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`,
+            },
+            required: [true, 'Status is required'],
+        },
+
+        // Optional remark, e.g. "doctor's note"
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Note must be at most 500 characters'],
+        },
+    },
+    { timestamps: true }
+);
+
+// One record per student per day; also serves "the roll call of a date"
+attendanceSchema.index({ date: 1, student: 1 }, { unique: true });
+// History of one student
+attendanceSchema.index({ student: 1, date: -1 });
+
+// Prevent model overwrite in development hot reload
+const Attendance = mongoose.models.Attendance || mongoose.model('Attendance', attendanceSchema);
+
+export default Attendance;
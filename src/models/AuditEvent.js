@@ -0,0 +1,60 @@
+// src/models/AuditEvent.js
+// Append-only log of every create / update / delete on students and instructors
+// Written by src/lib/audit.js — never updated after insert
+
+import mongoose from 'mongoose';
+
+export const AUDIT_ENTITIES = ['student', 'instructor'];
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+const auditEventSchema = new mongoose.Schema(
+    {
+        entity: {
+            type: String,
+            enum: AUDIT_ENTITIES,
+            required: true,
+        },
+
+        // _id of the Student / Instructor the event is about
+        entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+
+        action: {
+            type: String,
+            enum: AUDIT_ACTIONS,
+            required: true,
+        },
+
+        // Changed fields only: { email: { before: 'a@x.com', after: 'b@x.com' } }
+        changes: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        // User id of whoever made the change, or "anonymous"
+        actor: {
+            type: String,
+            required: true,
+            default: 'anonymous',
+        },
+
+        actorRole: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        // createdAt is the event timestamp; events are never updated
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// History of one record, newest first
+auditEventSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+// Prevent model overwrite in development hot reload
+const AuditEvent = mongoose.models.AuditEvent || mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
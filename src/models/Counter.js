@@ -0,0 +1,38 @@
+// src/models/Counter.js
+// Named sequence counters, e.g. "student-2026" → last student number issued that year
+// Incremented atomically, so concurrent creates never get the same number
+
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+    // Counter name
+    _id: {
+        type: String,
+        required: true,
+    },
+
+    // Last value handed out
+    seq: {
+        type: Number,
+        default: 0,
+    },
+});
+
+/**
+ * Next value of a counter (starts at 1).
+ * @param {string} name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function next(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+// Prevent model overwrite in development hot reload
+const Counter = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+export default Counter;
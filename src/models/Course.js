@@ -0,0 +1,78 @@
+// src/models/Course.js
+// Mongoose schema and model for the "Course" collection
+// A course is taught by one or more instructors and holds the enrolled students
+
+import mongoose from 'mongoose';
+
+// One entry per enrolled student — embedded so capacity checks stay atomic
+const enrollmentSchema = new mongoose.Schema(
+    {
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Student',
+            required: true,
+        },
+        enrolledAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const courseSchema = new mongoose.Schema(
+    {
+        // Short unique identifier, e.g. "CS101"
+        code: {
+            type: String,
+            required: [true, 'Code is required'],
+            unique: true,
+            uppercase: true,
+            trim: true,
+        },
+
+        title: {
+            type: String,
+            required: [true, 'Title is required'],
+            trim: true,
+        },
+
+        // Maximum number of enrolled students
+        capacity: {
+            type: Number,
+            required: [true, 'Capacity is required'],
+            min: [1, 'Capacity must be at least 1'],
+        },
+
+        // Academic term, e.g. "2026-fall"
+        term: {
+            type: String,
+            required: [true, 'Term is required'],
+            trim: true,
+        },
+
+        instructors: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Instructor',
+            },
+        ],
+
+        // Managed only through /api/courses/[id]/enrollments (writable: false → see src/lib/validation.js)
+        enrollments: {
+            type: [enrollmentSchema],
+            default: [],
+            writable: false,
+        },
+    },
+    { timestamps: true }
+);
+
+// Reverse lookups: "which courses does this student / instructor have?"
+courseSchema.index({ 'enrollments.student': 1 });
+courseSchema.index({ instructors: 1 });
+
+// Prevent model overwrite in development hot reload
+const Course = mongoose.models.Course || mongoose.model('Course', courseSchema);
+
+export default Course;
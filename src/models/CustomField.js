@@ -0,0 +1,84 @@
+// src/models/CustomField.js
+// Admin-defined extra fields for students, stored in Student.customFields
+// Values are validated against these definitions (see src/lib/customFields.js)
+// and the form inputs are generated from them (GET /api/schema/students)
+
+import mongoose from 'mongoose';
+
+export const CUSTOM_FIELD_ENTITIES = ['student'];
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'checkbox', 'select'];
+
+const customFieldSchema = new mongoose.Schema(
+    {
+        // Which model the field extends
+        entity: {
+            type: String,
+            enum: CUSTOM_FIELD_ENTITIES,
+            default: 'student',
+            immutable: true,
+        },
+
+        // Key under customFields, e.g. "shoeSize" — fixed once created (stored values use it)
+        key: {
+            type: String,
+            required: [true, 'Key is required'],
+            trim: true,
+            immutable: true,
+            match: [/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, 'Key must start with a letter and contain only letters, digits and _ (max 40)'],
+        },
+
+        label: {
+            type: String,
+            required: [true, 'Label is required'],
+            trim: true,
+        },
+
+        // Value type — fixed once created so stored values stay valid
+        type: {
+            type: String,
+            enum: {
+                values: CUSTOM_FIELD_TYPES,
+                message: `Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`,
+            },
+            required: [true, 'Type is required'],
+            immutable: true,
+        },
+
+        required: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Allowed values of a "select" field
+        options: {
+            type: [String],
+            default: undefined,
+        },
+
+        // Bounds of a "number" field
+        min: {
+            type: Number,
+        },
+        max: {
+            type: Number,
+        },
+    },
+    { timestamps: true }
+);
+
+customFieldSchema.index({ entity: 1, key: 1 }, { unique: true });
+
+// A select needs something to choose from; bounds only make sense in order
+customFieldSchema.pre('validate', function () {
+    if (this.type === 'select' && !(this.options?.length > 0)) {
+        this.invalidate('options', 'A select field needs at least one option');
+    }
+    if (typeof this.min === 'number' && typeof this.max === 'number' && this.min > this.max) {
+        this.invalidate('max', 'Max must not be lower than min');
+    }
+});
+
+// Prevent model overwrite in development hot reload
+const CustomField = mongoose.models.CustomField || mongoose.model('CustomField', customFieldSchema);
+
+export default CustomField;
@@ -0,0 +1,41 @@
+// src/models/Grade.js
+// Mongoose schema and model for the "Grade" collection
+// One score per student per assessment
+
+import mongoose from 'mongoose';
+
+const gradeSchema = new mongoose.Schema(
+    {
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Student',
+            required: [true, 'Student is required'],
+            immutable: true,
+        },
+
+        assessment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Assessment',
+            required: [true, 'Assessment is required'],
+            immutable: true,
+        },
+
+        // Raw score, 0 … assessment.maxScore (the upper bound is checked in src/lib/grades.js)
+        score: {
+            type: Number,
+            required: [true, 'Score is required'],
+            min: [0, 'Score cannot be negative'],
+        },
+    },
+    { timestamps: true }
+);
+
+// A student has at most one grade per assessment
+gradeSchema.index({ assessment: 1, student: 1 }, { unique: true });
+// Transcript lookups: "all grades of this student"
+gradeSchema.index({ student: 1 });
+
+// Prevent model overwrite in development hot reload
+const Grade = mongoose.models.Grade || mongoose.model('Grade', gradeSchema);
+
+export default Grade;
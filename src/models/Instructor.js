@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '@/lib/softDelete';
 
 const instructorSchema = new mongoose.Schema(
     {
@@ -19,10 +20,24 @@ const instructorSchema = new mongoose.Schema(
             lowercase: true,
             match: [/^\S+@\S+\.\S+$/, 'Please use a valid email'],
         },
+        // Current profile photo (an Attachment) — set by POST /api/instructors/[id]/attachments
+        photo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attachment',
+            default: null,
+            writable: false,
+        },
     },
-    { timestamps: true }
+    // optimisticConcurrency: save() bumps __v → ETag of /api/instructors/[id]
+    { timestamps: true, optimisticConcurrency: true }
 );
 
+// Soft delete: DELETE moves an instructor to the trash instead of removing it
+instructorSchema.plugin(softDeletePlugin);
+
+// Full-text index for /api/instructors/search
+instructorSchema.index({ name: 'text', email: 'text' }, { name: 'search_text', weights: { name: 3, email: 1 } });
+
 // Prevent model overwrite in development hot reload
 const Instructor = mongoose.models.Instructor || mongoose.model('Instructor', instructorSchema);
 
@@ -1,12 +1,61 @@
 // src/models/Student.js
 // Mongoose schema and model for the "Student" collection
 // Defines structure, validation, and behavior of student documents
+// Profile: student number, name, date of birth (age is computed), contact details,
+// enrollment status, guardians and admin-defined custom fields
 
 import mongoose from 'mongoose'; // Mongoose ODM — makes MongoDB easy and safe to use
+import { softDeletePlugin } from '@/lib/softDelete'; // Adds deletedAt + hides deleted students from queries
+import { ageFrom } from '@/lib/students'; // Age in full years from the date of birth
+import { checkCustomValues, loadCustomFields } from '@/lib/customFields'; // Admin-defined extra fields
+import Counter from '@/models/Counter'; // Atomic sequence for student numbers
+
+export const ENROLLMENT_STATUSES = ['active', 'graduated', 'withdrawn'];
+
+// Loose phone format: digits, spaces and + ( ) - . — 7 to 20 characters
+const PHONE_PATTERN = [/^\+?[0-9 ()\-.]{7,20}$/, 'Please use a valid phone number'];
+
+// Emergency / family contact — embedded, a student has a handful at most
+const guardianSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Guardian name is required'],
+            trim: true,
+        },
+        // e.g. "mother", "uncle", "legal guardian"
+        relationship: {
+            type: String,
+            trim: true,
+        },
+        phone: {
+            type: String,
+            trim: true,
+            match: PHONE_PATTERN,
+        },
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address'],
+        },
+    },
+    { _id: false }
+);
 
 // Define the schema — this enforces data structure and validation
 const studentSchema = new mongoose.Schema(
     {
+        // School-wide id like "S2026-00042" — generated on create (see the pre-save hook below),
+        // never set through the API (writable: false → see src/lib/validation.js)
+        studentNumber: {
+            type: String,
+            unique: true,
+            sparse: true,                    // Records created before student numbers existed (until migrated)
+            immutable: true,
+            writable: false,
+        },
+
         // Full name of the student
         name: {
             type: String,                    // Must be a string
@@ -14,12 +63,14 @@ const studentSchema = new mongoose.Schema(
             trim: true,                      // Automatically remove leading/trailing whitespace
         },
 
-        // Age in years
-        age: {
-            type: Number,                    // Must be a number
-            required: [true, 'Age is required'],
-            min: [1, 'Age must be at least 1'], // Minimum valid age
-            // max: [120, 'Age seems too high'] // Optional: add upper limit
+        // Date of birth — `age` is computed from it (see the virtual below), so it never goes stale
+        dateOfBirth: {
+            type: Date,
+            required: [true, 'Date of birth is required'],
+            validate: {
+                validator: (value) => value < new Date(),
+                message: 'Date of birth must be in the past',
+            },
         },
 
         // Email address — used for uniqueness and contact
@@ -34,15 +85,105 @@ const studentSchema = new mongoose.Schema(
                 'Please use a valid email address', // Error message if regex fails
             ],
         },
+
+        phone: {
+            type: String,
+            trim: true,
+            match: PHONE_PATTERN,
+        },
+
+        // Postal address — a nested object, so each part is its own form input
+        address: {
+            street: { type: String, trim: true },
+            city: { type: String, trim: true },
+            state: { type: String, trim: true },
+            postalCode: { type: String, trim: true },
+            country: { type: String, trim: true },
+        },
+
+        // Where the student is in their studies
+        enrollmentStatus: {
+            type: String,
+            enum: {
+                values: ENROLLMENT_STATUSES,
+                message: `Enrollment status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`,
+            },
+            default: 'active',
+        },
+
+        // Parents / emergency contacts
+        guardians: {
+            type: [guardianSchema],
+            default: [],
+        },
+
+        // Current profile photo (an Attachment) — set by POST /api/students/[id]/attachments
+        photo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attachment',
+            default: null,
+            writable: false,
+        },
+
+        // Values of the admin-defined custom fields: { key: value }
+        // Validated against the definitions in the pre-validate hook below
+        customFields: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
     },
     {
         // Automatically add createdAt and updatedAt timestamps
         timestamps: true,
+        // Every save() bumps __v and fails if it changed since the document was read
+        // → exposed as the ETag of /api/students/[id] (see src/lib/concurrency.js)
+        optimisticConcurrency: true,
+        // API responses, audit snapshots and live events include the computed `age` (but no duplicate `id`)
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+        id: false,
         // Collection name will be "students" (pluralized by default)
         // You can force it with: collection: 'students'
     }
 );
 
+// Age in full years, computed on read (lean queries: use withAge from src/lib/students.js)
+studentSchema.virtual('age').get(function () {
+    return ageFrom(this.dateOfBirth);
+});
+
+// Custom fields: coerce values to their types and reject unknown / invalid ones.
+// Required custom fields are enforced when a student is created or its custom
+// fields are edited, so adding a required field doesn't block unrelated edits.
+studentSchema.pre('validate', async function () {
+    if (!this.isNew && !this.isModified('customFields')) return;
+
+    const definitions = await loadCustomFields('student');
+    const { values, errors } = checkCustomValues(definitions, this.customFields);
+
+    for (const [path, message] of Object.entries(errors)) this.invalidate(path, message);
+    if (Object.keys(errors).length === 0) this.customFields = values;
+});
+
+// Student number: "S" + year + per-year sequence, assigned once on create
+// (after validation, so invalid or dry-run documents don't use up numbers)
+studentSchema.pre('save', async function () {
+    if (!this.isNew || this.studentNumber) return;
+
+    const year = (this.createdAt || new Date()).getUTCFullYear();
+    const seq = await Counter.next(`student-${year}`);
+    this.studentNumber = `S${year}-${String(seq).padStart(5, '0')}`;
+});
+
+// Soft delete: DELETE moves a student to the trash instead of removing it
+studentSchema.plugin(softDeletePlugin);
+
+// Full-text index for /api/students/search — name matches rank above email matches
+studentSchema.index(
+    { name: 'text', email: 'text' },
+    { name: 'search_text', weights: { name: 3, email: 1 } }
+);
+
 /**
  * Critical fix for Next.js development hot reloading
  * 
@@ -0,0 +1,68 @@
+// src/models/User.js
+// Login accounts. A user has a role and, for instructors and students,
+// a link to the Instructor / Student record they are allowed to manage.
+
+import mongoose from 'mongoose';
+
+export const ROLES = ['admin', 'instructor', 'student'];
+
+const userSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Please use a valid email address'],
+        },
+
+        // scrypt hash from src/lib/password.js — never returned by queries unless selected
+        passwordHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        role: {
+            type: String,
+            enum: { values: ROLES, message: 'Role must be one of: ' + ROLES.join(', ') },
+            required: [true, 'Role is required'],
+        },
+
+        // Own record for "student" users
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Student',
+        },
+
+        // Own record for "instructor" users
+        instructor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Instructor',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            // Strip the hash even if it was explicitly selected
+            transform: (doc, ret) => {
+                delete ret.passwordHash;
+                return ret;
+            },
+        },
+    }
+);
+
+/**
+ * The id of the Student/Instructor record this user owns (null for admins).
+ */
+userSchema.methods.profileId = function profileId() {
+    const ref = this.role === 'student' ? this.student : this.role === 'instructor' ? this.instructor : null;
+    return ref ? ref.toString() : null;
+};
+
+// Prevent model overwrite in development hot reload
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+
+export default User;
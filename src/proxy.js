@@ -0,0 +1,78 @@
+// Next.js proxy (formerly "middleware") — runs before every matched request
+// Enforces authentication, role-based access and rate limits for /api routes,
+// and sends anonymous visitors of the management pages to /login.
+// Every request gets an id (X-Request-Id) that API handlers log with and echo back.
+
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, USER_HEADERS, verifySession } from '@/lib/session';
+import { authorize } from '@/lib/access';
+import { checkRateLimit, isRateLimitExempt } from '@/lib/rateLimit';
+import { logger, requestIdFrom, REQUEST_ID_HEADER } from '@/lib/logger';
+
+export async function proxy(request) {
+    const { pathname } = request.nextUrl;
+    const requestId = requestIdFrom(request.headers);
+    const log = logger.child({ requestId });
+
+    // Responses produced here carry the id; API handlers add it themselves (src/lib/instrument.js)
+    const reply = (response) => {
+        response.headers.set(REQUEST_ID_HEADER, requestId);
+        return response;
+    };
+
+    let session;
+    try {
+        session = verifySession(request.cookies.get(SESSION_COOKIE)?.value);
+    } catch (error) {
+        // SESSION_SECRET missing — fail closed
+        log.error('Session verification failed', { error });
+        return reply(NextResponse.json({ error: 'Authentication is not configured' }, { status: 500 }));
+    }
+
+    // Pages: only check that someone is logged in; the API enforces the rest
+    if (!pathname.startsWith('/api/')) {
+        if (session) return reply(NextResponse.next());
+        const loginUrl = new URL('/login', request.url);
+        loginUrl.searchParams.set('next', pathname);
+        return reply(NextResponse.redirect(loginUrl));
+    }
+
+    let rateLimit = null;
+    try {
+        if (!isRateLimitExempt(pathname)) rateLimit = await checkRateLimit(request, session);
+    } catch (error) {
+        // Malformed RATE_LIMIT_* value — fail closed like a missing secret
+        log.error('Rate limit configuration error', { error });
+        return reply(NextResponse.json({ error: 'Rate limiting is misconfigured' }, { status: 500 }));
+    }
+    if (rateLimit?.limited) {
+        log.warn('Rate limit exceeded', { method: request.method, path: pathname, user: session?.sub });
+        return reply(NextResponse.json({ error: 'Too many requests' }, { status: 429, headers: rateLimit.headers }));
+    }
+
+    const status = authorize(session, request.method, pathname);
+    if (status === 401) {
+        return reply(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+    }
+    if (status === 403) {
+        return reply(NextResponse.json({ error: 'Forbidden' }, { status: 403 }));
+    }
+
+    // Never trust identity headers coming from the client — replace them
+    const headers = new Headers(request.headers);
+    Object.values(USER_HEADERS).forEach((name) => headers.delete(name));
+    headers.set(REQUEST_ID_HEADER, requestId);
+    if (session) {
+        headers.set(USER_HEADERS.id, session.sub);
+        headers.set(USER_HEADERS.role, session.role);
+        if (session.profile) headers.set(USER_HEADERS.profile, session.profile);
+    }
+
+    const response = NextResponse.next({ request: { headers } });
+    Object.entries(rateLimit?.headers || {}).forEach(([name, value]) => response.headers.set(name, value));
+    return response;
+}
+
+export const config = {
+    matcher: ['/', '/api/:path*', '/students/:path*', '/instructors/:path*', '/gradebook/:path*', '/attendance/:path*'],
+};